@@ -1,39 +1,14 @@
 /**
  * One-time script: Clean noise tags from all existing runbooks
+ * Noise tags = vocabulary vault (runbooks/.vocabulary.json, lihat memory_vocabulary) — jalankan ulang setelah menambah noise tag
  * Run: node scripts/clean_tags.js
  */
-import { readdirSync, readFileSync, writeFileSync } from 'fs';
+import { readFileSync, writeFileSync } from 'fs';
 import { join } from 'path';
+import { getRunbooksDir, listRunbookFiles } from '../src/storage/paths.js';
+import { filterNoiseTags } from '../src/storage/files.js';
 
-const RUNBOOKS_DIR = '/home/kali/Desktop/mcp-memori/runbooks';
-
-const NOISE_TAGS = new Set([
-    'gagal', 'failed', 'success', 'berhasil', 'blocked', 'alive', 'dead',
-    'active', 'critical', 'update', 'updated', 'progress', 'complete',
-    'state', 'checkpoint', 'fact', 'episode', 'decision',
-    'ssh', 'credential', 'password', 'recon', 'exploit', 'persistence',
-    'root', 'rce', 'upload', 'injection', 'bypass', 'scan', 'pivot',
-    'lateral-movement', 'infrastructure', 'network-map', 'database',
-    'tunnel', 'fix', 'waf', 'dns', 'mail', 'smtp', 'windows', 'linux',
-    'mar2026', 'apr2026', 'feb2026', 'jan2026',
-    'technique', 'runbook', 'universal', 'audit', 'verification',
-    'lesson-learned', 'bug', 'fatal', 'hunt', 'research', 'ready',
-    'development', 'compiled', 'exhausted', 'final', 'new-target',
-    'discovery', 'live-status', 're-entry', 'checklist', 'cleanup',
-    'attack-chain', 'anti-sleep',
-]);
-
-function filterNoiseTags(tags) {
-    return tags.filter(t => {
-        const tl = (t || '').toLowerCase().trim();
-        if (!tl || tl.length < 2) return false;
-        if (/^cve-/i.test(tl)) return true;
-        if (/^\d{1,3}\.\d{1,3}\.\d{1,3}/.test(tl)) return true;
-        if (/\.\w{2,}$/.test(tl) && tl.includes('.')) return true;
-        if (NOISE_TAGS.has(tl)) return false;
-        return true;
-    });
-}
+const RUNBOOKS_DIR = getRunbooksDir();
 
 function parseFrontmatter(content) {
     if (!content || !content.startsWith('---\n')) return { meta: {}, body: content || '' };
@@ -74,7 +49,7 @@ function buildFrontmatter(meta) {
     return lines.join('\n');
 }
 
-const files = readdirSync(RUNBOOKS_DIR).filter(f => f.endsWith('.md'));
+const files = listRunbookFiles();
 let cleaned = 0;
 let totalRemoved = 0;
 
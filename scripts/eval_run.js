@@ -1,205 +1,142 @@
 #!/usr/bin/env node
 /**
- * Evaluation runner
+ * Evaluation runner — recall@k / MRR / nDCG pipeline memory_search + regression gate
+ *
+ *   npm run eval                                   golden default + bandingkan dengan baseline default
+ *   node scripts/eval_run.js --golden my.jsonl --k 10 --baseline my_baseline.json
+ *   node scripts/eval_run.js --update-baseline     simpan hasil run ini sebagai baseline baru
+ *   node scripts/eval_run.js --live                query ke storage yang dikonfigurasi (golden tanpa fixture)
+ *
+ * Golden set dengan fixture di-seed ke storage root sementara (dihapus setelah selesai) kecuali --live / --root.
+ * Exit code 1 = regression gate gagal (metrik turun dari baseline lebih dari --tolerance).
  * @module scripts/eval_run
  */
-import { initDb, closeDb } from '../src/db/index.js';
-import { evaluateRetrieval, checkRegressionGate } from '../src/evaluation/harness.js';
-
-const PROJECT_ID = 'test-project';
-const TENANT_ID = 'local-user';
-
-// Test cases with expected results
-const testCases = [
-    // Basic keyword matching
-    {
-        query: 'database SQLite',
-        description: 'Should find SQLite decision',
-        // Note: expectedIds will be checked loosely - we check if results are relevant
-        checkFn: (results) => results.some(r => r.title.includes('SQLite'))
-    },
-    {
-        query: 'hybrid search algorithm',
-        description: 'Should find hybrid search decision',
-        checkFn: (results) => results.some(r => r.title.includes('Hybrid'))
-    },
-    {
-        query: 'current state progress',
-        description: 'Should find state item',
-        checkFn: (results) => results.some(r => r.type === 'state')
-    },
-    {
-        query: 'how to add memory',
-        description: 'Should find upsert runbook',
-        checkFn: (results) => results.some(r => r.type === 'runbook' && r.title.includes('Add'))
-    },
-    {
-        query: 'debug search issues',
-        description: 'Should find debug runbook',
-        checkFn: (results) => results.some(r => r.type === 'runbook' && r.title.includes('Debug'))
-    },
-    {
-        query: 'MCP protocol version',
-        description: 'Should find protocol fact',
-        checkFn: (results) => results.some(r => r.type === 'fact' && r.title.includes('Protocol'))
-    },
-    {
-        query: 'memory types supported',
-        description: 'Should find types fact',
-        checkFn: (results) => results.some(r => r.content.includes('5 memory types'))
-    },
-    {
-        query: 'TODO optimization',
-        description: 'Should find TODO item',
-        checkFn: (results) => results.some(r => r.title.includes('TODO'))
-    },
-    {
-        query: 'setup session initial',
-        description: 'Should find setup episode',
-        checkFn: (results) => results.some(r => r.type === 'episode' && r.title.includes('Setup'))
-    },
-    {
-        query: 'FTS debugging session',
-        description: 'Should find FTS debug episode',
-        checkFn: (results) => results.some(r => r.title.includes('FTS'))
-    },
-    // Partial matches
-    {
-        query: 'database',
-        description: 'Should find database-related items',
-        checkFn: (results) => results.length > 0
-    },
-    {
-        query: 'search',
-        description: 'Should find search-related items',
-        checkFn: (results) => results.some(r =>
-            r.title.toLowerCase().includes('search') ||
-            r.content.toLowerCase().includes('search')
-        )
-    },
-    // Semantic queries (will only work well with embeddings)
-    {
-        query: 'how do I store information',
-        description: 'Should find upsert runbook or related',
-        checkFn: (results) => results.length > 0
-    },
-    {
-        query: 'what is the current status',
-        description: 'Should find state item',
-        checkFn: (results) => results.some(r => r.type === 'state')
-    },
-    {
-        query: 'architectural decisions',
-        description: 'Should find decision items',
-        checkFn: (results) => results.some(r => r.type === 'decision')
-    },
-    // Edge cases
-    {
-        query: 'nonexistent topic xyz123',
-        description: 'Should return empty or low-relevance results',
-        checkFn: (results) => true // Any result is OK for edge case
-    },
-    {
-        query: 'blocker',
-        description: 'Should find items mentioning blockers',
-        checkFn: (results) => results.some(r => r.content.toLowerCase().includes('blocker'))
-    },
-    {
-        query: 'session',
-        description: 'Should find episode items',
-        checkFn: (results) => results.some(r => r.type === 'episode')
-    },
-    {
-        query: 'verified important',
-        description: 'Should prioritize verified items',
-        checkFn: (results) => results.length > 0 && results[0].verified === true
-    },
-    {
-        query: 'wrong information',
-        description: 'Should NOT return quarantined items by default',
-        checkFn: (results) => !results.some(r => r.status === 'quarantined')
+import { parseArgs } from 'util';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const REPO_ROOT = join(__dirname, '..');
+const ARTIFACTS_DIR = join(REPO_ROOT, 'test-artifacts');
+
+const { values: args } = parseArgs({
+    options: {
+        golden: { type: 'string', default: join(ARTIFACTS_DIR, 'golden_runbooks.jsonl') },
+        baseline: { type: 'string', default: join(ARTIFACTS_DIR, 'eval_baseline.json') },
+        k: { type: 'string', default: '5' },
+        tolerance: { type: 'string', default: '0.005' },
+        'update-baseline': { type: 'boolean', default: false },
+        live: { type: 'boolean', default: false },
+        root: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        verbose: { type: 'boolean', default: false }
     }
-];
+});
+
+const k = parseInt(args.k, 10);
+const tolerance = parseFloat(args.tolerance);
+
+// Storage root harus diset SEBELUM module src/ di-import (config dibaca saat load)
+let scratchRoot = null;
+if (!args.live && !args.root) {
+    scratchRoot = mkdtempSync(join(tmpdir(), 'mcp-memori-eval-'));
+    process.env.MCP_MEMORI_ROOT = scratchRoot;
+}
 
 async function runEvaluation() {
+    const { loadGoldenSet, seedFixtures, evaluateRetrieval, checkRegressionGate } = await import('../src/evaluation/harness.js');
+    const { initSearchIndex } = await import('../src/storage/searchIndex.js');
+    const { rebuildVectorIndex, currentEmbeddingModel, isVectorReady } = await import('../src/storage/vectorIndex.js');
+
+    const goldenPath = resolve(args.golden);
+    const golden = loadGoldenSet(goldenPath);
+
+    initSearchIndex();
+    if (golden.fixtures.length > 0) {
+        if (args.live) throw new Error('golden set contains fixtures — drop --live (fixtures are seeded into a scratch root)');
+        seedFixtures(golden);
+    }
+    // Tunggu vector index selesai supaya hasil run bisa dibandingkan (tanpa embedding = FTS5 saja)
+    await rebuildVectorIndex({ reason: 'eval' });
+
+    const result = await evaluateRetrieval(golden.cases, { k });
+    result.golden = relative(REPO_ROOT, goldenPath);
+    result.golden_hash = golden.hash;
+    result.embedding = isVectorReady() ? currentEmbeddingModel() : 'off';
+    result.timestamp = new Date().toISOString();
+
+    const baseline = !args['update-baseline'] && existsSync(args.baseline)
+        ? JSON.parse(readFileSync(args.baseline, 'utf8'))
+        : null;
+    const gate = checkRegressionGate(result, baseline, { tolerance });
+
+    if (args['update-baseline']) {
+        writeFileSync(args.baseline, JSON.stringify(result, null, 2) + '\n');
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify({ ...result, gate }, null, 2));
+        return gate.passed;
+    }
+
     console.log('='.repeat(60));
-    console.log('MCP Memory Server - Retrieval Evaluation');
+    console.log('MCP Memory Server - Runbook Retrieval Evaluation');
     console.log('='.repeat(60));
-
-    await initDb();
-
-    let passed = 0;
-    let failed = 0;
-    let wrongMemoryCount = 0;
-
-    // Import hybrid search directly for testing
-    const { hybridSearch } = await import('../src/retrieval/hybridSearch.js');
-
-    for (const testCase of testCases) {
-        const { results } = await hybridSearch({
-            query: testCase.query,
-            projectId: PROJECT_ID,
-            tenantId: TENANT_ID,
-            limit: 5
-        });
-
-        // Check for wrong memories
-        const wrongMemories = results.filter(r =>
-            r.status === 'quarantined' || r.status === 'deleted'
-        );
-        wrongMemoryCount += wrongMemories.length;
-
-        // Run check function
-        const checkPassed = testCase.checkFn(results);
-
-        if (checkPassed && wrongMemories.length === 0) {
-            passed++;
-            console.log(`✓ ${testCase.description}`);
-        } else {
-            failed++;
-            console.log(`✗ ${testCase.description}`);
-            if (wrongMemories.length > 0) {
-                console.log(`  Wrong memories returned: ${wrongMemories.length}`);
-            }
-            if (!checkPassed) {
-                console.log(`  Check failed. Results: ${results.map(r => r.title).join(', ') || 'none'}`);
-            }
+    console.log(`Golden set: ${goldenPath} (${golden.cases.length} queries, ${golden.fixtures.length} fixtures)`);
+    console.log(`Embedding: ${result.embedding}`);
+
+    for (const detail of result.details) {
+        if (!args.verbose && detail.first_relevant_rank !== null) continue;
+        const mark = detail.first_relevant_rank === null ? '✗' : '✓';
+        console.log(`${mark} [${detail.id}] ${detail.query} — rank ${detail.first_relevant_rank ?? '-'}, nDCG ${detail.ndcg}`);
+        if (detail.first_relevant_rank === null) {
+            console.log(`  expected: ${detail.expected.join(', ')}`);
+            console.log(`  got:      ${detail.retrieved.join(', ') || 'none'}`);
         }
     }
 
-    await closeDb();
+    const fmt = (metric) => {
+        const value = result[metric];
+        if (!baseline || baseline.k !== result.k) return `${value}`;
+        const delta = Math.round((value - baseline[metric]) * 1000) / 1000;
+        return `${value} (baseline ${baseline[metric]}, ${delta >= 0 ? '+' : ''}${delta})`;
+    };
 
-    // Summary
     console.log('\n' + '='.repeat(60));
     console.log('RESULTS');
     console.log('='.repeat(60));
-    console.log(`Total: ${testCases.length}`);
-    console.log(`Passed: ${passed}`);
-    console.log(`Failed: ${failed}`);
-    console.log(`Wrong Memory Count: ${wrongMemoryCount}`);
-
-    const passRate = passed / testCases.length;
-    console.log(`Pass Rate: ${(passRate * 100).toFixed(1)}%`);
-
-    // Regression gate
-    const gateResult = {
-        passed: passRate >= 0.7 && wrongMemoryCount === 0,
-        reason: passRate < 0.7
-            ? `Pass rate ${(passRate * 100).toFixed(1)}% < 70%`
-            : wrongMemoryCount > 0
-                ? `Wrong memory count ${wrongMemoryCount} > 0`
-                : 'All gates passed'
-    };
+    console.log(`Queries: ${result.total} (no relevant hit in top ${k}: ${result.failed_queries})`);
+    console.log(`Recall@${k}: ${fmt('recall_at_k')}`);
+    console.log(`MRR@${k}:    ${fmt('mrr')}`);
+    console.log(`nDCG@${k}:   ${fmt('ndcg_at_k')}`);
+
+    for (const query of gate.regressed_queries) {
+        console.log(`  ↓ [${query.id}] ${query.query}: nDCG ${query.ndcg_before} → ${query.ndcg_after}`);
+    }
+    for (const warning of gate.warnings) console.log(`⚠ ${warning}`);
 
     console.log('\n' + '='.repeat(60));
-    console.log(`REGRESSION GATE: ${gateResult.passed ? 'PASSED ✓' : 'FAILED ✗'}`);
-    console.log(`Reason: ${gateResult.reason}`);
+    if (args['update-baseline']) {
+        console.log(`BASELINE UPDATED: ${args.baseline}`);
+    } else {
+        console.log(`REGRESSION GATE: ${gate.passed ? 'PASSED ✓' : 'FAILED ✗'}`);
+        console.log(`Reason: ${gate.reason}`);
+        if (!baseline) console.log(`No baseline at ${args.baseline} — run with --update-baseline to create one`);
+    }
     console.log('='.repeat(60));
 
-    process.exit(gateResult.passed ? 0 : 1);
+    return gate.passed;
 }
 
-runEvaluation().catch(err => {
-    console.error('Evaluation failed:', err);
-    process.exit(1);
-});
+runEvaluation()
+    .then(passed => {
+        if (scratchRoot) rmSync(scratchRoot, { recursive: true, force: true });
+        process.exit(passed ? 0 : 1);
+    })
+    .catch(err => {
+        console.error('Evaluation failed:', err);
+        if (scratchRoot) rmSync(scratchRoot, { recursive: true, force: true });
+        process.exit(1);
+    });
@@ -20,18 +20,15 @@ import {
 } from './hook_lib.js';
 import { createHash } from 'crypto';
 import { existsSync } from 'fs';
+import { getIndexDbPath } from '../../src/storage/paths.js';
 
-const OBS_DB_PATH = '/home/kali/Desktop/mcp-memori/data/search_index.db';
+const OBS_DB_PATH = getIndexDbPath();
 
 async function writeObservation({ runbook_id, tool_name, tool_input_summary, tool_response_summary }) {
     try {
         if (!existsSync(OBS_DB_PATH)) return false;
         let Database;
-        try {
-            Database = (await import('/home/kali/Desktop/mcp-memori/node_modules/better-sqlite3/lib/index.js')).default;
-        } catch {
-            try { Database = (await import('better-sqlite3')).default; } catch { return false; }
-        }
+        try { Database = (await import('better-sqlite3')).default; } catch { return false; }
 
         const hashInput = (tool_name || '') + '::' + (tool_input_summary || '').substring(0, 200);
         const contentHash = createHash('sha256').update(hashInput, 'utf8').digest('hex');
@@ -11,14 +11,15 @@
  * No MCP JSON-RPC handshake needed — file-based storage is independent
  * of MCP server. File locking in files.js handles concurrent writes.
  */
-import { readFileSync, existsSync, statSync, readdirSync, appendFileSync, mkdirSync, fstatSync } from 'fs';
-import { join, dirname } from 'path';
+import { readFileSync, existsSync, appendFileSync, mkdirSync, fstatSync } from 'fs';
+import { dirname } from 'path';
 import { execute as autologExecute } from '../../src/mcp/tools/memory.autolog.js';
 import { scrub, truncate } from '../../src/utils/scrubber.js';
+import { getHookLogPath } from '../../src/storage/paths.js';
+import { resolveActiveTarget as resolveBriefingTarget } from '../../src/storage/briefing.js';
 
-const RUNBOOKS_DIR = '/home/kali/Desktop/mcp-memori/runbooks';
-const HOOK_LOG = '/home/kali/Desktop/mcp-memori/data/hook_debug.log';
-const AUTO_MEMORY_PATH = '/home/kali/.claude/projects/-home-kali-Desktop-mcp-memori/memory/MEMORY.md';
+// Same root resolution as the server (MCP_MEMORI_ROOT / mcp.config.json storage.root)
+const HOOK_LOG = getHookLogPath();
 
 /**
  * Read stdin fully and parse JSON. Returns null on any failure.
@@ -66,39 +67,8 @@ export function hookLog(level, message, meta = {}) {
  * 3. Fallback: null → autolog will use _AUTO_LOG_UNIFIED fallback.
  */
 export function resolveActiveTarget() {
-    // Strategy 1: MEMORY.md pointer
-    try {
-        if (existsSync(AUTO_MEMORY_PATH)) {
-            const content = readFileSync(AUTO_MEMORY_PATH, 'utf8');
-            const m = content.match(/- Target:\s*([^\n(]+?)(?:\s*\(|$)/m);
-            if (m && m[1]) {
-                const target = m[1].trim();
-                if (target && target.toLowerCase() !== 'none' && target.length > 2) {
-                    return target;
-                }
-            }
-        }
-    } catch { /* ignore */ }
-
-    // Strategy 2: most-recent RUNBOOK_*.md
-    try {
-        const files = readdirSync(RUNBOOKS_DIR)
-            .filter(f => f.startsWith('RUNBOOK_') && f.endsWith('.md') && !f.includes('_AUTO_LOG_UNIFIED'))
-            .map(f => ({
-                file: f,
-                mtime: statSync(join(RUNBOOKS_DIR, f)).mtimeMs
-            }))
-            .sort((a, b) => b.mtime - a.mtime);
-        if (files.length > 0) {
-            // Extract target from filename: RUNBOOK_example.com.md → example.com
-            const top = files[0].file.replace(/^RUNBOOK_/, '').replace(/\.md$/, '');
-            // Skip if recent file is stale (>7 days) — probably no active session
-            const ageHours = (Date.now() - files[0].mtime) / (1000 * 60 * 60);
-            if (ageHours < 24 * 7) return top;
-        }
-    } catch { /* ignore */ }
-
-    return null;
+    // v7.7: Satu implementasi dengan MCP prompt session_briefing (src/storage/briefing.js)
+    return resolveBriefingTarget();
 }
 
 /**
@@ -20,16 +20,14 @@
  */
 import { readFileSync, writeFileSync, existsSync, copyFileSync, renameSync, appendFileSync, mkdirSync } from 'fs';
 import { spawn } from 'child_process';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname } from 'path';
 import {
     parseFrontmatter, buildFrontmatter, findSectionEnd,
-    acquireLock, releaseLock
+    acquireLock, releaseLock, sealRunbookContent
 } from '../../src/storage/files.js';
+import { getHookLogPath } from '../../src/storage/paths.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const HOOK_LOG = join(__dirname, '..', '..', 'data', 'hook_debug.log');
+const HOOK_LOG = getHookLogPath();
 
 function log(level, message, meta = {}) {
     try {
@@ -147,7 +145,7 @@ function appendLlmSummaryToActivityLog(filepath, summaryText, entryCount) {
             const tmp = filepath + '.tmp';
             const bak = filepath + '.bak';
             if (existsSync(filepath)) { try { copyFileSync(filepath, bak); } catch {} }
-            writeFileSync(tmp, finalContent, 'utf8');
+            writeFileSync(tmp, sealRunbookContent(finalContent), 'utf8');
             renameSync(tmp, filepath);
             return;
         }
@@ -175,7 +173,7 @@ function appendLlmSummaryToActivityLog(filepath, summaryText, entryCount) {
     const tmp = filepath + '.tmp';
     const bak = filepath + '.bak';
     if (existsSync(filepath)) { try { copyFileSync(filepath, bak); } catch {} }
-    writeFileSync(tmp, finalContent, 'utf8');
+    writeFileSync(tmp, sealRunbookContent(finalContent), 'utf8');
     renameSync(tmp, filepath);
 }
 
@@ -12,13 +12,13 @@
 import { readFileSync, existsSync, openSync, fsyncSync, closeSync } from 'fs';
 import { join } from 'path';
 import { readStdinJson, hookLog, resolveActiveTarget, callAutolog } from './hook_lib.js';
-import { RUNBOOKS_DIR, titleToFilename, findByTitle, findByFuzzyTitle } from '../../src/storage/files.js';
+import { getRunbooksDir, titleToFilename, findByTitle, findByFuzzyTitle } from '../../src/storage/files.js';
 
 function findRunbookPath(target) {
     if (!target) return null;
     const title = target.startsWith('[') ? target : `[RUNBOOK] ${target}`;
     const filename = titleToFilename(title);
-    let filepath = join(RUNBOOKS_DIR, filename);
+    let filepath = join(getRunbooksDir(), filename);
     if (existsSync(filepath)) return filepath;
     const byTitle = findByTitle(title);
     if (byTitle) return byTitle;
@@ -18,7 +18,7 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { readStdinJson, hookLog, resolveActiveTarget } from './hook_lib.js';
 import {
-    RUNBOOKS_DIR, titleToFilename, findByTitle, findByFuzzyTitle,
+    getRunbooksDir, titleToFilename, findByTitle, findByFuzzyTitle,
     parseFrontmatter, findSectionEnd
 } from '../../src/storage/files.js';
 
@@ -28,7 +28,7 @@ function findRunbookPath(target) {
     if (!target) return null;
     const title = target.startsWith('[') ? target : `[RUNBOOK] ${target}`;
     const filename = titleToFilename(title);
-    let filepath = join(RUNBOOKS_DIR, filename);
+    let filepath = join(getRunbooksDir(), filename);
     if (existsSync(filepath)) return filepath;
     const byTitle = findByTitle(title);
     if (byTitle) return byTitle;
@@ -5,6 +5,8 @@
  * ONLY injects when prompt contains target-identifiable keywords
  * (domain, IP, CVE, technique name). Generic prompts like "fix this"
  * or "ujicoba perbaikan" get NOTHING — prevents noise injection.
+ * v7.7: Guardrail loop-breaker (teknik yang berulang gagal di ## GAGAL)
+ * di-inject lebih dulu, walau search tidak menemukan runbook relevan.
  *
  * CONTRACT (Claude Code hook):
  * - Input: stdin JSON { prompt, session_id, ... }
@@ -14,6 +16,7 @@
 import { readStdinJson, hookLog } from './hook_lib.js';
 import { searchRunbooks } from '../../src/storage/files.js';
 import { initSearchIndex, isIndexReady } from '../../src/storage/searchIndex.js';
+import { matchGuardrails, formatGuardrailWarning } from '../../src/governance/guardrails.js';
 
 const MAX_CONTEXT_CHARS = 1200;
 const MIN_PROMPT_LENGTH = 20;
@@ -73,17 +76,13 @@ async function main() {
             try { initSearchIndex(); } catch {}
         }
 
-        const { results } = searchRunbooks(prompt, { limit: 10, offset: 0 });
-
-        if (!results || results.length === 0) {
-            process.stdout.write(emptyOutput());
-            process.exit(0);
-        }
+        // Prompt = bahasa natural, bukan query language ("-", ":" dan kutip bukan operator)
+        const { results } = searchRunbooks(prompt, { limit: 10, offset: 0, syntax: false });
 
         // Dedup by ID + filter by MIN_SCORE
         const seen = new Set();
         const relevant = [];
-        for (const r of results) {
+        for (const r of results || []) {
             if (r.score < MIN_SCORE) continue;
             const id = r.id;
             if (seen.has(id)) continue;
@@ -92,7 +91,14 @@ async function main() {
             if (relevant.length >= MAX_RESULTS) break;
         }
 
-        if (relevant.length === 0) {
+        let warnings = [];
+        try {
+            warnings = matchGuardrails(prompt, { runbookIds: relevant.map(r => r.id) }).map(formatGuardrailWarning);
+        } catch (err) {
+            hookLog('WARN', 'UserPromptSubmit guardrail match failed', { error: err?.message });
+        }
+
+        if (relevant.length === 0 && warnings.length === 0) {
             process.stdout.write(emptyOutput());
             process.exit(0);
         }
@@ -100,6 +106,12 @@ async function main() {
         const parts = ['# Memory Context (auto-injected)'];
         let totalChars = parts[0].length;
 
+        for (const warning of warnings) {
+            if (totalChars + warning.length > MAX_CONTEXT_CHARS) break;
+            parts.push(warning);
+            totalChars += warning.length;
+        }
+
         for (const r of relevant) {
             const title = r.title || r.id;
             const snippet = (r.snippet || '').substring(0, 300).replace(/\n/g, ' ').trim();
@@ -128,6 +140,7 @@ async function main() {
         hookLog('INFO', 'UserPromptSubmit injected', {
             prompt_preview: prompt.substring(0, 60),
             results: relevant.length,
+            guardrails: warnings.length,
             context_len: context.length,
             top_score: relevant[0]?.score,
             top_id: relevant[0]?.id
@@ -1,110 +1,263 @@
 /**
- * Evaluation harness for retrieval quality
+ * Evaluation harness v2.0 — kualitas retrieval pipeline runbook (yang dipakai memory_search)
+ * searchRunbooks (FTS5/file-scan) + vectorSearchRunbooks → rrfMerge → rerankResults, lewat memory_search.execute
+ * supaya yang diukur = yang didapat agent (termasuk filter, query language, location.section).
+ *
+ * Golden set (JSONL, 1 objek per baris, baris kosong / "#" diabaikan):
+ *   {"id":"q-001","query":"nginx alias traversal","expected":["nginx-bypass.md",{"id":"unitomo.md","section":"CREDENTIAL","grade":2}]}
+ *     expected = runbook id (string) atau { id, section?, grade? } — section = hit harus berada di section ## itu,
+ *     grade = relevansi bertingkat untuk nDCG (default 1). project_id opsional = vault tempat query dijalankan.
+ *   {"id":"sem-001","title":"...","content":"...","tags":[...],"ground_truth":["query 1","query 2"]}
+ *     baris fixture (format test-artifacts/dataset.jsonl) — di-seed sebagai runbook, tiap ground_truth
+ *     jadi query yang mengharapkan runbook tersebut. Query biasa boleh memakai id fixture di expected.
+ *
+ * Metrik per query dihitung pada top-k: recall@k, reciprocal rank (MRR@k), nDCG@k (gain 2^grade - 1).
+ * checkRegressionGate membandingkan dengan baseline (hasil run sebelumnya) — turun lebih dari toleransi = gagal.
  * @module evaluation/harness
  */
-import { hybridSearch } from '../retrieval/hybridSearch.js';
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { saveRunbook } from '../storage/files.js';
+import { updateIndexEntry } from '../storage/searchIndex.js';
+import { sectionKey } from '../storage/sectionSchema.js';
+import { runInVault } from '../storage/vault.js';
+import { execute as memorySearch } from '../mcp/tools/memory.search.js';
 import logger from '../utils/logger.js';
 
+export const METRICS = ['recall_at_k', 'mrr', 'ndcg_at_k'];
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function normalizeId(id) {
+    return String(id || '').trim().toLowerCase().replace(/\.md$/, '');
+}
+
+function normalizeExpected(entry, lineNo) {
+    const item = typeof entry === 'string' ? { id: entry } : entry;
+    if (!item || typeof item.id !== 'string' || !item.id.trim()) {
+        throw new Error(`line ${lineNo}: expected entries must be a runbook id or { id, section?, grade? }`);
+    }
+    const grade = item.grade === undefined ? 1 : Number(item.grade);
+    if (!Number.isFinite(grade) || grade <= 0) throw new Error(`line ${lineNo}: grade must be a positive number`);
+    return { id: item.id.trim(), section: item.section ? sectionKey(item.section) : null, grade };
+}
+
 /**
- * Evaluate retrieval quality
- * @param {Array} testCases - Array of {query, expectedIds, projectId}
- * @param {object} options
- * @returns {Promise<object>}
+ * Load golden set dari JSONL
+ * @param {string} filepath
+ * @returns {{ cases: Array<{ id: string, query: string, expected: Array<object>, project_id: string|null }>,
+ *   fixtures: Array<{ key: string, title: string, content: string, tags: string[] }>, hash: string }}
+ * @throws {Error} Baris tidak valid (dengan nomor baris)
  */
-export async function evaluateRetrieval(testCases, options = {}) {
-    const { k = 5, tenantId = 'local-user' } = options;
-
-    const results = {
-        total: testCases.length,
-        passed: 0,
-        failed: 0,
-        recall_sum: 0,
-        precision_sum: 0,
-        wrong_memory_count: 0,
-        details: []
-    };
-
-    for (const testCase of testCases) {
-        const { query, expectedIds, projectId } = testCase;
-
-        // Run search
-        const { results: searchResults, meta } = await hybridSearch({
-            query,
-            projectId,
-            tenantId,
-            limit: k
-        });
+export function loadGoldenSet(filepath) {
+    const raw = readFileSync(filepath, 'utf8');
+    const cases = [];
+    const fixtures = [];
 
-        const retrievedIds = searchResults.map(r => r.id);
+    raw.split('\n').forEach((line, index) => {
+        const lineNo = index + 1;
+        const text = line.trim();
+        if (!text || text.startsWith('#')) return;
+        let row;
+        try {
+            row = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`line ${lineNo}: invalid JSON (${err.message})`);
+        }
 
-        // Calculate metrics
-        const truePositives = expectedIds.filter(id => retrievedIds.includes(id)).length;
-        const recall = expectedIds.length > 0 ? truePositives / expectedIds.length : 0;
-        const precision = retrievedIds.length > 0 ? truePositives / retrievedIds.length : 0;
+        if (typeof row.content === 'string') {
+            // Fixture: runbook + query ground_truth yang mengharapkan runbook ini
+            const key = String(row.id || `fixture-${lineNo}`);
+            if (!row.title) throw new Error(`line ${lineNo}: fixture needs a title`);
+            fixtures.push({ key, title: row.title, content: row.content, tags: Array.isArray(row.tags) ? row.tags : [] });
+            (row.ground_truth || []).forEach((query, i) => {
+                cases.push({ id: `${key}#${i + 1}`, query: String(query), expected: [{ id: key, section: null, grade: 1 }], project_id: row.project_id || null });
+            });
+            return;
+        }
 
-        // Check for wrong memories (quarantined/deleted appearing)
-        const wrongMemories = searchResults.filter(r =>
-            r.status === 'quarantined' || r.status === 'deleted'
-        );
+        if (typeof row.query !== 'string' || !row.query.trim()) throw new Error(`line ${lineNo}: missing query`);
+        const expected = (Array.isArray(row.expected) ? row.expected : [row.expected]).filter(Boolean).map(e => normalizeExpected(e, lineNo));
+        if (expected.length === 0) throw new Error(`line ${lineNo}: expected must list at least one runbook`);
+        cases.push({ id: String(row.id || `q-${lineNo}`), query: row.query, expected, project_id: row.project_id || null });
+    });
 
-        results.recall_sum += recall;
-        results.precision_sum += precision;
-        results.wrong_memory_count += wrongMemories.length;
+    return { cases, fixtures, hash: createHash('sha256').update(raw).digest('hex').substring(0, 16) };
+}
 
-        const passed = recall >= 0.5 && wrongMemories.length === 0;
-        if (passed) {
-            results.passed++;
-        } else {
-            results.failed++;
+/**
+ * Seed fixture runbooks ke vault aktif (index FTS5 ikut di-update; vector lewat rebuildVectorIndex)
+ * Expected yang menyebut id fixture diganti dengan id runbook yang benar-benar dibuat.
+ * @param {{ cases: Array, fixtures: Array }} golden - Hasil loadGoldenSet (dimutasi)
+ * @returns {Map<string, string>} fixture key → runbook id
+ */
+export function seedFixtures(golden) {
+    const ids = new Map();
+    for (const fixture of golden.fixtures) {
+        const result = saveRunbook(fixture.title, fixture.content, fixture.tags, { verified: true });
+        ids.set(fixture.key, result.id);
+        try { updateIndexEntry(result.id); } catch (err) {
+            logger.warn('Eval fixture index update failed (non-fatal)', { id: result.id, error: err.message });
         }
+    }
+    for (const testCase of golden.cases) {
+        for (const expected of testCase.expected) {
+            if (ids.has(expected.id)) expected.id = ids.get(expected.id);
+        }
+    }
+    return ids;
+}
 
-        results.details.push({
-            query,
-            expectedIds,
-            retrievedIds,
-            recall: Math.round(recall * 100) / 100,
-            precision: Math.round(precision * 100) / 100,
-            wrongMemories: wrongMemories.length,
-            passed,
-            mode: meta.mode
+/**
+ * Pipeline default: memory_search (vault dari project_id jika ada)
+ */
+async function runbookSearch(query, { limit, projectId }) {
+    const search = () => memorySearch({ query, limit });
+    const { results = [] } = projectId ? await runInVault(projectId, search) : await search();
+    return results.map(r => ({ id: r.id, section: r.location?.section || null, score: r.score }));
+}
+
+/**
+ * Metrik 1 query. Tiap expected hanya dihitung sekali (hit pertama yang cocok).
+ * @param {Array<{ id: string, section: string|null }>} retrieved - Urut sesuai ranking
+ * @param {Array<{ id: string, section: string|null, grade: number }>} expected
+ * @param {number} k
+ */
+export function scoreRanking(retrieved, expected, k) {
+    const used = new Set();
+    let dcg = 0;
+    let firstRank = null;
+
+    retrieved.slice(0, k).forEach((hit, rank) => {
+        const matchIndex = expected.findIndex((e, i) => !used.has(i)
+            && normalizeId(e.id) === normalizeId(hit.id)
+            && (!e.section || sectionKey(hit.section || '') === e.section));
+        if (matchIndex === -1) return;
+        used.add(matchIndex);
+        dcg += (2 ** expected[matchIndex].grade - 1) / Math.log2(rank + 2);
+        if (firstRank === null) firstRank = rank + 1;
+    });
+
+    const idcg = expected
+        .map(e => e.grade)
+        .sort((a, b) => b - a)
+        .slice(0, k)
+        .reduce((sum, grade, rank) => sum + (2 ** grade - 1) / Math.log2(rank + 2), 0);
+
+    return {
+        recall: used.size / expected.length,
+        reciprocal_rank: firstRank ? 1 / firstRank : 0,
+        ndcg: idcg > 0 ? dcg / idcg : 0,
+        first_relevant_rank: firstRank
+    };
+}
+
+/**
+ * Evaluate retrieval quality
+ * @param {Array} testCases - golden cases dari loadGoldenSet: { id, query, expected, project_id }
+ * @param {object} options
+ * @param {number} [options.k=5]
+ * @param {Function} [options.search] - (query, { limit, projectId }) → [{ id, section }] (default: memory_search)
+ * @returns {Promise<object>} { total, k, recall_at_k, mrr, ndcg_at_k, failed_queries, details }
+ */
+export async function evaluateRetrieval(testCases, options = {}) {
+    const { k = 5, search = runbookSearch } = options;
+    // memory_search maksimal 20 hasil per call
+    const limit = Math.min(Math.max(k, 10), 20);
+    const details = [];
+
+    for (const testCase of testCases) {
+        let retrieved = [];
+        let error = null;
+        try {
+            retrieved = await search(testCase.query, { limit, projectId: testCase.project_id });
+        } catch (err) {
+            // 1 query gagal = skor 0, bukan abort seluruh evaluasi
+            error = err.message;
+            logger.warn('Eval query failed', { id: testCase.id, error: err.message });
+        }
+        const scores = scoreRanking(retrieved, testCase.expected, k);
+        details.push({
+            id: testCase.id,
+            query: testCase.query,
+            expected: testCase.expected.map(e => (e.section ? `${e.id}#${e.section}` : e.id)),
+            retrieved: retrieved.slice(0, k).map(r => (r.section ? `${r.id}#${sectionKey(r.section)}` : r.id)),
+            recall: round(scores.recall),
+            reciprocal_rank: round(scores.reciprocal_rank),
+            ndcg: round(scores.ndcg),
+            first_relevant_rank: scores.first_relevant_rank,
+            ...(error ? { error } : {})
         });
     }
 
-    // Calculate averages
-    results.recall_at_k = Math.round((results.recall_sum / results.total) * 1000) / 1000;
-    results.precision_at_k = Math.round((results.precision_sum / results.total) * 1000) / 1000;
-    results.wrong_memory_rate = Math.round((results.wrong_memory_count / results.total) * 1000) / 1000;
-
-    return results;
+    const total = details.length;
+    const mean = (field) => (total > 0 ? round(details.reduce((sum, d) => sum + d[field], 0) / total) : 0);
+    return {
+        total,
+        k,
+        recall_at_k: mean('recall'),
+        mrr: mean('reciprocal_rank'),
+        ndcg_at_k: mean('ndcg'),
+        failed_queries: details.filter(d => d.first_relevant_rank === null).length,
+        details
+    };
 }
 
 /**
  * Check if evaluation passes regression gate
- * @param {object} evalResult 
- * @param {object} thresholds 
- * @returns {{passed: boolean, reason: string}}
+ * Dengan baseline: tiap metrik (recall@k, MRR, nDCG@k) tidak boleh turun > tolerance.
+ * Tanpa baseline: hanya threshold absolut (minRecall/minMrr/minNdcg, default 0).
+ * @param {object} evalResult - Hasil evaluateRetrieval
+ * @param {object|null} baseline - Hasil evaluateRetrieval sebelumnya (file baseline)
+ * @param {object} thresholds - { tolerance, minRecall, minMrr, minNdcg }
+ * @returns {{ passed: boolean, reason: string, failures: string[], warnings: string[], regressed_queries: Array }}
  */
-export function checkRegressionGate(evalResult, thresholds = {}) {
-    const {
-        minRecall = 0.5,
-        maxWrongMemoryRate = 0
-    } = thresholds;
-
-    if (evalResult.recall_at_k < minRecall) {
-        return {
-            passed: false,
-            reason: `Recall@K ${evalResult.recall_at_k} < threshold ${minRecall}`
-        };
+export function checkRegressionGate(evalResult, baseline = null, thresholds = {}) {
+    const { tolerance = 0.005, minRecall = 0, minMrr = 0, minNdcg = 0 } = thresholds;
+    const failures = [];
+    const warnings = [];
+
+    const minimums = { recall_at_k: minRecall, mrr: minMrr, ndcg_at_k: minNdcg };
+    for (const metric of METRICS) {
+        if (evalResult[metric] < minimums[metric]) failures.push(`${metric} ${evalResult[metric]} < threshold ${minimums[metric]}`);
     }
 
-    if (evalResult.wrong_memory_rate > maxWrongMemoryRate) {
-        return {
-            passed: false,
-            reason: `Wrong memory rate ${evalResult.wrong_memory_rate} > threshold ${maxWrongMemoryRate}`
-        };
+    const regressedQueries = [];
+    if (baseline) {
+        if (baseline.k !== evalResult.k) {
+            failures.push(`baseline was measured at k=${baseline.k}, current run uses k=${evalResult.k}`);
+        } else {
+            for (const metric of METRICS) {
+                const delta = round(evalResult[metric] - baseline[metric]);
+                if (delta < -tolerance) failures.push(`${metric} dropped ${baseline[metric]} → ${evalResult[metric]} (${delta})`);
+            }
+        }
+        if (baseline.golden_hash && evalResult.golden_hash && baseline.golden_hash !== evalResult.golden_hash) {
+            warnings.push('golden set changed since baseline — refresh it with --update-baseline once the change is intended');
+        }
+        if (baseline.embedding && evalResult.embedding && baseline.embedding !== evalResult.embedding) {
+            warnings.push(`embedding differs from baseline (${baseline.embedding} → ${evalResult.embedding})`);
+        }
+
+        // Query yang turun (informasi untuk debug ranking, tidak menentukan lulus/gagal)
+        const before = new Map((baseline.details || []).map(d => [d.id, d]));
+        for (const detail of evalResult.details) {
+            const old = before.get(detail.id);
+            if (old && detail.ndcg < old.ndcg - tolerance) {
+                regressedQueries.push({ id: detail.id, query: detail.query, ndcg_before: old.ndcg, ndcg_after: detail.ndcg, retrieved: detail.retrieved });
+            }
+        }
     }
 
-    return { passed: true, reason: 'All gates passed' };
+    return {
+        passed: failures.length === 0,
+        reason: failures.length > 0 ? failures.join('; ') : (baseline ? 'No metric dropped below baseline' : 'All gates passed (no baseline)'),
+        failures,
+        warnings,
+        regressed_queries: regressedQueries
+    };
 }
 
-export default { evaluateRetrieval, checkRegressionGate };
+export default { METRICS, loadGoldenSet, seedFixtures, scoreRanking, evaluateRetrieval, checkRegressionGate };
@@ -1,253 +1,298 @@
 /**
  * LAYER 5: Cross-Model Intelligence
  * Track and resolve conflicts between different AI models/personas
+ * v7.7: File mode — conflict queue per vault di runbooks/.conflicts.json (bukan tabel legacy `model_conflicts`).
+ * Klaim yang saling bertentangan di 1 runbook (credential ALIVE vs DEAD, port open vs filtered)
+ * dideteksi saat append, lengkap dengan provenance (client/model/session) kedua sisi.
  * @module governance/crossModel
  */
-import { query, queryOne } from '../db/index.js';
-import { v4 as uuidv4 } from 'uuid';
-import { now } from '../utils/time.js';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { getRunbooksDir, atomicWriteFileSync } from '../storage/files.js';
+import { getProvenance, provenanceData, provenanceLabel } from '../storage/provenance.js';
+import { parseEntries, entryAt } from '../storage/entries.js';
 import logger from '../utils/logger.js';
 
-/**
- * Record model conflict between two items
- * @param {object} params
- * @param {string} params.projectId
- * @param {string} params.tenantId
- * @param {string} params.itemIdA
- * @param {string} params.itemIdB
- * @param {string} params.conflictType - 'interpretation' | 'contradiction' | 'version'
- * @returns {Promise<{id: string, created: boolean}>}
- */
-export async function recordConflict({
-    projectId,
-    tenantId,
-    itemIdA,
-    itemIdB,
-    conflictType
-}) {
-    // Normalize order (smaller ID first)
-    const [first, second] = [itemIdA, itemIdB].sort();
-
-    // Check existing
-    const existing = await queryOne(
-        `SELECT id, resolution_status FROM model_conflicts 
-         WHERE item_id_a = ? AND item_id_b = ?`,
-        [first, second]
-    );
-
-    if (existing) {
-        return { id: existing.id, created: false, status: existing.resolution_status };
+export const CONFLICTS_FILENAME = '.conflicts.json';
+export const CONFLICT_STATUSES = ['pending', 'resolved', 'ignored'];
+
+const EXCERPT_CHARS = 160;
+
+// Klaim status credential: nilai kanonik → pola (case-insensitive)
+const CREDENTIAL_STATES = [
+    ['ALIVE', /\balive\b/i],
+    ['DEAD', /\b(?:dead|expired|revoked)\b/i]
+];
+const USER_AT_HOST = /\b([\w.-]+@[\w-]+(?:\.[\w-]+)+)\b/;
+// "admin:Secret on 10.0.0.5" / "admin:p@ss@db.example.com" → subject admin@host (password tidak ikut)
+const USER_PASS_ON_HOST = /(?:^|[\s`'"(|])([\w.-]+):(?!\/\/)\S+?(?:\s+on\s+([\w-]+(?:\.[\w-]+)*)|@([\w-]+(?:\.[\w-]+)+))/i;
+// Tabel memory_credential: | Cred | Service | Host | User | Secret Ref | Status | Last Verified | Notes |
+const CREDENTIAL_BLOCK_BEGIN = /<!-- CREDENTIALS:BEGIN/;
+const CREDENTIAL_BLOCK_END = /<!-- CREDENTIALS:END/;
+const IPV4 = /\b(\d{1,3}(?:\.\d{1,3}){3})\b/;
+// Port: "443/tcp open" (nmap) atau "port 443 filtered" / "port 8080/tcp: closed"
+const PORT_NMAP = /\b(\d{1,5})\/(tcp|udp)\s+(open|filtered|closed)\b/gi;
+const PORT_PROSE = /\bport\s+(\d{1,5})(?:\/(tcp|udp))?\s*(?:is\s+|:\s*|=\s*)?(open|filtered|closed)\b/gi;
+
+function conflictsPath() {
+    return join(getRunbooksDir(), CONFLICTS_FILENAME);
+}
+
+function loadConflicts() {
+    const path = conflictsPath();
+    if (!existsSync(path)) return [];
+    try {
+        const data = JSON.parse(readFileSync(path, 'utf8'));
+        return Array.isArray(data.conflicts) ? data.conflicts : [];
+    } catch (err) {
+        logger.warn('Conflicts: file unreadable', { error: err.message });
+        return [];
     }
+}
 
-    const id = uuidv4();
-    await query(
-        `INSERT INTO model_conflicts 
-         (id, tenant_id, project_id, item_id_a, item_id_b, conflict_type, 
-          resolution_status, detected_at)
-         VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)`,
-        [id, tenantId, projectId, first, second, conflictType, now()]
-    );
-
-    logger.info('Model conflict recorded', { id, itemIdA: first, itemIdB: second, conflictType });
-    return { id, created: true, status: 'pending' };
+function saveConflicts(conflicts) {
+    atomicWriteFileSync(conflictsPath(), JSON.stringify({ conflicts }, null, 2) + '\n');
 }
 
 /**
- * Get pending conflicts for a project
- * @param {string} projectId
- * @param {string} tenantId
- * @returns {Promise<Array>}
+ * Subject credential (user@host) dari baris prosa: "user:pass on host", "user:pass@host", atau "user@host"
  */
-export async function getPendingConflicts(projectId, tenantId) {
-    return query(
-        `SELECT mc.*, 
-                m1.title as item_a_title, m1.type as item_a_type,
-                m1.provenance_json as item_a_provenance,
-                m2.title as item_b_title, m2.type as item_b_type,
-                m2.provenance_json as item_b_provenance
-         FROM model_conflicts mc
-         JOIN memory_items m1 ON mc.item_id_a = m1.id
-         JOIN memory_items m2 ON mc.item_id_b = m2.id
-         WHERE mc.tenant_id = ? AND mc.project_id = ? 
-         AND mc.resolution_status = 'pending'
-         ORDER BY mc.detected_at DESC`,
-        [tenantId, projectId]
-    );
+function credentialSubject(line) {
+    const userPass = line.match(USER_PASS_ON_HOST);
+    if (userPass) return `${userPass[1]}@${userPass[2] || userPass[3]}`.toLowerCase();
+    const userAtHost = line.match(USER_AT_HOST);
+    return userAtHost ? userAtHost[1].toLowerCase() : null;
 }
 
 /**
- * Resolve a conflict
- * @param {string} conflictId
- * @param {string} resolution - 'resolved' | 'ignored'
- * @param {string} notes - Resolution notes
- * @returns {Promise<boolean>}
+ * Klaim dari 1 baris tabel blok CREDENTIALS (header, separator, status UNKNOWN → null)
  */
-export async function resolveConflict(conflictId, resolution, notes = '') {
-    const result = await query(
-        `UPDATE model_conflicts 
-         SET resolution_status = ?, resolution_notes = ?, resolved_at = ?
-         WHERE id = ?`,
-        [resolution, notes, now(), conflictId]
-    );
-
-    return result[0]?.changes > 0;
+function credentialRowClaim(line) {
+    if (!line.trim().startsWith('|')) return null;
+    const cells = line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(c => c.trim());
+    if (cells.length < 6) return null;
+    const [, , host, user, , status] = cells;
+    const value = status.toUpperCase();
+    if (!CREDENTIAL_STATES.some(([state]) => state === value) || !host || host === '-' || !user || user === '-') return null;
+    return { subject: `${user}@${host}`.toLowerCase(), value };
 }
 
 /**
- * Extract provenance details from an item
- * @param {object} item
- * @returns {object}
+ * Klaim yang bisa bertentangan dari teks (urut posisi)
+ * @param {string} text
+ * @returns {Array<{ kind: 'credential_status'|'port_state', subject: string, value: string, offset: number, line: string }>}
  */
-export function parseProvenance(item) {
-    let provenance = {};
-    try {
-        provenance = typeof item.provenance_json === 'string'
-            ? JSON.parse(item.provenance_json || '{}')
-            : (item.provenance_json || {});
-    } catch {
-        provenance = {};
+export function extractClaims(text) {
+    const claims = [];
+    let offset = 0;
+    let inCredentialBlock = false;
+    for (const line of (text || '').split('\n')) {
+        if (CREDENTIAL_BLOCK_BEGIN.test(line)) inCredentialBlock = true;
+        else if (CREDENTIAL_BLOCK_END.test(line)) inCredentialBlock = false;
+        else if (inCredentialBlock) {
+            const row = credentialRowClaim(line);
+            if (row) claims.push({ kind: 'credential_status', ...row, offset, line });
+            offset += line.length + 1;
+            continue;
+        }
+
+        const host = (line.match(IPV4) || [])[1];
+
+        const subject = credentialSubject(line);
+        if (subject) {
+            const states = CREDENTIAL_STATES.filter(([, pattern]) => pattern.test(line));
+            // Baris yang menyebut dua status sekaligus ("DEAD → ALIVE") = transisi, bukan klaim
+            if (states.length === 1) {
+                claims.push({ kind: 'credential_status', subject, value: states[0][0], offset, line });
+            }
+        }
+
+        const seenPorts = new Set();
+        for (const regex of [PORT_NMAP, PORT_PROSE]) {
+            for (const match of line.matchAll(regex)) {
+                const subject = `${host ? `${host} ` : ''}${match[1]}/${(match[2] || 'tcp').toLowerCase()}`;
+                if (seenPorts.has(subject)) continue;
+                seenPorts.add(subject);
+                claims.push({ kind: 'port_state', subject, value: match[3].toLowerCase(), offset: offset + match.index, line });
+            }
+        }
+        offset += line.length + 1;
     }
+    return claims;
+}
 
-    return {
-        model_id: provenance.model_id || provenance.model || 'unknown',
-        persona: provenance.persona || 'default',
-        confidence: provenance.confidence || item.confidence || 0.5,
-        session_id: provenance.session_id || null,
-        timestamp: provenance.timestamp || item.created_at
-    };
+// Credential line bisa berisi password ("admin:Secret@host") — hanya port claim yang disimpan excerpt-nya
+function claimExcerpt(claim) {
+    if (claim.kind !== 'port_state') return null;
+    return claim.line.trim().substring(0, EXCERPT_CHARS);
 }
 
 /**
- * Detect potential conflicts by comparing items from different models
- * @param {string} projectId
- * @param {string} tenantId
- * @returns {Promise<Array<{itemA: object, itemB: object, conflictType: string, confidence: number}>>}
+ * Record a conflict (1 pending per runbook + kind + subject — klaim baru memperbarui sisi B)
+ * @param {object} params - { runbookId, kind, subject, claimA, claimB }
+ *   claim: { value, excerpt, provenance }
+ * @returns {{ conflict: object, created: boolean }}
  */
-export async function detectPotentialConflicts(projectId, tenantId) {
-    // Get active items with provenance
-    const items = await query(
-        `SELECT id, title, content, type, provenance_json, confidence, created_at
-         FROM memory_items
-         WHERE project_id = ? AND tenant_id = ? AND status = 'active'
-         ORDER BY created_at DESC LIMIT 100`,
-        [projectId, tenantId]
-    );
-
-    const potentialConflicts = [];
-    const processed = new Set();
-
-    for (let i = 0; i < items.length; i++) {
-        for (let j = i + 1; j < items.length; j++) {
-            const itemA = items[i];
-            const itemB = items[j];
-            const pairKey = [itemA.id, itemB.id].sort().join('-');
-
-            if (processed.has(pairKey)) continue;
-            processed.add(pairKey);
-
-            const provA = parseProvenance(itemA);
-            const provB = parseProvenance(itemB);
-
-            // Only compare items from different models
-            if (provA.model_id === provB.model_id) continue;
-
-            // Same type items might have version conflicts
-            if (itemA.type === itemB.type && itemA.title === itemB.title) {
-                potentialConflicts.push({
-                    itemA: { id: itemA.id, title: itemA.title, model: provA.model_id },
-                    itemB: { id: itemB.id, title: itemB.title, model: provB.model_id },
-                    conflictType: 'version',
-                    confidence: 0.8
-                });
-            }
+export function recordConflict({ runbookId, kind, subject, claimA, claimB }) {
+    const conflicts = loadConflicts();
+    const now = new Date().toISOString();
+    const key = `${runbookId}|${kind}|${subject}`;
+    const crossModel = Boolean(claimA.provenance && claimB.provenance)
+        && provenanceLabel(claimA.provenance) !== provenanceLabel(claimB.provenance);
 
-            // Check for contradictory content (simple keyword overlap heuristic)
-            if (itemA.type === itemB.type && hasContradiction(itemA.content, itemB.content)) {
-                potentialConflicts.push({
-                    itemA: { id: itemA.id, title: itemA.title, model: provA.model_id },
-                    itemB: { id: itemB.id, title: itemB.title, model: provB.model_id },
-                    conflictType: 'contradiction',
-                    confidence: 0.6
-                });
-            }
+    const pending = conflicts.find(c => c.key === key && c.status === 'pending');
+    if (pending) {
+        if (pending.claim_a.value === claimB.value) {
+            // Klaim baru sama dengan sisi A — kontradiksi hilang sendiri
+            Object.assign(pending, { status: 'resolved', resolution: 'a', resolution_notes: 'auto: klaim terbaru kembali ke sisi A', resolved_at: now });
+        } else {
+            Object.assign(pending, { claim_b: claimB, cross_model: crossModel, updated_at: now, occurrences: (pending.occurrences || 1) + 1 });
         }
+        saveConflicts(conflicts);
+        return { conflict: pending, created: false };
     }
 
-    return potentialConflicts;
+    const id = createHash('sha256').update(`${key}|${now}`, 'utf8').digest('hex').substring(0, 10);
+    const conflict = {
+        id,
+        key,
+        runbook_id: runbookId,
+        kind,
+        subject,
+        claim_a: claimA,
+        claim_b: claimB,
+        cross_model: crossModel,
+        status: 'pending',
+        occurrences: 1,
+        detected_at: now,
+        updated_at: now
+    };
+    conflicts.push(conflict);
+    saveConflicts(conflicts);
+    logger.info('Model conflict recorded', { id, runbookId, kind, subject, a: claimA.value, b: claimB.value });
+    return { conflict, created: true };
 }
 
 /**
- * Simple contradiction detection (heuristic)
- * @param {string} contentA
- * @param {string} contentB
- * @returns {boolean}
+ * Bandingkan klaim di content baru dengan klaim terakhir di body lama, catat yang bertentangan
+ * @param {object} params - { runbookId, previousBody, content }
+ * @returns {Array<object>} Conflict yang dibuat/di-update
  */
-function hasContradiction(contentA, contentB) {
-    const negationPairs = [
-        ['harus', 'tidak boleh'],
-        ['benar', 'salah'],
-        ['aktif', 'nonaktif'],
-        ['enable', 'disable'],
-        ['true', 'false'],
-        ['yes', 'no'],
-        ['allow', 'deny'],
-        ['include', 'exclude']
-    ];
-
-    const a = (contentA || '').toLowerCase();
-    const b = (contentB || '').toLowerCase();
-
-    for (const [pos, neg] of negationPairs) {
-        if ((a.includes(pos) && b.includes(neg)) || (a.includes(neg) && b.includes(pos))) {
-            return true;
+export function detectConflicts({ runbookId, previousBody, content }) {
+    if (!previousBody || !content) return [];
+    const latest = new Map();
+    const entries = parseEntries(previousBody);
+    for (const claim of extractClaims(previousBody)) latest.set(`${claim.kind}|${claim.subject}`, claim);
+
+    const newProvenance = provenanceData(getProvenance());
+
+    const recorded = [];
+    const seen = new Set();
+    for (const claim of extractClaims(content)) {
+        const claimKey = `${claim.kind}|${claim.subject}`;
+        const previous = latest.get(claimKey);
+        if (!previous || previous.value === claim.value || seen.has(claimKey)) continue;
+        seen.add(claimKey);
+        try {
+            const { conflict } = recordConflict({
+                runbookId,
+                kind: claim.kind,
+                subject: claim.subject,
+                claimA: { value: previous.value, excerpt: claimExcerpt(previous), provenance: entryAt(entries, previous.offset)?.provenance || null },
+                claimB: { value: claim.value, excerpt: claimExcerpt(claim), provenance: newProvenance }
+            });
+            if (conflict.status === 'pending') recorded.push(conflict);
+        } catch (err) {
+            logger.warn('Conflict record failed (non-fatal)', { runbookId, subject: claim.subject, error: err.message });
         }
     }
+    return recorded;
+}
+
+/**
+ * Conflicts of the active vault
+ * @param {object} options - { status ('pending' default, 'all'), runbookId }
+ * @returns {Array<object>}
+ */
+export function getConflicts(options = {}) {
+    const { status = 'pending', runbookId } = options;
+    return loadConflicts()
+        .filter(c => status === 'all' || c.status === status)
+        .filter(c => !runbookId || c.runbook_id === runbookId)
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+}
+
+/**
+ * Get pending conflicts
+ * @param {string} [runbookId]
+ * @returns {Array<object>}
+ */
+export function getPendingConflicts(runbookId) {
+    return getConflicts({ status: 'pending', runbookId });
+}
+
+/**
+ * Resolve a conflict
+ * @param {string} conflictId
+ * @param {object} params - { resolution: 'resolved'|'ignored', keep: 'a'|'b'|'both', notes }
+ * @returns {object|null} Conflict yang di-update (null jika id tidak ada)
+ */
+export function resolveConflict(conflictId, { resolution = 'resolved', keep = null, notes = '' } = {}) {
+    const conflicts = loadConflicts();
+    const conflict = conflicts.find(c => c.id === conflictId);
+    if (!conflict) return null;
+    Object.assign(conflict, {
+        status: resolution,
+        resolution: keep,
+        resolution_notes: notes,
+        resolved_by: provenanceLabel(getProvenance()),
+        resolved_at: new Date().toISOString()
+    });
+    saveConflicts(conflicts);
+    return conflict;
+}
 
-    return false;
+/**
+ * Format conflict sebagai 1 baris reminder
+ */
+export function formatConflict(c) {
+    const side = (claim) => `${claim.value}${claim.provenance ? ` (${provenanceLabel(claim.provenance)})` : ''}`;
+    return `⚖️ CONFLICT [${c.id}] ${c.runbook_id}: ${c.subject} ${side(c.claim_a)} vs ${side(c.claim_b)}`
+        + `${c.cross_model ? ' — cross-model' : ''}. Resolve via memory_conflicts({action:"resolve", conflict_id:"${c.id}"}).`;
 }
 
 /**
  * Get cross-model summary for forensic audit
- * @param {string} projectId
- * @param {string} tenantId
- * @returns {Promise<object>}
+ * @returns {object}
  */
-export async function getCrossModelSummary(projectId, tenantId) {
-    // Get unique models
-    const modelItems = await query(
-        `SELECT DISTINCT provenance_json FROM memory_items
-         WHERE project_id = ? AND tenant_id = ? AND status = 'active'`,
-        [projectId, tenantId]
-    );
-
-    const uniqueModels = new Set();
-    for (const item of modelItems) {
-        const prov = parseProvenance(item);
-        if (prov.model_id !== 'unknown') {
-            uniqueModels.add(prov.model_id);
+export function getCrossModelSummary() {
+    const conflicts = loadConflicts();
+    const models = new Set();
+    for (const c of conflicts) {
+        for (const claim of [c.claim_a, c.claim_b]) {
+            if (claim?.provenance) models.add(provenanceLabel(claim.provenance));
         }
     }
-
-    // Get pending conflicts count
-    const pendingCount = await queryOne(
-        `SELECT COUNT(*) as count FROM model_conflicts
-         WHERE project_id = ? AND tenant_id = ? AND resolution_status = 'pending'`,
-        [projectId, tenantId]
-    );
-
+    models.delete('unknown');
     return {
-        models_detected: Array.from(uniqueModels),
-        model_count: uniqueModels.size,
-        pending_conflicts: pendingCount?.count || 0,
-        cross_model_active: uniqueModels.size > 1
+        models_detected: [...models],
+        model_count: models.size,
+        pending_conflicts: conflicts.filter(c => c.status === 'pending').length,
+        cross_model_conflicts: conflicts.filter(c => c.status === 'pending' && c.cross_model).length,
+        cross_model_active: models.size > 1
     };
 }
 
 export default {
+    CONFLICTS_FILENAME,
+    CONFLICT_STATUSES,
+    extractClaims,
     recordConflict,
+    detectConflicts,
+    getConflicts,
     getPendingConflicts,
     resolveConflict,
-    parseProvenance,
-    detectPotentialConflicts,
+    formatConflict,
     getCrossModelSummary
 };
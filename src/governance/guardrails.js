@@ -1,273 +1,184 @@
 /**
  * LAYER 4: Intelligence Governance - Guardrails Manager
- * Explicit guardrail management for blocking/suppressing problematic memories
+ * v7.7: File mode — guardrail per vault di runbooks/.guardrails.json (bukan tabel legacy `guardrails`).
+ * Guardrail dibuat otomatis oleh loop-breaker (governance/loopbreaker.js) dari mistake berulang di ## GAGAL,
+ * lalu dimunculkan sebagai warning di memory_search dan hook UserPromptSubmit.
  * @module governance/guardrails
  */
-import { query, queryOne } from '../db/index.js';
-import { contentHash } from '../utils/hash.js';
-import { now, daysAgo } from '../utils/time.js';
-import { v4 as uuidv4 } from 'uuid';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { getRunbooksDir, atomicWriteFileSync } from '../storage/files.js';
+import { detectTechniques } from '../storage/graphIndex.js';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
 
-/**
- * Create or update a guardrail
- * @param {object} params
- * @param {string} params.projectId
- * @param {string} params.tenantId
- * @param {string} params.ruleType - 'block' | 'warn' | 'suppress'
- * @param {string} params.pattern - Pattern signature to match
- * @param {string} params.description - Human-readable description
- * @param {string[]} params.suppressIds - IDs to suppress when triggered
- * @param {number} params.expiresInDays - Optional expiration
- * @returns {Promise<{id: string, created: boolean}>}
- */
-export async function createGuardrail({
-    projectId,
-    tenantId,
-    ruleType,
-    pattern,
-    description,
-    suppressIds = [],
-    expiresInDays = null
-}) {
-    const signature = contentHash(pattern);
+export const GUARDRAILS_FILENAME = '.guardrails.json';
 
-    // Check existing
-    const existing = await queryOne(
-        `SELECT id FROM guardrails 
-         WHERE tenant_id = ? AND project_id = ? AND pattern_signature = ?`,
-        [tenantId, projectId, signature]
-    );
+const EXPIRES_IN_DAYS = 30;
+const MAX_EXAMPLES = 3;
 
-    const expiresAt = expiresInDays
-        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
-        : null;
+function guardrailsPath() {
+    return join(getRunbooksDir(), GUARDRAILS_FILENAME);
+}
 
-    if (existing) {
-        await query(
-            `UPDATE guardrails 
-             SET rule_type = ?, description = ?, suppress_ids_json = ?, 
-                 active = 1, expires_at = ?
-             WHERE id = ?`,
-            [ruleType, description, JSON.stringify(suppressIds), expiresAt, existing.id]
-        );
-        return { id: existing.id, created: false };
+function loadGuardrails() {
+    const path = guardrailsPath();
+    if (!existsSync(path)) return [];
+    try {
+        const data = JSON.parse(readFileSync(path, 'utf8'));
+        return Array.isArray(data.guardrails) ? data.guardrails : [];
+    } catch (err) {
+        logger.warn('Guardrails: file unreadable', { error: err.message });
+        return [];
     }
+}
 
-    const id = uuidv4();
-    await query(
-        `INSERT INTO guardrails 
-         (id, tenant_id, project_id, rule_type, pattern_signature, description, 
-          suppress_ids_json, active, created_at, expires_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?)`,
-        [id, tenantId, projectId, ruleType, signature, description,
-            JSON.stringify(suppressIds), now(), expiresAt]
-    );
+function saveGuardrails(guardrails) {
+    atomicWriteFileSync(guardrailsPath(), JSON.stringify({ guardrails }, null, 2) + '\n');
+}
 
-    logger.info('Guardrail created', { id, ruleType, pattern: signature.slice(0, 8) });
-    return { id, created: true };
+function isLive(g, at = Date.now()) {
+    return g.active && (!g.expires_at || new Date(g.expires_at).getTime() > at);
 }
 
 /**
- * Get active guardrails for a project
- * @param {string} projectId
- * @param {string} tenantId
- * @returns {Promise<Array>}
+ * Stable guardrail id dari key scope (e.g. "target:example.com:sqli", "global:sqli:waf")
  */
-export async function getActiveGuardrails(projectId, tenantId) {
-    const currentTime = now();
-
-    return query(
-        `SELECT id, rule_type, pattern_signature, description, suppress_ids_json, created_at, expires_at
-         FROM guardrails
-         WHERE tenant_id = ? AND project_id = ? 
-         AND active = 1
-         AND (expires_at IS NULL OR expires_at > ?)
-         ORDER BY created_at DESC
-         LIMIT ?`,
-        [tenantId, projectId, currentTime, config.governance.maxGuardrailsPerProject]
-    );
+export function guardrailId(key) {
+    return createHash('sha256').update(key, 'utf8').digest('hex').substring(0, 10);
 }
 
 /**
- * Get all suppressed IDs from active guardrails
- * @param {string} projectId
- * @param {string} tenantId
- * @returns {Promise<{ids: string[], guardrails: Array}>}
+ * Create or update a guardrail (keyed by `key`)
+ * Guardrail yang di-dismiss hanya aktif lagi jika count naik melewati count saat dismiss.
+ * @param {object} params - { key, scope, target, technique, count, reasons, targets, runbook_ids, examples, description, ruleType }
+ * @returns {{ guardrail: object, created: boolean, escalated: boolean }}
  */
-export async function getSuppressedIds(projectId, tenantId) {
-    const guardrails = await getActiveGuardrails(projectId, tenantId);
-    const allSuppressedIds = new Set();
+export function createGuardrail(params) {
+    const guardrails = loadGuardrails();
+    const now = new Date().toISOString();
+    const expiresAt = new Date(Date.now() + EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const id = guardrailId(params.key);
+    const fields = {
+        scope: params.scope,
+        target: params.target || null,
+        technique: params.technique,
+        rule_type: params.ruleType || 'warn',
+        description: params.description,
+        count: params.count,
+        reasons: params.reasons || {},
+        targets: params.targets || [],
+        runbook_ids: params.runbook_ids || [],
+        examples: (params.examples || []).slice(0, MAX_EXAMPLES)
+    };
 
-    for (const g of guardrails) {
-        try {
-            const ids = JSON.parse(g.suppress_ids_json || '[]');
-            ids.forEach(id => allSuppressedIds.add(id));
-        } catch (e) {
-            // Ignore parse errors
-        }
+    const existing = guardrails.find(g => g.id === id);
+    if (!existing) {
+        const guardrail = { id, key: params.key, ...fields, active: true, created_at: now, updated_at: now, expires_at: expiresAt };
+        guardrails.push(guardrail);
+        saveGuardrails(guardrails);
+        logger.info('Guardrail created', { id, key: params.key, count: params.count });
+        return { guardrail, created: true, escalated: false };
     }
 
-    return {
-        ids: Array.from(allSuppressedIds),
-        guardrails: guardrails.map(g => ({
-            id: g.id,
-            ruleType: g.rule_type,
-            description: g.description,
-            suppressCount: JSON.parse(g.suppress_ids_json || '[]').length
-        }))
-    };
+    const escalated = params.count > existing.count;
+    const unchanged = !escalated && existing.count === params.count && existing.description === fields.description;
+    if (unchanged && (existing.active || existing.dismissed_at)) return { guardrail: existing, created: false, escalated: false };
+
+    Object.assign(existing, fields, { updated_at: now });
+    if (escalated) existing.expires_at = expiresAt;
+    // Dismissed → tetap nonaktif sampai mistake berulang lagi
+    if (!existing.dismissed_at || params.count > (existing.dismissed_count || 0)) {
+        existing.active = true;
+        delete existing.dismissed_at;
+        delete existing.dismissed_count;
+        delete existing.resolved_at;
+    }
+    saveGuardrails(guardrails);
+    return { guardrail: existing, created: false, escalated };
 }
 
 /**
- * Deactivate a guardrail
- * @param {string} guardrailId
- * @returns {Promise<boolean>}
+ * Nonaktifkan guardrail yang mistake-nya sudah tidak memenuhi threshold (entry GAGAL dihapus)
+ * @param {Set<string>} liveKeys - Key yang masih memenuhi threshold
+ * @returns {number} Jumlah guardrail yang di-resolve
  */
-export async function deactivateGuardrail(guardrailId) {
-    const result = await query(
-        `UPDATE guardrails SET active = 0 WHERE id = ?`,
-        [guardrailId]
-    );
-    return result[0]?.changes > 0;
+export function resolveStaleGuardrails(liveKeys) {
+    const guardrails = loadGuardrails();
+    const now = new Date().toISOString();
+    let resolved = 0;
+    for (const g of guardrails) {
+        if (g.active && !liveKeys.has(g.key)) {
+            g.active = false;
+            g.resolved_at = now;
+            resolved++;
+        }
+    }
+    if (resolved > 0) saveGuardrails(guardrails);
+    return resolved;
 }
 
 /**
- * Check if an item ID is suppressed by any guardrail
- * @param {string} itemId
- * @param {string} projectId
- * @param {string} tenantId
- * @returns {Promise<{suppressed: boolean, reason: string|null}>}
+ * Get active (belum expired/dismissed) guardrails of the active vault
+ * @param {object} options - { target, technique, since (ISO — hanya yang di-update setelahnya) }
+ * @returns {Array<object>}
  */
-export async function isItemSuppressed(itemId, projectId, tenantId) {
-    const { ids, guardrails } = await getSuppressedIds(projectId, tenantId);
-
-    if (ids.includes(itemId)) {
-        const reason = guardrails
-            .filter(g => {
-                try {
-                    return JSON.parse(g.suppress_ids_json || '[]').includes(itemId);
-                } catch { return false; }
-            })
-            .map(g => g.description)
-            .join('; ');
-
-        return { suppressed: true, reason };
-    }
-
-    return { suppressed: false, reason: null };
+export function getActiveGuardrails(options = {}) {
+    const { target, technique, since } = options;
+    return loadGuardrails()
+        .filter(g => isLive(g))
+        .filter(g => !target || g.scope === 'global' || g.target === target.toLowerCase())
+        .filter(g => !technique || g.technique === technique.toLowerCase())
+        .filter(g => !since || g.updated_at >= since)
+        .sort((a, b) => b.count - a.count);
 }
 
 /**
- * Auto-create guardrail from repeated mistake
- * @param {object} params
- * @param {string} params.projectId
- * @param {string} params.tenantId
- * @param {string} params.mistakeSignature
- * @param {number} params.mistakeCount
- * @param {string[]} params.relatedIds
- * @returns {Promise<{guardrailId: string}|null>}
+ * Dismiss a guardrail (aktif lagi otomatis jika mistake berulang lagi)
+ * @param {string} id
+ * @returns {boolean}
  */
-export async function autoGuardrailFromMistake({
-    projectId,
-    tenantId,
-    mistakeSignature,
-    mistakeCount,
-    relatedIds = []
-}) {
-    if (mistakeCount < config.governance.loopBreakerThreshold) {
-        return null;
-    }
-
-    const result = await createGuardrail({
-        projectId,
-        tenantId,
-        ruleType: 'suppress',
-        pattern: mistakeSignature,
-        description: `Repeated mistake (${mistakeCount}x): Check signature ${mistakeSignature.slice(0, 8)}...`,
-        suppressIds: relatedIds,
-        expiresInDays: 30 // Auto-expire after 30 days
-    });
-
-    logger.info('Auto-guardrail created from mistake', {
-        guardrailId: result.id,
-        mistakeCount,
-        suppressedCount: relatedIds.length
-    });
-
-    return { guardrailId: result.id };
+export function deactivateGuardrail(id) {
+    const guardrails = loadGuardrails();
+    const guardrail = guardrails.find(g => g.id === id);
+    if (!guardrail) return false;
+    guardrail.active = false;
+    guardrail.dismissed_at = new Date().toISOString();
+    guardrail.dismissed_count = guardrail.count;
+    saveGuardrails(guardrails);
+    return true;
 }
 
 /**
- * Cleanup expired guardrails
- * @param {string} projectId
- * @param {string} tenantId
- * @returns {Promise<{cleaned: number}>}
+ * Guardrail yang relevan untuk teks yang akan dikerjakan (query search / prompt user)
+ * Match: teknik disebut di teks DAN (scope global ATAU target disebut / runbook target ada di konteks)
+ * @param {string} text
+ * @param {object} options - { runbookIds: runbook yang sedang dibahas (hasil search) }
+ * @returns {Array<object>}
  */
-export async function cleanupExpiredGuardrails(projectId, tenantId) {
-    const currentTime = now();
-
-    const result = await query(
-        `UPDATE guardrails SET active = 0 
-         WHERE tenant_id = ? AND project_id = ? 
-         AND expires_at IS NOT NULL AND expires_at < ?`,
-        [tenantId, projectId, currentTime]
-    );
-
-    return { cleaned: result[0]?.changes || 0 };
+export function matchGuardrails(text, options = {}) {
+    const { runbookIds = [] } = options;
+    const techniques = new Set(detectTechniques(text));
+    if (techniques.size === 0) return [];
+    const lower = (text || '').toLowerCase();
+
+    return getActiveGuardrails().filter(g => {
+        if (!techniques.has(g.technique)) return false;
+        if (g.scope === 'global') return true;
+        return lower.includes(g.target) || g.runbook_ids.some(id => runbookIds.includes(id));
+    }).slice(0, config.governance.maxGuardrailsPerProject);
 }
 
 /**
- * Get governance state for forensic audit
- * @param {string} projectId
- * @param {string} tenantId
- * @returns {Promise<object>}
+ * Format guardrail sebagai 1 baris warning
  */
-export async function getGovernanceState(projectId, tenantId) {
-    // Get quarantined items
-    const quarantined = await query(
-        `SELECT id FROM memory_items 
-         WHERE project_id = ? AND tenant_id = ? AND status = 'quarantined'
-         LIMIT 10`,
-        [projectId, tenantId]
-    );
-
-    // Get deleted items (recent)
-    const deleted = await query(
-        `SELECT id FROM memory_items 
-         WHERE project_id = ? AND tenant_id = ? AND status = 'deleted'
-         ORDER BY updated_at DESC LIMIT 10`,
-        [projectId, tenantId]
-    );
-
-    // Get active guardrails
-    const guardrails = await getActiveGuardrails(projectId, tenantId);
-
-    // Get suppressed IDs
-    const { ids: suppressedIds } = await getSuppressedIds(projectId, tenantId);
-
-    return {
-        quarantined_count: quarantined.length,
-        quarantined_ids: quarantined.map(r => r.id),
-        deleted_count: deleted.length,
-        recent_deleted_ids: deleted.map(r => r.id),
-        guardrails_active: guardrails.map(g => ({
-            id: g.id,
-            type: g.rule_type,
-            description: g.description
-        })),
-        suppressed_memory_ids: suppressedIds
-    };
+export function formatGuardrailWarning(g) {
+    const example = g.examples && g.examples[0] ? ` Contoh: "${g.examples[0].entry}" (${g.examples[0].id})` : '';
+    return `🛑 GUARDRAIL [${g.id}]: ${g.description}.${example}`;
 }
 
 export default {
-    createGuardrail,
-    getActiveGuardrails,
-    getSuppressedIds,
-    deactivateGuardrail,
-    isItemSuppressed,
-    autoGuardrailFromMistake,
-    cleanupExpiredGuardrails,
-    getGovernanceState
+    GUARDRAILS_FILENAME, guardrailId, createGuardrail, resolveStaleGuardrails, getActiveGuardrails,
+    deactivateGuardrail, matchGuardrails, formatGuardrailWarning
 };
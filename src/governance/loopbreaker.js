@@ -1,222 +1,268 @@
 /**
  * Loop breaker - prevent repeated mistakes
+ * v7.7: File mode — mistake = entry di ## GAGAL (bukan tabel legacy `mistakes` di memory.db).
+ * Setiap entry diekstrak jadi signature teknik + alasan gagal, di-index di tabel `mistakes`
+ * (search_index.db per vault, derived dari .md seperti FTS/graph), lalu dihitung per target/teknik.
+ * Mencapai threshold → guardrail otomatis (governance/guardrails.js).
  * @module governance/loopbreaker
  */
-import { query, queryOne } from '../db/index.js';
-import { contentHash } from '../utils/hash.js';
-import { now, daysAgo } from '../utils/time.js';
-import { v4 as uuidv4 } from 'uuid';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { getRunbooksDir, listRunbookFiles, parseFrontmatter, filenameToTitle } from '../storage/files.js';
+import { getDb } from '../storage/searchIndex.js';
+import { detectTechniques } from '../storage/graphIndex.js';
+import { outcomeEntries, runbookTarget } from '../storage/outcomes.js';
+import { createGuardrail, resolveStaleGuardrails } from './guardrails.js';
+import config from '../utils/config.js';
 import logger from '../utils/logger.js';
-import { isProtectedItem } from './policyEngine.js';
-import { createGuardrail } from './guardrails.js';
+
+const ENTRY_CHARS = 160;
+
+// Alasan gagal → kelas (urutan = prioritas, yang pertama cocok dipakai)
+const FAILURE_REASONS = [
+    ['waf', /\bwaf\b|cloudflare|mod_?security|akamai|imperva|incapsula/i],
+    ['patched', /patch|not vulnerable|tidak vuln|fixed in|sudah di-?fix/i],
+    ['auth', /\b40[13]\b|forbidden|denied|unauthori[sz]ed|login required|permission/i],
+    ['timeout', /timeout|timed out|no response|unreachable|tidak respon/i],
+    ['filtered', /filter|sanitiz|escap|blacklist|allowlist|whitelist|blocked|diblok/i],
+    ['not_found', /\b404\b|not found|tidak ditemukan|no such/i],
+    ['error', /\b5\d\d\b|error|exception|crash/i]
+];
 
 /**
- * Record a mistake
- * @param {object} params
- * @param {string} params.projectId
- * @param {string} params.tenantId
- * @param {string} params.signature - Error pattern signature
- * @param {string} params.severity - low, medium, high, critical
- * @param {string} params.notes - Description of the mistake
- * @returns {Promise<{id: string, count: number, isRepeated: boolean}>}
+ * Kelas alasan gagal dari teks entry
  */
-export async function recordMistake({ projectId, tenantId, signature, severity = 'medium', notes = '' }) {
-    const sigHash = contentHash(signature);
-
-    // Check if this mistake already exists
-    const existing = await queryOne(
-        `SELECT id, count FROM mistakes
-     WHERE tenant_id = ? AND project_id = ? AND signature = ?`,
-        [tenantId, projectId, sigHash]
-    );
-
-    if (existing) {
-        // Increment count
-        await query(
-            `UPDATE mistakes SET count = count + 1, 
-       last_seen_at = ?,
-       notes_json = json_insert(notes_json, '$[#]', ?)
-       WHERE id = ?`,
-            [now(), notes, existing.id]
-        );
-
-        return {
-            id: existing.id,
-            count: existing.count + 1,
-            isRepeated: true
-        };
-    } else {
-        // Create new mistake record
-        const id = uuidv4();
-        await query(
-            `INSERT INTO mistakes (id, tenant_id, project_id, signature, count, severity, last_seen_at, notes_json)
-       VALUES (?, ?, ?, ?, 1, ?, ?, ?)`,
-            [id, tenantId, projectId, sigHash, severity, now(), JSON.stringify([notes])]
-        );
-
-        return {
-            id,
-            count: 1,
-            isRepeated: false
-        };
+export function classifyFailure(entry) {
+    for (const [reason, pattern] of FAILURE_REASONS) {
+        if (pattern.test(entry)) return reason;
     }
+    return 'failed';
 }
 
 /**
- * Get recent mistakes in a project
- * @param {object} params
- * @param {string} params.projectId
- * @param {string} params.tenantId
- * @param {number} params.withinDays
- * @returns {Promise<Array>}
+ * Mistake dari 1 runbook: entry ## GAGAL × teknik yang disebut
+ * @param {string} title
+ * @param {string} body
+ * @returns {Array<{ target, technique, reason, signature, entry, entry_hash }>}
  */
-export async function getRecentMistakes({ projectId, tenantId, withinDays = 7 }) {
-    const since = daysAgo(withinDays);
-
-    return query(
-        `SELECT id, signature, count, severity, last_seen_at, notes_json
-     FROM mistakes
-     WHERE tenant_id = ? AND project_id = ? AND last_seen_at > ?
-     ORDER BY count DESC, last_seen_at DESC`,
-        [tenantId, projectId, since]
-    );
+export function extractMistakes(title, body) {
+    const target = runbookTarget(title);
+    const mistakes = [];
+    for (const { outcome, entry } of outcomeEntries(title, body)) {
+        if (outcome !== 'failure') continue;
+        const techniques = detectTechniques(entry);
+        if (techniques.length === 0) continue;
+        const reason = classifyFailure(entry);
+        const entryHash = createHash('sha256').update(entry, 'utf8').digest('hex').substring(0, 16);
+        for (const technique of techniques) {
+            mistakes.push({
+                target,
+                technique,
+                reason,
+                signature: `${technique}:${reason}`,
+                entry: entry.split('\n')[0].substring(0, ENTRY_CHARS),
+                entry_hash: entryHash
+            });
+        }
+    }
+    return mistakes;
 }
 
 /**
- * Check for repeated mistakes and take action
- * @param {object} params
- * @param {string} params.projectId
- * @param {string} params.tenantId
- * @param {number} params.threshold - Number of times before triggering
- * @param {boolean} params.dryRun
- * @returns {Promise<{mistakesUpdated: number, guardrailsAdded: boolean, quarantinedIds: string[]}>}
+ * Initialize mistakes table in search_index.db
+ * @param {object} database - better-sqlite3 db instance
  */
-export async function checkLoopBreaker({ projectId, tenantId, threshold = 2, dryRun = true }) {
-    const result = {
-        mistakesUpdated: 0,
-        guardrailsAdded: false,
-        quarantinedIds: []
-    };
+export function initMistakeIndex(database) {
+    if (!database) return false;
+    try {
+        database.exec(`
+            CREATE TABLE IF NOT EXISTS mistakes (
+                runbook_id TEXT,
+                target TEXT,
+                technique TEXT,
+                reason TEXT,
+                signature TEXT,
+                entry TEXT,
+                entry_hash TEXT,
+                PRIMARY KEY (runbook_id, entry_hash, technique)
+            )
+        `);
+        database.exec('CREATE INDEX IF NOT EXISTS idx_mistakes_technique ON mistakes(technique)');
+        database.exec('CREATE INDEX IF NOT EXISTS idx_mistakes_target ON mistakes(target)');
+        return true;
+    } catch (err) {
+        logger.warn('Mistake index init failed (non-fatal)', { error: err.message });
+        return false;
+    }
+}
 
-    // Get repeated mistakes
-    const mistakes = await getRecentMistakes({ projectId, tenantId, withinDays: 7 });
-    const repeatedMistakes = mistakes.filter(m => m.count >= threshold);
+function indexRunbookMistakes(db, filename) {
+    db.prepare('DELETE FROM mistakes WHERE runbook_id = ?').run(filename);
+    const filepath = join(getRunbooksDir(), filename);
+    if (!existsSync(filepath)) return 0;
 
-    if (repeatedMistakes.length === 0) {
-        return result;
-    }
+    // Section terenkripsi tetap [ENCRYPTED] — excerpt mistake tidak boleh bocorkan plaintext ke index
+    const { meta, body } = parseFrontmatter(readFileSync(filepath, 'utf8'), { redact: true });
+    const insert = db.prepare(`
+        INSERT OR IGNORE INTO mistakes (runbook_id, target, technique, reason, signature, entry, entry_hash)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const mistakes = extractMistakes(meta.title || filenameToTitle(filename), body);
+    for (const m of mistakes) insert.run(filename, m.target, m.technique, m.reason, m.signature, m.entry, m.entry_hash);
+    return mistakes.length;
+}
 
-    result.mistakesUpdated = repeatedMistakes.length;
-
-    // Find related memory items from audit log
-    for (const mistake of repeatedMistakes) {
-        // Look for items that might have caused this mistake
-        const relatedAudits = await query(
-            `SELECT DISTINCT request_json 
-       FROM audit_log 
-       WHERE project_id = ? AND tenant_id = ?
-       AND ts > ?
-       ORDER BY ts DESC
-       LIMIT 5`,
-            [projectId, tenantId, daysAgo(7)]
-        );
-
-        // Try to extract item IDs from audit logs
-        for (const audit of relatedAudits) {
-            try {
-                const request = JSON.parse(audit.request_json);
-                if (request.id && !dryRun) {
-                    // FIX: Check if item is protected before quarantining
-                    const item = await queryOne(
-                        `SELECT id, tags, verified, confidence FROM memory_items WHERE id = ?`,
-                        [request.id]
-                    );
-
-                    if (item && isProtectedItem(item)) {
-                        logger.debug('Skipping protected item in loopbreaker', { id: item.id });
-                        continue; // Don't quarantine protected items
-                    }
-
-                    // Quarantine the related item only if NOT protected
-                    await query(
-                        `UPDATE memory_items SET status = 'quarantined',
-             status_reason = 'Loop breaker: related to repeated mistake',
-             updated_at = ?
-             WHERE id = ? AND status = 'active'`,
-                        [now(), request.id]
-                    );
-                    result.quarantinedIds.push(request.id);
-                }
-            } catch {
-                // Ignore parse errors
+/**
+ * Rebuild mistakes table dari semua .md lalu jalankan loop breaker
+ * @param {object} database - better-sqlite3 db instance
+ */
+export function rebuildMistakeIndex(database) {
+    const db = database || getDb();
+    if (!db) return { mistakes: 0 };
+    try {
+        const files = listRunbookFiles();
+        let total = 0;
+        db.transaction(() => {
+            // Baris "_manual" (recordMistake) tidak punya .md — dipertahankan
+            db.exec("DELETE FROM mistakes WHERE runbook_id != '_manual'");
+            for (const file of files) {
+                try { total += indexRunbookMistakes(db, file); } catch {}
             }
-        }
+        })();
+        const guardrails = checkLoopBreaker({ dryRun: false, database: db });
+        logger.info('Mistake index rebuilt', { mistakes: total, guardrails: guardrails.guardrails.length });
+        return { mistakes: total, guardrails: guardrails.guardrails.length };
+    } catch (err) {
+        logger.warn('Mistake index rebuild failed (non-fatal)', { error: err.message });
+        return { mistakes: 0 };
     }
+}
 
-    // Add guardrail to BOTH: guardrails table AND state content
-    if (repeatedMistakes.length > 0 && !dryRun) {
-        // INSERT into guardrails table (FIX: was never inserted before!)
-        for (const mistake of repeatedMistakes) {
-            try {
-                await createGuardrail({
-                    projectId,
-                    tenantId,
-                    ruleType: 'warn',
-                    pattern: mistake.signature || mistake.notes || 'repeated_mistake',
-                    description: `Auto-guardrail: Repeated mistake (${mistake.count}x in 7d) - ${mistake.notes || mistake.signature}`,
-                    suppressIds: result.quarantinedIds,
-                    expiresInDays: 30
-                });
-            } catch (err) {
-                logger.warn('Failed to create guardrail from loopbreaker', { error: err.message });
-            }
-        }
+/**
+ * Update mistakes untuk 1 runbook (dipanggil dari updateIndexEntry / removeIndexEntry)
+ * @returns {object|null} Hasil checkLoopBreaker
+ */
+export function updateMistakeEntry(filename) {
+    const db = getDb();
+    if (!db) return null;
+    try {
+        indexRunbookMistakes(db, filename);
+        return checkLoopBreaker({ dryRun: false, database: db });
+    } catch (err) {
+        logger.warn('Mistake entry update failed (non-fatal)', { filename, error: err.message });
+        return null;
+    }
+}
+
+/**
+ * Record a mistake (manual, di luar ## GAGAL) — masuk index sebagai runbook_id "_manual"
+ * @param {object} params - { target, technique, notes }
+ * @returns {{ signature: string, count: number, isRepeated: boolean }|null}
+ */
+export function recordMistake({ target = null, technique, notes = '' }) {
+    const db = getDb();
+    if (!db || !technique) return null;
+    const reason = classifyFailure(notes);
+    const entry = (notes || technique).substring(0, ENTRY_CHARS);
+    const entryHash = createHash('sha256').update(`${Date.now()}:${entry}`, 'utf8').digest('hex').substring(0, 16);
+    db.prepare(`
+        INSERT OR IGNORE INTO mistakes (runbook_id, target, technique, reason, signature, entry, entry_hash)
+        VALUES ('_manual', ?, ?, ?, ?, ?, ?)
+    `).run(target ? target.toLowerCase() : null, technique.toLowerCase(), reason, `${technique.toLowerCase()}:${reason}`, entry, entryHash);
+
+    const count = db.prepare('SELECT COUNT(*) AS cnt FROM mistakes WHERE technique = ? AND target IS ?')
+        .get(technique.toLowerCase(), target ? target.toLowerCase() : null).cnt;
+    checkLoopBreaker({ dryRun: false, database: db });
+    return { signature: `${technique.toLowerCase()}:${reason}`, count, isRepeated: count > 1 };
+}
+
+function topReasons(reasons) {
+    return Object.entries(reasons).sort((a, b) => b[1] - a[1]).map(([r, n]) => `${r} ${n}x`).join(', ');
+}
+
+/**
+ * Hitung mistake berulang dan buat/update guardrail
+ *   target: teknik yang sama gagal >= threshold kali di target yang sama
+ *   global: signature (teknik + alasan) yang sama gagal di >= threshold target berbeda
+ * @param {object} params - { threshold (default config.governance.loopBreakerThreshold), dryRun, database }
+ * @returns {{ repeated: Array, guardrails: Array, created: Array, escalated: Array, resolved: number }}
+ */
+export function checkLoopBreaker({ threshold = config.governance.loopBreakerThreshold, dryRun = true, database = null } = {}) {
+    const result = { repeated: [], guardrails: [], created: [], escalated: [], resolved: 0 };
+    const db = database || getDb();
+    if (!db) return result;
+
+    const rows = db.prepare('SELECT runbook_id, target, technique, reason, signature, entry FROM mistakes').all();
+    const groups = new Map();
+    const add = (key, base, row) => {
+        if (!groups.has(key)) groups.set(key, { key, ...base, count: 0, reasons: {}, targets: new Set(), runbook_ids: new Set(), examples: [] });
+        const g = groups.get(key);
+        g.count++;
+        g.reasons[row.reason] = (g.reasons[row.reason] || 0) + 1;
+        if (row.target) g.targets.add(row.target);
+        g.runbook_ids.add(row.runbook_id);
+        if (g.examples.length < 3) g.examples.push({ id: row.runbook_id, entry: row.entry });
+    };
+    for (const row of rows) {
+        if (row.target) add(`target:${row.target}:${row.technique}`, { scope: 'target', target: row.target, technique: row.technique }, row);
+        add(`global:${row.signature}`, { scope: 'global', target: null, technique: row.technique, reason: row.reason }, row);
+    }
 
-        // Also append to state content (legacy behavior)
-        await addGuardrailToState({
-            projectId,
-            tenantId,
-            guardrail: `PERHATIAN: ${repeatedMistakes.length} kesalahan berulang terdeteksi dalam 7 hari terakhir. Periksa mistakes table.`
-        });
-        result.guardrailsAdded = true;
+    for (const g of groups.values()) {
+        const repeated = g.scope === 'target' ? g.count >= threshold : g.targets.size >= threshold;
+        if (!repeated) continue;
+        const description = g.scope === 'target'
+            ? `${g.technique} di ${g.target} sudah gagal ${g.count}x (${topReasons(g.reasons)}) — jangan ulangi tanpa pendekatan baru`
+            : `${g.technique} gagal (${g.reason}) di ${g.targets.size} target berbeda — cek ## GAGAL sebelum mencoba`;
+        result.repeated.push({ key: g.key, scope: g.scope, target: g.target, technique: g.technique, count: g.count, description });
     }
 
+    if (dryRun) return result;
+
+    for (const r of result.repeated) {
+        const g = groups.get(r.key);
+        try {
+            const { guardrail, created, escalated } = createGuardrail({
+                key: g.key,
+                scope: g.scope,
+                target: g.target,
+                technique: g.technique,
+                count: g.count,
+                reasons: g.reasons,
+                targets: [...g.targets],
+                runbook_ids: [...g.runbook_ids],
+                examples: g.examples,
+                description: r.description,
+                ruleType: 'warn'
+            });
+            result.guardrails.push(guardrail);
+            if (created) result.created.push(guardrail);
+            if (escalated) result.escalated.push(guardrail);
+        } catch (err) {
+            logger.warn('Failed to create guardrail from loopbreaker', { key: g.key, error: err.message });
+        }
+    }
+    result.resolved = resolveStaleGuardrails(new Set(result.repeated.map(r => r.key)));
     return result;
 }
 
 /**
- * Add guardrail to current state
- * @param {object} params
- * @param {string} params.projectId
- * @param {string} params.tenantId
- * @param {string} params.guardrail
- * @returns {Promise<void>}
+ * Ringkasan mistake per target/teknik (untuk memory_reflect)
+ * @returns {Array<{ target, technique, count, reasons }>}
  */
-async function addGuardrailToState({ projectId, tenantId, guardrail }) {
-    // Get latest state
-    const state = await queryOne(
-        `SELECT id, content FROM memory_items
-     WHERE tenant_id = ? AND project_id = ? AND type = 'state' AND status = 'active'
-     ORDER BY updated_at DESC LIMIT 1`,
-        [tenantId, projectId]
-    );
-
-    if (state) {
-        // Append guardrail to content
-        const newContent = state.content + `\n\n## GUARDRAIL\n${guardrail}`;
-        await query(
-            `UPDATE memory_items SET content = ?, version = version + 1, updated_at = ?
-       WHERE id = ?`,
-            [newContent, now(), state.id]
-        );
-    } else {
-        // Create new state with guardrail
-        await query(
-            `INSERT INTO memory_items (id, tenant_id, project_id, type, title, content, content_hash, created_at, updated_at)
-       VALUES (?, ?, ?, 'state', 'Current State', ?, ?, ?, ?)`,
-            [uuidv4(), tenantId, projectId, `## GUARDRAIL\n${guardrail}`, contentHash(`## GUARDRAIL\n${guardrail}`), now(), now()]
-        );
-    }
+export function getMistakeStats(limit = 20) {
+    const db = getDb();
+    if (!db) return [];
+    try {
+        return db.prepare(`
+            SELECT target, technique, COUNT(*) AS count, GROUP_CONCAT(DISTINCT reason) AS reasons
+            FROM mistakes GROUP BY target, technique ORDER BY count DESC LIMIT ?
+        `).all(limit);
+    } catch { return []; }
 }
 
-export default { recordMistake, getRecentMistakes, checkLoopBreaker };
+export default {
+    classifyFailure, extractMistakes, initMistakeIndex, rebuildMistakeIndex, updateMistakeEntry,
+    recordMistake, checkLoopBreaker, getMistakeStats
+};
@@ -0,0 +1,303 @@
+/**
+ * HTTP Transport v1.0 — 1 server MCP dipakai bersama beberapa agent/teammate di host yang sama
+ * (1 pemilik search_index.db, bukan tiap proses stdio rebuild FTS5 + vector saat startup).
+ *
+ * Endpoint:
+ *   POST   /mcp       Streamable HTTP (2025-03-26) — JSON-RPC (single/batch), response application/json
+ *   GET    /mcp       SSE stream server→client untuk session (notifications/resources/updated)
+ *   DELETE /mcp       Akhiri session (header Mcp-Session-Id)
+ *   GET    /sse       Legacy HTTP+SSE (2024-11-05) — event `endpoint` → /messages?sessionId=...
+ *   POST   /messages  Legacy: terima request, response dikirim lewat stream SSE (202 Accepted)
+ *   GET    /health    Tanpa auth — status + jumlah session
+ *
+ * Auth: `Authorization: Bearer <token>` (config.transport.tokens). Tanpa token hanya boleh bind loopback.
+ * @module mcp/httpTransport
+ */
+import { createServer } from 'http';
+import { randomUUID, timingSafeEqual, createHash } from 'crypto';
+import logger from '../utils/logger.js';
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const SESSION_IDLE_MS = 60 * 60 * 1000;
+const SSE_KEEPALIVE_MS = 25 * 1000;
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '::1']);
+
+/**
+ * Bandingkan token constant-time (hash dulu supaya panjang sama)
+ */
+function tokenMatches(candidate, expected) {
+    const a = createHash('sha256').update(candidate).digest();
+    const b = createHash('sha256').update(expected).digest();
+    return timingSafeEqual(a, b);
+}
+
+/**
+ * Resolve token dari header Authorization → nama client, null = ditolak
+ */
+function authenticate(req, tokens) {
+    if (tokens.length === 0) return 'anonymous';
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return null;
+    const found = tokens.find(t => tokenMatches(match[1].trim(), t.token));
+    return found ? found.name : null;
+}
+
+/**
+ * DNS rebinding guard: Origin (jika ada) harus loopback atau di allowed_origins
+ */
+function originAllowed(req, allowedOrigins) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    if (allowedOrigins.includes(origin)) return true;
+    try {
+        return LOOPBACK_HOSTS.has(new URL(origin).hostname.replace(/^\[|\]$/g, ''));
+    } catch {
+        return false;
+    }
+}
+
+function sendJson(res, status, body, headers = {}) {
+    const payload = body === null ? '' : JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(payload);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function writeSseEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Start HTTP transport
+ * @param {object} server - McpServer (handleMessage, buildError)
+ * @param {object} options - config.transport: { port, host, tokens, allowedOrigins }
+ * @returns {Promise<import('http').Server>}
+ */
+export async function startHttpTransport(server, options) {
+    const { port, host, tokens = [], allowedOrigins = [] } = options;
+
+    if (tokens.length === 0 && !LOOPBACK_HOSTS.has(host)) {
+        throw new Error(`HTTP transport di ${host} tanpa token ditolak — set MCP_MEMORI_TOKENS atau bind ke localhost`);
+    }
+    if (tokens.length === 0) {
+        logger.warn('HTTP transport tanpa token auth (loopback only)', { host, port });
+    }
+
+    // sessionId → { id, client, initialized, clientInfo, lastSeen, sse: res|null, notify }
+    const sessions = new Map();
+
+    const createSession = (client) => {
+        const session = { id: randomUUID(), client, initialized: false, clientInfo: null, lastSeen: Date.now(), sse: null };
+        // Notification server→client hanya terkirim jika client membuka stream SSE
+        session.notify = (message) => {
+            if (session.sse) writeSseEvent(session.sse, 'message', message);
+        };
+        sessions.set(session.id, session);
+        return session;
+    };
+
+    const closeSession = (session) => {
+        sessions.delete(session.id);
+        server.closeSession(session);
+    };
+
+    const sweep = setInterval(() => {
+        const cutoff = Date.now() - SESSION_IDLE_MS;
+        for (const session of [...sessions.values()]) {
+            if (!session.sse && session.lastSeen < cutoff) closeSession(session);
+        }
+    }, 5 * 60 * 1000);
+    sweep.unref();
+
+    // JSON-RPC 2.0: batch kosong → 1 error object Invalid Request (bukan array, bukan 202)
+    const emptyBatchError = () => server.buildError(null, -32600, 'Invalid Request: empty batch');
+
+    /**
+     * Proses body JSON-RPC (single/batch) → array response (notification tidak menghasilkan response)
+     */
+    const processPayload = async (payload, session) => {
+        if (Array.isArray(payload) && payload.length === 0) return { responses: [emptyBatchError()], batch: false };
+        const messages = Array.isArray(payload) ? payload : [payload];
+        const responses = [];
+        for (const message of messages) {
+            const response = await server.handleMessage(message, session);
+            if (response) responses.push(response);
+        }
+        return { responses, batch: Array.isArray(payload) };
+    };
+
+    // === Streamable HTTP: POST /mcp ===
+    const handleStreamablePost = async (req, res, client) => {
+        let payload;
+        try {
+            payload = JSON.parse(await readBody(req));
+        } catch (err) {
+            return sendJson(res, err.status || 400, server.buildError(null, -32700, err.status ? err.message : 'Parse error'));
+        }
+        if (Array.isArray(payload) && payload.length === 0) return sendJson(res, 400, emptyBatchError());
+
+        const messages = Array.isArray(payload) ? payload : [payload];
+        const isInitialize = messages.some(m => m && m.method === 'initialize');
+        let session;
+
+        if (isInitialize) {
+            session = createSession(client);
+        } else {
+            const sessionId = req.headers['mcp-session-id'];
+            session = sessionId ? sessions.get(sessionId) : null;
+            if (!session) {
+                return sendJson(res, sessionId ? 404 : 400, server.buildError(null, -32000, sessionId ? 'Session not found' : 'Mcp-Session-Id header required'));
+            }
+            if (session.client !== client) {
+                return sendJson(res, 403, server.buildError(null, -32000, 'Session milik token lain'));
+            }
+        }
+        session.lastSeen = Date.now();
+
+        const { responses, batch } = await processPayload(payload, session);
+        const headers = { 'Mcp-Session-Id': session.id };
+        if (responses.length === 0) {
+            res.writeHead(202, headers);
+            return res.end();
+        }
+        return sendJson(res, 200, batch ? responses : responses[0], headers);
+    };
+
+    /**
+     * Pasang res sebagai stream SSE session. onClose dipanggil saat client disconnect.
+     */
+    const attachSseStream = (req, res, session, onClose) => {
+        session.sse = res;
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'Mcp-Session-Id': session.id
+        });
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+        req.on('close', () => {
+            clearInterval(keepalive);
+            if (session.sse === res) session.sse = null;
+            session.lastSeen = Date.now();
+            onClose();
+        });
+    };
+
+    // === Streamable HTTP: GET /mcp (stream server→client untuk session yang sudah ada) ===
+    const handleStreamableGet = (req, res, client) => {
+        const session = sessions.get(req.headers['mcp-session-id'] || '');
+        if (!session) {
+            return sendJson(res, 404, server.buildError(null, -32000, 'Session not found'));
+        }
+        if (session.client !== client) {
+            return sendJson(res, 403, server.buildError(null, -32000, 'Session milik token lain'));
+        }
+        attachSseStream(req, res, session, () => {});
+        res.write(': stream open\n\n');
+    };
+
+    // === Legacy SSE: GET /sse ===
+    const handleSseOpen = (req, res, client) => {
+        const session = createSession(client);
+        attachSseStream(req, res, session, () => {
+            closeSession(session);
+            logger.info('SSE session closed', { session: session.id, client });
+        });
+        writeSseEvent(res, 'endpoint', `/messages?sessionId=${session.id}`);
+        logger.info('SSE session opened', { session: session.id, client });
+    };
+
+    // === Legacy SSE: POST /messages?sessionId= ===
+    const handleSseMessage = async (req, res, client, url) => {
+        const session = sessions.get(url.searchParams.get('sessionId') || '');
+        if (!session || !session.sse) {
+            return sendJson(res, 404, server.buildError(null, -32000, 'Session not found'));
+        }
+        if (session.client !== client) {
+            return sendJson(res, 403, server.buildError(null, -32000, 'Session milik token lain'));
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(await readBody(req));
+        } catch (err) {
+            return sendJson(res, err.status || 400, server.buildError(null, -32700, err.status ? err.message : 'Parse error'));
+        }
+        session.lastSeen = Date.now();
+
+        // Ack dulu, response menyusul lewat stream SSE
+        res.writeHead(202);
+        res.end('Accepted');
+        const { responses, batch } = await processPayload(payload, session);
+        if (responses.length > 0 && session.sse) {
+            writeSseEvent(session.sse, 'message', batch ? responses : responses[0]);
+        }
+    };
+
+    const httpServer = createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        try {
+            if (url.pathname === '/health' && req.method === 'GET') {
+                return sendJson(res, 200, { ok: true, transport: 'http', sessions: sessions.size });
+            }
+            if (!originAllowed(req, allowedOrigins)) {
+                return sendJson(res, 403, { error: 'Origin not allowed' });
+            }
+            const client = authenticate(req, tokens);
+            if (!client) {
+                return sendJson(res, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+            }
+
+            if (url.pathname === '/mcp') {
+                if (req.method === 'POST') return await handleStreamablePost(req, res, client);
+                if (req.method === 'GET') return handleStreamableGet(req, res, client);
+                if (req.method === 'DELETE') {
+                    const session = sessions.get(req.headers['mcp-session-id'] || '');
+                    const owned = session && session.client === client;
+                    if (owned) {
+                        closeSession(session);
+                        if (session.sse) session.sse.end();
+                    }
+                    res.writeHead(owned ? 204 : 404);
+                    return res.end();
+                }
+                return sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'GET, POST, DELETE' });
+            }
+            if (url.pathname === '/sse' && req.method === 'GET') return handleSseOpen(req, res, client);
+            if (url.pathname === '/messages' && req.method === 'POST') return await handleSseMessage(req, res, client, url);
+
+            return sendJson(res, 404, { error: 'Not found' });
+        } catch (err) {
+            logger.error('HTTP transport error', { path: url.pathname, error: err.message });
+            if (!res.headersSent) sendJson(res, 500, server.buildError(null, -32603, `Internal error: ${err.message}`));
+            else res.end();
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, resolve);
+    });
+    logger.info('HTTP transport listening', { host, port, auth: tokens.length > 0 ? `${tokens.length} token(s)` : 'none', endpoints: ['/mcp', '/sse', '/messages', '/health'] });
+    return httpServer;
+}
+
+export default { startHttpTransport };
@@ -1,6 +1,9 @@
 /**
  * MCP Tools Registry v6.0 — File-based (.md runbooks)
- * Removed: feedback, maintain, reflect (not needed for file storage)
+ * v7.7: feedback, maintain, reflect kembali — di-port ke runbook model (storage/maintenance.js)
+ * v7.7: memory_conflicts — conflict queue klaim bertentangan + provenance
+ * v7.7: memory_vocabulary — synonym / noise tag / technique word per vault (runtime, tanpa restart)
+ * v7.7: memory_graph — shared entity / shortest path / k-hop neighborhood di knowledge graph (json, mermaid, dot)
  * @module mcp/index
  */
 import searchTool from './tools/memory.search.js';
@@ -11,9 +14,27 @@ import summarizeTool from './tools/memory.summarize.js';
 import statsTool from './tools/memory.stats.js';
 import listTool from './tools/memory.list.js';
 import autologTool from './tools/memory.autolog.js';
+import historyTool from './tools/memory.history.js';
+import restoreTool from './tools/memory.restore.js';
+import trashTool from './tools/memory.trash.js';
+import validateTool from './tools/memory.validate.js';
+import credentialTool from './tools/memory.credential.js';
+import encryptTool from './tools/memory.encrypt.js';
+import feedbackTool from './tools/memory.feedback.js';
+import maintainTool from './tools/memory.maintain.js';
+import reflectTool from './tools/memory.reflect.js';
+import conflictsTool from './tools/memory.conflicts.js';
+import vocabularyTool from './tools/memory.vocabulary.js';
+import graphTool from './tools/memory.graph.js';
+import { runInVault } from '../storage/vault.js';
 
 /**
- * All available tools (8 tools — v7.6 added memory_autolog for hook-driven capture)
+ * All available tools (20 tools — v7.6 added memory_autolog for hook-driven capture,
+ * v7.7 added memory_history/memory_restore for revision history, memory_trash for .deleted/,
+ * memory_validate for section schema, memory_credential for typed credential records,
+ * memory_encrypt for encryption at rest, memory_feedback/memory_maintain/memory_reflect re-enabled,
+ * memory_conflicts for the contradiction queue, memory_vocabulary for the search vocabulary,
+ * memory_graph for knowledge graph traversal)
  */
 export const tools = {
     'memory_search': searchTool,
@@ -23,7 +44,19 @@ export const tools = {
     'memory_summarize': summarizeTool,
     'memory_stats': statsTool,
     'memory_list': listTool,
-    'memory_autolog': autologTool
+    'memory_autolog': autologTool,
+    'memory_history': historyTool,
+    'memory_restore': restoreTool,
+    'memory_trash': trashTool,
+    'memory_validate': validateTool,
+    'memory_credential': credentialTool,
+    'memory_encrypt': encryptTool,
+    'memory_feedback': feedbackTool,
+    'memory_maintain': maintainTool,
+    'memory_reflect': reflectTool,
+    'memory_conflicts': conflictsTool,
+    'memory_vocabulary': vocabularyTool,
+    'memory_graph': graphTool
 };
 
 /**
@@ -36,6 +69,7 @@ export function getToolDefinitions() {
 
 /**
  * Execute a tool by name
+ * v7.7: Dijalankan di dalam vault context dari params.project_id (default: DEFAULT_PROJECT)
  * @param {string} name 
  * @param {object} params 
  * @returns {Promise<object>}
@@ -45,7 +79,7 @@ export async function executeTool(name, params) {
     if (!tool) {
         throw new Error(`Unknown tool: ${name}`);
     }
-    return tool.execute(params);
+    return runInVault(params?.project_id, () => tool.execute(params));
 }
 
 /**
@@ -0,0 +1,56 @@
+/**
+ * MCP Prompts v1.0 — briefing SessionStart sebagai prompt (prompts/list, prompts/get)
+ * Client tanpa hook Claude Code tetap bisa menarik state target aktif di awal sesi.
+ * @module mcp/prompts
+ */
+import { buildSessionBriefing } from '../storage/briefing.js';
+import { runInVault, getCurrentVault } from '../storage/vault.js';
+import { buildRunbookUri } from './resources.js';
+
+export const PROMPTS = [
+    {
+        name: 'session_briefing',
+        description: 'Briefing target aktif: LIVE STATUS + RE-ENTRY CHECKLIST + 10 entry _AUTO_LOG terakhir (sama dengan hook SessionStart)',
+        arguments: [
+            { name: 'target', description: 'Target/runbook (e.g. "example.com" atau RUNBOOK_example.com.md). Kosong = target aktif terakhir', required: false },
+            { name: 'project_id', description: 'Vault/project ID (default: DEFAULT_PROJECT)', required: false }
+        ]
+    }
+];
+
+export function listPrompts() {
+    return { prompts: PROMPTS };
+}
+
+/**
+ * prompts/get
+ * @returns {object|null} null = prompt tidak dikenal
+ */
+export function getPrompt(name, args = {}) {
+    if (name !== 'session_briefing') return null;
+
+    return runInVault(args.project_id, () => {
+        const briefing = buildSessionBriefing({ target: args.target, source: 'MCP prompt session_briefing' });
+        if (!briefing) {
+            return {
+                description: 'Tidak ada target aktif / runbook tidak ditemukan',
+                messages: [{
+                    role: 'user',
+                    content: { type: 'text', text: args.target
+                        ? `Runbook untuk target "${args.target}" tidak ditemukan di mcp-memori. Gunakan memory_search untuk mencari.`
+                        : 'Belum ada target aktif di mcp-memori. Gunakan memory_search / memory_list untuk memilih runbook.' }
+                }]
+            };
+        }
+
+        return {
+            description: `Session briefing: ${briefing.target}`,
+            messages: [{
+                role: 'user',
+                content: { type: 'text', text: `${briefing.context}\n> Resource: ${buildRunbookUri(briefing.id, getCurrentVault())}` }
+            }]
+        };
+    });
+}
+
+export default { PROMPTS, listPrompts, getPrompt };
@@ -0,0 +1,209 @@
+/**
+ * MCP Resources v1.0 — runbook sebagai resource: runbook://{id}[?vault={project_id}][#{section}]
+ * resources/list, resources/read, resources/templates/list, resources/subscribe/unsubscribe.
+ * Subscription memakai fs.watch per vault → juga menangkap write dari proses hook (bukan hanya server ini).
+ * @module mcp/resources
+ */
+import { existsSync, statSync, watch } from 'fs';
+import { join, resolve, dirname } from 'path';
+import { readRunbook, findSectionRange } from '../storage/files.js';
+import { getRunbooksDir, listRunbookFiles } from '../storage/paths.js';
+import { runInVault, normalizeVaultId } from '../storage/vault.js';
+import { confirmRead } from './tools/memory.forget.js';
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+
+export const RESOURCE_NOT_FOUND = -32002;
+
+const PAGE_SIZE = 100;
+const WATCH_DEBOUNCE_MS = 250;
+
+export const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: 'runbook://{id}',
+        name: 'Runbook',
+        description: 'Full runbook .md (decrypted). id = filename, e.g. RUNBOOK_target.com.md',
+        mimeType: 'text/markdown'
+    },
+    {
+        uriTemplate: 'runbook://{id}#{section}',
+        name: 'Runbook section',
+        description: 'Satu section ## (e.g. #CREDENTIAL, #LIVE%20STATUS)',
+        mimeType: 'text/markdown'
+    },
+    {
+        uriTemplate: 'runbook://{id}?vault={project_id}',
+        name: 'Runbook di vault lain',
+        description: 'Runbook dari vault/project_id tertentu (bisa digabung dengan #section)',
+        mimeType: 'text/markdown'
+    }
+];
+
+// id = filename di runbooks dir — separator / `..` (juga dalam bentuk %2F) = path traversal
+const UNSAFE_ID = /[\/\\\0]|\.\./;
+
+/**
+ * Parse runbook URI → { id, vault, section } (null = bukan runbook:// atau id tidak valid)
+ */
+export function parseRunbookUri(uri) {
+    const match = /^runbook:\/\/([^?#]+)(?:\?([^#]*))?(?:#(.*))?$/.exec(uri || '');
+    if (!match) return null;
+    let id, section;
+    try {
+        id = decodeURIComponent(match[1]).replace(/\/+$/, '');
+        section = match[3] ? decodeURIComponent(match[3]) : null;
+    } catch { return null; } // %-encoding rusak
+    if (!id || UNSAFE_ID.test(id)) return null;
+    const query = new URLSearchParams(match[2] || '');
+    return {
+        id: id.endsWith('.md') ? id : id + '.md',
+        vault: normalizeVaultId(query.get('vault') || ''),
+        section
+    };
+}
+
+export function buildRunbookUri(id, vault = config.defaultProject, section = null) {
+    let uri = `runbook://${encodeURIComponent(id)}`;
+    if (vault !== config.defaultProject) uri += `?vault=${encodeURIComponent(vault)}`;
+    if (section) uri += `#${encodeURIComponent(section)}`;
+    return uri;
+}
+
+/**
+ * resources/list — runbook di vault default (cursor = offset)
+ */
+export function listResources(params = {}) {
+    const offset = parseInt(params.cursor || '0', 10) || 0;
+    const dir = getRunbooksDir(config.defaultProject);
+    const files = listRunbookFiles(config.defaultProject).sort();
+    const page = files.slice(offset, offset + PAGE_SIZE);
+
+    const resources = page.map(file => {
+        let size;
+        try { size = statSync(join(dir, file)).size; } catch {}
+        return {
+            uri: buildRunbookUri(file),
+            name: file.replace(/\.md$/, ''),
+            mimeType: 'text/markdown',
+            size
+        };
+    });
+    const result = { resources };
+    if (offset + PAGE_SIZE < files.length) result.nextCursor = String(offset + PAGE_SIZE);
+    return result;
+}
+
+/**
+ * resources/read — full runbook atau 1 section. Read tercatat seperti memory_get (hard-block).
+ * @returns {{ contents: Array }|null} null = tidak ditemukan
+ */
+export function readResource(uri) {
+    const parsed = parseRunbookUri(uri);
+    if (!parsed) return null;
+
+    return runInVault(parsed.vault, () => {
+        const dir = resolve(getRunbooksDir());
+        const filepath = resolve(dir, parsed.id);
+        if (dirname(filepath) !== dir || !existsSync(filepath)) return null;
+        const item = readRunbook(parsed.id);
+        if (!item) return null;
+
+        let text = item.content;
+        if (parsed.section) {
+            const range = findSectionRange(item.content, parsed.section);
+            if (!range) return null;
+            text = item.content.substring(range.start, range.end).trim() + '\n';
+            confirmRead(item.id, 'section', text.length);
+        } else {
+            confirmRead(item.id, 'full', text.length);
+        }
+
+        return { contents: [{ uri, mimeType: 'text/markdown', text }] };
+    });
+}
+
+// === SUBSCRIPTIONS ===
+// uri → Set<session>, vault → { watcher, timers }
+const subscriptions = new Map();
+const watchers = new Map();
+
+function ensureWatcher(vault) {
+    if (watchers.has(vault)) return;
+    const dir = getRunbooksDir(vault);
+    const timers = new Map();
+    try {
+        const watcher = watch(dir, (eventType, filename) => {
+            if (!filename || !filename.endsWith('.md')) return;
+            clearTimeout(timers.get(filename));
+            timers.set(filename, setTimeout(() => {
+                timers.delete(filename);
+                notifyUpdated(vault, filename);
+            }, WATCH_DEBOUNCE_MS));
+        });
+        watcher.on('error', (err) => logger.warn('Resource watcher error (non-fatal)', { vault, error: err.message }));
+        watcher.unref();
+        watchers.set(vault, { watcher, timers });
+    } catch (err) {
+        logger.warn('Resource watcher failed (subscription tanpa notifikasi)', { vault, error: err.message });
+    }
+}
+
+function releaseWatcherIfUnused(vault) {
+    for (const uri of subscriptions.keys()) {
+        if (parseRunbookUri(uri).vault === vault) return;
+    }
+    const entry = watchers.get(vault);
+    if (!entry) return;
+    entry.watcher.close();
+    for (const timer of entry.timers.values()) clearTimeout(timer);
+    watchers.delete(vault);
+}
+
+function notifyUpdated(vault, filename) {
+    for (const [uri, sessions] of subscriptions) {
+        const parsed = parseRunbookUri(uri);
+        if (parsed.vault !== vault || parsed.id !== filename) continue;
+        for (const session of sessions) {
+            try {
+                session.notify?.({ jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri } });
+            } catch (err) {
+                logger.warn('Resource notify failed', { uri, session: session.id, error: err.message });
+            }
+        }
+    }
+}
+
+/**
+ * resources/subscribe — notifikasi notifications/resources/updated saat file runbook berubah
+ * @returns {boolean} false = URI tidak valid
+ */
+export function subscribe(uri, session) {
+    const parsed = parseRunbookUri(uri);
+    if (!parsed) return false;
+    if (!subscriptions.has(uri)) subscriptions.set(uri, new Set());
+    subscriptions.get(uri).add(session);
+    ensureWatcher(parsed.vault);
+    return true;
+}
+
+export function unsubscribe(uri, session) {
+    const sessions = subscriptions.get(uri);
+    if (!sessions) return;
+    sessions.delete(session);
+    if (sessions.size === 0) {
+        subscriptions.delete(uri);
+        releaseWatcherIfUnused(parseRunbookUri(uri).vault);
+    }
+}
+
+/**
+ * Hapus semua subscription milik session (session HTTP ditutup / expired)
+ */
+export function dropSession(session) {
+    for (const uri of [...subscriptions.keys()]) unsubscribe(uri, session);
+}
+
+export default {
+    RESOURCE_NOT_FOUND, RESOURCE_TEMPLATES, parseRunbookUri, buildRunbookUri,
+    listResources, readResource, subscribe, unsubscribe, dropSession
+};
@@ -18,8 +18,9 @@
  */
 import { readFileSync, existsSync, writeFileSync, renameSync, copyFileSync, appendFileSync, mkdirSync } from 'fs';
 import { join } from 'path';
+import { getArchiveDir } from '../../storage/paths.js';
 import {
-    RUNBOOKS_DIR,
+    getRunbooksDir,
     titleToFilename,
     findByTitle,
     findByFuzzyTitle,
@@ -29,7 +30,8 @@ import {
     findSectionEnd,
     filterNoiseTags,
     acquireLock,
-    releaseLock
+    releaseLock,
+    sealRunbookContent
 } from '../../storage/files.js';
 import { invalidateGetCache } from './memory.get.js';
 import { updateIndexEntry } from '../../storage/searchIndex.js';
@@ -48,6 +50,7 @@ export const definition = {
     inputSchema: {
         type: 'object',
         properties: {
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT). Tiap project_id = vault terisolasi' },
             target: {
                 type: 'string',
                 description: 'Target runbook title (e.g. "[RUNBOOK] example.com") or bare target name. If omitted or not found, logs to _AUTO_LOG_UNIFIED.'
@@ -78,7 +81,7 @@ function resolveTargetRunbook(target) {
 
     const title = target.startsWith('[') ? target : `[RUNBOOK] ${target}`;
     const filename = titleToFilename(title);
-    let filepath = join(RUNBOOKS_DIR, filename);
+    let filepath = join(getRunbooksDir(), filename);
     if (existsSync(filepath)) return filepath;
 
     const byTitle = findByTitle(title);
@@ -95,7 +98,7 @@ function resolveTargetRunbook(target) {
  */
 function ensureFallbackRunbook() {
     const filename = titleToFilename(FALLBACK_RUNBOOK_TITLE);
-    const filepath = join(RUNBOOKS_DIR, filename);
+    const filepath = join(getRunbooksDir(), filename);
     if (existsSync(filepath)) return filepath;
 
     const now = new Date().toISOString();
@@ -118,14 +121,13 @@ function ensureFallbackRunbook() {
  * Extract _AUTO_LOG section, rotate if too large.
  * Returns { preserved: string (all sections except _AUTO_LOG), autolog: string, rotated: boolean }
  */
-const ARCHIVE_DIR = join(RUNBOOKS_DIR, '..', 'archives');
-
 function archiveOldEntries(runbookFilename, oldEntries) {
     try {
-        mkdirSync(ARCHIVE_DIR, { recursive: true });
+        const archiveDir = getArchiveDir();
+        mkdirSync(archiveDir, { recursive: true });
         const date = new Date().toISOString().split('T')[0];
         const baseName = runbookFilename.replace(/\.md$/, '');
-        const archivePath = join(ARCHIVE_DIR, `${baseName}_autolog_${date}.log`);
+        const archivePath = join(archiveDir, `${baseName}_autolog_${date}.log`);
         appendFileSync(archivePath, oldEntries, 'utf8');
         logger.info('AUTOLOG: Archived old entries', { path: archivePath, chars: oldEntries.length });
     } catch (err) {
@@ -154,7 +156,7 @@ function splitAndRotate(body, runbookFilename) {
         if (oldEntries.length > 0 && runbookFilename) {
             archiveOldEntries(runbookFilename, oldEntries);
         }
-        const rotationMarker = `[${new Date().toISOString().split('T')[0]}] _AUTO_LOG rotated, older entries archived to ${ARCHIVE_DIR}\n`;
+        const rotationMarker = `[${new Date().toISOString().split('T')[0]}] _AUTO_LOG rotated, older entries archived to ${getArchiveDir()}\n`;
         autolog = header + rotationMarker + trimmedKeep;
         rotated = true;
         logger.info('AUTOLOG: Rotated section to keep size under limit', { newSize: autolog.length, archived: oldEntries.length });
@@ -326,7 +328,8 @@ export async function execute(params) {
         if (existsSync(filepath)) {
             try { copyFileSync(filepath, bakPath); } catch {}
         }
-        writeFileSync(tmpPath, finalContent, 'utf8');
+        // v7.7: Inline write bypass atomicWriteFileSync → seal manual (runbook `encrypt: true` / section target)
+        writeFileSync(tmpPath, sealRunbookContent(finalContent), 'utf8');
         renameSync(tmpPath, filepath);
 
         // 10. Invalidate cache + update FTS index (non-critical, wrap in try)
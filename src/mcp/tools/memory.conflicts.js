@@ -0,0 +1,81 @@
+/**
+ * memory.conflicts v1.0 — Conflict queue klaim yang saling bertentangan di runbook
+ * (credential ALIVE vs DEAD, port open vs filtered), dideteksi saat memory_upsert append.
+ * Setiap sisi membawa provenance entry (client/model/session) → cross_model jika penulisnya beda.
+ * list: antrian (default pending), resolve / ignore: tutup conflict (keep a|b|both + notes).
+ * Resolve tidak mengubah runbook — perbaiki klaim yang salah via memory_upsert replace_text / memory_credential.
+ * @module mcp/tools/memory.conflicts
+ */
+import { getConflicts, resolveConflict, getCrossModelSummary, CONFLICT_STATUSES } from '../../governance/crossModel.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../../utils/logger.js';
+
+export const definition = {
+    name: 'memory_conflicts',
+    description: 'Conflict queue: klaim bertentangan di runbook (credential ALIVE vs DEAD, port open vs filtered) lengkap dengan provenance client/model/session kedua sisi. action: list | resolve | ignore.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['list', 'resolve', 'ignore'], description: 'Operasi (default: list)' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT)' },
+            status: { type: 'string', enum: [...CONFLICT_STATUSES, 'all'], description: 'List: filter status (default: pending)' },
+            runbook_id: { type: 'string', description: 'List: hanya conflict di runbook ini' },
+            conflict_id: { type: 'string', description: 'Resolve/ignore: id conflict (dari list)' },
+            keep: { type: 'string', enum: ['a', 'b', 'both'], description: 'Resolve: klaim yang benar (a = lama, b = baru, both = dua-duanya valid)' },
+            notes: { type: 'string', description: 'Resolve/ignore: catatan resolusi' },
+            limit: { type: 'number', description: 'Max conflict di list (default: 50)' }
+        }
+    }
+};
+
+export async function execute(params) {
+    const traceId = uuidv4();
+    const { action = 'list', status = 'pending', runbook_id: runbookId, limit = 50 } = params || {};
+
+    try {
+        // === LIST ===
+        if (action === 'list') {
+            const conflicts = getConflicts({ status, runbookId });
+            return {
+                ok: true,
+                total: conflicts.length,
+                conflicts: conflicts.slice(0, Math.min(limit, 500)),
+                summary: getCrossModelSummary(),
+                meta: { trace_id: traceId }
+            };
+        }
+
+        if (action !== 'resolve' && action !== 'ignore') {
+            return { ok: false, error: `Unknown action: ${action}. Gunakan list | resolve | ignore.`, meta: { trace_id: traceId } };
+        }
+        if (!params.conflict_id) {
+            return { ok: false, meta: { trace_id: traceId, error: 'conflict_id required' } };
+        }
+
+        // === RESOLVE / IGNORE ===
+        const conflict = resolveConflict(params.conflict_id, {
+            resolution: action === 'ignore' ? 'ignored' : 'resolved',
+            keep: action === 'resolve' ? params.keep || null : null,
+            notes: params.notes || ''
+        });
+        if (!conflict) {
+            return { ok: false, error: `Conflict tidak ditemukan: ${params.conflict_id}. Cek memory_conflicts({action:"list"}).`, meta: { trace_id: traceId } };
+        }
+
+        const stale = conflict.resolution === 'a' ? conflict.claim_b : conflict.resolution === 'b' ? conflict.claim_a : null;
+        return {
+            ok: true,
+            action,
+            conflict,
+            hint: stale
+                ? `Klaim "${conflict.subject} ${stale.value}" di ${conflict.runbook_id} sudah tidak berlaku — update runbook via memory_upsert replace_text${conflict.kind === 'credential_status' ? ' / memory_credential({action:"status"})' : ''}.`
+                : undefined,
+            meta: { trace_id: traceId }
+        };
+    } catch (err) {
+        logger.error('memory_conflicts error', { error: err.message, trace_id: traceId });
+        throw err;
+    }
+}
+
+export default { definition, execute };
@@ -0,0 +1,175 @@
+/**
+ * memory.credential v1.0 — Credential record terstruktur + liveness (ALIVE/DEAD/UNKNOWN)
+ * Record disimpan di runbooks/.credentials/<id>.json, di-index ke tabel credentials,
+ * dan di-render ke blok managed di ## CREDENTIAL (lihat storage/credentials.js).
+ * Blok managed = milik tool ini (seperti _AUTO_LOG) → render tidak butuh memory_get dulu.
+ * @module mcp/tools/memory.credential
+ */
+import {
+    CREDENTIAL_STATUSES, setCredential, setCredentialStatus, removeCredential,
+    findCredentialRunbook, queryCredentials, loadCredentials, renderCredentialsToRunbook
+} from '../../storage/credentials.js';
+import { getRunbooksDir } from '../../storage/files.js';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { invalidateGetCache } from './memory.get.js';
+import { updateIndexEntry } from '../../storage/searchIndex.js';
+import { updateVectorEntry } from '../../storage/vectorIndex.js';
+import { updateGraphEntry } from '../../storage/graphIndex.js';
+import logger from '../../utils/logger.js';
+
+export const definition = {
+    name: 'memory_credential',
+    description: 'Credential terstruktur per runbook (service, host, username, secret_ref, status ALIVE/DEAD/UNKNOWN, last_verified). action: set | status | query | list | render | delete. Status otomatis di-render ke blok tabel di ## CREDENTIAL — satu sumber status ALIVE/DEAD.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['set', 'status', 'query', 'list', 'render', 'delete'], description: 'Operasi (default: query)' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT)' },
+            id: { type: 'string', description: 'Runbook filename (wajib untuk set/list/render)' },
+            cred_id: { type: 'string', description: 'Credential ID (dari set/query) untuk status/delete' },
+            service: { type: 'string', description: 'Service (ssh, postgresql, rdp, panel, ...)' },
+            host: { type: 'string', description: 'Host/IP[:port]. Di query = substring match' },
+            username: { type: 'string', description: 'Username' },
+            secret_ref: { type: 'string', description: 'Referensi secret (e.g. "env:DB_PASS", "lihat ## CREDENTIAL [2026-04-10]")' },
+            status: { type: 'string', enum: CREDENTIAL_STATUSES, description: 'ALIVE | DEAD | UNKNOWN' },
+            verified_at: { type: 'string', description: 'ISO timestamp verifikasi (default: sekarang)' },
+            notes: { type: 'string', description: 'Catatan singkat (e.g. "password changed", "sudo NOPASSWD")' },
+            render: { type: 'boolean', description: 'Render ulang blok ## CREDENTIAL setelah set/status/delete (default: true)' }
+        }
+    }
+};
+
+function toFilename(id) {
+    return id.endsWith('.md') ? id : id + '.md';
+}
+
+/**
+ * Render blok ## CREDENTIAL + sync cache/index runbook
+ */
+function renderAndReindex(filename) {
+    const rendered = renderCredentialsToRunbook(filename);
+    if (rendered.ok && rendered.changed) {
+        invalidateGetCache(filename);
+        try { updateIndexEntry(filename); } catch {}
+        updateVectorEntry(filename).catch(() => {});
+        try { updateGraphEntry(filename); } catch {}
+    }
+    return rendered;
+}
+
+function publicRecord(record) {
+    const { history, ...rest } = record;
+    return { ...rest, status_changes: (history || []).length };
+}
+
+export async function execute(params) {
+    const traceId = uuidv4();
+    const { action = 'query', render = true } = params;
+
+    try {
+        // === QUERY: lintas runbook di vault ===
+        if (action === 'query') {
+            const rows = queryCredentials({
+                host: params.host,
+                service: params.service,
+                username: params.username,
+                status: params.status,
+                runbook_id: params.id
+            });
+            return { ok: true, total: rows.length, credentials: rows, meta: { trace_id: traceId } };
+        }
+
+        // === SET / LIST / RENDER: butuh runbook id ===
+        if (action === 'set' || action === 'list' || action === 'render') {
+            if (!params.id) {
+                return { ok: false, meta: { trace_id: traceId, error: 'id required' } };
+            }
+            const filename = toFilename(params.id);
+            if (!existsSync(join(getRunbooksDir(), filename))) {
+                return { ok: false, meta: { trace_id: traceId, error: `Runbook not found: ${filename}` } };
+            }
+
+            if (action === 'list') {
+                return { ok: true, id: filename, credentials: loadCredentials(filename), meta: { trace_id: traceId } };
+            }
+            if (action === 'render') {
+                const rendered = renderAndReindex(filename);
+                return { ok: rendered.ok, id: filename, changed: rendered.changed, version: rendered.version, error: rendered.error, meta: { trace_id: traceId } };
+            }
+
+            if (!params.service || !params.host || !params.username) {
+                return { ok: false, meta: { trace_id: traceId, error: 'service, host dan username required untuk set' } };
+            }
+            if (params.status && !CREDENTIAL_STATUSES.includes(params.status)) {
+                return { ok: false, meta: { trace_id: traceId, error: `status harus salah satu: ${CREDENTIAL_STATUSES.join(', ')}` } };
+            }
+            const { credential, created } = setCredential(filename, {
+                service: params.service,
+                host: params.host,
+                username: params.username,
+                secret_ref: params.secret_ref,
+                status: params.status,
+                notes: params.notes,
+                verified_at: params.verified_at
+            });
+            const rendered = render ? renderAndReindex(filename) : null;
+            logger.info('CREDENTIAL SET', { id: filename, cred_id: credential.cred_id, status: credential.status, created });
+
+            return {
+                ok: true,
+                action: created ? 'created' : 'updated',
+                id: filename,
+                credential: publicRecord(credential),
+                rendered: rendered ? rendered.changed : false,
+                meta: { trace_id: traceId }
+            };
+        }
+
+        // === STATUS / DELETE: by cred_id (runbook dicari otomatis jika id kosong) ===
+        if (action === 'status' || action === 'delete') {
+            if (!params.cred_id) {
+                return { ok: false, meta: { trace_id: traceId, error: 'cred_id required' } };
+            }
+            const filename = params.id ? toFilename(params.id) : findCredentialRunbook(params.cred_id);
+            if (!filename) {
+                return { ok: false, meta: { trace_id: traceId, error: `Credential tidak ditemukan: ${params.cred_id}` } };
+            }
+
+            if (action === 'delete') {
+                const removed = removeCredential(filename, params.cred_id);
+                if (removed && render) renderAndReindex(filename);
+                return { ok: removed, action: 'deleted', id: filename, cred_id: params.cred_id, meta: { trace_id: traceId } };
+            }
+
+            if (!CREDENTIAL_STATUSES.includes(params.status)) {
+                return { ok: false, meta: { trace_id: traceId, error: `status harus salah satu: ${CREDENTIAL_STATUSES.join(', ')}` } };
+            }
+            const previous = loadCredentials(filename).find(c => c.cred_id === params.cred_id);
+            const record = setCredentialStatus(filename, params.cred_id, params.status, { verifiedAt: params.verified_at, note: params.notes });
+            if (!record) {
+                return { ok: false, meta: { trace_id: traceId, error: `Credential ${params.cred_id} tidak ada di ${filename}` } };
+            }
+            const rendered = render ? renderAndReindex(filename) : null;
+            logger.info('CREDENTIAL STATUS', { id: filename, cred_id: record.cred_id, from: previous ? previous.status : null, to: record.status });
+
+            return {
+                ok: true,
+                action: 'status_updated',
+                id: filename,
+                previous_status: previous ? previous.status : null,
+                credential: publicRecord(record),
+                rendered: rendered ? rendered.changed : false,
+                meta: { trace_id: traceId }
+            };
+        }
+
+        return { ok: false, error: `Unknown action: ${action}. Gunakan set | status | query | list | render | delete.`, meta: { trace_id: traceId } };
+    } catch (err) {
+        logger.error('memory_credential error', { error: err.message, trace_id: traceId });
+        throw err;
+    }
+}
+
+export default { definition, execute };
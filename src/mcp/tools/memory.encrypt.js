@@ -0,0 +1,187 @@
+/**
+ * memory.encrypt v1.0 — Status & migrasi encryption at rest (lihat storage/encryption.js)
+ * Write baru otomatis di-seal oleh atomicWriteFileSync. Tool ini untuk data yang SUDAH ada:
+ * runbook, .bak, snapshot .history/, tombstone dan entry .deleted/ yang masih plaintext.
+ * @module mcp/tools/memory.encrypt
+ */
+import {
+    getRunbooksDir, listRunbookFiles, parseFrontmatter, buildFrontmatter, atomicWriteFileSync, sealRunbookContent, isMajorSection
+} from '../../storage/files.js';
+import { getKeySource, inspectBody, hasEncryptedBlocks } from '../../storage/encryption.js';
+import { rewriteSnapshots } from '../../storage/history.js';
+import { sealTombstones } from '../../storage/tombstones.js';
+import { listTrash, rewriteTrashEntry } from '../../storage/trash.js';
+import { existsSync, readFileSync, copyFileSync } from 'fs';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../../utils/config.js';
+import { invalidateGetCache } from './memory.get.js';
+import { updateIndexEntry } from '../../storage/searchIndex.js';
+import { updateVectorEntry } from '../../storage/vectorIndex.js';
+import { updateGraphEntry } from '../../storage/graphIndex.js';
+import logger from '../../utils/logger.js';
+
+export const definition = {
+    name: 'memory_encrypt',
+    description: 'Encryption at rest (AES-256-GCM, key dari MCP_MEMORI_PASSPHRASE / keyfile). action: status | encrypt | decrypt. Section di ENCRYPT_SECTIONS (e.g. CREDENTIAL) dan runbook `encrypt: true` disimpan terenkripsi; memory_get decrypt transparan, index hanya berisi [ENCRYPTED]. encrypt = migrasi data lama (file, .bak, .history, tombstone, trash). whole:true = enkripsi seluruh body runbook.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['status', 'encrypt', 'decrypt'], description: 'Operasi (default: status)' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT)' },
+            id: { type: 'string', description: 'Runbook filename. Kosong = semua runbook di vault (status/encrypt)' },
+            whole: { type: 'boolean', description: 'encrypt: set `encrypt: true` → seluruh body dienkripsi (wajib id)' },
+            limit: { type: 'number', description: 'Max runbook di response status (default: 50)' }
+        }
+    }
+};
+
+function toFilename(id) {
+    return id.endsWith('.md') ? id : id + '.md';
+}
+
+function inspectFile(filename) {
+    const raw = readFileSync(join(getRunbooksDir(), filename), 'utf8');
+    const { meta, body } = parseFrontmatter(raw, { decrypt: false });
+    return { id: filename, ...inspectBody(body, { whole: meta.encrypt === true, title: meta.title || '', isMajor: isMajorSection }) };
+}
+
+function reindex(filename) {
+    invalidateGetCache(filename);
+    try { updateIndexEntry(filename); } catch {}
+    updateVectorEntry(filename).catch(() => {});
+    try { updateGraphEntry(filename); } catch {}
+}
+
+/**
+ * Tulis ulang runbook dengan policy encryption saat ini + seal semua salinan sampingannya
+ * @param {string} filename
+ * @param {boolean|undefined} whole - true = set flag, false = hapus flag, undefined = tidak diubah
+ */
+function rewriteRunbook(filename, whole) {
+    const filepath = join(getRunbooksDir(), filename);
+    const raw = readFileSync(filepath, 'utf8');
+    const { meta: rawMeta, body: rawBody } = parseFrontmatter(raw, { decrypt: false });
+    const wasWhole = rawMeta.encrypt === true;
+    const nextWhole = whole === undefined ? wasWhole : whole;
+    const pending = inspectBody(rawBody, { whole: nextWhole, title: rawMeta.title || '', isMajor: isMajorSection }).pending_sections;
+
+    // Tulis ulang hanya jika flag berubah atau masih ada plaintext target (blob lama tidak di-encrypt ulang)
+    const changed = nextWhole !== wasWhole || pending.length > 0;
+    const { meta, body } = parseFrontmatter(raw);
+    if (changed) {
+        if (hasEncryptedBlocks(body)) {
+            throw new Error(`${filename}: ada blob yang tidak bisa di-decrypt dengan key saat ini`);
+        }
+        if (nextWhole) meta.encrypt = true;
+        else delete meta.encrypt;
+        atomicWriteFileSync(filepath, buildFrontmatter(meta) + body.trim() + '\n', 'utf8', { historyNote: whole === false ? 'decrypt runbook' : 'encrypt at rest' });
+    }
+
+    // .bak berisi versi sebelum write ini (bisa plaintext) → ganti dengan versi ter-seal
+    const bakPath = filepath + '.bak';
+    if (existsSync(bakPath)) copyFileSync(filepath, bakPath);
+
+    const snapshots = whole === false ? 0 : rewriteSnapshots(filename, (content) => sealRunbookContent(content, { whole: nextWhole || undefined }));
+    const tombstones = whole === false ? 0 : sealTombstones(filename, meta);
+    if (changed) reindex(filename);
+
+    return { id: filename, changed, snapshots_sealed: snapshots, tombstones_sealed: tombstones, ...inspectFile(filename) };
+}
+
+export async function execute(params) {
+    const traceId = uuidv4();
+    const { action = 'status', id, whole, limit = 50 } = params;
+    const keySource = getKeySource();
+
+    try {
+        const files = id ? [toFilename(id)] : listRunbookFiles();
+        if (id && !existsSync(join(getRunbooksDir(), files[0]))) {
+            return { ok: false, meta: { trace_id: traceId, error: `Runbook not found: ${files[0]}` } };
+        }
+
+        // === STATUS (read-only) ===
+        if (action === 'status') {
+            const runbooks = [];
+            let pending = 0;
+            for (const file of files) {
+                try {
+                    const info = inspectFile(file);
+                    if (info.pending_sections.length > 0) pending++;
+                    if (id || info.blobs > 0 || info.pending_sections.length > 0) runbooks.push(info);
+                } catch (err) {
+                    logger.warn('memory_encrypt: skip unreadable runbook', { file, error: err.message });
+                }
+            }
+            return {
+                ok: true,
+                key_source: keySource,
+                sections: config.encryption.sections,
+                checked: files.length,
+                pending,
+                runbooks: runbooks.slice(0, Math.min(limit, 500)),
+                hint: pending > 0 ? 'Ada section target yang masih plaintext — jalankan action:"encrypt" untuk migrasi.' : undefined,
+                meta: { trace_id: traceId }
+            };
+        }
+
+        if (action !== 'encrypt' && action !== 'decrypt') {
+            return { ok: false, error: `Unknown action: ${action}. Gunakan status | encrypt | decrypt.`, meta: { trace_id: traceId } };
+        }
+        if (!keySource) {
+            return { ok: false, meta: { trace_id: traceId, error: 'Encryption key tidak tersedia — set MCP_MEMORI_PASSPHRASE atau MCP_MEMORI_KEYFILE (encryption.keyfile)' } };
+        }
+
+        // === DECRYPT: hapus flag whole-runbook (section di ENCRYPT_SECTIONS tetap terenkripsi) ===
+        if (action === 'decrypt') {
+            if (!id) return { ok: false, meta: { trace_id: traceId, error: 'id required untuk decrypt' } };
+            const result = rewriteRunbook(files[0], false);
+            logger.info('ENCRYPT: whole-runbook flag removed', { id: files[0] });
+            return { ok: true, action: 'decrypted', ...result, meta: { trace_id: traceId } };
+        }
+
+        // === ENCRYPT: 1 runbook atau seluruh vault ===
+        if (whole && !id) {
+            return { ok: false, meta: { trace_id: traceId, error: 'whole:true wajib dengan id' } };
+        }
+        const results = [];
+        const failed = [];
+        for (const file of files) {
+            try {
+                const result = rewriteRunbook(file, whole ? true : undefined);
+                if (result.changed || result.snapshots_sealed || result.tombstones_sealed) results.push(result);
+            } catch (err) {
+                failed.push({ id: file, error: err.message });
+            }
+        }
+
+        // Entry .deleted/ juga bagian dari backup — seal dengan policy section saat ini
+        let trashSealed = 0;
+        if (!id) {
+            for (const item of listTrash()) {
+                try {
+                    if (rewriteTrashEntry(item.entry, (content) => sealRunbookContent(content))) trashSealed++;
+                } catch (err) {
+                    failed.push({ id: item.entry, error: err.message });
+                }
+            }
+        }
+
+        logger.info('ENCRYPT: migration done', { runbooks: results.length, trash: trashSealed, failed: failed.length });
+        return {
+            ok: failed.length === 0,
+            action: 'encrypted',
+            key_source: keySource,
+            updated: results.length,
+            trash_sealed: trashSealed,
+            runbooks: results.slice(0, Math.min(limit, 500)),
+            failed,
+            meta: { trace_id: traceId }
+        };
+    } catch (err) {
+        logger.error('memory_encrypt error', { error: err.message, trace_id: traceId });
+        throw err;
+    }
+}
+
+export default { definition, execute };
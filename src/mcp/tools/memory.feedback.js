@@ -1,10 +1,13 @@
 /**
  * memory.feedback v6.0 — File-based Runbook Feedback
  * Updates frontmatter metadata in .md file
+ * v7.7: Ditulis via atomicWriteFileSync (lock + .bak + history), index verified/confidence ikut di-update
  * @module mcp/tools/memory.feedback
  */
-import { readRunbook, RUNBOOKS_DIR, parseFrontmatter, buildFrontmatter } from '../../storage/files.js';
-import { readFileSync, writeFileSync } from 'fs';
+import { getRunbooksDir, parseFrontmatter, buildFrontmatter, atomicWriteFileSync } from '../../storage/files.js';
+import { updateIndexEntry } from '../../storage/searchIndex.js';
+import { invalidateGetCache } from './memory.get.js';
+import { readFileSync } from 'fs';
 import { join } from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../utils/logger.js';
@@ -16,6 +19,7 @@ export const definition = {
         type: 'object',
         properties: {
             id: { type: 'string', description: 'Runbook filename' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT)' },
             label: { type: 'string', enum: ['useful', 'not_relevant', 'wrong'], description: 'Feedback label' },
             notes: { type: 'string', description: 'Additional notes' }
         },
@@ -28,13 +32,14 @@ export async function execute(params) {
     const { id, label, notes = '' } = params;
 
     try {
-        const filepath = join(RUNBOOKS_DIR, id);
+        const filepath = join(getRunbooksDir(), id);
         let raw;
         try { raw = readFileSync(filepath, 'utf8'); } catch {
             return { ok: false, meta: { trace_id: traceId, error: 'Runbook not found' } };
         }
 
-        const { meta, body } = parseFrontmatter(raw);
+        // v7.7: Body tidak di-decrypt — hanya frontmatter yang berubah, blob terenkripsi ditulis balik apa adanya
+        const { meta, body } = parseFrontmatter(raw, { decrypt: false });
         const now = new Date().toISOString();
 
         // Update metadata based on feedback
@@ -50,7 +55,9 @@ export async function execute(params) {
         meta.last_feedback = `${label}: ${notes} (${now})`;
 
         const newFile = buildFrontmatter(meta) + body;
-        writeFileSync(filepath, newFile, 'utf8');
+        atomicWriteFileSync(filepath, newFile, 'utf8', { historyNote: `feedback: ${label}` });
+        invalidateGetCache(id);
+        updateIndexEntry(id);
 
         return {
             ok: true,
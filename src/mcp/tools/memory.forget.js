@@ -1,20 +1,30 @@
 /**
  * memory.forget v6.2 — WAJIB baca runbook utuh dulu sebelum hapus
  * Menolak penghapusan jika belum membaca full content via memory_get
+ * v7.7: Partial delete mencatat tombstone (storage/tombstones.js) → bisa di-undo
+ * v7.7: remove_entry — hapus 1 entry via anchor stabil (storage/entries.js)
  * @module mcp/tools/memory.forget
  */
-import { deleteRunbook, RUNBOOKS_DIR, parseFrontmatter, buildFrontmatter, atomicWriteFileSync, findSectionEnd, isMajorSection } from '../../storage/files.js';
+import { deleteRunbook, getRunbooksDir, parseFrontmatter, buildFrontmatter, atomicWriteFileSync, findSectionEnd, findSectionBlockStart, isMajorSection } from '../../storage/files.js';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { join } from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { invalidateGetCache } from './memory.get.js';
 import { removeIndexEntry, updateIndexEntry } from '../../storage/searchIndex.js';
+import { getCurrentVault } from '../../storage/vault.js';
+import { recordTombstone, listTombstones, applyUndo, markUndone } from '../../storage/tombstones.js';
+import { findEntry } from '../../storage/entries.js';
 import logger from '../../utils/logger.js';
 
 // Track runbook yang sudah dibaca via memory_get
 // readMode: 'full' | 'section' | 'sections_list'
+// v7.7: key = vault:id — baca di vault A tidak membuka write di vault B
 const readConfirmations = new Map();
 
+function readKey(id) {
+    return `${getCurrentVault()}:${id}`;
+}
+
 /**
  * Catat bahwa runbook sudah dibaca (dipanggil dari memory_get)
  * @param {string} id - Runbook filename
@@ -22,7 +32,7 @@ const readConfirmations = new Map();
  * @param {number} charsRead - Jumlah karakter yang dibaca
  */
 export function confirmRead(id, mode = 'full', charsRead = 0) {
-    const existing = readConfirmations.get(id);
+    const existing = readConfirmations.get(readKey(id));
     const now = Date.now();
 
     if (readConfirmations.size > 100) {
@@ -39,7 +49,7 @@ export function confirmRead(id, mode = 'full', charsRead = 0) {
         return;
     }
 
-    readConfirmations.set(id, {
+    readConfirmations.set(readKey(id), {
         timestamp: now,
         mode,
         charsRead,
@@ -49,7 +59,7 @@ export function confirmRead(id, mode = 'full', charsRead = 0) {
 
     // Upgrade: sections_list + section read = partial understanding
     if (existing && mode === 'section') {
-        const entry = readConfirmations.get(id);
+        const entry = readConfirmations.get(readKey(id));
         entry.sectionsRead = (entry.sectionsRead || 0) + 1;
     }
 }
@@ -59,7 +69,7 @@ export function confirmRead(id, mode = 'full', charsRead = 0) {
  * Requirement: FULL read ATAU (sections_list + minimal 1 section content read)
  */
 export function hasBeenRead(id) {
-    const entry = readConfirmations.get(id);
+    const entry = readConfirmations.get(readKey(id));
     if (!entry) return false;
     const tenMinutes = 10 * 60 * 1000;
     if ((Date.now() - entry.timestamp) >= tenMinutes) return false;
@@ -83,7 +93,7 @@ export function hasBeenRead(id) {
  * Get read status for debug/logging
  */
 export function getReadStatus(id) {
-    const entry = readConfirmations.get(id);
+    const entry = readConfirmations.get(readKey(id));
     if (!entry) return { read: false, reason: 'never_read' };
     const tenMinutes = 10 * 60 * 1000;
     if ((Date.now() - entry.timestamp) >= tenMinutes) return { read: false, reason: 'expired' };
@@ -93,14 +103,18 @@ export function getReadStatus(id) {
 
 export const definition = {
     name: 'memory_forget',
-    description: 'Hapus teks/section/file dari runbook. WAJIB memory_get(id) dulu sebelum forget — agar tidak menghapus yang valid.',
+    description: 'Hapus teks/section/entry/file dari runbook. WAJIB memory_get(id) dulu sebelum forget — agar tidak menghapus yang valid. Partial delete bisa dibatalkan: list_tombstones:true untuk lihat, undo:"<tombstone>"|"latest" untuk sisipkan kembali.',
     inputSchema: {
         type: 'object',
         properties: {
             id: { type: 'string', description: 'Runbook filename' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT). Tiap project_id = vault terisolasi' },
             reason: { type: 'string', description: 'Alasan penghapusan' },
             remove_text: { type: 'string', description: 'Teks spesifik yang dihapus (sisanya tetap)' },
-            remove_section: { type: 'string', description: 'Section ## HEADER yang dihapus (sisanya tetap)' }
+            remove_section: { type: 'string', description: 'Section ## HEADER yang dihapus (sisanya tetap)' },
+            entry_id: { type: 'string', description: 'ID entry yang dihapus (marker <!-- entry:ID -->, lihat memory_get sections_list)' },
+            undo: { type: 'string', description: 'Undo partial delete: tombstone ID (dari list_tombstones) atau "latest"' },
+            list_tombstones: { type: 'boolean', description: 'List partial delete yang tercatat (tidak perlu memory_get)' }
         },
         required: ['id', 'reason']
     }
@@ -108,12 +122,33 @@ export const definition = {
 
 export async function execute(params) {
     const traceId = uuidv4();
-    const { id, reason, remove_text: removeText, remove_section: removeSection } = params;
+    const { id, reason, remove_text: removeText, remove_section: removeSection, entry_id: entryId, undo } = params;
 
     if (!id) {
         return { ok: false, meta: { trace_id: traceId, error: 'id required' } };
     }
 
+    // === LIST TOMBSTONES (read-only, tanpa hard block) ===
+    if (params.list_tombstones) {
+        const tombstones = listTombstones(id);
+        return {
+            ok: true,
+            id,
+            total: tombstones.length,
+            tombstones: tombstones.map(t => ({
+                tombstone: t.tombstone,
+                ts: t.ts,
+                kind: t.kind,
+                section: t.section,
+                reason: t.reason,
+                chars: t.fragment.length,
+                preview: t.fragment.length > 200 ? t.fragment.substring(0, 200) + '...' : t.fragment,
+                undone_at: t.undone_at
+            })),
+            meta: { trace_id: traceId }
+        };
+    }
+
     // === HARD BLOCK: WAJIB baca utuh dulu sebelum hapus ===
     if (!hasBeenRead(id)) {
         return {
@@ -124,24 +159,45 @@ export async function execute(params) {
     }
 
     try {
-        const filepath = join(RUNBOOKS_DIR, id);
+        const filepath = join(getRunbooksDir(), id);
         if (!existsSync(filepath)) {
             return { ok: false, meta: { trace_id: traceId, error: 'Runbook not found' } };
         }
 
+        // === UNDO PARTIAL DELETE ===
+        if (undo) {
+            return undoPartialDelete(id, filepath, undo, reason, traceId);
+        }
+
         // === PARTIAL DELETE ===
-        if (removeText || removeSection) {
+        if (removeText || removeSection || entryId) {
             const raw = readFileSync(filepath, 'utf8');
             const { meta, body } = parseFrontmatter(raw);
             let newBody = body;
             let removedChars = 0;
+            const pending = [];
+
+            // Entry dulu (offset dari body asli) — marker ikut terhapus, undo mengembalikan ID yang sama
+            if (entryId) {
+                const entry = findEntry(newBody, entryId);
+                if (!entry) {
+                    return { ok: false, message: `Entry "${entryId}" tidak ditemukan. Cek memory_get({id:"${id}", sections_list:true}).`, meta: { trace_id: traceId } };
+                }
+                // Baris kosong pemisah sebelum heading berikutnya tetap di tempat
+                const removeEnd = Math.min(entry.start + entry.content.length + 1, entry.end);
+                const removedText = newBody.substring(entry.marker_start, removeEnd);
+                pending.push({ kind: 'text', body: newBody, offset: entry.marker_start, fragment: removedText });
+                newBody = newBody.substring(0, entry.marker_start) + newBody.substring(removeEnd);
+                removedChars += removedText.length;
+            }
 
             if (removeText) {
-                if (!body.includes(removeText)) {
+                if (!newBody.includes(removeText)) {
                     return { ok: false, message: 'Teks tidak ditemukan di runbook. Pastikan exact match.', meta: { trace_id: traceId } };
                 }
-                newBody = body.replace(removeText, '');
-                removedChars = removeText.length;
+                pending.push({ kind: 'text', body: newBody, offset: newBody.indexOf(removeText), fragment: removeText });
+                newBody = newBody.replace(removeText, '');
+                removedChars += removeText.length;
             }
 
             if (removeSection) {
@@ -152,9 +208,11 @@ export async function execute(params) {
                 if (!headerMatch) {
                     return { ok: false, message: `Section "${removeSection}" tidak ditemukan.`, meta: { trace_id: traceId } };
                 }
-                const sectionStart = headerMatch.index;
-                const sectionEnd = findSectionEnd(newBody, sectionStart);
+                // v7.7: Marker entry section ikut terhapus (tidak jadi orphan di atas marker section berikutnya)
+                const sectionStart = findSectionBlockStart(newBody, headerMatch.index);
+                const sectionEnd = findSectionEnd(newBody, headerMatch.index);
                 const removedText = newBody.substring(sectionStart, sectionEnd);
+                pending.push({ kind: 'section', body: newBody, offset: sectionStart, fragment: removedText });
                 newBody = newBody.substring(0, sectionStart) + newBody.substring(sectionEnd);
                 removedChars += removedText.length;
             }
@@ -164,10 +222,14 @@ export async function execute(params) {
             meta.version = (meta.version || 1) + 1;
             meta.last_edit = `Partial delete: ${reason}`;
 
-            atomicWriteFileSync(filepath, buildFrontmatter(meta) + newBody + '\n', 'utf8');
+            atomicWriteFileSync(filepath, buildFrontmatter(meta) + newBody + '\n', 'utf8', { historyNote: `partial_delete: ${reason}` });
+            const tombstones = pending
+                .map(p => recordTombstone(id, { ...p, meta, version: meta.version, reason }))
+                .filter(Boolean)
+                .map(t => t.tombstone);
             invalidateGetCache(id);
             try { updateIndexEntry(id); } catch {}
-            logger.info('PARTIAL DELETE after read confirmation', { id, removed_chars: removedChars, reason });
+            logger.info('PARTIAL DELETE after read confirmation', { id, removed_chars: removedChars, reason, tombstones });
 
             return {
                 ok: true,
@@ -175,6 +237,7 @@ export async function execute(params) {
                 removed_chars: removedChars,
                 remaining_length: newBody.length,
                 version: meta.version,
+                tombstones,
                 meta: { trace_id: traceId }
             };
         }
@@ -182,7 +245,7 @@ export async function execute(params) {
         // === FULL DELETE ===
         const deleted = deleteRunbook(id, reason);
         if (deleted) {
-            readConfirmations.delete(id);
+            readConfirmations.delete(readKey(id));
             invalidateGetCache(id);
             try { removeIndexEntry(id); } catch {}
         }
@@ -200,4 +263,56 @@ export async function execute(params) {
     }
 }
 
+/**
+ * v7.7: Sisipkan kembali fragment partial delete dari tombstone
+ * Posisi dicari via section asal + anchor context → tetap tepat walau runbook sudah di-append
+ */
+function undoPartialDelete(id, filepath, undo, reason, traceId) {
+    const tombstones = listTombstones(id);
+    const target = undo === 'latest'
+        ? tombstones.find(t => !t.undone_at)
+        : tombstones.find(t => t.tombstone === undo);
+
+    if (!target) {
+        return {
+            ok: false,
+            error: undo === 'latest' ? 'Tidak ada partial delete yang bisa di-undo.' : `Tombstone tidak ditemukan: ${undo}`,
+            available: tombstones.filter(t => !t.undone_at).slice(0, 10).map(t => ({ tombstone: t.tombstone, ts: t.ts, kind: t.kind, section: t.section })),
+            meta: { trace_id: traceId }
+        };
+    }
+    if (target.undone_at) {
+        return { ok: false, error: `Tombstone ${target.tombstone} sudah di-undo pada ${target.undone_at}.`, meta: { trace_id: traceId } };
+    }
+
+    const { meta, body } = parseFrontmatter(readFileSync(filepath, 'utf8'));
+    const result = applyUndo(body, target);
+    if (!result.ok) {
+        return { ok: false, error: result.error, meta: { trace_id: traceId } };
+    }
+
+    const newBody = result.body.replace(/\n{3,}/g, '\n\n').trim();
+    meta.updated = new Date().toISOString();
+    meta.version = (meta.version || 1) + 1;
+    meta.last_edit = `Undo partial delete ${target.tombstone}${reason ? `: ${reason}` : ''}`;
+
+    atomicWriteFileSync(filepath, buildFrontmatter(meta) + newBody + '\n', 'utf8', { historyNote: `undo partial_delete: ${target.tombstone}` });
+    markUndone(id, target.tombstone, reason || null);
+    invalidateGetCache(id);
+    try { updateIndexEntry(id); } catch {}
+    logger.info('PARTIAL DELETE UNDONE', { id, tombstone: target.tombstone, strategy: result.strategy });
+
+    return {
+        ok: true,
+        action: 'undo_partial_delete',
+        tombstone: target.tombstone,
+        kind: target.kind,
+        section: target.section,
+        restored_chars: target.fragment.length,
+        placement: result.strategy,
+        version: meta.version,
+        meta: { trace_id: traceId }
+    };
+}
+
 export default { definition, execute, confirmRead, getReadStatus };
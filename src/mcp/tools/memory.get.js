@@ -2,11 +2,15 @@
  * memory.get v7.0 — Baca isi runbook dengan PAGINATION + SMART SECTION support + LRU CACHE
  * Section boundary = entry separator (---) atau major ## heading, BUKAN sub-heading
  * v7.0: LRU cache untuk reduce filesystem I/O
+ * v7.7: entry_id — baca 1 entry via anchor stabil (storage/entries.js)
  * @module mcp/tools/memory.get
  */
 import { readRunbook, isMajorSection } from '../../storage/files.js';
 import { confirmRead } from './memory.forget.js';
 import { incrementAccessCount } from '../../storage/searchIndex.js';
+import { getCurrentVault } from '../../storage/vault.js';
+import { parseEntries, findEntry, stripEntryMarkers } from '../../storage/entries.js';
+import { provenanceLabel } from '../../storage/provenance.js';
 import logger from '../../utils/logger.js';
 import { LRUCache } from 'lru-cache';
 
@@ -28,11 +32,18 @@ const getCache = new LRUCache({
 let cacheHits = 0;
 let cacheMisses = 0;
 
+/**
+ * v7.7: Cache key per vault — id yang sama di vault berbeda = runbook berbeda
+ */
+function cacheKey(id) {
+    return `${getCurrentVault()}:${id}`;
+}
+
 /**
  * Invalidate cache entry (called from upsert/forget)
  */
 export function invalidateGetCache(id) {
-    if (id) getCache.delete(id);
+    if (id) getCache.delete(cacheKey(id));
 }
 
 /**
@@ -116,9 +127,11 @@ export const definition = {
         type: 'object',
         properties: {
             id: { type: 'string', description: 'Runbook ID (filename, e.g. RUNBOOK_target.com.md)' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT). Tiap project_id = vault terisolasi' },
             offset: { type: 'number', description: 'Character offset to start reading from (default: 0)' },
             limit: { type: 'number', description: 'Max characters to return (default: 80000)' },
             section: { type: 'string', description: 'Read specific ## section by name (e.g. "CREDENTIAL", "EXPLOIT", "GAGAL"). Case-insensitive.' },
+            entry_id: { type: 'string', description: 'Read 1 entry by stable ID (8 hex dari marker <!-- entry:ID --> atau sections_list)' },
             sections_list: { type: 'boolean', description: 'If true, return list of all major sections with their char positions instead of content. Useful for navigating large runbooks.' },
             line: { type: 'number', description: 'Start reading from this line number (1-based). Overrides offset.' },
             line_count: { type: 'number', description: 'Number of lines to read (default: 200). Used with line parameter.' }
@@ -128,15 +141,15 @@ export const definition = {
 };
 
 export async function execute(params) {
-    const { id, offset = 0, limit = MAX_OUTPUT_CHARS, section, sections_list, line, line_count = 200 } = params;
+    const { id, offset = 0, limit = MAX_OUTPUT_CHARS, section, sections_list, line, line_count = 200, entry_id: entryId } = params;
 
     try {
         // v7.0: Check LRU cache first (skip for section/pagination requests that need fresh data)
-        const useCache = !section && !sections_list && !line && offset === 0;
+        const useCache = !section && !sections_list && !line && !entryId && offset === 0;
         let item = null;
 
         if (useCache) {
-            item = getCache.get(id);
+            item = getCache.get(cacheKey(id));
             if (item) {
                 cacheHits++;
                 logger.debug('CACHE HIT', { id, hits: cacheHits });
@@ -147,7 +160,7 @@ export async function execute(params) {
             cacheMisses++;
             item = readRunbook(id);
             if (item && useCache) {
-                getCache.set(id, item);
+                getCache.set(cacheKey(id), item);
             }
         }
 
@@ -158,6 +171,25 @@ export async function execute(params) {
         const fullContent = item.content || '';
         const totalChars = fullContent.length;
 
+        // MODE 0: Read 1 entry by stable ID
+        if (entryId) {
+            const entry = findEntry(fullContent, entryId);
+            if (!entry) {
+                const known = parseEntries(fullContent).filter(e => e.id).map(e => e.id);
+                return {
+                    __plaintext: true,
+                    text: `# ${item.title}\n\nEntry "${entryId}" not found.` +
+                        (known.length > 0 ? `\n\nKnown entries (${known.length}): ${known.slice(-30).join(', ')}` : '\n\nRunbook ini belum punya entry ber-ID (content lama).')
+                };
+            }
+            confirmRead(item.id, 'section', entry.content.length);
+            const by = entry.provenance ? ` | by ${provenanceLabel(entry.provenance)}${entry.provenance.at ? ` @ ${entry.provenance.at}` : ''}` : '';
+            return {
+                __plaintext: true,
+                text: `# ${item.title} — Entry ${entry.id} (section: ${entry.section || '-'}, ${entry.content.length} chars${by})\n\n${entry.content}`
+            };
+        }
+
         // Parse major sections (smart boundary detection)
         const majorSections = parseMajorSections(fullContent);
 
@@ -181,15 +213,21 @@ export async function execute(params) {
             }
             const healthStr = healthNotes.length > 0 ? '\n\n**Health:** ' + healthNotes.join(' | ') : '';
 
+            // v7.7: Entry ID per section (untuk entry_id di memory_get/forget/upsert)
+            const entries = parseEntries(fullContent).filter(e => e.id);
+            const entryIdsOf = (s) => entries.filter(e => e.start >= s.start && e.start < s.end).map(e => e.id);
+
             return {
                 __plaintext: true,
                 text: `# ${item.title} — SECTIONS INDEX\n\nTotal: ${totalChars} chars | ${majorSections.length} major sections${healthStr}\n\n` +
                     majorSections.map((s, i) => {
                         const size = s.content ? s.content.length : 0;
-                        // Preview: first 150 chars of section content (strip heading line)
-                        const bodyOnly = (s.content || '').replace(/^##[^\n]*\n/, '').trim();
+                        // Preview: first 150 chars of section content (strip heading line + entry markers)
+                        const bodyOnly = stripEntryMarkers((s.content || '').replace(/^##[^\n]*\n/, '')).trim();
                         const preview = bodyOnly.substring(0, 150).replace(/\n/g, ' ').trim();
-                        return `- **${s.cleanName}** (offset: ${s.start}, ~${size} chars)\n  > ${preview}${bodyOnly.length > 150 ? '...' : ''}`;
+                        const ids = entryIdsOf(s);
+                        const idsStr = ids.length > 0 ? `\n  entries: ${ids.slice(-10).join(', ')}${ids.length > 10 ? ` (+${ids.length - 10} lama)` : ''}` : '';
+                        return `- **${s.cleanName}** (offset: ${s.start}, ~${size} chars)\n  > ${preview}${bodyOnly.length > 150 ? '...' : ''}${idsStr}`;
                     }).join('\n')
             };
         }
@@ -0,0 +1,202 @@
+/**
+ * memory.graph v1.0 — Query knowledge graph per vault (storage/graphIndex.js, file mode)
+ * shared: runbook yang memuat entity X (+ relasi bertipe entity itu, dengan section asal)
+ * path: shortest path antara dua node (target A → runbook → technique B, host → port → service, ...)
+ * neighborhood: k-hop sekitar entity/runbook (e.g. semua yang terhubung ke CVE-xxxx)
+ * stats: jumlah entity/link/relasi per tipe
+ * format mermaid / dot → field diagram siap tempel ke laporan.
+ * Pengganti traverseGraph (retrieval/graph.js) yang hanya jalan di legacy DB mode.
+ * @module mcp/tools/memory.graph
+ */
+import {
+    resolveGraphNode, suggestGraphEntities, queryGraph, queryRelations,
+    findGraphPath, graphNeighborhood, getEntityStats
+} from '../../storage/graphIndex.js';
+import { getCurrentVault } from '../../storage/vault.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../../utils/logger.js';
+
+const FORMATS = ['json', 'mermaid', 'dot'];
+
+export const definition = {
+    name: 'memory_graph',
+    description: 'Knowledge graph runbook: entity (target, host, ip, port, service, cve, credential, user, url, technique, tag) + relasi bertipe (exposes, runs_service, affects, valid_on, targets, uses_technique, mentions, ...). action: shared (runbook yang memuat entity) | path (shortest path from → to) | neighborhood (k-hop sekitar entity) | stats. format mermaid/dot → diagram untuk laporan. Node runbook ditulis "runbook:<id>".',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['shared', 'path', 'neighborhood', 'stats'], description: 'Operasi (default: neighborhood jika entity diisi, selain itu stats)' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT)' },
+            entity: { type: 'string', description: 'Shared/neighborhood: nama entity (e.g. "cve-2021-41773", "10.10.10.5", "nginx") atau "runbook:<id>"' },
+            from: { type: 'string', description: 'Path: node awal (e.g. target "example.com")' },
+            to: { type: 'string', description: 'Path: node tujuan (e.g. technique "sqli")' },
+            depth: { type: 'number', description: 'Neighborhood: jumlah hop (default: 2, max: 4)' },
+            max_hops: { type: 'number', description: 'Path: hop maksimum (default: 6, max: 10)' },
+            relations: { type: 'array', items: { type: 'string' }, description: 'Path/neighborhood: hanya ikuti relasi ini (e.g. ["exposes", "runs_service"])' },
+            include_runbooks: { type: 'boolean', description: 'Path/neighborhood: lewati node runbook (entity ↔ runbook ↔ entity). false = relasi entity ↔ entity saja (default: true)' },
+            limit: { type: 'number', description: 'Neighborhood: max node (default: 50, max: 200). Shared: max runbook (default: 50)' },
+            format: { type: 'string', enum: FORMATS, description: 'json (default) | mermaid | dot — mermaid/dot menambah field diagram' }
+        }
+    }
+};
+
+// === RENDER ===
+
+function nodeLabel(node) {
+    if (node.type === 'runbook') return node.title || node.name;
+    return `${node.name} (${node.type})`;
+}
+
+function renderMermaid(nodes, edges) {
+    const ids = new Map(nodes.map((node, i) => [node.id, `n${i}`]));
+    const escape = (text) => String(text).replace(/"/g, '#quot;');
+    const lines = ['graph LR'];
+    for (const node of nodes) {
+        const label = escape(nodeLabel(node));
+        // Runbook = kotak subroutine, entity = kotak biasa
+        lines.push(node.type === 'runbook' ? `    ${ids.get(node.id)}[["${label}"]]` : `    ${ids.get(node.id)}["${label}"]`);
+    }
+    for (const edge of edges) {
+        if (!ids.has(edge.source) || !ids.has(edge.target)) continue;
+        lines.push(`    ${ids.get(edge.source)} -- "${escape(edge.relation)}" --> ${ids.get(edge.target)}`);
+    }
+    return lines.join('\n');
+}
+
+function renderDot(nodes, edges) {
+    const escape = (text) => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const lines = ['digraph memory_graph {', '    rankdir=LR;', '    node [fontname="Helvetica"];'];
+    for (const node of nodes) {
+        const shape = node.type === 'runbook' ? 'box' : 'ellipse';
+        lines.push(`    "${escape(node.id)}" [label="${escape(nodeLabel(node))}", shape=${shape}];`);
+    }
+    for (const edge of edges) {
+        lines.push(`    "${escape(edge.source)}" -> "${escape(edge.target)}" [label="${escape(edge.relation)}"];`);
+    }
+    lines.push('}');
+    return lines.join('\n');
+}
+
+function withDiagram(result, format, nodes, edges) {
+    if (format === 'mermaid') result.diagram = renderMermaid(nodes, edges);
+    if (format === 'dot') result.diagram = renderDot(nodes, edges);
+    return result;
+}
+
+function notFound(name, traceId) {
+    return {
+        ok: false,
+        error: `Entity not found in graph: ${name}`,
+        suggestions: suggestGraphEntities(name),
+        meta: { trace_id: traceId }
+    };
+}
+
+/**
+ * Param angka dari client (bisa string "3" / "abc") → integer di [min, max]; kosong/bukan angka → default
+ */
+function intParam(value, fallback, min, max) {
+    const n = value === undefined || value === null || value === '' ? NaN : Math.floor(Number(value));
+    return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+export async function execute(params) {
+    const traceId = uuidv4();
+    const { entity, format = 'json', relations = null, include_runbooks: includeRunbooks = true } = params || {};
+    const action = params?.action || (entity ? 'neighborhood' : 'stats');
+
+    try {
+        if (!FORMATS.includes(format)) {
+            return { ok: false, error: `format must be one of: ${FORMATS.join(', ')}`, meta: { trace_id: traceId } };
+        }
+
+        // === STATS ===
+        if (action === 'stats') {
+            return { ok: true, action, vault: getCurrentVault(), ...getEntityStats(), meta: { trace_id: traceId } };
+        }
+
+        // === SHARED ===
+        if (action === 'shared') {
+            if (!entity) return { ok: false, error: 'entity required', meta: { trace_id: traceId } };
+            const node = resolveGraphNode(entity);
+            if (!node || node.type === 'runbook') return notFound(entity, traceId);
+
+            // Exact match saja — queryGraph juga mengembalikan entity yang namanya mengandung X
+            const byRunbook = new Map();
+            for (const row of queryGraph(node.name).filter(r => r.entity_name === node.name)) {
+                if (!byRunbook.has(row.runbook_id)) {
+                    byRunbook.set(row.runbook_id, { runbook_id: row.runbook_id, title: row.title, relations: [], sections: [] });
+                }
+                const entry = byRunbook.get(row.runbook_id);
+                entry.relations.push(row.relation);
+                entry.sections = [...new Set([...entry.sections, ...row.sections])];
+            }
+            const runbooks = [...byRunbook.values()].slice(0, intParam(params.limit, 50, 1, 500));
+            const typed = queryRelations(node.name, { limit: 200 });
+
+            const nodes = [{ ...node }, ...runbooks.map(r => ({ id: `runbook:${r.runbook_id}`, name: r.runbook_id, type: 'runbook', title: r.title }))];
+            const edges = runbooks.flatMap(r => r.relations.map(relation => ({ source: `runbook:${r.runbook_id}`, relation, target: node.id })));
+            return withDiagram({
+                ok: true,
+                action,
+                vault: getCurrentVault(),
+                entity: node,
+                total: byRunbook.size,
+                runbooks,
+                relations: typed,
+                meta: { trace_id: traceId }
+            }, format, nodes, edges);
+        }
+
+        // === PATH ===
+        if (action === 'path') {
+            if (!params.from || !params.to) return { ok: false, error: 'from and to required', meta: { trace_id: traceId } };
+            const from = resolveGraphNode(params.from);
+            if (!from) return notFound(params.from, traceId);
+            const to = resolveGraphNode(params.to);
+            if (!to) return notFound(params.to, traceId);
+
+            const maxHops = intParam(params.max_hops, 6, 1, 10);
+            const path = findGraphPath(from.id, to.id, { maxHops, relations, includeRunbooks });
+            return withDiagram({
+                ok: true,
+                action,
+                vault: getCurrentVault(),
+                from,
+                to,
+                ...path,
+                ...(!path.found ? { hint: `Tidak ada path dalam ${maxHops} hop — naikkan max_hops, hapus filter relations, atau include_runbooks:true.` } : {}),
+                meta: { trace_id: traceId }
+            }, format, path.nodes, path.edges);
+        }
+
+        // === NEIGHBORHOOD ===
+        if (action === 'neighborhood') {
+            if (!entity) return { ok: false, error: 'entity required', meta: { trace_id: traceId } };
+            const node = resolveGraphNode(entity);
+            if (!node) return notFound(entity, traceId);
+
+            const depth = intParam(params.depth, 2, 1, 4);
+            const limit = intParam(params.limit, 50, 2, 200);
+            const hood = graphNeighborhood(node.id, { depth, limit, relations, includeRunbooks });
+            return withDiagram({
+                ok: true,
+                action,
+                vault: getCurrentVault(),
+                entity: node,
+                depth,
+                node_count: hood.nodes.length,
+                edge_count: hood.edges.length,
+                ...hood,
+                ...(hood.truncated ? { hint: `Dipotong di ${limit} node — naikkan limit, kurangi depth, atau filter relations.` } : {}),
+                meta: { trace_id: traceId }
+            }, format, hood.nodes, hood.edges);
+        }
+
+        return { ok: false, error: `Unknown action: ${action}. Gunakan shared | path | neighborhood | stats.`, meta: { trace_id: traceId } };
+    } catch (err) {
+        logger.error('memory_graph error', { error: err.message, trace_id: traceId });
+        throw err;
+    }
+}
+
+export default { definition, execute };
@@ -0,0 +1,142 @@
+/**
+ * memory.history v1.0 — Daftar revisi runbook + diff antar revisi
+ * Revisi dicatat otomatis oleh atomicWriteFileSync (lihat storage/history.js)
+ * @module mcp/tools/memory.history
+ */
+import { getRunbooksDir, parseFrontmatter, findSectionRange } from '../../storage/files.js';
+import { listRevisions, readRevision } from '../../storage/history.js';
+import { unifiedDiff } from '../../utils/diff.js';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../../utils/logger.js';
+
+const MAX_DIFF_CHARS = 60000;
+
+export const definition = {
+    name: 'memory_history',
+    description: 'Riwayat revisi runbook. Tanpa from/to = list revisi (terbaru dulu). Dengan from/to = unified diff antar 2 revisi ("current" = isi file sekarang). Gunakan memory_restore untuk kembalikan revisi.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', description: 'Runbook filename (e.g. RUNBOOK_target.com.md)' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT)' },
+            from: { type: ['number', 'string'], description: 'Revisi awal untuk diff (default: revisi sebelum "to")' },
+            to: { type: ['number', 'string'], description: 'Revisi akhir untuk diff, angka atau "current" (default: "current")' },
+            section: { type: 'string', description: 'Batasi diff ke 1 section ## (e.g. "CREDENTIAL")' },
+            context: { type: 'number', description: 'Jumlah baris context di sekitar perubahan (default: 3)' },
+            limit: { type: 'number', description: 'Max revisi di list mode (default: 30)' }
+        },
+        required: ['id']
+    }
+};
+
+/**
+ * Resolve revision ref → { label, content } ('current' = live file)
+ */
+function loadRef(filename, ref) {
+    if (ref === 'current') {
+        const filepath = join(getRunbooksDir(), filename);
+        if (!existsSync(filepath)) return null;
+        return { label: `${filename} (current)`, content: readFileSync(filepath, 'utf8') };
+    }
+    const content = readRevision(filename, ref);
+    return content === null ? null : { label: `${filename} (rev ${ref})`, content };
+}
+
+/**
+ * Body only (tanpa frontmatter), optional dipotong ke 1 section
+ */
+function diffableText(content, section) {
+    const { body } = parseFrontmatter(content);
+    if (!section) return body;
+    const range = findSectionRange(body, section);
+    return range ? body.substring(range.start, range.end) : '';
+}
+
+export async function execute(params) {
+    const traceId = uuidv4();
+    const { id, section, context = 3, limit = 30 } = params;
+
+    if (!id) {
+        return { ok: false, meta: { trace_id: traceId, error: 'id required' } };
+    }
+
+    const filename = id.endsWith('.md') ? id : id + '.md';
+
+    try {
+        const revisions = listRevisions(filename);
+        if (revisions.length === 0) {
+            return {
+                ok: false,
+                id: filename,
+                message: 'Belum ada revisi tercatat untuk runbook ini. Revisi dicatat mulai write berikutnya.',
+                meta: { trace_id: traceId }
+            };
+        }
+
+        // === LIST MODE ===
+        if (params.from === undefined && params.to === undefined) {
+            const newestFirst = [...revisions].reverse().slice(0, Math.min(limit, 200));
+            return {
+                ok: true,
+                id: filename,
+                total: revisions.length,
+                revisions: newestFirst.map(r => ({
+                    rev: r.rev,
+                    version: r.version,
+                    ts: r.ts,
+                    size: r.size,
+                    note: r.note
+                })),
+                meta: { trace_id: traceId }
+            };
+        }
+
+        // === DIFF MODE ===
+        const toRef = params.to === undefined || params.to === 'current' ? 'current' : Number(params.to);
+        let fromRef;
+        if (params.from !== undefined) {
+            fromRef = params.from === 'current' ? 'current' : Number(params.from);
+        } else {
+            fromRef = toRef === 'current' ? revisions[revisions.length - 1].rev : toRef - 1;
+        }
+
+        const fromRev = loadRef(filename, fromRef);
+        const toRev = loadRef(filename, toRef);
+        if (!fromRev || !toRev) {
+            return {
+                ok: false,
+                id: filename,
+                error: `Revisi tidak ditemukan: ${!fromRev ? fromRef : toRef}. Tersedia: 1..${revisions[revisions.length - 1].rev}`,
+                meta: { trace_id: traceId }
+            };
+        }
+
+        const diff = unifiedDiff(diffableText(fromRev.content, section), diffableText(toRev.content, section), {
+            context,
+            fromLabel: fromRev.label,
+            toLabel: toRev.label
+        });
+
+        const truncated = diff.text.length > MAX_DIFF_CHARS;
+        return {
+            ok: true,
+            id: filename,
+            from: fromRef,
+            to: toRef,
+            section: section || null,
+            added_lines: diff.added,
+            removed_lines: diff.removed,
+            hunks: diff.hunks,
+            diff: truncated ? diff.text.substring(0, MAX_DIFF_CHARS) + '\n... [diff truncated]' : (diff.text || '(no changes)'),
+            truncated,
+            meta: { trace_id: traceId }
+        };
+    } catch (err) {
+        logger.error('memory_history error', { error: err.message, trace_id: traceId });
+        throw err;
+    }
+}
+
+export default { definition, execute };
@@ -12,7 +12,7 @@ export const definition = {
     inputSchema: {
         type: 'object',
         properties: {
-            project_id: { type: 'string', description: 'Project ID' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT). Tiap project_id = vault terisolasi' },
             tags: { type: 'array', items: { type: 'string' }, description: 'Filter by tags (AND logic)' },
             limit: { type: 'number', description: 'Max results per page (default: 20)' },
             offset: { type: 'number', description: 'Offset for pagination (default: 0)' },
@@ -1,47 +1,70 @@
 /**
- * memory.maintain v6.0 — File-based Runbook Maintenance
+ * memory.maintain v7.7 — Maintenance runbook vault (dedup, index repair, orphan cleanup, autolog compaction, re-embed)
+ * Default dry_run: hanya laporan. mode "apply" menjalankan perubahan (duplikat ke .deleted/, bukan hapus permanen).
  * @module mcp/tools/memory.maintain
  */
-import { RUNBOOKS_DIR, getStats } from '../../storage/files.js';
-import { readdirSync, statSync } from 'fs';
+import { getRunbooksDir, listRunbookFiles, getStats } from '../../storage/files.js';
+import { MAINTENANCE_ACTIONS, DEFAULT_POLICY, runMaintenance } from '../../storage/maintenance.js';
+import { clearGetCache } from './memory.get.js';
+import { statSync } from 'fs';
 import { join } from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../utils/logger.js';
 
 export const definition = {
     name: 'memory_maintain',
-    description: 'Maintenance runbook files: list stats, check health',
+    description: 'Maintenance vault runbook. actions: dedup (body identik → .deleted/), index_repair (resync FTS5/vector/graph dengan .md), orphan_cleanup (.tmp/.lock/.bak sisa crash, sidecar tanpa runbook), autolog_compact (archive _AUTO_LOG harian lama → .log.gz bulanan), reembed (embedding dari model/provider lama → embed ulang di background dengan provider aktif, progress di hasil dry_run / memory_stats). mode dry_run (default) = laporan saja, apply = eksekusi.',
     inputSchema: {
         type: 'object',
         properties: {
-            project_id: { type: 'string', description: 'Project ID' },
-            mode: { type: 'string', enum: ['dry_run', 'apply'], description: 'Mode' },
-            actions: { type: 'array', items: { type: 'string' }, description: 'Ignored — file system needs no maintenance' },
-            policy: { type: 'object', description: 'Ignored' }
-        },
-        required: ['project_id']
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT)' },
+            mode: { type: 'string', enum: ['dry_run', 'apply'], description: 'dry_run (default) = laporan, apply = jalankan' },
+            actions: {
+                type: 'array',
+                items: { type: 'string', enum: MAINTENANCE_ACTIONS },
+                description: `Action yang dijalankan (default: semua — ${MAINTENANCE_ACTIONS.join(', ')})`
+            },
+            policy: {
+                type: 'object',
+                description: `Override policy (default: ${JSON.stringify(DEFAULT_POLICY)})`,
+                properties: {
+                    archive_after_days: { type: 'number', description: 'autolog_compact: compact archive harian lebih tua dari N hari' },
+                    stale_lock_minutes: { type: 'number', description: 'orphan_cleanup: .lock lebih tua dari N menit = sisa crash' },
+                    purge_orphan_sidecars: { type: 'boolean', description: 'orphan_cleanup: hapus juga .history/.credentials tanpa runbook' },
+                    force_reembed: { type: 'boolean', description: 'reembed: embed ulang semua runbook, bukan hanya yang modelnya beda' }
+                }
+            }
+        }
     }
 };
 
 export async function execute(params) {
     const traceId = uuidv4();
+    const { mode = 'dry_run', actions = MAINTENANCE_ACTIONS, policy = {} } = params || {};
 
     try {
-        const stats = getStats();
-        const files = readdirSync(RUNBOOKS_DIR).filter(f => f.endsWith('.md'));
-
-        // Check for empty files
-        const emptyFiles = [];
-        for (const file of files) {
-            const stat = statSync(join(RUNBOOKS_DIR, file));
-            if (stat.size < 50) emptyFiles.push(file);
+        const unknown = actions.filter(a => !MAINTENANCE_ACTIONS.includes(a));
+        if (unknown.length > 0) {
+            return { ok: false, meta: { trace_id: traceId, error: `Unknown action(s): ${unknown.join(', ')}. Valid: ${MAINTENANCE_ACTIONS.join(', ')}` } };
         }
 
+        const dryRun = mode !== 'apply';
+        const results = runMaintenance({ actions, dryRun, policy });
+        if (!dryRun) clearGetCache();
+
+        // Health ringan (sama dengan versi lama): file hampir kosong
+        const emptyFiles = listRunbookFiles()
+            .filter(f => {
+                try { return statSync(join(getRunbooksDir(), f)).size < 50; } catch { return false; }
+            });
+
         return {
-            status: 'healthy',
-            stats,
+            ok: true,
+            mode,
+            actions: results,
+            stats: getStats(),
             empty_files: emptyFiles,
-            message: 'File-based storage requires minimal maintenance. Runbooks are .md files.',
+            hint: dryRun ? 'Dry run — tidak ada perubahan. Jalankan ulang dengan mode:"apply" untuk eksekusi.' : undefined,
             meta: { trace_id: traceId, storage: 'filesystem' }
         };
     } catch (err) {
@@ -1,46 +1,121 @@
 /**
- * memory.reflect v6.0 — File-based Runbook Reflection
+ * memory.reflect v7.7 — Statistik teknik berhasil/gagal dari section EXPLOIT / GAGAL
+ * Setiap bullet (atau ### sub-heading) di ## EXPLOIT = 1 entry sukses, di ## GAGAL = 1 entry gagal.
+ * Teknik dikenali dari vocabulary knowledge graph (sqli, ssrf, rce, CVE-xxxx, ...).
+ * Guardrail aktif dari loop-breaker (mistake berulang) ikut ditampilkan.
  * @module mcp/tools/memory.reflect
  */
-import { searchRunbooks, listRunbooks, RUNBOOKS_DIR } from '../../storage/files.js';
+import { listRunbooks } from '../../storage/files.js';
+import { outcomeEntries } from '../../storage/outcomes.js';
+import { detectTechniques } from '../../storage/graphIndex.js';
+import { getActiveGuardrails } from '../../governance/guardrails.js';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../utils/logger.js';
 
+const SNIPPET_CHARS = 160;
+
 export const definition = {
     name: 'memory_reflect',
-    description: 'Analisis runbook: teknik yang berhasil/gagal, coverage',
+    description: 'Refleksi lintas runbook: statistik teknik berhasil (## EXPLOIT) vs gagal (## GAGAL) — success rate per teknik/CVE, teknik paling sering gagal, paling reliable, contoh alasan gagal terbaru, guardrail aktif dari mistake berulang.',
     inputSchema: {
         type: 'object',
         properties: {
-            project_id: { type: 'string', description: 'Project ID' },
-            lookback_count: { type: 'number', description: 'Number of recent runbooks to analyze (default: 20)' },
-            filter_tags: { type: 'array', items: { type: 'string' }, description: 'Filter by tags' }
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT)' },
+            lookback_count: { type: 'number', description: 'Jumlah runbook terbaru yang dianalisis (default: 20, 0 = semua)' },
+            filter_tags: { type: 'array', items: { type: 'string' }, description: 'Filter runbook by tags (AND)' },
+            technique: { type: 'string', description: 'Hanya tampilkan 1 teknik (e.g. "sqli", "cve-2021-44228")' },
+            min_count: { type: 'number', description: 'Minimal total entry per teknik untuk ditampilkan (default: 1)' },
+            limit: { type: 'number', description: 'Max teknik di response (default: 30)' }
         }
     }
 };
 
 export async function execute(params) {
     const traceId = uuidv4();
-    const { filter_tags: filterTags = [], lookback_count: lookbackCount = 20 } = params || {};
+    const {
+        filter_tags: filterTags = [],
+        lookback_count: lookbackCount = 20,
+        technique: onlyTechnique,
+        min_count: minCount = 1,
+        limit = 30
+    } = params || {};
 
     try {
-        const { items } = listRunbooks({ tags: filterTags, limit: lookbackCount });
+        const { items } = listRunbooks({ tags: filterTags, limit: lookbackCount > 0 ? lookbackCount : Number.MAX_SAFE_INTEGER, fullContent: true });
+
+        const stats = new Map();
+        const totals = { success_entries: 0, failure_entries: 0, unclassified_success: 0, unclassified_failure: 0 };
+        let withSections = 0;
+
+        for (const item of items) {
+            const entries = outcomeEntries(item.title, item.content || '');
+            if (entries.length === 0) continue;
+            withSections++;
+
+            for (const { outcome, entry } of entries) {
+                totals[`${outcome}_entries`]++;
+                const techniques = detectTechniques(entry);
+                if (techniques.length === 0) {
+                    totals[`unclassified_${outcome}`]++;
+                    continue;
+                }
+                for (const technique of techniques) {
+                    if (!stats.has(technique)) {
+                        stats.set(technique, { technique, success: 0, failure: 0, runbooks: new Set(), recent_failures: [] });
+                    }
+                    const s = stats.get(technique);
+                    s[outcome]++;
+                    s.runbooks.add(item.title);
+                    // items sudah urut updated desc → failure pertama = terbaru
+                    if (outcome === 'failure' && s.recent_failures.length < 2) {
+                        s.recent_failures.push({ id: item.id, entry: entry.split('\n')[0].substring(0, SNIPPET_CHARS) });
+                    }
+                }
+            }
+        }
+
+        const techniques = [...stats.values()]
+            .filter(s => !onlyTechnique || s.technique === onlyTechnique.toLowerCase())
+            .map(s => {
+                const total = s.success + s.failure;
+                return {
+                    technique: s.technique,
+                    success: s.success,
+                    failure: s.failure,
+                    total,
+                    success_rate: Math.round((s.success / total) * 100) / 100,
+                    runbooks: s.runbooks.size,
+                    sample_runbooks: [...s.runbooks].slice(0, 5),
+                    recent_failures: s.recent_failures
+                };
+            })
+            .filter(t => t.total >= minCount)
+            .sort((a, b) => b.total - a.total || b.success_rate - a.success_rate);
+
+        const mostFailed = techniques
+            .filter(t => t.failure > 0 && t.success_rate < 0.5)
+            .sort((a, b) => b.failure - a.failure)
+            .slice(0, 5)
+            .map(t => ({ technique: t.technique, failure: t.failure, success_rate: t.success_rate }));
+        const mostReliable = techniques
+            .filter(t => t.total >= 2 && t.success > 0)
+            .sort((a, b) => b.success_rate - a.success_rate || b.success - a.success)
+            .slice(0, 5)
+            .map(t => ({ technique: t.technique, success: t.success, success_rate: t.success_rate }));
 
-        const teknikRunbooks = items.filter(i => (i.title || '').includes('[TEKNIK]'));
-        const targetRunbooks = items.filter(i => (i.title || '').includes('[RUNBOOK]'));
+        const guardrails = getActiveGuardrails({ technique: onlyTechnique })
+            .map(g => ({ id: g.id, scope: g.scope, target: g.target, technique: g.technique, count: g.count, description: g.description }));
 
         return {
             reflection: {
-                total_runbooks: items.length,
-                teknik_count: teknikRunbooks.length,
-                target_count: targetRunbooks.length,
-                teknik_list: teknikRunbooks.map(t => t.title),
-                target_list: targetRunbooks.map(t => t.title),
-                recent_updates: items.slice(0, 5).map(i => ({
-                    title: i.title,
-                    updated: i.updated_at,
-                    content_length: i.content_length
-                }))
+                runbooks_analyzed: items.length,
+                runbooks_with_outcomes: withSections,
+                totals,
+                techniques: techniques.slice(0, limit),
+                techniques_total: techniques.length,
+                most_failed: mostFailed,
+                most_reliable: mostReliable,
+                guardrails
             },
             meta: { trace_id: traceId, storage: 'filesystem' }
         };
@@ -0,0 +1,146 @@
+/**
+ * memory.restore v1.0 — Kembalikan runbook (atau 1 section ##) ke revisi lama
+ * Restore = write baru (version naik, tercatat di history) — revisi sesudahnya TIDAK hilang.
+ * Section _AUTO_LOG saat ini selalu dipertahankan (log bukan state).
+ * WAJIB memory_get dulu jika runbook masih ada (sama seperti upsert/forget)
+ * @module mcp/tools/memory.restore
+ */
+import { getRunbooksDir, parseFrontmatter, buildFrontmatter, atomicWriteFileSync, findSectionRange } from '../../storage/files.js';
+import { listRevisions, readRevision } from '../../storage/history.js';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { hasBeenRead } from './memory.forget.js';
+import { invalidateGetCache } from './memory.get.js';
+import { updateIndexEntry } from '../../storage/searchIndex.js';
+import { updateVectorEntry } from '../../storage/vectorIndex.js';
+import { updateGraphEntry } from '../../storage/graphIndex.js';
+import logger from '../../utils/logger.js';
+
+const AUTOLOG_SECTION = '_AUTO_LOG';
+
+export const definition = {
+    name: 'memory_restore',
+    description: 'Restore runbook atau 1 section ## ke revisi lama (lihat memory_history). Restore = revisi baru, history tidak hilang. _AUTO_LOG sekarang tetap dipertahankan. WAJIB memory_get(id) dulu.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', description: 'Runbook filename' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT)' },
+            rev: { type: 'number', description: 'Nomor revisi sumber (dari memory_history)' },
+            section: { type: 'string', description: 'Restore HANYA section ## ini (e.g. "CREDENTIAL"). Kosong = seluruh runbook' },
+            reason: { type: 'string', description: 'Alasan restore' }
+        },
+        required: ['id', 'rev', 'reason']
+    }
+};
+
+/**
+ * Ganti section _AUTO_LOG di body restore dengan _AUTO_LOG saat ini
+ */
+function keepCurrentAutolog(restoredBody, currentBody) {
+    let body = restoredBody;
+    const oldRange = findSectionRange(body, AUTOLOG_SECTION);
+    if (oldRange) body = body.substring(0, oldRange.start) + body.substring(oldRange.end);
+
+    const currentRange = currentBody ? findSectionRange(currentBody, AUTOLOG_SECTION) : null;
+    if (currentRange) {
+        body = body.trimEnd() + '\n\n' + currentBody.substring(currentRange.start, currentRange.end).trimEnd() + '\n';
+    }
+    return body;
+}
+
+export async function execute(params) {
+    const traceId = uuidv4();
+    const { id, section, reason } = params;
+    const rev = Number(params.rev);
+
+    if (!id || !Number.isInteger(rev) || !reason) {
+        return { ok: false, meta: { trace_id: traceId, error: 'id, rev (integer) dan reason required' } };
+    }
+
+    const filename = id.endsWith('.md') ? id : id + '.md';
+    const filepath = join(getRunbooksDir(), filename);
+    const fileExists = existsSync(filepath);
+
+    // === HARD BLOCK: baca dulu sebelum menimpa isi yang sekarang ===
+    if (fileExists && !hasBeenRead(filename)) {
+        return {
+            ok: false,
+            error: 'BLOCKED: Kamu BELUM membaca runbook ini. Jalankan memory_get({id:"' + filename + '"}) dulu, baru restore. Ini mencegah menimpa content terbaru tanpa sadar.',
+            meta: { trace_id: traceId }
+        };
+    }
+
+    try {
+        const revContent = readRevision(filename, rev);
+        if (revContent === null) {
+            const available = listRevisions(filename).map(r => r.rev);
+            return {
+                ok: false,
+                error: `Revisi ${rev} tidak ditemukan untuk ${filename}.`,
+                available_revisions: available.slice(-20),
+                meta: { trace_id: traceId }
+            };
+        }
+
+        const { meta: revMeta, body: revBody } = parseFrontmatter(revContent);
+        const current = fileExists ? parseFrontmatter(readFileSync(filepath, 'utf8')) : { meta: {}, body: '' };
+        const now = new Date().toISOString();
+        let newMeta, newBody, action;
+
+        if (section) {
+            // === SECTION RESTORE ===
+            if (!fileExists) {
+                return { ok: false, error: 'Runbook tidak ada — restore seluruh runbook (tanpa section) dulu.', meta: { trace_id: traceId } };
+            }
+            const revRange = findSectionRange(revBody, section);
+            if (!revRange) {
+                return { ok: false, error: `Section "${section}" tidak ada di revisi ${rev}.`, meta: { trace_id: traceId } };
+            }
+            const restoredSection = revBody.substring(revRange.start, revRange.end).trimEnd() + '\n\n';
+            const curRange = findSectionRange(current.body, section);
+            newBody = curRange
+                ? current.body.substring(0, curRange.start) + restoredSection + current.body.substring(curRange.end)
+                : current.body.trimEnd() + '\n\n' + restoredSection;
+            newMeta = { ...current.meta };
+            action = 'restore_section';
+        } else {
+            // === FULL RESTORE ===
+            newBody = keepCurrentAutolog(revBody, current.body);
+            newMeta = { ...revMeta, created: current.meta.created || revMeta.created };
+            action = 'restore';
+        }
+
+        newMeta.updated = now;
+        newMeta.version = Math.max(current.meta.version || 0, revMeta.version || 0) + 1;
+        newMeta.last_edit = `Restored rev ${rev}${section ? ` (## ${section})` : ''}: ${reason}`;
+
+        newBody = newBody.replace(/\n{3,}/g, '\n\n').trim();
+        atomicWriteFileSync(filepath, buildFrontmatter(newMeta) + newBody + '\n', 'utf8', {
+            historyNote: `restore rev ${rev}${section ? ` section ${section}` : ''}: ${reason}`
+        });
+
+        invalidateGetCache(filename);
+        try { updateIndexEntry(filename); } catch {}
+        updateVectorEntry(filename).catch(() => {});
+        try { updateGraphEntry(filename); } catch {}
+
+        logger.info('RUNBOOK RESTORED', { id: filename, rev, section: section || null, version: newMeta.version, reason });
+
+        return {
+            ok: true,
+            action,
+            id: filename,
+            restored_from: { rev, version: revMeta.version || null },
+            section: section || null,
+            version: newMeta.version,
+            meta: { trace_id: traceId }
+        };
+    } catch (err) {
+        logger.error('memory_restore error', { error: err.message, trace_id: traceId });
+        throw err;
+    }
+}
+
+export default { definition, execute };
@@ -1,40 +1,34 @@
 /**
  * memory.search v7.0 — File-based Runbook Search with Intelligence Layer
  * Query expansion + reranking + target-tag boost + credential priority
+ * v7.7: Structured filters (updated/created range, verified, success, size, title_prefix, section) —
+ *       di-push ke SQL FTS5 + dipakai menyaring hasil vector (storage/searchFilters.js)
+ * v7.7: Query language — "frasa", -negasi, title:/tag:/content:/cve:/section:, OR/AND (storage/queryParser.js)
+ * v7.7: location per hit — section ##, line, semua offset match + jump {id, line, line_count} untuk memory_get
+ * v7.7: explain:true — breakdown per hasil (BM25/file-scan, synonym, RRF, rerank boost, graph) + term query
+ * v7.7: related_entities per hasil dari typed knowledge graph (host/ip/port/cve/credential/url di body)
  * @module mcp/tools/memory.search
  */
-import { searchRunbooks } from '../../storage/files.js';
+import { searchRunbooks, locateRunbookHits } from '../../storage/files.js';
+import { filterIndexIds } from '../../storage/searchIndex.js';
+import { normalizeSearchFilters, withQuerySections } from '../../storage/searchFilters.js';
+import { parseSearchQuery, hasPositiveTerms, compileFtsMatch } from '../../storage/queryParser.js';
+import { getTechniqueWords } from '../../storage/vocabulary.js';
 import { vectorSearchRunbooks, isVectorReady } from '../../storage/vectorIndex.js';
-import { queryGraph, findRelatedEntities, getEntityStats } from '../../storage/graphIndex.js';
+import { getRunbookEntities } from '../../storage/graphIndex.js';
+import { getCurrentVault, runInVault, listVaults, normalizeVaultId, vaultExists } from '../../storage/vault.js';
+import { matchGuardrails, formatGuardrailWarning } from '../../governance/guardrails.js';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../utils/logger.js';
 
-/**
- * Common technique words excluded from target-tag boost
- * These are NOT target identifiers (domains, hosts, services)
- */
-const COMMON_TECHNIQUE_WORDS = new Set([
-    'exploit', 'vulnerability', 'payload', 'attack', 'hack', 'shell', 'webshell',
-    'rce', 'xxe', 'sqli', 'xss', 'ssrf', 'lfi', 'rfi', 'ssti', 'idor', 'csrf',
-    'injection', 'bypass', 'brute', 'force', 'enum', 'enumeration', 'scan',
-    'credential', 'creds', 'password', 'tunnel', 'persistence', 'backdoor', 'reverse',
-    'ssh', 'rdp', 'ftp', 'http', 'https', 'mysql', 'redis', 'smb',
-    'port', 'proxy', 'socks', 'chisel', 'ngrok', 'cloudflare',
-    'recon', 'install', 'deploy', 'upload', 'download', 'exfil',
-    'access', 'login', 'connect', 'pivot', 'escalate', 'privesc', 'dump',
-    'failed', 'success', 'blocked', 'patched', 'active', 'gagal', 'berhasil',
-    'full', 'updated', 'server', 'target', 'host', 'domain', 'windows', 'linux',
-    'tier', 'phase', 'chain', 'teknik', 'technique', 'runbook', 'universal',
-    'root', 'admin', 'sudo', 'cve', 'poc', 'exploit'
-]);
-
 /**
  * Rerank results with target-tag relevance boost
  * @param {Array} results - Search results from searchRunbooks
  * @param {string} originalQuery - Original user query (before expansion)
+ * @param {boolean} [explain] - v7.7: catat tiap boost/penalty di item.explain.rerank
  * @returns {Array} Reranked results
  */
-function rerankResults(results, originalQuery) {
+function rerankResults(results, originalQuery, explain = false) {
     const queryWords = (originalQuery || '').toLowerCase().split(/\s+/).filter(w => w.length >= 2);
     if (queryWords.length === 0) return results;
 
@@ -49,26 +43,31 @@ function rerankResults(results, originalQuery) {
     results = [...seen.values()];
 
     // Extract target keywords (domain-like, not common technique words)
-    const targetKeywords = queryWords.filter(k => !COMMON_TECHNIQUE_WORDS.has(k) && k.length >= 3);
+    // v7.7: technique words dari vocabulary vault (storage/vocabulary.js)
+    const techniqueWords = getTechniqueWords();
+    const targetKeywords = queryWords.filter(k => !techniqueWords.has(k) && k.length >= 3);
 
     return results.map(item => {
         let score = item.score || 0;
+        const factors = [];
 
         // TARGET-TAG BOOST: Items with matching target tags get priority
         if (targetKeywords.length > 0) {
             const itemTags = (item.tags || []).map(t => (t || '').toLowerCase());
-            const tagMatches = targetKeywords.filter(tk => itemTags.some(t => t.includes(tk))).length;
-            if (tagMatches > 0) {
+            const tagMatched = targetKeywords.filter(tk => itemTags.some(t => t.includes(tk)));
+            if (tagMatched.length > 0) {
                 // 20% boost per matching target keyword, capped at 50%
-                const boost = Math.min(0.5, tagMatches * 0.2);
+                const boost = Math.min(0.5, tagMatched.length * 0.2);
                 score *= (1 + boost);
+                factors.push({ signal: 'target_tag_boost', multiplier: 1 + boost, detail: tagMatched.join(', ') });
             }
 
             // TITLE TARGET BOOST: Title containing target name gets extra priority
             const titleLower = (item.title || '').toLowerCase();
-            const titleTargetMatches = targetKeywords.filter(tk => titleLower.includes(tk)).length;
-            if (titleTargetMatches > 0) {
-                score *= (1 + titleTargetMatches * 0.15);
+            const titleMatched = targetKeywords.filter(tk => titleLower.includes(tk));
+            if (titleMatched.length > 0) {
+                score *= (1 + titleMatched.length * 0.15);
+                factors.push({ signal: 'title_target_boost', multiplier: Math.round((1 + titleMatched.length * 0.15) * 100) / 100, detail: titleMatched.join(', ') });
             }
         }
 
@@ -78,10 +77,15 @@ function rerankResults(results, originalQuery) {
             // Only penalize if query is NOT specifically searching for failures
             if (!queryWords.some(w => ['gagal', 'failed', 'error', 'blocked'].includes(w))) {
                 score *= 0.85;
+                factors.push({ signal: 'failure_penalty', multiplier: 0.85, detail: 'snippet mentions gagal/failed/blocked' });
             }
         }
 
-        return { ...item, score: Math.round(score * 100) / 100 };
+        const reranked = { ...item, score: Math.round(score * 100) / 100 };
+        if (explain) {
+            reranked.explain = { ...item.explain, rerank: { score_in: Math.round((item.score || 0) * 10000) / 10000, target_keywords: targetKeywords, factors, score: reranked.score } };
+        }
+        return reranked;
     }).sort((a, b) => {
         if (b.score !== a.score) return b.score - a.score;
         return (b.updated_at || '').localeCompare(a.updated_at || '');
@@ -94,9 +98,10 @@ function rerankResults(results, originalQuery) {
  * @param {Array} ftsResults - FTS5 BM25 results (already ranked)
  * @param {Array} vectorResults - Vector similarity results [{id, similarity}]
  * @param {number} k - RRF constant (default 60)
+ * @param {boolean} [explain] - v7.7: rank + kontribusi tiap list di item.explain.rrf
  * @returns {Array} Merged results with rrf_score
  */
-function rrfMerge(ftsResults, vectorResults, k = 60) {
+function rrfMerge(ftsResults, vectorResults, k = 60, explain = false) {
     const scores = new Map();
     const itemData = new Map();
 
@@ -117,13 +122,42 @@ function rrfMerge(ftsResults, vectorResults, k = 60) {
         } else {
             itemData.get(id).vector_similarity = vectorResults[i].similarity;
         }
+        // v7.7: Chunk terbaik = bagian runbook yang paling cocok → jadi snippet
+        const chunk = vectorResults[i].chunk;
+        if (chunk) {
+            const item = itemData.get(id);
+            item.snippet = chunk.text;
+            item.chunk = { section: chunk.section, entry_id: chunk.entry_id, offset: chunk.offset, length: chunk.length };
+        }
     }
 
     // Build merged result sorted by RRF score
     const merged = [];
     for (const [id, rrfScore] of scores) {
         const item = itemData.get(id);
-        merged.push({ ...item, score: rrfScore * 100, rrf_score: rrfScore });
+        const entry = { ...item, score: rrfScore * 100, rrf_score: rrfScore };
+        if (explain) {
+            const ftsRank = ftsResults.findIndex(r => r.id === id) + 1;
+            const vectorIndex = vectorResults.findIndex(r => r.id === id);
+            const vectorRank = vectorIndex + 1;
+            entry.explain = {
+                ...(item.explain || {}),
+                ...(item.explain?.retrieval ? {} : { retrieval: { engine: 'vector', score: 0 } }),
+                rrf: {
+                    k,
+                    keyword_rank: ftsRank || null,
+                    keyword_contribution: ftsRank ? Math.round(10000 / (k + ftsRank)) / 10000 : 0,
+                    vector_rank: vectorRank || null,
+                    vector_contribution: vectorRank ? Math.round(10000 / (k + vectorRank)) / 10000 : 0,
+                    vector_similarity: vectorRank ? vectorResults[vectorIndex].similarity : null,
+                    ...(vectorRank && vectorResults[vectorIndex].chunk ? { vector_chunk_section: vectorResults[vectorIndex].chunk.section } : {}),
+                    rrf_score: Math.round(rrfScore * 10000) / 10000,
+                    // Skor retrieval diganti rrf_score × 100 sebelum rerank
+                    score: Math.round(rrfScore * 10000) / 100
+                }
+            };
+        }
+        merged.push(entry);
     }
     merged.sort((a, b) => b.rrf_score - a.rrf_score);
     return merged;
@@ -131,18 +165,31 @@ function rrfMerge(ftsResults, vectorResults, k = 60) {
 
 export const definition = {
     name: 'memory_search',
-    description: 'Cari runbook — returns compact index (ID + title + score + 1-line snippet). Gunakan memory_get({id:"..."}) untuk baca full content. DILARANG full_content:true.',
+    description: 'Cari runbook — returns compact index (ID + title + score + snippet). Snippet = chunk (entry/section) yang paling cocok secara semantik, lokasinya di field chunk (section, entry_id, offset). location = section, line, offsets semua match + jump {id, line, line_count} → langsung memory_get(jump). related_entities = entity graph runbook itu (host/ip/port/cve/credential, shared_runbooks = runbook lain yang memuatnya). Gunakan memory_get({id:"..."}) untuk baca full content. DILARANG full_content:true.',
     inputSchema: {
         type: 'object',
         properties: {
-            query: { type: 'string', description: 'Search query' },
-            project_id: { type: 'string', description: 'Project ID' },
+            query: { type: 'string', description: 'Search query. Syntax: "frasa persis", -exclude, title:x, tag:x, content:x, cve:2021-44228, section:CREDENTIAL, a OR b (AND implisit)' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT). Tiap project_id = vault terisolasi' },
+            vaults: { type: 'array', items: { type: 'string' }, description: 'Cross-vault search: daftar project_id yang dicari sekaligus (hasil diberi field vault)' },
+            all_vaults: { type: 'boolean', description: 'Cross-vault search di SEMUA vault (default: false)' },
             tags: { type: 'array', items: { type: 'string' }, description: 'Filter by tags (OR logic)' },
             required_tags: { type: 'array', items: { type: 'string' }, description: 'Mandatory tags (AND logic)' },
             limit: { type: 'number', description: 'Max results (default: 20)' },
             offset: { type: 'number', description: 'Offset for pagination (default: 0)' },
             full_content: { type: 'boolean', description: 'Return full content instead of snippet (default: false)' },
             scope_id: { type: 'string', description: 'Scope search to ONE specific runbook file' },
+            explain: { type: 'boolean', description: 'Debug ranking: tiap hasil diberi explain (BM25/skor per kata, synonym, multiplier, RRF, rerank boost, graph) + explain query (term asli/expanded, FTS query) (default: false)' },
+            updated_after: { type: 'string', description: 'Filter: updated >= tanggal ISO (e.g. "2026-01-31")' },
+            updated_before: { type: 'string', description: 'Filter: updated < tanggal ISO' },
+            created_after: { type: 'string', description: 'Filter: created >= tanggal ISO' },
+            created_before: { type: 'string', description: 'Filter: created < tanggal ISO' },
+            verified: { type: 'boolean', description: 'Filter: true = hanya runbook verified, false = hanya yang belum' },
+            success: { type: 'boolean', description: 'Filter by frontmatter success (true/false)' },
+            min_size: { type: 'number', description: 'Filter: ukuran file minimal (bytes)' },
+            max_size: { type: 'number', description: 'Filter: ukuran file maksimal (bytes)' },
+            title_prefix: { type: 'string', description: 'Filter: prefix title, e.g. "[RUNBOOK]" atau "[TEKNIK]" (case-insensitive)' },
+            section: { type: 'array', items: { type: 'string' }, description: 'Filter: runbook yang punya section ## ini, e.g. ["CREDENTIAL"] (OR logic)' },
             types: { type: 'array', items: { type: 'string' }, description: 'Ignored — all items are runbooks' },
             override_quarantine: { type: 'boolean', description: 'Ignored — no quarantine in file mode' },
             allow_relations: { type: 'boolean', description: 'Ignored — no graph in file mode' }
@@ -151,6 +198,126 @@ export const definition = {
     }
 };
 
+/**
+ * v7.7: Lokasi hit di runbook — dihitung di body redacted (sama dengan scoring/chunk), line/jump = baris memory_get
+ * Hit vector memakai offset chunk terbaik; hit FTS/file-scan = section dengan kata query terbanyak.
+ * Filter section (param section / section: di query) membatasi hit ke section itu; runbook yang cocok
+ * hanya di title/tag tetap diberi lokasi (awal section filter / awal body).
+ */
+function hitLocation(item, words, sectionFilters) {
+    try {
+        const locate = () => locateRunbookHits(item.id, words, {
+            offset: item.chunk ? item.chunk.offset : undefined,
+            sections: sectionFilters?.sections,
+            excludeSections: sectionFilters?.exclude_sections,
+            fallback: true
+        });
+        const location = item.vault ? runInVault(item.vault, locate) : locate();
+        if (!location) return null;
+        return { ...location, jump: { id: item.id, ...(item.vault ? { project_id: item.vault } : {}), ...location.jump } };
+    } catch (err) {
+        logger.warn('Hit location failed (non-fatal)', { id: item.id, error: err.message });
+        return null;
+    }
+}
+
+/**
+ * v7.7: Resolve vault list for cross-vault search. null = active vault only.
+ */
+function resolveSearchVaults(params) {
+    if (params.all_vaults === true) return listVaults();
+    if (Array.isArray(params.vaults) && params.vaults.length > 0) {
+        // v7.7: vault yang belum ada dilewati (typo tidak boleh membuat vault baru)
+        return [...new Set(params.vaults.map(normalizeVaultId))].filter(vaultExists);
+    }
+    return null;
+}
+
+/**
+ * Full pipeline (FTS5/file-scan → vector → RRF → rerank → graph) on the active vault
+ */
+async function searchActiveVault(searchQuery, { tags, requiredTags, fetchLimit, fullContent, scopeId, filters, explain }) {
+    const { results: rawResults, pagination: rawPagination, _query: queryExplain } = searchRunbooks(searchQuery, {
+        tags,
+        requiredTags,
+        limit: fetchLimit,
+        offset: 0,  // Always fetch from 0 for reranking
+        fullContent,
+        scopeId,
+        filters,
+        explain
+    });
+
+    // v7.7: Query language — vector/rerank/guardrail memakai teks term positif, bukan sintaks mentah
+    const parsed = parseSearchQuery(searchQuery);
+    const plainQuery = parsed.structured ? parsed.text : searchQuery;
+    const vectorFilters = parsed.structured ? withQuerySections(filters, parsed) : filters;
+    const vectorMatch = parsed.structured ? compileFtsMatch(parsed) : null;
+    // Grup tanpa term positif (hanya negasi) tidak bisa dicek di SQL → vector dilewati
+    const vectorAllowed = Boolean(plainQuery) && !(parsed.structured && parsed.groups.length > 0 && !vectorMatch);
+
+    // v7.5: Run vector search in parallel (async) — additive, not replacing FTS5
+    let vectorResults = [];
+    let vectorUsed = false;
+    if (isVectorReady() && vectorAllowed) {
+        try {
+            vectorResults = await vectorSearchRunbooks(plainQuery, fetchLimit);
+            // v7.7: Filter yang sama dengan FTS5 (SQL runbook_index) — hasil vector tidak boleh lolos filter
+            // Query terstruktur: runbook juga harus cocok dengan MATCH (frasa/negasi/field tetap berlaku)
+            if (vectorFilters || vectorMatch) {
+                const allowed = filterIndexIds(vectorResults.map(r => r.id), vectorFilters, { match: vectorMatch });
+                vectorResults = allowed ? vectorResults.filter(r => allowed.has(r.id)) : [];
+            }
+            vectorUsed = vectorResults.length > 0;
+        } catch (err) {
+            logger.warn('Vector search failed in memory_search (non-fatal)', { error: err.message });
+        }
+    }
+
+    // v7.5: RRF merge if vector results available, else use FTS5 only
+    let mergedResults;
+    if (vectorUsed && vectorResults.length > 0) {
+        mergedResults = rrfMerge(rawResults, vectorResults, 60, explain);
+    } else {
+        mergedResults = rawResults;
+    }
+
+    // v7.0: Apply reranking with target-tag boost
+    const reranked = rerankResults(mergedResults, plainQuery, explain);
+
+    // v7.5: Graph enrichment — add related entities to results
+    // v7.7: entity bertipe dari body runbook (host/ip/port/cve/credential/...), yang cocok query + lintas runbook dulu
+    const queryWords = plainQuery.toLowerCase().split(/\s+/).filter(Boolean);
+    for (const item of reranked) {
+        try {
+            const related = getRunbookEntities(item.id, { words: queryWords, limit: 5 });
+            if (related.length > 0) {
+                item.related_entities = related;
+            }
+            // Graph hanya menambah related_entities — tidak mengubah skor/urutan
+            if (explain) item.explain = { ...item.explain, graph: { related_entities: (item.related_entities || []).map(e => e.name), affects_score: false } };
+        } catch {}
+    }
+
+    // v7.7: Guardrail loop-breaker — teknik yang sudah berulang kali gagal di target yang dicari
+    let guardrails = [];
+    try {
+        guardrails = matchGuardrails(plainQuery, { runbookIds: reranked.slice(0, 5).map(r => r.id) }).map(formatGuardrailWarning);
+    } catch (err) {
+        logger.warn('Guardrail match failed in memory_search (non-fatal)', { error: err.message });
+    }
+
+    const explainQuery = explain ? {
+        ...queryExplain,
+        ...(plainQuery !== searchQuery ? { plain_query: plainQuery } : {}),
+        vector: { used: vectorUsed, query: vectorAllowed ? plainQuery : null, results: vectorResults.length },
+        fusion: vectorUsed ? 'rrf' : 'keyword_only',
+        rerank_target_keywords: plainQuery.toLowerCase().split(/\s+/).filter(w => w.length >= 3 && !getTechniqueWords().has(w))
+    } : null;
+
+    return { reranked, total: rawPagination.total, vectorUsed, vectorCount: vectorResults.length, guardrails, explainQuery };
+}
+
 export async function execute(params) {
     const traceId = uuidv4();
     const {
@@ -160,60 +327,59 @@ export async function execute(params) {
         limit: rawLimit = 20,
         offset = 0,
         full_content: rawFullContent = false,
-        scope_id: scopeId = ''
+        scope_id: scopeId = '',
+        explain = false
     } = params;
 
     const fullContent = false;
     const limit = Math.min(rawLimit, 20);
 
+    let filters;
+    try {
+        filters = normalizeSearchFilters(params);
+    } catch (err) {
+        return { results: [], error: `Invalid filter — ${err.message}`, meta: { trace_id: traceId } };
+    }
+
+    // v7.7: Query kosong / hanya operator / hanya -negasi → error, bukan semua runbook skor 0 (section:X saja = filter, boleh)
+    if (!hasPositiveTerms(parseSearchQuery(searchQuery))) {
+        return { results: [], error: 'Invalid query — butuh minimal 1 term positif (kata, "frasa", field:nilai, atau section:NAMA)', meta: { trace_id: traceId } };
+    }
+
     try {
         // v7.0: Get more results for reranking, then apply post-processing
         const fetchLimit = Math.min(limit * 2, 50);
-        const { results: rawResults, pagination: rawPagination } = searchRunbooks(searchQuery, {
-            tags,
-            requiredTags,
-            limit: fetchLimit,
-            offset: 0,  // Always fetch from 0 for reranking
-            fullContent,
-            scopeId
-        });
+        const searchOptions = { tags, requiredTags, fetchLimit, fullContent, scopeId, filters, explain: explain === true };
 
-        // v7.5: Run vector search in parallel (async) — additive, not replacing FTS5
-        let vectorResults = [];
-        let vectorUsed = false;
-        if (isVectorReady()) {
-            try {
-                vectorResults = await vectorSearchRunbooks(searchQuery, fetchLimit);
-                vectorUsed = vectorResults.length > 0;
-            } catch (err) {
-                logger.warn('Vector search failed in memory_search (non-fatal)', { error: err.message });
+        // v7.7: Cross-vault search — explicit opt-in, each result tagged with its vault
+        const searchVaults = resolveSearchVaults(params);
+        let reranked, totalCount, vectorUsed = false, vectorCount = 0, guardrails = [], explainQuery = null;
+        if (searchVaults) {
+            const explainByVault = {};
+            reranked = [];
+            totalCount = 0;
+            for (const vaultId of searchVaults) {
+                const vaultResult = await runInVault(vaultId, () => searchActiveVault(searchQuery, searchOptions));
+                for (const item of vaultResult.reranked) item.vault = vaultId;
+                reranked.push(...vaultResult.reranked);
+                totalCount += vaultResult.total;
+                vectorUsed = vectorUsed || vaultResult.vectorUsed;
+                vectorCount += vaultResult.vectorCount;
+                guardrails.push(...vaultResult.guardrails.map(w => `[${vaultId}] ${w}`));
+                if (vaultResult.explainQuery) explainByVault[vaultId] = vaultResult.explainQuery;
             }
-        }
-
-        // v7.5: RRF merge if vector results available, else use FTS5 only
-        let mergedResults;
-        if (vectorUsed && vectorResults.length > 0) {
-            mergedResults = rrfMerge(rawResults, vectorResults);
+            if (explain === true) explainQuery = { vaults: explainByVault };
+            reranked.sort((a, b) => b.score - a.score);
         } else {
-            mergedResults = rawResults;
-        }
-
-        // v7.0: Apply reranking with target-tag boost
-        const reranked = rerankResults(mergedResults, searchQuery);
-
-        // v7.5: Graph enrichment — add related entities to results
-        for (const item of reranked) {
-            try {
-                const related = findRelatedEntities(item.id, 5);
-                if (related.length > 0) {
-                    item.related_entities = related.map(r => r.name).slice(0, 5);
-                }
-            } catch {}
+            ({ reranked, total: totalCount, vectorUsed, vectorCount, guardrails, explainQuery } = await searchActiveVault(searchQuery, searchOptions));
         }
 
         // Apply pagination AFTER reranking
         const paginated = reranked.slice(offset, offset + limit);
         const total = reranked.length;
+        const parsedQuery = parseSearchQuery(searchQuery);
+        const hitWords = parsedQuery.structured ? parsedQuery.words : parsedQuery.text.split(/\s+/);
+        const hitSections = parsedQuery.structured ? withQuerySections(filters, parsedQuery) : filters;
 
         const compactResults = paginated.map(item => {
             const compact = {
@@ -222,6 +388,7 @@ export async function execute(params) {
                 vector_similarity: item.vector_similarity,
                 rrf_score: item.rrf_score
             };
+            if (item.vault) compact.vault = item.vault;
             if (item.title) compact.title = item.title;
             if (item.content_length) compact.content_length = item.content_length;
             if (item.tags) compact.tags = item.tags;
@@ -231,17 +398,24 @@ export async function execute(params) {
             if (item.snippet) {
                 compact.snippet = item.snippet.length > 500 ? item.snippet.substring(0, 500) + '...' : item.snippet;
             }
+            if (item.chunk) compact.chunk = item.chunk;
+            if (item.related_entities) compact.related_entities = item.related_entities;
+            const location = hitLocation(item, hitWords, hitSections);
+            if (location) compact.location = location;
+            if (item.explain) compact.explain = { rank: offset + paginated.indexOf(item) + 1, ...item.explain, final_score: item.score };
             return compact;
         });
 
         return {
             results: compactResults,
+            ...(guardrails.length > 0 ? { guardrails } : {}),
+            ...(explainQuery ? { explain: explainQuery } : {}),
             pagination: {
-                total: rawPagination.total,
+                total: totalCount,
                 offset,
                 limit,
                 returned: paginated.length,
-                has_more: offset + limit < rawPagination.total
+                has_more: offset + limit < totalCount
             },
             meta: {
                 trace_id: traceId,
@@ -250,7 +424,9 @@ export async function execute(params) {
                 reranked: true,
                 query_expanded: true,
                 vector_used: vectorUsed,
-                vector_results: vectorResults.length
+                vector_results: vectorCount,
+                ...(filters ? { filters } : {}),
+                vault: searchVaults ? searchVaults : getCurrentVault()
             }
         };
 
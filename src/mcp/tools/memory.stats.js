@@ -1,22 +1,30 @@
 /**
  * memory.stats v6.0 — File-based Runbook Statistics
+ * v7.7: vector — chunk count + ANN index (mode, nlist, latency, sampled recall); ann_benchmark = recall@k vs exact
+ * v7.7: vector.embedding — provider aktif, model di index, file stale + progress re-embed
  * @module mcp/tools/memory.stats
  */
-import { getStats, RUNBOOKS_DIR } from '../../storage/files.js';
-import { readdirSync, readFileSync, statSync } from 'fs';
+import { getStats, getRunbooksDir, listRunbookFiles } from '../../storage/files.js';
+import { readFileSync, statSync } from 'fs';
 import { join } from 'path';
 import { parseFrontmatter } from '../../storage/files.js';
+import { getCurrentVault, listVaults } from '../../storage/vault.js';
+import { getDb } from '../../storage/searchIndex.js';
+import { getVectorStats, currentEmbeddingModel } from '../../storage/vectorIndex.js';
+import { benchmarkAnn } from '../../storage/annIndex.js';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../utils/logger.js';
 
 export const definition = {
     name: 'memory_stats',
-    description: 'Statistik runbook files: total, size, tags breakdown',
+    description: 'Statistik runbook files: total, size, tags breakdown, vector/ANN index (latency, recall)',
     inputSchema: {
         type: 'object',
         properties: {
-            project_id: { type: 'string', description: 'Project ID' },
-            sections: { type: 'array', items: { type: 'string' }, description: 'Ignored — returns all stats' }
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT). Tiap project_id = vault terisolasi' },
+            sections: { type: 'array', items: { type: 'string' }, description: 'Ignored — returns all stats' },
+            ann_benchmark: { type: 'boolean', description: 'Ukur recall@k + latency ANN vs exact scan pakai chunk acak sebagai query (default: false)' },
+            benchmark_queries: { type: 'number', description: 'Jumlah query benchmark (default: 20, max 200)' }
         }
     }
 };
@@ -26,7 +34,7 @@ export async function execute(params) {
 
     try {
         const stats = getStats();
-        const files = readdirSync(RUNBOOKS_DIR).filter(f => f.endsWith('.md'));
+        const files = listRunbookFiles();
 
         // Tag breakdown
         const tagCounts = {};
@@ -36,7 +44,7 @@ export async function execute(params) {
 
         for (const file of files) {
             try {
-                const raw = readFileSync(join(RUNBOOKS_DIR, file), 'utf8');
+                const raw = readFileSync(join(getRunbooksDir(), file), 'utf8');
                 const { meta } = parseFrontmatter(raw);
                 for (const tag of (meta.tags || [])) {
                     tagCounts[tag] = (tagCounts[tag] || 0) + 1;
@@ -53,14 +61,28 @@ export async function execute(params) {
             .slice(0, 20)
             .map(([tag, count]) => ({ tag, count }));
 
+        // v7.7: Vector/ANN index
+        let vector = null;
+        try {
+            vector = getVectorStats();
+            if (params?.ann_benchmark && getDb()) {
+                vector.ann_benchmark = benchmarkAnn(getDb(), { model: currentEmbeddingModel(), queries: params.benchmark_queries || 20 });
+            }
+        } catch (err) {
+            logger.warn('Vector stats failed (non-fatal)', { error: err.message });
+        }
+
         return {
             ...stats,
             verified_count: verifiedCount,
             success_count: successCount,
             fail_count: failCount,
             top_tags: topTags,
+            vector,
             storage: 'filesystem',
             format: '.md',
+            vault: getCurrentVault(),
+            vaults: listVaults(),
             meta: { trace_id: traceId }
         };
     } catch (err) {
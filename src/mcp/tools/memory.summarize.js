@@ -2,7 +2,7 @@
  * memory.summarize v6.0 — File-based Runbook Summary
  * @module mcp/tools/memory.summarize
  */
-import { listRunbooks, getStats, RUNBOOKS_DIR } from '../../storage/files.js';
+import { listRunbooks, getStats, getRunbooksDir } from '../../storage/files.js';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../utils/logger.js';
 
@@ -12,7 +12,7 @@ export const definition = {
     inputSchema: {
         type: 'object',
         properties: {
-            project_id: { type: 'string', description: 'Project ID' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT). Tiap project_id = vault terisolasi' },
             compact: { type: 'boolean', description: 'Compact mode (default: false)' }
         },
         required: ['project_id']
@@ -0,0 +1,130 @@
+/**
+ * memory.trash v1.0 — Kelola runbooks/.deleted/ (hasil memory_forget full delete)
+ * list: daftar entry trash (terbaru dulu), show: isi entry, restore: kembalikan ke runbooks/
+ * (collision → <id>_restored_N.md) + re-index FTS/vector/graph, purge: hapus permanen
+ * entry lebih tua dari retention (TRASH_RETENTION_DAYS, default 30). Purge default dry_run.
+ * @module mcp/tools/memory.trash
+ */
+import { listTrash, resolveTrashEntry, readTrashEntry, restoreTrashEntry, purgeTrash } from '../../storage/trash.js';
+import { v4 as uuidv4 } from 'uuid';
+import { invalidateGetCache } from './memory.get.js';
+import { updateIndexEntry } from '../../storage/searchIndex.js';
+import { updateVectorEntry } from '../../storage/vectorIndex.js';
+import { updateGraphEntry } from '../../storage/graphIndex.js';
+import config from '../../utils/config.js';
+import logger from '../../utils/logger.js';
+
+const MAX_SHOW_CHARS = 20000;
+
+export const definition = {
+    name: 'memory_trash',
+    description: 'Kelola runbook yang sudah dihapus (.deleted/). action: list | show | restore | purge. Restore otomatis rename jika id sudah dipakai dan re-index search. Purge hapus permanen entry > older_than_days (default dry_run=true).',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['list', 'show', 'restore', 'purge'], description: 'Operasi trash (default: list)' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT)' },
+            entry: { type: 'string', description: 'Nama entry trash (dari list) atau id runbook asli (ambil yang terbaru)' },
+            query: { type: 'string', description: 'Filter list by id/title substring' },
+            restore_as: { type: 'string', description: 'Restore dengan id lain (e.g. RUNBOOK_target_old.md)' },
+            older_than_days: { type: 'number', description: 'Purge: umur minimal entry (default: TRASH_RETENTION_DAYS)' },
+            dry_run: { type: 'boolean', description: 'Purge: hanya tampilkan yang akan dihapus (default: true)' },
+            limit: { type: 'number', description: 'Max entry di list (default: 50)' }
+        }
+    }
+};
+
+export async function execute(params) {
+    const traceId = uuidv4();
+    const { action = 'list', query, limit = 50 } = params;
+
+    try {
+        // === LIST ===
+        if (action === 'list') {
+            const entries = listTrash({ query });
+            return {
+                ok: true,
+                total: entries.length,
+                entries: entries.slice(0, Math.min(limit, 500)),
+                retention_days: config.trash.retentionDays,
+                meta: { trace_id: traceId }
+            };
+        }
+
+        // === PURGE ===
+        if (action === 'purge') {
+            const entry = params.entry ? resolveTrashEntry(params.entry) : null;
+            if (params.entry && !entry) {
+                return { ok: false, error: `Trash entry tidak ditemukan: ${params.entry}`, meta: { trace_id: traceId } };
+            }
+            const olderThanDays = params.older_than_days ?? config.trash.retentionDays;
+            const dryRun = params.dry_run !== false;
+            const result = purgeTrash({ olderThanDays, entry, dryRun });
+            return {
+                ok: true,
+                action: 'purge',
+                dry_run: dryRun,
+                older_than_days: entry ? null : olderThanDays,
+                purged_count: result.purged.length,
+                purged: result.purged,
+                kept: result.kept,
+                freed_bytes: result.freed_bytes,
+                message: dryRun && result.purged.length > 0 ? 'Dry run — jalankan lagi dengan dry_run:false untuk hapus permanen.' : undefined,
+                meta: { trace_id: traceId }
+            };
+        }
+
+        if (action !== 'show' && action !== 'restore') {
+            return { ok: false, error: `Unknown action: ${action}. Gunakan list | show | restore | purge.`, meta: { trace_id: traceId } };
+        }
+
+        if (!params.entry) {
+            return { ok: false, meta: { trace_id: traceId, error: 'entry required' } };
+        }
+        const entry = resolveTrashEntry(params.entry);
+        if (!entry) {
+            return { ok: false, error: `Trash entry tidak ditemukan: ${params.entry}. Cek memory_trash({action:"list"}).`, meta: { trace_id: traceId } };
+        }
+
+        // === SHOW ===
+        if (action === 'show') {
+            const data = readTrashEntry(entry);
+            const truncated = data.content.length > MAX_SHOW_CHARS;
+            return {
+                ok: true,
+                ...data.info,
+                content: truncated ? data.content.substring(0, MAX_SHOW_CHARS) + '\n... [truncated]' : data.content,
+                truncated,
+                meta: { trace_id: traceId }
+            };
+        }
+
+        // === RESTORE ===
+        const result = restoreTrashEntry(entry, { restoreAs: params.restore_as });
+        if (!result.ok) {
+            return { ok: false, error: result.error, meta: { trace_id: traceId } };
+        }
+
+        invalidateGetCache(result.id);
+        try { updateIndexEntry(result.id); } catch (e) { logger.warn('Trash restore: FTS reindex failed', { error: e.message }); }
+        updateVectorEntry(result.id).catch(() => {});
+        try { updateGraphEntry(result.id); } catch {}
+
+        return {
+            ok: true,
+            action: 'restore',
+            entry,
+            id: result.id,
+            title: result.title,
+            renamed: result.renamed,
+            version: result.version,
+            message: result.renamed ? `Id asli sudah dipakai — direstore sebagai ${result.id}.` : undefined,
+            meta: { trace_id: traceId }
+        };
+    } catch (err) {
+        logger.error('memory_trash error', { error: err.message, trace_id: traceId });
+        throw err;
+    }
+}
+
+export default { definition, execute };
@@ -3,9 +3,10 @@
  * ALL saves go to .md files. APPEND-ONLY: never delete valid content.
  * v7.0: Universal error tracking, technique auto-save, auto-invalidation
  * WAJIB memory_get dulu jika runbook SUDAH ADA — agar tahu isinya sebelum append
+ * v7.7: entry_id — replace_text di-scope ke 1 entry, atau ganti 1 entry utuh (ID entry tetap)
  * @module mcp/tools/memory.upsert
  */
-import { saveRunbook, titleToFilename, findByTitle, findByFuzzyTitle, RUNBOOKS_DIR, parseFrontmatter, buildFrontmatter, filterNoiseTags, appendToSection, findSectionEnd, isMajorSection, atomicWriteFileSync } from '../../storage/files.js';
+import { saveRunbook, titleToFilename, findByTitle, findByFuzzyTitle, getRunbooksDir, parseFrontmatter, buildFrontmatter, filterNoiseTags, appendToSection, findSectionEnd, isMajorSection, atomicWriteFileSync } from '../../storage/files.js';
 import { existsSync, readFileSync, writeFileSync } from 'fs';
 import { join, basename } from 'path';
 import { v4 as uuidv4 } from 'uuid';
@@ -15,9 +16,17 @@ import { invalidateGetCache } from './memory.get.js';
 import { updateIndexEntry } from '../../storage/searchIndex.js';
 import { updateVectorEntry } from '../../storage/vectorIndex.js';
 import { updateGraphEntry } from '../../storage/graphIndex.js';
+import { getAutoMemoryPath } from '../../storage/paths.js';
+import { getCurrentVault, runInVault, normalizeVaultId } from '../../storage/vault.js';
+import { queryCredentials } from '../../storage/credentials.js';
+import { getActiveGuardrails, formatGuardrailWarning } from '../../governance/guardrails.js';
+import { detectConflicts, formatConflict } from '../../governance/crossModel.js';
+import { getProvenance, runWithProvenance } from '../../storage/provenance.js';
+import { findEntry, entryMarker } from '../../storage/entries.js';
+import { getSectionSchema, resolveSectionName, canonicalizeHeadings, isSectionOpAllowed, getReplaceableSections, validateSections } from '../../storage/sectionSchema.js';
 import logger from '../../utils/logger.js';
 
-const AUTO_MEMORY_PATH = '/home/kali/.claude/projects/-home-kali-Desktop/memory/MEMORY.md';
+const AUTO_MEMORY_PATH = getAutoMemoryPath();
 
 const contentDedupMap = new Map();
 
@@ -29,7 +38,7 @@ function isContentHashDuplicate(sectionName, content) {
         }
     }
     const trimmed = (content || '').trim().substring(0, 150);
-    const hashInput = (sectionName || '') + '::' + trimmed;
+    const hashInput = getCurrentVault() + '::' + (sectionName || '') + '::' + trimmed;
     const hash = createHash('sha256').update(hashInput, 'utf8').digest('hex');
     const existing = contentDedupMap.get(hash);
     if (existing && (now - existing) < 120000) return true;
@@ -83,13 +92,15 @@ export const definition = {
     inputSchema: {
         type: 'object',
         properties: {
+            project_id: { type: 'string', description: 'Vault/project ID untuk semua items (default: DEFAULT_PROJECT). items[].project_id override per item' },
+            model: { type: 'string', description: 'Nama model yang menulis (provenance entry). Default: _meta.model dari tools/call atau env MCP_MEMORI_MODEL' },
             items: {
                 type: 'array',
                 items: {
                     type: 'object',
                     properties: {
                         type: { type: 'string', description: 'Auto-converted to runbook' },
-                        project_id: { type: 'string', description: 'Project ID' },
+                        project_id: { type: 'string', description: 'Vault/project ID untuk item ini (override top-level project_id)' },
                         title: { type: 'string', description: 'Runbook title, e.g. [RUNBOOK] target.com or [TEKNIK] GeoServer RCE' },
                         content: { type: 'string', description: 'Content to append to runbook' },
                         tags: { type: 'array', items: { type: 'string' }, description: 'Tags for search' },
@@ -97,7 +108,8 @@ export const definition = {
                         confidence: { type: 'number' },
                         success: { type: 'boolean', description: 'Whether the action succeeded' },
                         replace_section: { type: 'string', description: 'Replace existing ## section with new content instead of append. Section name without ## prefix (e.g. "CREDENTIAL", "RE-ENTRY CHECKLIST"). If section not found, appends instead.' },
-                        replace_text: { type: 'string', description: 'Find this exact text in the runbook and replace it with content. Like Edit tool — surgical edit without replacing entire section. Text must be unique in the file.' },
+                        replace_text: { type: 'string', description: 'Find this exact text in the runbook and replace it with content. Like Edit tool — surgical edit without replacing entire section. Text must be unique in the file (or within entry_id if given).' },
+                        entry_id: { type: 'string', description: 'Target 1 entry by stable ID (<!-- entry:ID --> marker, see memory_get sections_list). With replace_text: text only needs to be unique inside this entry. Without replace_text: content replaces the whole entry (ID kept, ## heading kept for section-level entries).' },
                         append_to_section: { type: 'string', description: 'Append content to END of specific ## section (preserving ALL existing content in that section). Section name without ## prefix (e.g. "CREDENTIAL", "GAGAL", "EXPLOIT"). If section not found, creates it. RECOMMENDED over replace_section for adding entries.' },
                         auto_dual_save: { type: 'boolean', description: 'If true, auto-save failures to Kesalahan Universal + successes to Teknik Berhasil Universal. Default: false. Only set true when you want cross-target learning.' }
                     },
@@ -117,6 +129,8 @@ export const definition = {
  *
  * STRICT FILTER: Only save lines that describe an actual FAILED action/technique
  * NOT status descriptions like "vpxd DEAD" or "credential DEAD" (those are states, not errors)
+ * v7.7: Hitungan mistake berulang + guardrail otomatis ada di governance/loopbreaker (dari ## GAGAL),
+ * registry ini hanya salinan lintas target (auto_dual_save).
  */
 function autoSaveUniversalError(item, result) {
     const title = (item.title || '').toLowerCase();
@@ -274,8 +288,9 @@ function autoSaveTechnique(item) {
 /**
  * v7.0: Auto-detect and mark invalidated techniques/credentials
  * Returns reminder if content indicates something was patched/dead
+ * v7.7: DEAD signal → sebut credential record yang masih ALIVE (memory_credential)
  */
-function checkAutoInvalidation(item) {
+function checkAutoInvalidation(item, filename = null) {
     const content = (item.content || '');
     const title = (item.title || '').toLowerCase();
     const reminders = [];
@@ -292,7 +307,13 @@ function checkAutoInvalidation(item) {
     // Detect DEAD credential signals
     if (/(?:password changed|credential.*(dead|expired|invalid|revoked)|access denied|connection refused|authentication failed)/i.test(content)) {
         if (title.startsWith('[runbook]')) {
-            reminders.push('⚠️ CREDENTIAL DEAD: Terdeteksi credential/akses yang sudah tidak valid. Update ## LIVE STATUS dengan replace_section untuk mark DEAD.');
+            let alive = [];
+            try { alive = filename ? queryCredentials({ runbook_id: filename, status: 'ALIVE' }) : []; } catch {}
+            if (alive.length > 0) {
+                reminders.push(`⚠️ CREDENTIAL DEAD: Terdeteksi credential/akses yang sudah tidak valid. ${alive.length} credential masih tercatat ALIVE: ${alive.slice(0, 5).map(c => `${c.cred_id} (${c.service} ${c.username}@${c.host})`).join(', ')}. Mark via memory_credential({action:"status", cred_id, status:"DEAD"}).`);
+            } else {
+                reminders.push('⚠️ CREDENTIAL DEAD: Terdeteksi credential/akses yang sudah tidak valid. Update ## LIVE STATUS dengan replace_section untuk mark DEAD.');
+            }
         }
     }
 
@@ -308,6 +329,11 @@ export async function execute(params) {
     const traceId = uuidv4();
     let { items } = params;
 
+    // v7.7: Model eksplisit → override provenance untuk seluruh upsert ini
+    if (params.model) {
+        return runWithProvenance({ ...(getProvenance() || {}), model: params.model }, () => execute({ ...params, model: undefined }));
+    }
+
     // v7.1 FIX: Defensive parsing — Claude Code sometimes sends items as JSON string instead of array
     if (typeof items === 'string') {
         try {
@@ -346,13 +372,33 @@ export async function execute(params) {
         return { upserted: [], meta: { trace_id: traceId, error: 'No valid items after filtering (items may have been sent as string instead of array)' } };
     }
 
+    // v7.7: items[].project_id bisa menunjuk vault berbeda — split per vault, jalankan ulang di vault masing-masing
+    const vaultGroups = new Map();
+    for (const item of items) {
+        const vaultId = normalizeVaultId(item.project_id || params.project_id);
+        if (!vaultGroups.has(vaultId)) vaultGroups.set(vaultId, []);
+        vaultGroups.get(vaultId).push(item);
+    }
+    if (vaultGroups.size > 1 || !vaultGroups.has(getCurrentVault())) {
+        const merged = { upserted: [], meta: { trace_id: traceId, storage: 'filesystem', format: '.md', vaults: [...vaultGroups.keys()] } };
+        const mergedReminders = [];
+        for (const [vaultId, vaultItems] of vaultGroups) {
+            const vaultResponse = await runInVault(vaultId, () => execute({ ...params, project_id: vaultId, items: vaultItems }));
+            merged.upserted.push(...vaultResponse.upserted.map(r => ({ ...r, vault: vaultId })));
+            if (vaultResponse.reminders) mergedReminders.push(...vaultResponse.reminders);
+        }
+        if (mergedReminders.length > 0) merged.reminders = [...new Set(mergedReminders)];
+        return merged;
+    }
+
+    const startedAt = new Date().toISOString(); // v7.7: guardrail yang dibuat/naik count oleh upsert ini
     const results = [];
     const contradictions = []; // Collect contradiction warnings from appendToSection
 
     for (const item of items) {
         try {
             const title = item.title || 'Untitled Runbook';
-            const content = item.content || '';
+            let content = item.content || '';
             const tags = item.tags || [];
             const options = {
                 verified: item.verified,
@@ -362,7 +408,7 @@ export async function execute(params) {
 
             // Cek apakah runbook sudah ada (by filename atau by frontmatter title)
             const filename = titleToFilename(title);
-            let filepath = join(RUNBOOKS_DIR, filename);
+            let filepath = join(getRunbooksDir(), filename);
             let actualFilename = filename;
             let fileExists = existsSync(filepath);
 
@@ -407,14 +453,37 @@ export async function execute(params) {
                 continue;
             }
 
+            // === v7.7: SECTION SCHEMA — nama section canonical ("Credentials" → "CREDENTIAL") ===
+            const schema = getSectionSchema(title);
+            let appendSection = item.append_to_section;
+            let replaceSection = item.replace_section;
+            if (schema) {
+                const currentBody = fileExists ? parseFrontmatter(readFileSync(filepath, 'utf8')).body : '';
+                for (const [field, name] of [['append_to_section', appendSection], ['replace_section', replaceSection]]) {
+                    if (!name) continue;
+                    const resolved = resolveSectionName(schema, name, currentBody);
+                    if (!resolved.renamed) continue;
+                    if (field === 'append_to_section') appendSection = resolved.name;
+                    else replaceSection = resolved.name;
+                    contradictions.push(resolved.legacy
+                        ? `ℹ️ SECTION SCHEMA: "${name}" → ditulis ke section lama "## ${resolved.name}" di ${actualFilename}. Rename ke nama canonical (lihat memory_validate).`
+                        : `ℹ️ SECTION SCHEMA: "${name}" → "${resolved.name}" (nama canonical).`);
+                }
+                const canonical = canonicalizeHeadings(content, schema, isMajorSection);
+                if (canonical.renamed.length > 0) {
+                    content = canonical.text;
+                    contradictions.push(`ℹ️ SECTION SCHEMA: heading di content di-rename: ${canonical.renamed.map(r => `"## ${r.from}" → "## ${r.to}"`).join(', ')}.`);
+                }
+            }
+
             // === APPEND TO SECTION MODE: Tambah content ke END of section yang benar ===
             // PRESERVES semua content lama di section. Ideal untuk: credential, gagal, exploit, persistence
-            if (item.append_to_section && fileExists) {
+            if (appendSection && fileExists) {
                 try {
-                    if (isContentHashDuplicate(item.append_to_section, content)) {
+                    if (isContentHashDuplicate(appendSection, content)) {
                         results.push({
                             id: actualFilename, version: 0, status: 'active',
-                            action: 'skipped_content_hash_dedup', section: item.append_to_section, filepath
+                            action: 'skipped_content_hash_dedup', section: appendSection, filepath
                         });
                         continue;
                     }
@@ -422,20 +491,20 @@ export async function execute(params) {
                     const raw = readFileSync(filepath, 'utf8');
                     const { meta, body } = parseFrontmatter(raw);
 
-                    const { body: newBody, action: appendAction, contradiction } = appendToSection(body, item.append_to_section, content);
+                    const { body: newBody, action: appendAction, contradiction } = appendToSection(body, appendSection, content);
 
                     // Collect contradiction warning for post-loop reminders
                     if (contradiction) {
-                        contradictions.push(`⚠️ CONTRADICTION in ## ${item.append_to_section} of ${actualFilename}: ${contradiction}`);
+                        contradictions.push(`⚠️ CONTRADICTION in ## ${appendSection} of ${actualFilename}: ${contradiction}`);
                     }
 
                     if (appendAction === 'skipped_duplicate' || appendAction === 'skipped_near_duplicate') {
                         results.push({
                             id: actualFilename, version: meta.version || 1, status: 'active',
-                            action: appendAction, section: item.append_to_section, filepath
+                            action: appendAction, section: appendSection, filepath
                         });
                         if (appendAction === 'skipped_near_duplicate') {
-                            contradictions.push(`ℹ️ NEAR-DUPLICATE BLOCKED: >80% baris content sudah ada di ## ${item.append_to_section} — skip untuk cegah duplikasi.`);
+                            contradictions.push(`ℹ️ NEAR-DUPLICATE BLOCKED: >80% baris content sudah ada di ## ${appendSection} — skip untuk cegah duplikasi.`);
                         }
                         continue;
                     }
@@ -447,13 +516,16 @@ export async function execute(params) {
                     meta.version = (meta.version || 1) + 1;
                     if (options.success !== undefined) meta.success = options.success;
 
-                    atomicWriteFileSync(filepath, buildFrontmatter(meta) + newBody.trim() + '\n', 'utf8');
+                    atomicWriteFileSync(filepath, buildFrontmatter(meta) + newBody.trim() + '\n', 'utf8', { historyNote: `append_to_section: ${appendSection}` });
+                    for (const conflict of detectConflicts({ runbookId: actualFilename, previousBody: body, content })) {
+                        contradictions.push(formatConflict(conflict));
+                    }
                     invalidateGetCache(actualFilename);
                     updateAllIndexes(actualFilename);
                     updateActiveTarget(title, actualFilename);
 
                     logger.info('SECTION APPEND', {
-                        filename: actualFilename, section: item.append_to_section,
+                        filename: actualFilename, section: appendSection,
                         action: appendAction, added_chars: content.length
                     });
 
@@ -467,7 +539,7 @@ export async function execute(params) {
 
                     results.push({
                         id: actualFilename, version: meta.version, status: 'active',
-                        action: appendAction, section: item.append_to_section, filepath,
+                        action: appendAction, section: appendSection, filepath,
                         verified_total_chars: verifiedChars
                     });
                     continue;
@@ -478,44 +550,75 @@ export async function execute(params) {
 
             // === REPLACE TEXT MODE: Edit spesifik — cari teks lama, ganti dengan teks baru ===
             // Sama seperti Edit tool — surgical edit tanpa replace seluruh section
-            if (item.replace_text && fileExists) {
+            // v7.7: entry_id → scope ke 1 entry (replace_text cukup unik di entry itu), tanpa replace_text = ganti entry utuh
+            if ((item.replace_text || item.entry_id) && fileExists) {
                 try {
                     const raw = readFileSync(filepath, 'utf8');
                     const { meta, body } = parseFrontmatter(raw);
                     const oldText = item.replace_text;
                     const newText = content;
 
-                    // Cek apakah old_text ada di body
-                    const occurrences = body.split(oldText).length - 1;
-                    if (occurrences === 0) {
-                        results.push({
-                            id: actualFilename,
-                            version: meta.version || 1,
-                            status: 'error',
-                            action: 'replace_text_not_found',
-                            error: `Text not found in runbook. Make sure replace_text matches exactly.`,
-                            preview: oldText.substring(0, 100)
-                        });
-                        continue;
-                    }
-                    if (occurrences > 1) {
-                        results.push({
-                            id: actualFilename,
-                            version: meta.version || 1,
-                            status: 'error',
-                            action: 'replace_text_ambiguous',
-                            error: `Text found ${occurrences} times — must be unique. Provide more context to make it unique.`,
-                            preview: oldText.substring(0, 100)
-                        });
-                        continue;
+                    let entry = null;
+                    if (item.entry_id) {
+                        entry = findEntry(body, item.entry_id);
+                        if (!entry) {
+                            results.push({
+                                id: actualFilename,
+                                version: meta.version || 1,
+                                status: 'error',
+                                action: 'entry_not_found',
+                                error: `Entry "${item.entry_id}" not found. Check memory_get({id:"${actualFilename}", sections_list:true}) for entry IDs.`
+                            });
+                            continue;
+                        }
                     }
+                    const scopeStart = entry ? entry.start : 0;
+                    const scopeEnd = entry ? entry.end : body.length;
+                    const scope = body.substring(scopeStart, scopeEnd);
+
+                    let newBody;
+                    let replacedLength;
+                    if (oldText) {
+                        // Cek apakah old_text ada di body (atau di entry)
+                        const occurrences = scope.split(oldText).length - 1;
+                        if (occurrences === 0) {
+                            results.push({
+                                id: actualFilename,
+                                version: meta.version || 1,
+                                status: 'error',
+                                action: 'replace_text_not_found',
+                                error: `Text not found in ${entry ? `entry ${entry.id}` : 'runbook'}. Make sure replace_text matches exactly.`,
+                                preview: oldText.substring(0, 100)
+                            });
+                            continue;
+                        }
+                        if (occurrences > 1) {
+                            results.push({
+                                id: actualFilename,
+                                version: meta.version || 1,
+                                status: 'error',
+                                action: 'replace_text_ambiguous',
+                                error: `Text found ${occurrences} times${entry ? ` in entry ${entry.id}` : ''} — must be unique. Provide more context${entry ? '' : ' or entry_id'} to make it unique.`,
+                                preview: oldText.substring(0, 100)
+                            });
+                            continue;
+                        }
 
-                    // Replace exactly once
-                    const newBody = body.replace(oldText, newText);
+                        // Replace exactly once
+                        newBody = body.substring(0, scopeStart) + scope.replace(oldText, newText) + body.substring(scopeEnd);
+                        replacedLength = oldText.length;
+                    } else {
+                        // Ganti entry utuh: marker ditulis ulang (ID sama, provenance penulis baru), heading section dipertahankan
+                        const heading = entry.heading && !newText.trimStart().startsWith('## ') ? `${entry.heading}\n` : '';
+                        const trailing = entry.end < body.length ? '\n\n' : '\n';
+                        newBody = body.substring(0, entry.marker_start) + `${entryMarker(entry.id)}\n${heading}${newText.trim()}${trailing}` + body.substring(entry.end);
+                        replacedLength = entry.content.length;
+                    }
 
                     // Auto-append changelog
                     const now = new Date().toISOString().split('T')[0];
-                    const changelogEntry = `- ${now} v${(meta.version || 1) + 1}: replace_text (${oldText.length} → ${newText.length} chars)`;
+                    const operation = entry ? `${oldText ? 'replace_text' : 'replace_entry'} entry:${entry.id}` : 'replace_text';
+                    const changelogEntry = `- ${now} v${(meta.version || 1) + 1}: ${operation} (${replacedLength} → ${newText.length} chars)`;
                     const changelogHeader = '## _CHANGELOG';
                     let finalBody = newBody;
                     if (finalBody.includes(changelogHeader)) {
@@ -530,20 +633,28 @@ export async function execute(params) {
                     meta.updated = new Date().toISOString();
                     meta.version = (meta.version || 1) + 1;
 
-                    atomicWriteFileSync(filepath, buildFrontmatter(meta) + finalBody.trim() + '\n', 'utf8');
+                    atomicWriteFileSync(filepath, buildFrontmatter(meta) + finalBody.trim() + '\n', 'utf8', { historyNote: operation });
+                    if (entry && !oldText) {
+                        // Entry lama sudah diganti — klaim pembanding = body tanpa entry itu
+                        const otherEntries = body.substring(0, entry.marker_start) + body.substring(entry.end);
+                        for (const conflict of detectConflicts({ runbookId: actualFilename, previousBody: otherEntries, content: newText })) {
+                            contradictions.push(formatConflict(conflict));
+                        }
+                    }
 
                     invalidateGetCache(actualFilename);
                     updateAllIndexes(actualFilename);
                     updateActiveTarget(title, actualFilename);
 
-                    logger.info('TEXT REPLACED', { filename: actualFilename, old_len: oldText.length, new_len: newText.length });
+                    logger.info(oldText ? 'TEXT REPLACED' : 'ENTRY REPLACED', { filename: actualFilename, entry_id: entry?.id, old_len: replacedLength, new_len: newText.length });
 
                     results.push({
                         id: actualFilename,
                         version: meta.version,
                         status: 'active',
-                        action: 'text_replaced',
-                        old_length: oldText.length,
+                        action: oldText ? 'text_replaced' : 'entry_replaced',
+                        ...(entry ? { entry_id: entry.id } : {}),
+                        old_length: replacedLength,
                         new_length: newText.length,
                         filepath
                     });
@@ -556,19 +667,19 @@ export async function execute(params) {
             // === REPLACE SECTION MODE: Ganti section yang sudah tidak valid ===
             // v7.4 FIX: Use findSectionEnd (respects isMajorSection) instead of regex
             // Old regex [\s\S]*?(?=\n## |$) stopped at ANY ## including sub-headings → truncated sections
-            if (item.replace_section && fileExists) {
+            if (replaceSection && fileExists) {
                 // v7.6: Restrict replace_section to LIVE STATUS / RE-ENTRY only (workflow rule enforcement)
-                const allowedReplaceSections = ['live status', 're-entry checklist', 're-entry', '_changelog'];
-                const replaceSectionLower = item.replace_section.toLowerCase().replace(/^##\s*/, '');
-                if (!allowedReplaceSections.includes(replaceSectionLower)) {
-                    contradictions.push(`⚠️ REPLACE_SECTION BLOCKED: Section "${item.replace_section}" tidak boleh di-replace total. Gunakan append_to_section untuk tambah data, atau replace_text untuk edit surgical. replace_section HANYA untuk: LIVE STATUS, RE-ENTRY CHECKLIST.`);
+                // v7.7: Allowlist dari section schema (ops 'replace')
+                const allowedReplaceSections = getReplaceableSections(schema);
+                if (!isSectionOpAllowed(schema, replaceSection, 'replace')) {
+                    contradictions.push(`⚠️ REPLACE_SECTION BLOCKED: Section "${replaceSection}" tidak boleh di-replace total. Gunakan append_to_section untuk tambah data, atau replace_text untuk edit surgical. replace_section HANYA untuk: ${allowedReplaceSections.join(', ')}.`);
                     results.push({
                         id: actualFilename,
                         version: 0,
                         status: 'blocked',
                         action: 'replace_section_restricted',
-                        section: item.replace_section,
-                        allowed_sections: ['LIVE STATUS', 'RE-ENTRY CHECKLIST'],
+                        section: replaceSection,
+                        allowed_sections: allowedReplaceSections,
                         filepath
                     });
                     continue;
@@ -576,7 +687,7 @@ export async function execute(params) {
                 try {
                     const raw = readFileSync(filepath, 'utf8');
                     const { meta, body } = parseFrontmatter(raw);
-                    const sectionHeader = item.replace_section.startsWith('##') ? item.replace_section : `## ${item.replace_section}`;
+                    const sectionHeader = replaceSection.startsWith('##') ? replaceSection : `## ${replaceSection}`;
                     const escapedHeader = sectionHeader.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
                     const headerRegex = new RegExp(`^${escapedHeader}`, 'im');
                     const headerMatch = headerRegex.exec(body);
@@ -590,11 +701,11 @@ export async function execute(params) {
 
                         // Replace: keep everything before + new section + everything after
                         newBody = body.substring(0, sectionStart) + `${sectionHeader}\n${content}\n\n` + body.substring(sectionEnd);
-                        logger.info('SECTION REPLACED', { filename: actualFilename, section: item.replace_section, old_size: oldSection.length, new_size: content.length });
+                        logger.info('SECTION REPLACED', { filename: actualFilename, section: replaceSection, old_size: oldSection.length, new_size: content.length });
 
                         // Auto-append changelog entry (APPEND-ONLY — never replaced)
                         const now = new Date().toISOString().split('T')[0];
-                        const changelogEntry = `- ${now} v${(meta.version || 1) + 1}: replaced ## ${item.replace_section} (${oldSection.length} → ${content.length} chars)`;
+                        const changelogEntry = `- ${now} v${(meta.version || 1) + 1}: replaced ## ${replaceSection} (${oldSection.length} → ${content.length} chars)`;
                         const changelogHeader = '## _CHANGELOG';
                         if (newBody.includes(changelogHeader)) {
                             newBody = newBody.replace(changelogHeader, `${changelogHeader}\n${changelogEntry}`);
@@ -604,7 +715,7 @@ export async function execute(params) {
                     } else {
                         // Section not found → append
                         newBody = body.trim() + `\n\n${sectionHeader}\n${content}\n`;
-                        logger.info('SECTION NOT FOUND, APPENDED', { filename: actualFilename, section: item.replace_section });
+                        logger.info('SECTION NOT FOUND, APPENDED', { filename: actualFilename, section: replaceSection });
                     }
 
                     // Merge tags (import filterNoiseTags from files.js)
@@ -613,7 +724,7 @@ export async function execute(params) {
                     meta.updated = new Date().toISOString();
                     meta.version = (meta.version || 1) + 1;
 
-                    atomicWriteFileSync(filepath, buildFrontmatter(meta) + newBody.trim() + '\n', 'utf8');
+                    atomicWriteFileSync(filepath, buildFrontmatter(meta) + newBody.trim() + '\n', 'utf8', { historyNote: `replace_section: ${replaceSection}` });
 
                     // v7.0: Invalidate cache + update index after replace_section
                     invalidateGetCache(actualFilename);
@@ -627,7 +738,7 @@ export async function execute(params) {
                         version: meta.version,
                         status: 'active',
                         action: headerMatch ? 'section_replaced' : 'section_appended',
-                        section: item.replace_section,
+                        section: replaceSection,
                         filepath
                     });
                     continue;
@@ -637,12 +748,19 @@ export async function execute(params) {
                 }
             }
 
+            const previousBody = fileExists ? parseFrontmatter(readFileSync(filepath, 'utf8')).body : null;
             const result = saveRunbook(title, content, tags, options);
 
             // v7.0: Invalidate LRU cache + update FTS5 index
             if (result.action !== 'skipped_duplicate' && result.action !== 'skipped_near_duplicate' && result.action !== 'skipped_empty') {
                 invalidateGetCache(result.id);
                 updateAllIndexes(result.id);
+                // v7.7: Klaim bertentangan (credential ALIVE vs DEAD, port open vs filtered) → conflict queue
+                if (result.action === 'appended') {
+                    for (const conflict of detectConflicts({ runbookId: result.id, previousBody, content })) {
+                        contradictions.push(formatConflict(conflict));
+                    }
+                }
             }
 
             // Auto-update MEMORY.md active target
@@ -671,6 +789,21 @@ export async function execute(params) {
         }
     }
 
+    // === v7.7: SECTION SCHEMA VALIDATION — laporkan pelanggaran di runbook yang baru ditulis ===
+    for (const result of results) {
+        if (result.status !== 'active' || !result.id || String(result.action || '').startsWith('skipped')) continue;
+        try {
+            const { meta, body } = parseFrontmatter(readFileSync(join(getRunbooksDir(), result.id), 'utf8'));
+            const violations = validateSections(getSectionSchema(meta.title), body, { isMajor: isMajorSection });
+            if (violations.length === 0) continue;
+            result.schema_violations = violations.map(v => `[${v.severity}] ${v.rule}: ${v.message}`);
+            const naming = violations.filter(v => v.rule === 'non_canonical_name' || v.rule === 'duplicate_section');
+            if (naming.length > 0) {
+                contradictions.push(`⚠️ SECTION SCHEMA: ${result.id} — ${naming.map(v => v.message).join(' ')} Cek memory_validate({id:"${result.id}"}).`);
+            }
+        } catch {}
+    }
+
     // === POST-UPSERT INTELLIGENCE v7.4 ===
     // v7.4 FIX: Auto-save ke runbook LAIN DIMATIKAN by default.
     // ALASAN: Setiap upsert ke 1 runbook → 2-3 runbook lain ikut dimodifikasi
@@ -704,7 +837,7 @@ export async function execute(params) {
         }
 
         // v7.0: Check auto-invalidation (REMINDERS ONLY — tidak modifikasi file lain)
-        const invalidationReminders = checkAutoInvalidation(item);
+        const invalidationReminders = checkAutoInvalidation(item, itemFilename);
         reminders.push(...invalidationReminders);
 
         // REMINDER: Teknik gagal → harus simpan ke section GAGAL
@@ -716,7 +849,7 @@ export async function execute(params) {
 
         // REMINDER: Credential baru → harus update RE-ENTRY CHECKLIST
         if (/(?:password|credential|ssh|webshell|tunnel|token|key|login)/i.test(item.content || '') && title.startsWith('[runbook]')) {
-            reminders.push('⚠️ CREDENTIAL: Pastikan update section ## RE-ENTRY CHECKLIST dan ## LIVE STATUS dengan status ALIVE/DEAD terkini.');
+            reminders.push('⚠️ CREDENTIAL: Pastikan update section ## RE-ENTRY CHECKLIST dan ## LIVE STATUS dengan status ALIVE/DEAD terkini. Catat credential terstruktur via memory_credential({action:"set"}).');
         }
 
         // v7.5 Aturan 16: Warn jika content menyebut target berbeda dari runbook title
@@ -733,12 +866,22 @@ export async function execute(params) {
         }
     }
 
+    // v7.7: Loop-breaker — entry ## GAGAL baru membuat teknik ini mencapai threshold mistake berulang
+    try {
+        for (const guardrail of getActiveGuardrails({ since: startedAt })) {
+            reminders.push(formatGuardrailWarning(guardrail));
+        }
+    } catch (err) {
+        logger.warn('Guardrail reminder failed (non-fatal)', { error: err.message });
+    }
+
     const response = {
         upserted: results,
         meta: {
             trace_id: traceId,
             storage: 'filesystem',
-            format: '.md'
+            format: '.md',
+            vault: getCurrentVault()
         }
     };
 
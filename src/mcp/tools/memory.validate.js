@@ -0,0 +1,93 @@
+/**
+ * memory.validate v1.0 — Validasi struktur ## section runbook terhadap section schema
+ * Rules: missing_required, non_canonical_name ("Credentials" vs "CREDENTIAL"),
+ * duplicate_section, out_of_order. Read-only — tidak mengubah file.
+ * @module mcp/tools/memory.validate
+ */
+import { getRunbooksDir, listRunbookFiles, parseFrontmatter, isMajorSection } from '../../storage/files.js';
+import { SECTION_SCHEMAS, SYSTEM_SECTIONS, getSectionSchema, validateSections } from '../../storage/sectionSchema.js';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../../utils/logger.js';
+
+export const definition = {
+    name: 'memory_validate',
+    description: 'Validasi section ## runbook terhadap schema [RUNBOOK]/[TEKNIK]: section wajib, nama canonical (CREDENTIAL bukan Credentials), duplikat, urutan. Tanpa id = scan semua runbook di vault. show_schema:true = tampilkan schema.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', description: 'Runbook filename. Kosong = semua runbook' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT)' },
+            type: { type: 'string', enum: ['runbook', 'teknik'], description: 'Batasi scan ke 1 tipe schema' },
+            severity: { type: 'string', enum: ['error', 'warning'], description: 'Hanya tampilkan pelanggaran severity ini' },
+            show_schema: { type: 'boolean', description: 'Sertakan definisi schema di response' },
+            limit: { type: 'number', description: 'Max runbook bermasalah di response (default: 50)' }
+        }
+    }
+};
+
+function validateFile(filename, severity) {
+    const raw = readFileSync(join(getRunbooksDir(), filename), 'utf8');
+    const { meta, body } = parseFrontmatter(raw);
+    const schema = getSectionSchema(meta.title || '');
+    const violations = validateSections(schema, body, { isMajor: isMajorSection })
+        .filter(v => !severity || v.severity === severity);
+    return { id: filename, title: meta.title || null, type: schema ? schema.type : null, valid: violations.length === 0, violations };
+}
+
+export async function execute(params) {
+    const traceId = uuidv4();
+    const { id, type, severity, show_schema: showSchema = false, limit = 50 } = params;
+
+    try {
+        const response = { ok: true };
+        if (showSchema) response.schema = { ...SECTION_SCHEMAS, system_sections: SYSTEM_SECTIONS };
+
+        // === SINGLE RUNBOOK ===
+        if (id) {
+            const filename = id.endsWith('.md') ? id : id + '.md';
+            if (!existsSync(join(getRunbooksDir(), filename))) {
+                return { ok: false, meta: { trace_id: traceId, error: `Runbook not found: ${filename}` } };
+            }
+            const result = validateFile(filename, severity);
+            if (!result.type) result.message = 'Title tanpa prefix [RUNBOOK]/[TEKNIK] — tidak ada schema untuk divalidasi.';
+            return { ...response, ...result, meta: { trace_id: traceId } };
+        }
+
+        // === SCAN VAULT ===
+        const files = listRunbookFiles();
+        const byRule = {};
+        const failing = [];
+        let checked = 0;
+
+        for (const file of files) {
+            try {
+                const result = validateFile(file, severity);
+                if (!result.type || (type && result.type !== type)) continue;
+                checked++;
+                if (result.valid) continue;
+                for (const v of result.violations) byRule[v.rule] = (byRule[v.rule] || 0) + 1;
+                failing.push(result);
+            } catch (err) {
+                logger.warn('memory_validate: skip unreadable runbook', { file, error: err.message });
+            }
+        }
+
+        failing.sort((a, b) => b.violations.length - a.violations.length);
+        return {
+            ...response,
+            checked,
+            valid: checked - failing.length,
+            invalid: failing.length,
+            by_rule: byRule,
+            runbooks: failing.slice(0, Math.min(limit, 500)),
+            meta: { trace_id: traceId }
+        };
+    } catch (err) {
+        logger.error('memory_validate error', { error: err.message, trace_id: traceId });
+        throw err;
+    }
+}
+
+export default { definition, execute };
@@ -0,0 +1,110 @@
+/**
+ * memory.vocabulary v1.0 — Kamus search per vault (runbooks/.vocabulary.json): synonym query expansion,
+ * noise tags (dibuang saat save tags), technique words (tidak dapat target-tag boost di rerank).
+ * list / add / remove berlaku langsung tanpa restart; suggest = usulan synonym dari tag yang sering
+ * muncul bersama di knowledge graph (kg_links) — tambahkan yang cocok via add.
+ * @module mcp/tools/memory.vocabulary
+ */
+import { getVocabulary, addVocabulary, removeVocabulary, suggestSynonyms, VOCABULARY_KINDS, VOCABULARY_FILENAME } from '../../storage/vocabulary.js';
+import { getCurrentVault } from '../../storage/vault.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../../utils/logger.js';
+
+export const definition = {
+    name: 'memory_vocabulary',
+    description: 'Kamus search per vault: synonym (query expansion memory_search), noise_tag (tag generik yang dibuang saat save), technique_word (bukan nama target → tanpa target-tag boost). action: list | add | remove | suggest (usulan synonym dari tag yang sering muncul bersama). Perubahan langsung berlaku tanpa restart.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['list', 'add', 'remove', 'suggest'], description: 'Operasi (default: list)' },
+            project_id: { type: 'string', description: 'Vault/project ID (default: DEFAULT_PROJECT)' },
+            kind: { type: 'string', enum: VOCABULARY_KINDS, description: 'Add/remove (wajib), list (opsional): jenis entry' },
+            key: { type: 'string', description: 'Synonym: kata query yang di-expand, e.g. "chisel"' },
+            terms: { type: 'array', items: { type: 'string' }, description: 'Add/remove: synonym / noise tag / technique word. Remove synonym tanpa terms = hapus seluruh key' },
+            limit: { type: 'number', description: 'Suggest: max usulan (default: 20)' },
+            min_shared: { type: 'number', description: 'Suggest: minimal runbook yang memuat kedua tag (default: 2)' },
+            min_score: { type: 'number', description: 'Suggest: minimal Jaccard runbook bersama / gabungan (default: 0.3)' }
+        }
+    }
+};
+
+function summarize(vocabulary, kind = null) {
+    return {
+        version: vocabulary.version,
+        updated_at: vocabulary.updated_at,
+        source: vocabulary.source,
+        file: `runbooks/${VOCABULARY_FILENAME}`,
+        counts: {
+            synonyms: Object.keys(vocabulary.synonyms).length,
+            noise_tags: vocabulary.noise_tags.length,
+            technique_words: vocabulary.technique_words.length
+        },
+        ...(!kind || kind === 'synonym' ? { synonyms: vocabulary.synonyms } : {}),
+        ...(!kind || kind === 'noise_tag' ? { noise_tags: vocabulary.noise_tags } : {}),
+        ...(!kind || kind === 'technique_word' ? { technique_words: vocabulary.technique_words } : {})
+    };
+}
+
+export async function execute(params) {
+    const traceId = uuidv4();
+    const { action = 'list', kind, key, terms } = params || {};
+
+    try {
+        // === LIST ===
+        if (action === 'list') {
+            if (kind && !VOCABULARY_KINDS.includes(kind)) {
+                return { ok: false, error: `kind must be one of: ${VOCABULARY_KINDS.join(', ')}`, meta: { trace_id: traceId } };
+            }
+            return { ok: true, vault: getCurrentVault(), ...summarize(getVocabulary(), kind), meta: { trace_id: traceId } };
+        }
+
+        // === SUGGEST ===
+        if (action === 'suggest') {
+            const suggestions = suggestSynonyms({
+                limit: Math.min(params.limit || 20, 200),
+                minShared: params.min_shared || 2,
+                minScore: params.min_score ?? 0.3
+            });
+            return {
+                ok: true,
+                vault: getCurrentVault(),
+                suggestions,
+                hint: suggestions.length > 0
+                    ? 'Tambahkan yang relevan: memory_vocabulary({action:"add", kind:"synonym", key, terms:[term]})'
+                    : 'Tidak ada pasangan tag yang cukup sering muncul bersama (turunkan min_shared / min_score, atau graph index belum terisi).',
+                meta: { trace_id: traceId }
+            };
+        }
+
+        if (action !== 'add' && action !== 'remove') {
+            return { ok: false, error: `Unknown action: ${action}. Gunakan list | add | remove | suggest.`, meta: { trace_id: traceId } };
+        }
+
+        // === ADD / REMOVE ===
+        let result;
+        try {
+            result = action === 'add' ? addVocabulary(kind, { key, terms }) : removeVocabulary(kind, { key, terms });
+        } catch (err) {
+            return { ok: false, error: err.message, meta: { trace_id: traceId } };
+        }
+        const changed = action === 'add' ? result.added : result.removed;
+        return {
+            ok: true,
+            action,
+            kind,
+            ...(key ? { key } : {}),
+            [action === 'add' ? 'added' : 'removed']: changed,
+            unchanged: changed.length === 0,
+            version: result.vocabulary.version,
+            ...(kind === 'noise_tag' && action === 'add' && changed.length > 0
+                ? { hint: 'Berlaku untuk tag yang disimpan berikutnya. Tag lama di runbook: node scripts/clean_tags.js' }
+                : {}),
+            meta: { trace_id: traceId }
+        };
+    } catch (err) {
+        logger.error('memory_vocabulary error', { error: err.message, trace_id: traceId });
+        throw err;
+    }
+}
+
+export default { definition, execute };
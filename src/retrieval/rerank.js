@@ -3,33 +3,9 @@
  * @module retrieval/rerank
  */
 import { extractKeywords } from '../utils/normalize.js';
+import { getTechniqueWords } from '../storage/vocabulary.js';
 import logger from '../utils/logger.js';
 
-/**
- * v5.2: Common technique/hacking words excluded from target-tag boost.
- * These words appear in queries but are NOT target identifiers (domains, hosts, services).
- * Example: "inarisk exploit rce" → "inarisk" is target, "exploit"/"rce" are techniques.
- */
-const COMMON_TECHNIQUE_WORDS = new Set([
-    // Attack techniques
-    'exploit', 'vulnerability', 'payload', 'attack', 'hack', 'shell', 'webshell',
-    'rce', 'xxe', 'sqli', 'xss', 'ssrf', 'lfi', 'rfi', 'ssti', 'idor', 'csrf',
-    'injection', 'bypass', 'brute', 'force', 'enum', 'enumeration', 'scan', 'scanner',
-    // Infrastructure
-    'credential', 'creds', 'password', 'tunnel', 'persistence', 'backdoor', 'reverse',
-    'ssh', 'rdp', 'ftp', 'http', 'https', 'mysql', 'postgresql', 'redis', 'smb',
-    'port', 'proxy', 'socks', 'chisel', 'ngrok', 'cloudflare', 'cloudflared',
-    // Actions
-    'recon', 'install', 'deploy', 'upload', 'download', 'exfil', 'exfiltration',
-    'access', 'login', 'connect', 'pivot', 'escalate', 'privesc', 'dump',
-    // Status/types
-    'failed', 'success', 'blocked', 'patched', 'active', 'state', 'decision',
-    'episode', 'fact', 'runbook', 'guardrail', 'banned', 'critical',
-    // Common qualifiers
-    'full', 'updated', 'server', 'target', 'host', 'domain', 'windows', 'linux',
-    'tier', 'phase', 'chain', 'kill', 'hunt', 'final', 'master', 'migration'
-]);
-
 /**
  * Rerank results based on additional signals
  * @param {Array} results - Search results
@@ -73,7 +49,9 @@ export function rerank(results, query, options = {}) {
         // This fixes search precision: "inarisk bnpb exploit" will prioritize items tagged ["inarisk","bnpb"]
         // over generic exploit items tagged ["exploit","rce"] from other targets.
         if (keywords.length > 0) {
-            const targetKeywords = keywords.filter(k => !COMMON_TECHNIQUE_WORDS.has(k) && k.length >= 3);
+            // v7.7: technique words dari vocabulary (storage/vocabulary.js) — sama dengan memory_search
+            const techniqueWords = getTechniqueWords();
+            const targetKeywords = keywords.filter(k => !techniqueWords.has(k) && k.length >= 3);
             if (targetKeywords.length > 0) {
                 let itemTags = [];
                 try {
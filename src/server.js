@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 /**
- * MCP Memory Server - Strict JSON-RPC 2.0 over Stdio Implementation
+ * MCP Memory Server - Strict JSON-RPC 2.0 over Stdio / HTTP
+ * v7.7: Protocol handling terpisah dari transport — stdio (default) atau
+ * http (Streamable HTTP + legacy SSE, lihat mcp/httpTransport.js)
  * @module server
  */
 import { createInterface } from 'readline';
@@ -9,20 +11,26 @@ import { getToolDefinitions, executeTool, hasTool } from './mcp/index.js';
 import { getEmbeddingMode } from './utils/embedding.js';
 import { initSearchIndex } from './storage/searchIndex.js';
 import { rebuildVectorIndex } from './storage/vectorIndex.js';
+import { getRunbooksDir } from './storage/paths.js';
+import { startHttpTransport } from './mcp/httpTransport.js';
+import {
+    RESOURCE_NOT_FOUND, RESOURCE_TEMPLATES, listResources, readResource, subscribe, unsubscribe, dropSession
+} from './mcp/resources.js';
+import { listPrompts, getPrompt } from './mcp/prompts.js';
+import { runWithProvenance } from './storage/provenance.js';
+import config from './utils/config.js';
 import logger from './utils/logger.js';
 
-// Protocol version
+// Protocol version (yang pertama = default jika client minta versi yang tidak dikenal)
 const MCP_PROTOCOL_VERSION = '2024-11-05';
+const SUPPORTED_PROTOCOL_VERSIONS = [MCP_PROTOCOL_VERSION, '2025-03-26'];
 
 class McpServer {
     constructor() {
-        this.initialized = false;
-        // Use readline interface for robust line-by-line reading
-        this.rl = createInterface({
-            input: process.stdin,
-            output: process.stdout,
-            terminal: false // Important for stdio pipe
-        });
+        // Session stdio (1 proses = 1 client). HTTP transport membuat session per client.
+        // notify = kirim notification server→client (resources/updated)
+        this.session = { id: `stdio-${process.pid}`, initialized: false, clientInfo: null, notify: (message) => this.write(message) };
+        this.httpServer = null;
     }
 
     /**
@@ -30,22 +38,19 @@ class McpServer {
      */
     async start() {
         // Log startup to stderr (NEVER stdout)
-        logger.info('Starting MCP Memory Server...', { pid: process.pid });
+        logger.info('Starting MCP Memory Server...', { pid: process.pid, transport: config.transport.type });
 
         // Handle termination signals
         const cleanup = async (signal) => {
             logger.info(`Received ${signal}, shutting down...`);
+            if (this.httpServer) this.httpServer.close();
             await closeDb();
             process.exit(0);
         };
         process.on('SIGINT', () => cleanup('SIGINT'));
         process.on('SIGTERM', () => cleanup('SIGTERM'));
 
-        // Process line by line
-        this.rl.on('line', async (line) => {
-            if (!line.trim()) return;
-            await this.handleLine(line);
-        });
+        if (config.transport.type !== 'http') this.startStdio();
 
         // v6.0: File-based storage — DB init is optional (legacy)
         try {
@@ -54,7 +59,7 @@ class McpServer {
         } catch (err) {
             logger.info('No legacy DB — using file-based storage only', { error: err.message });
         }
-        logger.info('Storage: filesystem (.md runbooks)', { dir: '/home/kali/Desktop/mcp-memori/runbooks' });
+        logger.info('Storage: filesystem (.md runbooks)', { dir: getRunbooksDir() });
 
         // v7.1: Initialize FTS5 search index for fast runbook search
         try {
@@ -64,89 +69,157 @@ class McpServer {
             logger.warn('FTS5 search index init failed (search will fallback to file scan)', { error: err.message });
         }
 
+        // v7.7: HTTP listen setelah index siap — 1 server = 1 pemilik index untuk semua agent di host ini
+        if (config.transport.type === 'http') {
+            this.httpServer = await startHttpTransport(this, config.transport);
+        }
+
         // v7.5: Background vector index rebuild (async, non-blocking)
-        rebuildVectorIndex()
+        rebuildVectorIndex({ reason: 'startup' })
             .then(stats => logger.info('Vector index ready', stats))
             .catch(err => logger.warn('Vector index rebuild failed (non-fatal)', { error: err.message }));
     }
 
     /**
-     * Handle raw input line
+     * Stdio transport: line-delimited JSON-RPC di stdin/stdout
+     */
+    startStdio() {
+        // Use readline interface for robust line-by-line reading
+        this.rl = createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            terminal: false // Important for stdio pipe
+        });
+
+        // Process line by line
+        this.rl.on('line', async (line) => {
+            if (!line.trim()) return;
+            await this.handleLine(line);
+        });
+    }
+
+    /**
+     * Handle raw input line (stdio)
      */
     async handleLine(line) {
         let request;
         try {
             request = JSON.parse(line);
         } catch (err) {
-            this.sendError(null, -32700, "Parse error");
+            this.write(this.buildError(null, -32700, "Parse error"));
             return;
         }
 
+        const response = await this.handleMessage(request, this.session);
+        if (response) this.write(response);
+    }
+
+    /**
+     * Handle 1 parsed JSON-RPC message (transport-agnostic)
+     * @param {object} request - Parsed JSON-RPC message
+     * @param {object} session - { id, initialized, clientInfo }
+     * @returns {Promise<object|null>} Response, null untuk notification
+     */
+    async handleMessage(request, session) {
         // Validate JSON-RPC structure
         if (!request || typeof request !== 'object') {
-            this.sendError(request?.id, -32600, "Invalid Request");
-            return;
+            return this.buildError(request?.id, -32600, "Invalid Request");
         }
 
         const { jsonrpc, id, method, params } = request;
 
         if (jsonrpc !== '2.0') {
-            this.sendError(id, -32600, "Invalid Request: jsonrpc must be 2.0");
-            return;
+            return this.buildError(id, -32600, "Invalid Request: jsonrpc must be 2.0");
         }
 
         try {
-            await this.dispatch(id, method, params);
+            return await this.dispatch(id, method, params, session);
         } catch (err) {
             logger.error('Dispatch error', { method, error: err.message });
-            this.sendError(id, -32603, `Internal error: ${err.message}`);
+            return this.buildError(id, -32603, `Internal error: ${err.message}`);
         }
     }
 
     /**
      * Dispatch method to handler
      */
-    async dispatch(id, method, params) {
+    async dispatch(id, method, params, session) {
         // Notifications (no id)
         if (id === undefined || id === null) {
             if (method === 'notifications/initialized') {
-                logger.info('Client initialized notification received');
-                this.initialized = true;
+                logger.info('Client initialized notification received', { session: session.id });
+                session.initialized = true;
             }
             // Ignore other notifications for now
-            return;
+            return null;
         }
 
         // Methods (require response)
         switch (method) {
             case 'initialize':
-                return this.handleInitialize(id, params);
+                return this.handleInitialize(id, params, session);
 
             case 'ping':
-                return this.sendResult(id, {});
+                return this.buildResult(id, {});
 
             case 'tools/list':
                 return this.handleToolsList(id);
 
             case 'tools/call':
-                return this.handleToolsCall(id, params);
+                return this.handleToolsCall(id, params, session);
+
+            // v7.7: Resources — runbook://{id}#section
+            case 'resources/list':
+                return this.buildResult(id, listResources(params || {}));
+
+            case 'resources/templates/list':
+                return this.buildResult(id, { resourceTemplates: RESOURCE_TEMPLATES });
+
+            case 'resources/read':
+                return this.handleResourcesRead(id, params);
+
+            case 'resources/subscribe':
+                if (!params?.uri || !subscribe(params.uri, session)) {
+                    return this.buildError(id, -32602, `Invalid params: runbook:// uri required`);
+                }
+                return this.buildResult(id, {});
+
+            case 'resources/unsubscribe':
+                if (params?.uri) unsubscribe(params.uri, session);
+                return this.buildResult(id, {});
+
+            // v7.7: Prompts — session_briefing
+            case 'prompts/list':
+                return this.buildResult(id, listPrompts());
+
+            case 'prompts/get':
+                return this.handlePromptsGet(id, params);
 
             default:
-                return this.sendError(id, -32601, `Method not found: ${method}`);
+                return this.buildError(id, -32601, `Method not found: ${method}`);
         }
     }
 
     /**
      * Handle 'initialize'
      */
-    async handleInitialize(id, params) {
-        logger.info('Client initializing', { clientInfo: params?.clientInfo });
+    async handleInitialize(id, params, session) {
+        logger.info('Client initializing', { clientInfo: params?.clientInfo, session: session.id });
+        session.clientInfo = params?.clientInfo || null;
 
+        const requested = params?.protocolVersion;
         const response = {
-            protocolVersion: MCP_PROTOCOL_VERSION,
+            protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSION,
             capabilities: {
                 tools: {
                     listChanged: false
+                },
+                resources: {
+                    subscribe: true,
+                    listChanged: false
+                },
+                prompts: {
+                    listChanged: false
                 }
             },
             serverInfo: {
@@ -155,7 +228,7 @@ class McpServer {
             }
         };
 
-        this.sendResult(id, response);
+        return this.buildResult(id, response);
     }
 
     /**
@@ -163,23 +236,65 @@ class McpServer {
      */
     async handleToolsList(id) {
         const tools = getToolDefinitions();
-        this.sendResult(id, { tools });
+        return this.buildResult(id, { tools });
+    }
+
+    /**
+     * Handle 'resources/read'
+     */
+    async handleResourcesRead(id, params) {
+        if (!params?.uri) {
+            return this.buildError(id, -32602, "Invalid params: uri required");
+        }
+        const result = readResource(params.uri);
+        if (!result) {
+            return this.buildError(id, RESOURCE_NOT_FOUND, 'Resource not found', { uri: params.uri });
+        }
+        return this.buildResult(id, result);
+    }
+
+    /**
+     * Handle 'prompts/get'
+     */
+    async handlePromptsGet(id, params) {
+        if (!params?.name) {
+            return this.buildError(id, -32602, "Invalid params: name required");
+        }
+        const prompt = getPrompt(params.name, params.arguments || {});
+        if (!prompt) {
+            return this.buildError(id, -32602, `Prompt not found: ${params.name}`);
+        }
+        return this.buildResult(id, prompt);
+    }
+
+    /**
+     * Session HTTP ditutup/expired — lepas subscription
+     */
+    closeSession(session) {
+        dropSession(session);
     }
 
     /**
      * Handle 'tools/call'
+     * v7.7: Provenance (clientInfo dari initialize, model dari _meta.model) untuk entry yang ditulis tool
      */
-    async handleToolsCall(id, params) {
+    async handleToolsCall(id, params, session) {
         if (!params || !params.name) {
-            return this.sendError(id, -32602, "Invalid params: name required");
+            return this.buildError(id, -32602, "Invalid params: name required");
         }
 
         if (!hasTool(params.name)) {
-            return this.sendError(id, -32601, `Tool not found: ${params.name}`);
+            return this.buildError(id, -32601, `Tool not found: ${params.name}`);
         }
 
         try {
-            const toolResult = await executeTool(params.name, params.arguments || {});
+            const provenance = {
+                client: session?.clientInfo?.name || null,
+                client_version: session?.clientInfo?.version || null,
+                model: params._meta?.model || null,
+                session_id: session?.id || null
+            };
+            const toolResult = await runWithProvenance(provenance, () => executeTool(params.name, params.arguments || {}));
 
             // Format result according to MCP spec (content array)
             // Jika tool return __plaintext, kirim text langsung tanpa JSON.stringify
@@ -195,7 +310,7 @@ class McpServer {
                 isError: false
             };
 
-            this.sendResult(id, result);
+            return this.buildResult(id, result);
         } catch (err) {
             // Return tool execution error as a result with isError=true (not JSON-RPC error)
             // UNLESS it's a catastrophic failure. MCP allows returning error content.
@@ -206,27 +321,26 @@ class McpServer {
                 }],
                 isError: true
             };
-            this.sendResult(id, errorResult);
+            return this.buildResult(id, errorResult);
         }
     }
 
     /**
-     * Send success response
+     * Build success response
      */
-    sendResult(id, result) {
-        const response = {
+    buildResult(id, result) {
+        return {
             jsonrpc: '2.0',
             id,
             result
         };
-        this.write(response);
     }
 
     /**
-     * Send error response
+     * Build error response
      */
-    sendError(id, code, message, data = null) {
-        const response = {
+    buildError(id, code, message, data = null) {
+        return {
             jsonrpc: '2.0',
             id,
             error: {
@@ -235,7 +349,6 @@ class McpServer {
                 data
             }
         };
-        this.write(response);
     }
 
     /**
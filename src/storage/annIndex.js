@@ -0,0 +1,396 @@
+/**
+ * ANN Index v1.0 — IVF (inverted file) di atas runbook_chunks.embedding (BLOB), resident di search_index.db
+ * Centroid spherical k-means disimpan di ann_centroids; setiap chunk punya list_id (centroid terdekat).
+ * Query: cosine ke semua centroid → nprobe list terdekat → exact scoring hanya di chunk list itu.
+ * Insert/delete incremental via updateVectorEntry/removeVectorEntry: chunk baru langsung di-assign,
+ * retrain otomatis jika jumlah chunk tumbuh/susut RETRAIN_GROWTH× dari saat training.
+ * Di bawah config.ann.minChunks → exact scan (overhead IVF tidak sebanding).
+ * Recall diukur dengan sampling (query ANN sesekali dibandingkan exact scan) → memory_stats.
+ * Semua query dibatasi chunk milik model embedding aktif (kolom model) — selama migrasi model,
+ * chunk lama tidak ikut di-scan dan centroid model lama dianggap belum di-train.
+ * @module storage/annIndex
+ */
+import { performance } from 'perf_hooks';
+import { getCurrentVault } from './vault.js';
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+
+const KMEANS_ITERATIONS = 6;
+const TRAIN_SAMPLE = 4096;
+const MIN_LISTS = 16;
+const MAX_LISTS = 1024;
+const RETRAIN_GROWTH = 2;
+const ASSIGN_BATCH = 2000;
+const LATENCY_WINDOW = 200;
+const RECALL_WINDOW = 50;
+
+// Per vault (search_index.db per vault): centroid cache + statistik query
+const centroidCache = new Map();
+const queryStats = new Map();
+
+function toVector(blob) {
+    // Float32Array view butuh offset kelipatan 4 — copy jika Buffer tidak aligned
+    if (blob.byteOffset % 4 !== 0) return new Float32Array(Uint8Array.from(blob).buffer);
+    return new Float32Array(blob.buffer, blob.byteOffset, blob.length / 4);
+}
+
+function toBlob(vector) {
+    return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+/**
+ * Dot product — embedding & centroid sudah ter-normalisasi → = cosine similarity
+ */
+export function dot(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+function normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    return vector;
+}
+
+function nearestList(centroids, vector) {
+    let best = null, bestSim = -Infinity;
+    for (const c of centroids) {
+        const sim = dot(vector, c.vector);
+        if (sim > bestSim) { bestSim = sim; best = c.list_id; }
+    }
+    return best;
+}
+
+function getMeta(db, key) {
+    const row = db.prepare('SELECT value FROM ann_meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+}
+
+function setMeta(db, key, value) {
+    db.prepare('INSERT OR REPLACE INTO ann_meta (key, value) VALUES (?, ?)').run(key, String(value));
+}
+
+function stats() {
+    const vault = getCurrentVault();
+    if (!queryStats.has(vault)) {
+        queryStats.set(vault, { total: 0, ivf: 0, exact: 0, latencies: [], scanned: [], recalls: [] });
+    }
+    return queryStats.get(vault);
+}
+
+function pushWindow(list, value, size) {
+    list.push(value);
+    if (list.length > size) list.shift();
+}
+
+/**
+ * Initialize ANN tables (dipanggil initVectorIndex setelah runbook_chunks ada)
+ * @param {object} database - better-sqlite3 db instance
+ */
+export function initAnnIndex(database) {
+    if (!database) return false;
+    try {
+        database.exec('CREATE TABLE IF NOT EXISTS ann_centroids (list_id INTEGER PRIMARY KEY, centroid BLOB)');
+        database.exec('CREATE TABLE IF NOT EXISTS ann_meta (key TEXT PRIMARY KEY, value TEXT)');
+        try { database.exec('ALTER TABLE runbook_chunks ADD COLUMN list_id INTEGER'); } catch {}
+        database.exec('CREATE INDEX IF NOT EXISTS idx_chunks_list ON runbook_chunks(list_id)');
+        centroidCache.delete(getCurrentVault());
+        return true;
+    } catch (err) {
+        logger.warn('ANN index init failed (non-fatal)', { error: err.message });
+        return false;
+    }
+}
+
+function loadCentroids(db, model) {
+    const vault = getCurrentVault();
+    if (!centroidCache.has(vault)) {
+        let centroids = [];
+        let trainedModel = null;
+        try {
+            centroids = db.prepare('SELECT list_id, centroid FROM ann_centroids ORDER BY list_id').all()
+                .map(row => ({ list_id: row.list_id, vector: toVector(row.centroid) }));
+            trainedModel = getMeta(db, 'model');
+        } catch {}
+        centroidCache.set(vault, { model: trainedModel, centroids });
+    }
+    const cached = centroidCache.get(vault);
+    // Centroid dari model lain tidak sebanding dengan query model aktif
+    return cached.model === model ? cached.centroids : [];
+}
+
+function chunkCount(db, model) {
+    return db.prepare('SELECT COUNT(*) AS cnt FROM runbook_chunks WHERE embedding IS NOT NULL AND model = ?').get(model).cnt;
+}
+
+/**
+ * Train ulang IVF: k-means di sample chunk model aktif, lalu assign list_id untuk semua chunk model itu
+ * @param {object} db
+ * @param {object} options - { model } (key provider embedding aktif)
+ * @returns {{ trained: boolean, nlist?: number, chunks: number, ms?: number }}
+ */
+export function trainAnnIndex(db, { model }) {
+    const started = performance.now();
+    const total = chunkCount(db, model);
+
+    if (total < config.ann.minChunks) {
+        // Corpus kecil → exact scan, hapus IVF lama
+        db.transaction(() => {
+            db.exec('DELETE FROM ann_centroids');
+            db.exec('UPDATE runbook_chunks SET list_id = NULL WHERE list_id IS NOT NULL');
+            setMeta(db, 'trained_count', 0);
+        })();
+        centroidCache.delete(getCurrentVault());
+        return { trained: false, chunks: total };
+    }
+
+    const nlist = Math.max(MIN_LISTS, Math.min(MAX_LISTS, Math.round(Math.sqrt(total))));
+    const sample = db.prepare('SELECT embedding FROM runbook_chunks WHERE embedding IS NOT NULL AND model = ? ORDER BY RANDOM() LIMIT ?')
+        .all(model, Math.max(TRAIN_SAMPLE, nlist * 4))
+        .map(row => toVector(row.embedding));
+    const dim = sample[0].length;
+
+    let centroids = sample.slice(0, nlist).map((v, i) => ({ list_id: i, vector: Float32Array.from(v) }));
+    const assignment = new Int32Array(sample.length);
+    for (let iter = 0; iter < KMEANS_ITERATIONS; iter++) {
+        for (let i = 0; i < sample.length; i++) assignment[i] = nearestList(centroids, sample[i]);
+        const sums = centroids.map(() => new Float32Array(dim));
+        const counts = new Int32Array(centroids.length);
+        for (let i = 0; i < sample.length; i++) {
+            const sum = sums[assignment[i]];
+            for (let d = 0; d < dim; d++) sum[d] += sample[i][d];
+            counts[assignment[i]]++;
+        }
+        // List kosong → re-seed dari sample acak
+        centroids = sums.map((sum, i) => ({
+            list_id: i,
+            vector: counts[i] > 0 ? normalize(sum) : Float32Array.from(sample[Math.floor(Math.random() * sample.length)])
+        }));
+    }
+
+    const insertCentroid = db.prepare('INSERT INTO ann_centroids (list_id, centroid) VALUES (?, ?)');
+    const updateList = db.prepare('UPDATE runbook_chunks SET list_id = ? WHERE rowid = ?');
+    const batchStmt = db.prepare('SELECT rowid, embedding FROM runbook_chunks WHERE embedding IS NOT NULL AND model = ? AND rowid > ? ORDER BY rowid LIMIT ?');
+    db.transaction(() => {
+        db.exec('DELETE FROM ann_centroids');
+        db.exec('UPDATE runbook_chunks SET list_id = NULL WHERE list_id IS NOT NULL');
+        for (const c of centroids) insertCentroid.run(c.list_id, toBlob(c.vector));
+        let lastRowid = 0;
+        for (;;) {
+            const rows = batchStmt.all(model, lastRowid, ASSIGN_BATCH);
+            if (rows.length === 0) break;
+            for (const row of rows) updateList.run(nearestList(centroids, toVector(row.embedding)), row.rowid);
+            lastRowid = rows[rows.length - 1].rowid;
+        }
+        setMeta(db, 'trained_count', total);
+        setMeta(db, 'trained_at', new Date().toISOString());
+        setMeta(db, 'nlist', centroids.length);
+        setMeta(db, 'model', model);
+    })();
+    centroidCache.set(getCurrentVault(), { model, centroids });
+
+    const ms = Math.round(performance.now() - started);
+    setMeta(db, 'train_ms', ms);
+    logger.info('ANN index trained', { chunks: total, nlist: centroids.length, sample: sample.length, ms });
+    return { trained: true, nlist: centroids.length, chunks: total, ms };
+}
+
+/**
+ * Retrain jika belum ada IVF (atau IVF milik model lain) padahal corpus sudah cukup besar,
+ * atau corpus tumbuh/susut jauh sejak training
+ * @param {object} db
+ * @param {object} options - { model }
+ * @returns {object|null} Hasil trainAnnIndex (null jika tidak perlu)
+ */
+export function maybeRetrainAnn(db, { model }) {
+    if (!db) return null;
+    try {
+        const total = chunkCount(db, model);
+        const trainedCount = parseInt(getMeta(db, 'trained_count') || '0', 10);
+        const trained = loadCentroids(db, model).length > 0;
+        const needsTrain = trained
+            ? total > trainedCount * RETRAIN_GROWTH || total * RETRAIN_GROWTH < trainedCount
+            : total >= config.ann.minChunks;
+        return needsTrain ? trainAnnIndex(db, { model }) : null;
+    } catch (err) {
+        logger.warn('ANN retrain failed (non-fatal)', { error: err.message });
+        return null;
+    }
+}
+
+/**
+ * Assign list_id untuk chunk 1 runbook (setelah chunk di-insert ulang)
+ * @param {object} db
+ * @param {string} filename
+ * @param {object} options - { model }
+ */
+export function assignAnnEntry(db, filename, { model }) {
+    if (!db) return;
+    try {
+        const centroids = loadCentroids(db, model);
+        if (centroids.length > 0) {
+            const updateList = db.prepare('UPDATE runbook_chunks SET list_id = ? WHERE rowid = ?');
+            const rows = db.prepare('SELECT rowid, embedding FROM runbook_chunks WHERE id = ? AND embedding IS NOT NULL').all(filename);
+            db.transaction(() => {
+                for (const row of rows) updateList.run(nearestList(centroids, toVector(row.embedding)), row.rowid);
+            })();
+        }
+        maybeRetrainAnn(db, { model });
+    } catch (err) {
+        logger.warn('ANN assign failed (non-fatal)', { filename, error: err.message });
+    }
+}
+
+function bestPerRunbook(rows, queryVector, minSimilarity) {
+    const best = new Map();
+    for (const row of rows) {
+        try {
+            const sim = dot(queryVector, toVector(row.embedding));
+            if (sim > minSimilarity && (!best.has(row.id) || sim > best.get(row.id).similarity)) {
+                best.set(row.id, { id: row.id, similarity: sim, chunkIndex: row.chunk });
+            }
+        } catch {}
+    }
+    return [...best.values()].sort((a, b) => b.similarity - a.similarity);
+}
+
+function exactScan(db, model, queryVector, limit, minSimilarity) {
+    const rows = db.prepare('SELECT id, chunk, embedding FROM runbook_chunks WHERE embedding IS NOT NULL AND model = ?').all(model);
+    return { results: bestPerRunbook(rows, queryVector, minSimilarity).slice(0, limit), scanned: rows.length };
+}
+
+function ivfScan(db, model, centroids, queryVector, limit, minSimilarity) {
+    const nprobe = Math.min(config.ann.nprobe, centroids.length);
+    const probe = centroids
+        .map(c => ({ list_id: c.list_id, sim: dot(queryVector, c.vector) }))
+        .sort((a, b) => b.sim - a.sim)
+        .slice(0, nprobe)
+        .map(c => c.list_id);
+    // list_id NULL = chunk yang belum sempat di-assign — tetap di-scan
+    const rows = db.prepare(`
+        SELECT id, chunk, embedding FROM runbook_chunks
+        WHERE embedding IS NOT NULL AND model = ? AND (list_id IN (${probe.map(() => '?').join(',')}) OR list_id IS NULL)
+    `).all(model, ...probe);
+    return { results: bestPerRunbook(rows, queryVector, minSimilarity).slice(0, limit), scanned: rows.length };
+}
+
+function recallOf(approx, exact) {
+    if (exact.length === 0) return 1;
+    const found = new Set(approx.map(r => r.id));
+    return exact.filter(r => found.has(r.id)).length / exact.length;
+}
+
+/**
+ * Nearest chunk per runbook (IVF jika sudah di-train, else exact scan)
+ * @param {object} db
+ * @param {Float32Array} queryVector - Ter-normalisasi
+ * @param {object} options - { model, limit, minSimilarity }
+ * @returns {Array<{ id: string, similarity: number, chunkIndex: number }>}
+ */
+export function searchAnn(db, queryVector, { model, limit = 20, minSimilarity = 0 }) {
+    const started = performance.now();
+    const centroids = loadCentroids(db, model);
+    const mode = centroids.length > 0 ? 'ivf' : 'exact';
+    const { results, scanned } = mode === 'ivf'
+        ? ivfScan(db, model, centroids, queryVector, limit, minSimilarity)
+        : exactScan(db, model, queryVector, limit, minSimilarity);
+
+    const s = stats();
+    s.total++;
+    s[mode]++;
+    pushWindow(s.latencies, performance.now() - started, LATENCY_WINDOW);
+    pushWindow(s.scanned, scanned, LATENCY_WINDOW);
+
+    // Sampling recall: sebagian query IVF dibandingkan dengan exact scan
+    if (mode === 'ivf' && Math.random() < config.ann.recallSampleRate) {
+        try {
+            const exact = exactScan(db, model, queryVector, limit, minSimilarity).results;
+            pushWindow(s.recalls, recallOf(results, exact), RECALL_WINDOW);
+        } catch {}
+    }
+    return results;
+}
+
+/**
+ * Benchmark ANN vs exact pakai embedding chunk acak sebagai query (tidak butuh model embedding)
+ * @param {object} db
+ * @param {object} options - { model, queries (default 20), k (default 10) }
+ * @returns {{ queries: number, k: number, mode: string, recall: number|null, ann_ms: number|null, exact_ms: number|null, speedup: number|null }}
+ */
+export function benchmarkAnn(db, { model, queries = 20, k = 10 }) {
+    const centroids = loadCentroids(db, model);
+    const mode = centroids.length > 0 ? 'ivf' : 'exact';
+    const samples = db.prepare('SELECT embedding FROM runbook_chunks WHERE embedding IS NOT NULL AND model = ? ORDER BY RANDOM() LIMIT ?')
+        .all(model, Math.max(1, Math.min(queries, 200)))
+        .map(row => Float32Array.from(toVector(row.embedding)));
+    if (samples.length === 0) return { queries: 0, k, mode, recall: null, ann_ms: null, exact_ms: null, speedup: null };
+
+    let annMs = 0, exactMs = 0, recall = 0;
+    for (const query of samples) {
+        let t = performance.now();
+        const approx = mode === 'ivf' ? ivfScan(db, model, centroids, query, k, 0).results : exactScan(db, model, query, k, 0).results;
+        annMs += performance.now() - t;
+        t = performance.now();
+        const exact = exactScan(db, model, query, k, 0).results;
+        exactMs += performance.now() - t;
+        recall += recallOf(approx, exact);
+    }
+    const round = (n) => Math.round(n * 100) / 100;
+    return {
+        queries: samples.length,
+        k,
+        mode,
+        recall: round(recall / samples.length),
+        ann_ms: round(annMs / samples.length),
+        exact_ms: round(exactMs / samples.length),
+        speedup: annMs > 0 ? round(exactMs / annMs) : null
+    };
+}
+
+/**
+ * Statistik ANN (struktur index + latency/recall query live) untuk memory_stats
+ * @param {object} db
+ * @param {object} options - { model }
+ */
+export function getAnnStats(db, { model }) {
+    if (!db) return null;
+    try {
+        const centroids = loadCentroids(db, model);
+        const lists = db.prepare('SELECT list_id, COUNT(*) AS cnt FROM runbook_chunks WHERE embedding IS NOT NULL AND model = ? GROUP BY list_id').all(model);
+        const sizes = lists.filter(l => l.list_id !== null).map(l => l.cnt);
+        const unassigned = (lists.find(l => l.list_id === null) || { cnt: 0 }).cnt;
+        const s = stats();
+        const sorted = [...s.latencies].sort((a, b) => a - b);
+        const avg = (list) => (list.length > 0 ? list.reduce((sum, v) => sum + v, 0) / list.length : null);
+        const round = (n) => (n === null ? null : Math.round(n * 100) / 100);
+
+        return {
+            mode: centroids.length > 0 ? 'ivf' : 'exact',
+            model,
+            chunks: sizes.reduce((sum, n) => sum + n, 0) + unassigned,
+            min_chunks_for_ivf: config.ann.minChunks,
+            nlist: centroids.length,
+            nprobe: centroids.length > 0 ? Math.min(config.ann.nprobe, centroids.length) : null,
+            trained_count: parseInt(getMeta(db, 'trained_count') || '0', 10),
+            trained_at: getMeta(db, 'trained_at'),
+            train_ms: getMeta(db, 'train_ms') ? parseInt(getMeta(db, 'train_ms'), 10) : null,
+            list_size: sizes.length > 0 ? { min: Math.min(...sizes), max: Math.max(...sizes), avg: round(avg(sizes)) } : null,
+            unassigned,
+            queries: { total: s.total, ivf: s.ivf, exact: s.exact },
+            latency_ms: { avg: round(avg(sorted)), p95: round(sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : null) },
+            avg_scanned: round(avg(s.scanned)),
+            recall: { samples: s.recalls.length, avg: round(avg(s.recalls)), sample_rate: config.ann.recallSampleRate }
+        };
+    } catch (err) {
+        logger.warn('ANN stats failed (non-fatal)', { error: err.message });
+        return null;
+    }
+}
+
+export default {
+    dot, initAnnIndex, trainAnnIndex, maybeRetrainAnn, assignAnnEntry, searchAnn, benchmarkAnn, getAnnStats
+};
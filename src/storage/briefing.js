@@ -0,0 +1,155 @@
+/**
+ * Session Briefing v1.0 — ringkasan state target aktif (LIVE STATUS + RE-ENTRY CHECKLIST + _AUTO_LOG terakhir)
+ * Satu implementasi untuk hook SessionStart dan MCP prompt `session_briefing`.
+ * Tidak panggil AI — pure file read. Max 2500 chars.
+ * @module storage/briefing
+ */
+import { readFileSync, existsSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import {
+    getRunbooksDir, titleToFilename, findByTitle, findByFuzzyTitle,
+    parseFrontmatter, findSectionEnd
+} from './files.js';
+import { getAutoMemoryPath } from './paths.js';
+import { STATE_SECTIONS } from './sectionSchema.js';
+
+const MAX_CONTEXT_CHARS = 2500;
+
+/**
+ * Target aktif: pointer "- Target: x" di MEMORY.md, fallback RUNBOOK_*.md terbaru (< 7 hari)
+ * @returns {string|null}
+ */
+export function resolveActiveTarget() {
+    // Strategy 1: MEMORY.md pointer
+    try {
+        const autoMemoryPath = getAutoMemoryPath();
+        if (existsSync(autoMemoryPath)) {
+            const content = readFileSync(autoMemoryPath, 'utf8');
+            const m = content.match(/- Target:\s*([^\n(]+?)(?:\s*\(|$)/m);
+            if (m && m[1]) {
+                const target = m[1].trim();
+                if (target && target.toLowerCase() !== 'none' && target.length > 2) {
+                    return target;
+                }
+            }
+        }
+    } catch { /* ignore */ }
+
+    // Strategy 2: most-recent RUNBOOK_*.md
+    try {
+        const runbooksDir = getRunbooksDir();
+        const files = readdirSync(runbooksDir)
+            .filter(f => f.startsWith('RUNBOOK_') && f.endsWith('.md') && !f.includes('_AUTO_LOG_UNIFIED'))
+            .map(f => ({
+                file: f,
+                mtime: statSync(join(runbooksDir, f)).mtimeMs
+            }))
+            .sort((a, b) => b.mtime - a.mtime);
+        if (files.length > 0) {
+            // Extract target from filename: RUNBOOK_example.com.md → example.com
+            const top = files[0].file.replace(/^RUNBOOK_/, '').replace(/\.md$/, '');
+            // Skip if recent file is stale (>7 days) — probably no active session
+            const ageHours = (Date.now() - files[0].mtime) / (1000 * 60 * 60);
+            if (ageHours < 24 * 7) return top;
+        }
+    } catch { /* ignore */ }
+
+    return null;
+}
+
+/**
+ * Runbook path untuk target ("example.com" / "[RUNBOOK] example.com" / filename)
+ */
+export function findTargetRunbook(target) {
+    if (!target) return null;
+    if (target.endsWith('.md') && existsSync(join(getRunbooksDir(), target))) return join(getRunbooksDir(), target);
+    const title = target.startsWith('[') ? target : `[RUNBOOK] ${target}`;
+    const filename = titleToFilename(title);
+    const filepath = join(getRunbooksDir(), filename);
+    if (existsSync(filepath)) return filepath;
+    const byTitle = findByTitle(title);
+    if (byTitle) return byTitle;
+    const fuzzy = findByFuzzyTitle(title);
+    if (fuzzy) return fuzzy;
+    return null;
+}
+
+function extractSection(body, sectionName) {
+    const header = `## ${sectionName}`;
+    // Must match at START OF LINE (not inside _CHANGELOG text like "replaced ## LIVE STATUS")
+    const regex = new RegExp(`^${header.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'im');
+    const match = regex.exec(body);
+    if (!match) return '';
+    // Verify it's a real section header (preceded by newline or start of string)
+    const idx = match.index;
+    if (idx > 0 && body[idx - 1] !== '\n') return '';
+    const end = findSectionEnd(body, idx);
+    return body.substring(idx, end).trim();
+}
+
+function lastNLines(text, n = 10) {
+    const lines = text.split('\n').filter(l => l.trim());
+    return lines.slice(-n).join('\n');
+}
+
+/**
+ * Build briefing markdown untuk target
+ * @param {object} options - { target (default: target aktif), source: label asal (hook/prompt) }
+ * @returns {{ context: string, target: string, id: string, stats: object }|null} null = tidak ada target/runbook
+ */
+export function buildSessionBriefing(options = {}) {
+    const target = options.target || resolveActiveTarget();
+    if (!target) return null;
+    const filepath = findTargetRunbook(target);
+    if (!filepath) return null;
+
+    const source = options.source || 'unknown';
+    const id = filepath.split('/').pop();
+    const { meta, body } = parseFrontmatter(readFileSync(filepath, 'utf8'));
+
+    const liveStatus = extractSection(body, 'LIVE STATUS');
+    const reEntry = extractSection(body, 'RE-ENTRY CHECKLIST');
+    const autoLog = extractSection(body, '_AUTO_LOG');
+    const autoLogTail = autoLog ? lastNLines(autoLog, 10) : '';
+
+    const parts = [];
+    parts.push(`# mcp-memori: Active Target Context`);
+    parts.push(`**Target:** ${meta.title || target}`);
+    parts.push(`**Updated:** ${meta.updated || 'unknown'} | **Version:** v${meta.version || 1}`);
+    parts.push(`**Source:** ${source}`);
+    parts.push('');
+
+    if (liveStatus) {
+        parts.push(liveStatus.substring(0, 800));
+        parts.push('');
+    }
+    if (reEntry) {
+        parts.push(reEntry.substring(0, 800));
+        parts.push('');
+    }
+    if (autoLogTail) {
+        parts.push(`## Recent Auto-Log (last 10 entries)\n${autoLogTail.substring(0, 600)}`);
+    }
+
+    parts.push('');
+    parts.push(`> Gunakan \`memory_get({id:"${id}"})\` untuk full runbook.`);
+    parts.push(`> SECTION STATE tetap hard-block: wajib \`memory_get\` sebelum \`memory_upsert\` ke ${STATE_SECTIONS.join('/')}.`);
+
+    let context = parts.join('\n');
+    if (context.length > MAX_CONTEXT_CHARS) {
+        context = context.substring(0, MAX_CONTEXT_CHARS) + '\n\n[...context truncated, use memory_get for full runbook]';
+    }
+
+    return {
+        context,
+        target,
+        id,
+        stats: {
+            has_live_status: !!liveStatus,
+            has_re_entry: !!reEntry,
+            autolog_entries: autoLogTail ? autoLogTail.split('\n').length : 0
+        }
+    };
+}
+
+export default { resolveActiveTarget, findTargetRunbook, buildSessionBriefing };
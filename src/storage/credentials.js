@@ -0,0 +1,345 @@
+/**
+ * Credential Store v1.0 — typed credential records + liveness per runbook
+ * PRIMARY: runbooks/.credentials/<id>.json (sidecar, ikut vault — bisa di-backup bareng runbooks)
+ * INDEX:   tabel `credentials` di search_index.db → query lintas runbook ("semua cred ALIVE di host X")
+ * RENDER:  blok managed di ## CREDENTIAL — satu sumber status ALIVE/DEAD, tidak drift antar section
+ *
+ * Record: { cred_id, service, host, username, secret_ref, status, last_verified, notes,
+ *           created, updated, history: [{ ts, status, note }] }
+ * secret_ref = referensi ke secret (e.g. "env:DB_PASS", "## CREDENTIAL baris 3"), bukan wajib secret mentah.
+ * @module storage/credentials
+ */
+import { existsSync, mkdirSync, readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { getRunbooksDir, parseFrontmatter, buildFrontmatter, atomicWriteFileSync, findSectionRange } from './files.js';
+import { getDb } from './searchIndex.js';
+import logger from '../utils/logger.js';
+
+export const CREDENTIALS_DIRNAME = '.credentials';
+export const CREDENTIAL_STATUSES = ['ALIVE', 'DEAD', 'UNKNOWN'];
+
+const BLOCK_BEGIN = '<!-- CREDENTIALS:BEGIN (managed by memory_credential — edit via tool, bukan manual) -->';
+const BLOCK_END = '<!-- CREDENTIALS:END -->';
+const BLOCK_PATTERN = /<!-- CREDENTIALS:BEGIN[^\n]*-->[\s\S]*?<!-- CREDENTIALS:END -->\n?/;
+const MAX_STATUS_HISTORY = 20;
+
+function toFilename(id) {
+    return id.endsWith('.md') ? id : id + '.md';
+}
+
+function sidecarPath(id) {
+    return join(getRunbooksDir(), CREDENTIALS_DIRNAME, toFilename(id).replace(/\.md$/, '.json'));
+}
+
+/**
+ * Stable credential id: service + host + username (case-insensitive)
+ */
+export function credentialId(service, host, username) {
+    const key = [service, host, username].map(v => (v || '').trim().toLowerCase()).join('|');
+    return createHash('sha256').update(key, 'utf8').digest('hex').substring(0, 10);
+}
+
+/**
+ * Load credential records of a runbook
+ * @param {string} id - Runbook filename
+ * @returns {Array<object>}
+ */
+export function loadCredentials(id) {
+    const path = sidecarPath(id);
+    if (!existsSync(path)) return [];
+    try {
+        const data = JSON.parse(readFileSync(path, 'utf8'));
+        return Array.isArray(data.credentials) ? data.credentials : [];
+    } catch (err) {
+        logger.warn('Credentials: sidecar unreadable', { id, error: err.message });
+        return [];
+    }
+}
+
+function saveCredentials(id, credentials) {
+    const dir = join(getRunbooksDir(), CREDENTIALS_DIRNAME);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    atomicWriteFileSync(sidecarPath(id), JSON.stringify({ runbook_id: toFilename(id), credentials }, null, 2) + '\n');
+    indexRunbookCredentials(id, credentials);
+}
+
+/**
+ * Initialize credentials table in search_index.db
+ * @param {object} database - better-sqlite3 db instance
+ */
+export function initCredentialIndex(database) {
+    const db = database;
+    if (!db) return false;
+    try {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS credentials (
+                cred_id TEXT,
+                runbook_id TEXT,
+                service TEXT,
+                host TEXT,
+                username TEXT,
+                secret_ref TEXT,
+                status TEXT DEFAULT 'UNKNOWN',
+                last_verified TEXT,
+                notes TEXT,
+                updated TEXT,
+                PRIMARY KEY (runbook_id, cred_id)
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_cred_host ON credentials(host)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_cred_status ON credentials(status)');
+        return true;
+    } catch (err) {
+        logger.warn('Credential index init failed (non-fatal)', { error: err.message });
+        return false;
+    }
+}
+
+function indexRunbookCredentials(id, credentials, database = null) {
+    const db = database || getDb();
+    if (!db) return;
+    try {
+        const runbookId = toFilename(id);
+        const insert = db.prepare(`
+            INSERT INTO credentials (cred_id, runbook_id, service, host, username, secret_ref, status, last_verified, notes, updated)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        db.transaction(() => {
+            db.prepare('DELETE FROM credentials WHERE runbook_id = ?').run(runbookId);
+            for (const c of credentials) {
+                insert.run(c.cred_id, runbookId, c.service, c.host, c.username, c.secret_ref || null, c.status, c.last_verified || null, c.notes || null, c.updated || null);
+            }
+        })();
+    } catch (err) {
+        logger.warn('Credential index update failed (non-fatal)', { id, error: err.message });
+    }
+}
+
+/**
+ * Rebuild credentials table from all sidecars (dipanggil initSearchIndex)
+ */
+export function rebuildCredentialIndex(database) {
+    const db = database || getDb();
+    if (!db) return 0;
+    const dir = join(getRunbooksDir(), CREDENTIALS_DIRNAME);
+    let total = 0;
+    try {
+        db.exec('DELETE FROM credentials');
+        if (!existsSync(dir)) return 0;
+        for (const file of readdirSync(dir).filter(f => f.endsWith('.json'))) {
+            const id = file.replace(/\.json$/, '.md');
+            const credentials = loadCredentials(id);
+            indexRunbookCredentials(id, credentials, db);
+            total += credentials.length;
+        }
+        if (total > 0) logger.info('Credential index rebuilt', { total });
+    } catch (err) {
+        logger.warn('Credential index rebuild failed (non-fatal)', { error: err.message });
+    }
+    return total;
+}
+
+/**
+ * Create/update credential record (key: service + host + username)
+ * @param {string} id - Runbook filename
+ * @param {object} fields - { service, host, username, secret_ref, status, notes, verified_at }
+ * @returns {{ credential: object, created: boolean }}
+ */
+export function setCredential(id, fields) {
+    const credentials = loadCredentials(id);
+    const credId = credentialId(fields.service, fields.host, fields.username);
+    const now = new Date().toISOString();
+    let record = credentials.find(c => c.cred_id === credId);
+    const created = !record;
+
+    if (!record) {
+        record = {
+            cred_id: credId,
+            service: (fields.service || '').trim().toLowerCase(),
+            host: (fields.host || '').trim().toLowerCase(),
+            username: (fields.username || '').trim(),
+            secret_ref: null,
+            status: 'UNKNOWN',
+            last_verified: null,
+            notes: null,
+            created: now,
+            updated: now,
+            history: []
+        };
+        credentials.push(record);
+    }
+
+    if (fields.secret_ref !== undefined) record.secret_ref = fields.secret_ref;
+    if (fields.notes !== undefined) record.notes = fields.notes;
+    if (fields.status) applyStatus(record, fields.status, fields.verified_at, fields.notes);
+    record.updated = now;
+
+    saveCredentials(id, credentials);
+    return { credential: record, created };
+}
+
+function applyStatus(record, status, verifiedAt, note) {
+    const ts = verifiedAt || new Date().toISOString();
+    if (status !== 'UNKNOWN') record.last_verified = ts;
+    // Re-verify (ALIVE → ALIVE) tetap dicatat; UNKNOWN → UNKNOWN tidak
+    if (!(status === 'UNKNOWN' && record.status === 'UNKNOWN')) {
+        record.history = [...(record.history || []), { ts, status, note: note || null }].slice(-MAX_STATUS_HISTORY);
+    }
+    record.status = status;
+}
+
+/**
+ * Update status (liveness) of a credential
+ * @returns {object|null} Updated record
+ */
+export function setCredentialStatus(id, credId, status, options = {}) {
+    const credentials = loadCredentials(id);
+    const record = credentials.find(c => c.cred_id === credId);
+    if (!record) return null;
+    applyStatus(record, status, options.verifiedAt, options.note);
+    record.updated = new Date().toISOString();
+    saveCredentials(id, credentials);
+    return record;
+}
+
+/**
+ * Remove credential record
+ */
+export function removeCredential(id, credId) {
+    const credentials = loadCredentials(id);
+    const remaining = credentials.filter(c => c.cred_id !== credId);
+    if (remaining.length === credentials.length) return false;
+    saveCredentials(id, remaining);
+    return true;
+}
+
+/**
+ * Cari runbook pemilik cred_id (scan sidecars — cred_id unik per service/host/user)
+ */
+export function findCredentialRunbook(credId) {
+    const db = getDb();
+    if (db) {
+        try {
+            const row = db.prepare('SELECT runbook_id FROM credentials WHERE cred_id = ? LIMIT 1').get(credId);
+            if (row) return row.runbook_id;
+        } catch {}
+    }
+    const dir = join(getRunbooksDir(), CREDENTIALS_DIRNAME);
+    if (!existsSync(dir)) return null;
+    for (const file of readdirSync(dir).filter(f => f.endsWith('.json'))) {
+        const id = file.replace(/\.json$/, '.md');
+        if (loadCredentials(id).some(c => c.cred_id === credId)) return id;
+    }
+    return null;
+}
+
+/**
+ * Query credentials lintas runbook di vault aktif
+ * Pakai index DB jika ada, fallback scan sidecars (hooks / index belum siap)
+ * @param {object} filters - { host, service, username, status, runbook_id }
+ * @returns {Array<object>}
+ */
+export function queryCredentials(filters = {}) {
+    const { host, service, username, status, runbook_id: runbookId } = filters;
+    const db = getDb();
+
+    if (db) {
+        try {
+            const where = [];
+            const args = [];
+            if (host) { where.push('host LIKE ?'); args.push(`%${host.toLowerCase()}%`); }
+            if (service) { where.push('service = ?'); args.push(service.toLowerCase()); }
+            if (username) { where.push('username = ?'); args.push(username); }
+            if (status) { where.push('status = ?'); args.push(status); }
+            if (runbookId) { where.push('runbook_id = ?'); args.push(toFilename(runbookId)); }
+            const sql = `SELECT * FROM credentials${where.length ? ' WHERE ' + where.join(' AND ') : ''} ORDER BY host, service, username`;
+            return db.prepare(sql).all(...args);
+        } catch (err) {
+            logger.warn('Credential query via index failed, scanning sidecars', { error: err.message });
+        }
+    }
+
+    const dir = join(getRunbooksDir(), CREDENTIALS_DIRNAME);
+    if (!existsSync(dir)) return [];
+    const ids = runbookId ? [toFilename(runbookId)] : readdirSync(dir).filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, '.md'));
+    const rows = [];
+    for (const id of ids) {
+        for (const c of loadCredentials(id)) {
+            if (host && !c.host.includes(host.toLowerCase())) continue;
+            if (service && c.service !== service.toLowerCase()) continue;
+            if (username && c.username !== username) continue;
+            if (status && c.status !== status) continue;
+            rows.push({ ...c, runbook_id: id, history: undefined });
+        }
+    }
+    return rows.sort((a, b) => `${a.host}|${a.service}|${a.username}`.localeCompare(`${b.host}|${b.service}|${b.username}`));
+}
+
+function cell(value) {
+    return String(value ?? '-').replace(/\|/g, '\\|').replace(/\n/g, ' ') || '-';
+}
+
+/**
+ * Render records → markdown table block
+ */
+export function renderCredentialBlock(credentials) {
+    const lines = [
+        BLOCK_BEGIN,
+        '| Cred | Service | Host | User | Secret Ref | Status | Last Verified | Notes |',
+        '|------|---------|------|------|------------|--------|---------------|-------|'
+    ];
+    const order = { ALIVE: 0, UNKNOWN: 1, DEAD: 2 };
+    const sorted = [...credentials].sort((a, b) => (order[a.status] ?? 3) - (order[b.status] ?? 3) || a.host.localeCompare(b.host));
+    for (const c of sorted) {
+        lines.push(`| ${cell(c.cred_id)} | ${cell(c.service)} | ${cell(c.host)} | ${cell(c.username)} | ${cell(c.secret_ref)} | ${cell(c.status)} | ${cell(c.last_verified ? c.last_verified.split('T')[0] : null)} | ${cell(c.notes)} |`);
+    }
+    lines.push(BLOCK_END);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Tulis ulang blok managed di ## CREDENTIAL (buat section jika belum ada)
+ * Hanya blok managed yang disentuh — teks bebas di section tetap.
+ * @param {string} id - Runbook filename
+ * @returns {{ ok: boolean, changed?: boolean, version?: number, error?: string }}
+ */
+export function renderCredentialsToRunbook(id) {
+    const filename = toFilename(id);
+    const filepath = join(getRunbooksDir(), filename);
+    if (!existsSync(filepath)) return { ok: false, error: `Runbook not found: ${filename}` };
+
+    const { meta, body } = parseFrontmatter(readFileSync(filepath, 'utf8'));
+    const credentials = loadCredentials(filename);
+    const block = credentials.length > 0 ? renderCredentialBlock(credentials) : '';
+
+    let newBody;
+    if (BLOCK_PATTERN.test(body)) {
+        newBody = body.replace(BLOCK_PATTERN, block);
+    } else if (!block) {
+        return { ok: true, changed: false, version: meta.version || 1 };
+    } else {
+        const range = findSectionRange(body, 'CREDENTIAL');
+        if (range) {
+            const headerEnd = body.indexOf('\n', range.start);
+            const insertAt = headerEnd === -1 ? body.length : headerEnd + 1;
+            newBody = body.substring(0, insertAt) + block + body.substring(insertAt);
+        } else {
+            newBody = body.trimEnd() + '\n\n## CREDENTIAL\n' + block;
+        }
+    }
+
+    if (newBody === body) return { ok: true, changed: false, version: meta.version || 1 };
+
+    meta.updated = new Date().toISOString();
+    meta.version = (meta.version || 1) + 1;
+    meta.last_edit = 'Credential block re-rendered';
+    atomicWriteFileSync(filepath, buildFrontmatter(meta) + newBody.replace(/\n{3,}/g, '\n\n').trim() + '\n', 'utf8', { historyNote: 'credential render' });
+    return { ok: true, changed: true, version: meta.version };
+}
+
+export default {
+    CREDENTIAL_STATUSES, credentialId, loadCredentials, initCredentialIndex, rebuildCredentialIndex,
+    setCredential, setCredentialStatus, removeCredential, findCredentialRunbook, queryCredentials,
+    renderCredentialBlock, renderCredentialsToRunbook
+};
@@ -0,0 +1,236 @@
+/**
+ * Encryption at Rest v1.0 — AES-256-GCM untuk section rahasia (CREDENTIAL/EXPLOIT) atau runbook utuh
+ * Scrubber sengaja TIDAK menyentuh section state, jadi tanpa ini credential client tersimpan
+ * plaintext di .md, .bak, .history/ dan kolom FTS5 `content` — ikut bocor di backup laptop.
+ *
+ * Format blob (1 baris, di bawah heading ## yang tetap clear):
+ *   <!-- ENC:v1:<salt>:<iv>:<tag>:<ciphertext> -->   (base64url)
+ *
+ * Key: env MCP_MEMORI_PASSPHRASE (scrypt per salt) atau keyfile (HKDF per salt).
+ * Target: config.encryption.sections (per section) atau frontmatter `encrypt: true` (seluruh body).
+ * Read = decrypt transparan (parseFrontmatter), index = redact ke [ENCRYPTED].
+ * Module ini tidak import files.js — isMajor di-inject caller (seperti sectionSchema).
+ * @module storage/encryption
+ */
+import { existsSync, readFileSync } from 'fs';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync, hkdfSync } from 'crypto';
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import { SECTION_SCHEMAS, getSectionSchema, matchSchemaSection, sectionKey } from './sectionSchema.js';
+
+export const ENCRYPTED_PLACEHOLDER = '[ENCRYPTED]';
+
+const BLOB_MARKER = '<!-- ENC:v1:';
+const BLOB_REGEX = /<!-- ENC:v1:([A-Za-z0-9_-]+):([A-Za-z0-9_-]+):([A-Za-z0-9_-]+):([A-Za-z0-9_-]*) -->/g;
+// Marker entry di atas heading berikutnya (format storage/entries.js) — milik section berikutnya, tidak ikut di-seal
+const NEXT_ENTRY_MARKER = /\n[ \t]*<!-- (?:entry:[0-9a-f]{8}|prov)(?: \{.*?\})? -->[ \t]*\n$/;
+
+// Derived key per salt (scrypt mahal ~50ms) — 1 salt random per proses untuk write baru
+const keyCache = new Map();
+let writeSalt = null;
+let warnedUndecryptable = false;
+
+/**
+ * Sumber key aktif: 'passphrase' | 'keyfile' | null
+ */
+export function getKeySource() {
+    if (process.env.MCP_MEMORI_PASSPHRASE) return 'passphrase';
+    if (config.encryption.keyfile && existsSync(config.encryption.keyfile)) return 'keyfile';
+    return null;
+}
+
+export function isEncryptionAvailable() {
+    return getKeySource() !== null;
+}
+
+function deriveKey(salt) {
+    const source = getKeySource();
+    if (!source) {
+        throw new Error('Encryption key tidak tersedia — set MCP_MEMORI_PASSPHRASE atau MCP_MEMORI_KEYFILE (encryption.keyfile)');
+    }
+    const cacheKey = `${source}:${salt.toString('base64url')}`;
+    if (keyCache.has(cacheKey)) return keyCache.get(cacheKey);
+
+    const key = source === 'passphrase'
+        ? scryptSync(process.env.MCP_MEMORI_PASSPHRASE, salt, 32)
+        : Buffer.from(hkdfSync('sha256', readFileSync(config.encryption.keyfile), salt, 'mcp-memori-at-rest', 32));
+    keyCache.set(cacheKey, key);
+    return key;
+}
+
+/**
+ * Cek murah sebelum regex — dipanggil di setiap parseFrontmatter
+ */
+export function hasEncryptedBlocks(text) {
+    return typeof text === 'string' && text.includes(BLOB_MARKER);
+}
+
+/**
+ * Encrypt plaintext → 1 baris blob
+ */
+export function encryptText(plaintext) {
+    if (!writeSalt) writeSalt = randomBytes(16);
+    const key = deriveKey(writeSalt);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return `${BLOB_MARKER}${writeSalt.toString('base64url')}:${iv.toString('base64url')}:${tag.toString('base64url')}:${ciphertext.toString('base64url')} -->`;
+}
+
+function decryptBlob(salt, iv, tag, ciphertext) {
+    const decipher = createDecipheriv('aes-256-gcm', deriveKey(Buffer.from(salt, 'base64url')), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Ganti semua blob di text dengan plaintext
+ * @param {string} text
+ * @param {object} options - { redact: true = ganti dengan [ENCRYPTED] tanpa decrypt (untuk index),
+ *   strict: true = throw jika gagal decrypt (untuk re-encrypt saat write) }
+ *   Default: blob yang gagal di-decrypt (key salah/tidak ada) dibiarkan apa adanya → write berikutnya tetap aman.
+ */
+export function decryptText(text, options = {}) {
+    if (!hasEncryptedBlocks(text)) return text;
+    if (options.redact) return text.replace(BLOB_REGEX, ENCRYPTED_PLACEHOLDER);
+
+    return text.replace(BLOB_REGEX, (blob, salt, iv, tag, ciphertext) => {
+        try {
+            return decryptBlob(salt, iv, tag, ciphertext);
+        } catch (err) {
+            if (options.strict) throw new Error(`Decrypt gagal (key salah atau blob rusak): ${err.message}`);
+            if (!warnedUndecryptable) {
+                warnedUndecryptable = true;
+                logger.warn('Encryption: blob tidak bisa di-decrypt — dibiarkan terenkripsi', { error: err.message });
+            }
+            return blob;
+        }
+    });
+}
+
+/**
+ * Selisih baris body redacted/sealed (blob = 1 baris) vs body decrypted (memory_get) per blob
+ * @param {string} text - Body sealed (parseFrontmatter decrypt:false)
+ * @returns {Array<{ line: number, extra: number }>} line = baris blob (1-based), extra = baris tambahan setelah decrypt
+ */
+export function encryptedLineShifts(text) {
+    if (!hasEncryptedBlocks(text)) return [];
+    const shifts = [];
+    for (const match of text.matchAll(BLOB_REGEX)) {
+        const extra = decryptText(match[0]).split('\n').length - 1;
+        if (extra > 0) shifts.push({ line: text.substring(0, match.index).split('\n').length, extra });
+    }
+    return shifts;
+}
+
+/**
+ * Encrypt span (isi section / body) — whitespace di ujung tetap clear supaya layout file stabil
+ */
+function sealSpan(span) {
+    const core = span.replace(/\s+$/, '');
+    const trailing = span.substring(core.length) || '\n';
+    return encryptText(core) + trailing;
+}
+
+/**
+ * Span masih berisi plaintext (selain blob dan whitespace)?
+ */
+function hasPlaintext(span) {
+    return span.replace(BLOB_REGEX, '').trim().length > 0;
+}
+
+/**
+ * Heading ini termasuk config.encryption.sections? (alias schema ikut, "Credentials" = CREDENTIAL)
+ */
+export function isEncryptedSection(heading, title = '') {
+    const designated = config.encryption.sections;
+    if (designated.length === 0) return false;
+    const keys = new Set(designated.map(sectionKey));
+    const clean = (heading || '').replace(/^##\s*/, '').trim();
+    if (keys.has(sectionKey(clean))) return true;
+    const match = matchSchemaSection(getSectionSchema(title) || SECTION_SCHEMAS.runbook, clean);
+    return Boolean(match && keys.has(sectionKey(match.section.name)));
+}
+
+/**
+ * Range isi section (setelah baris heading) untuk semua section yang ditargetkan
+ * @returns {Array<{ heading: string, start: number, end: number }>}
+ */
+function designatedSpans(body, title, isMajor) {
+    const headings = [];
+    const regex = /^## .*$/gm;
+    let match;
+    while ((match = regex.exec(body)) !== null) {
+        if (!isMajor || isMajor(match[0])) headings.push({ line: match[0], start: match.index });
+    }
+    const spans = [];
+    for (let i = 0; i < headings.length; i++) {
+        const heading = headings[i].line.replace(/^## /, '').trim();
+        if (!isEncryptedSection(heading, title)) continue;
+        const start = headings[i].start + headings[i].line.length + 1;
+        let end = body.length;
+        if (i + 1 < headings.length) {
+            end = headings[i + 1].start;
+            const marker = body.substring(start - 1, end).match(NEXT_ENTRY_MARKER);
+            if (marker) end -= marker[0].length - 1;
+        }
+        if (start <= end) spans.push({ heading, start, end });
+    }
+    return spans;
+}
+
+/**
+ * Encrypt body sebelum ditulis ke disk. Section yang isinya sudah blob saja tidak di-encrypt ulang.
+ * Throw jika ada plaintext yang wajib dienkripsi tapi key tidak tersedia (fail closed — jangan tulis plaintext).
+ * @param {string} body - Body runbook (plaintext / campuran blob)
+ * @param {object} options - { whole: boolean, title: string, isMajor: fn(headingLine) }
+ * @returns {{ body: string, sealed: string[] }} sealed = nama section yang (re-)encrypted, '*' = seluruh body
+ */
+export function sealBody(body, options = {}) {
+    const { whole = false, title = '', isMajor = null } = options;
+    if (!body) return { body, sealed: [] };
+
+    if (whole) {
+        if (!hasPlaintext(body)) return { body, sealed: [] };
+        return { body: sealSpan(decryptText(body, { strict: true })), sealed: ['*'] };
+    }
+
+    const spans = designatedSpans(body, title, isMajor).filter(s => hasPlaintext(body.substring(s.start, s.end)));
+    if (spans.length === 0) return { body, sealed: [] };
+
+    let result = body;
+    for (const span of [...spans].reverse()) {
+        const plain = decryptText(result.substring(span.start, span.end), { strict: true });
+        result = result.substring(0, span.start) + sealSpan(plain) + result.substring(span.end);
+    }
+    return { body: result, sealed: spans.map(s => s.heading) };
+}
+
+/**
+ * Status enkripsi body: section terenkripsi vs section target yang masih plaintext
+ * @returns {{ blobs: number, whole: boolean, encrypted_sections: string[], pending_sections: string[] }}
+ */
+export function inspectBody(body, options = {}) {
+    const { whole = false, title = '', isMajor = null } = options;
+    const text = body || '';
+    const blobs = (text.match(BLOB_REGEX) || []).length;
+    const encrypted = [];
+    const pending = [];
+
+    if (whole) {
+        (hasPlaintext(text) ? pending : encrypted).push('*');
+    } else {
+        for (const span of designatedSpans(text, title, isMajor)) {
+            const content = text.substring(span.start, span.end);
+            if (hasPlaintext(content)) pending.push(span.heading);
+            else if (hasEncryptedBlocks(content)) encrypted.push(span.heading);
+        }
+    }
+    return { blobs, whole, encrypted_sections: encrypted, pending_sections: pending };
+}
+
+export default {
+    ENCRYPTED_PLACEHOLDER, getKeySource, isEncryptionAvailable, hasEncryptedBlocks, encryptText,
+    decryptText, encryptedLineShifts, isEncryptedSection, sealBody, inspectBody
+};
@@ -0,0 +1,169 @@
+/**
+ * Entry Anchors v1.0 — stable short ID untuk setiap entry di runbook
+ * saveRunbook/appendToSection menulis 1 baris marker HTML comment di atas entry:
+ *   <!-- entry:3f9a2c1b {"client":"claude-code","model":"opus","session":"1a2b3c4d","at":"2026-01-01T00:00:00Z"} -->
+ * JSON = provenance penulis (opsional, lihat storage/provenance.js). Marker `<!-- prov {...} -->`
+ * (v7.7 awal, tanpa id) tetap dibaca untuk provenance.
+ *
+ * Range entry: setelah baris marker s/d marker berikutnya atau heading ## (major) berikutnya.
+ * Marker tepat di atas heading ## = entry 1 section utuh (heading ikut, berakhir di heading major berikutnya).
+ * @module storage/entries
+ */
+import { randomBytes } from 'crypto';
+import { isMajorSection } from './files.js';
+import { getProvenance, provenanceData } from './provenance.js';
+
+export const ENTRY_ID_REGEX = /^[0-9a-f]{8}$/;
+
+const MARKER_LINE = /^[ \t]*<!-- (?:entry:([0-9a-f]{8})|prov)(?: (\{.*?\}))? -->[ \t]*$/;
+const MARKER_LINES = new RegExp(MARKER_LINE.source, 'gm');
+const MARKER_STRIP = new RegExp(`${MARKER_LINE.source.replace(/\$$/, '')}\\n?`, 'gm');
+
+/**
+ * ID entry baru (8 hex)
+ */
+export function newEntryId() {
+    return randomBytes(4).toString('hex');
+}
+
+/**
+ * Baris marker untuk entry
+ * @param {string} [id] - Default: id baru
+ * @param {object|null} [provenance] - Default: provenance call saat ini
+ * @returns {string}
+ */
+export function entryMarker(id = newEntryId(), provenance = getProvenance()) {
+    const data = provenanceData(provenance);
+    // "-->" di value akan menutup comment lebih awal
+    const json = data ? ` ${JSON.stringify(data).replace(/--/g, '-\\u002d')}` : '';
+    return `<!-- entry:${id}${json} -->`;
+}
+
+/**
+ * Prepend marker ke 1 entry
+ * @param {string} content
+ * @returns {string}
+ */
+export function stampEntry(content) {
+    return `${entryMarker()}\n${content}`;
+}
+
+/**
+ * Stamp content multi-section: preamble (sebelum heading pertama) dan setiap ## section major = 1 entry
+ * @param {string} content
+ * @returns {string}
+ */
+export function stampSections(content) {
+    const lines = content.split('\n');
+    const out = [];
+    let pendingPreamble = true;
+    for (const line of lines) {
+        if (line.startsWith('## ') && isMajorSection(line)) {
+            out.push(entryMarker(), line);
+            pendingPreamble = false;
+            continue;
+        }
+        if (pendingPreamble && line.trim()) {
+            out.push(entryMarker());
+            pendingPreamble = false;
+        }
+        out.push(line);
+    }
+    return out.join('\n');
+}
+
+/**
+ * Apakah 1 baris = marker entry/provenance
+ */
+export function isEntryMarker(line) {
+    return MARKER_LINE.test(line);
+}
+
+/**
+ * Semua entry ber-marker di body, urut posisi
+ * @param {string} body
+ * @returns {Array<{ id: string|null, marker_start: number, start: number, end: number,
+ *   heading: string|null, section: string|null, provenance: object|null }>}
+ *   start = awal content (setelah baris marker), end = akhir range entry
+ */
+export function parseEntries(body) {
+    const text = body || '';
+    const markers = [];
+    const regex = new RegExp(MARKER_LINES.source, 'gm');
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        let provenance = null;
+        if (match[2]) {
+            try {
+                const { client = null, model = null, session = null, at = null } = JSON.parse(match[2]);
+                provenance = { client, model, session, at };
+            } catch {}
+        }
+        const lineEnd = match.index + match[0].length;
+        markers.push({ id: match[1] || null, marker_start: match.index, start: Math.min(lineEnd + 1, text.length), provenance });
+    }
+
+    // Heading major + posisinya (untuk batas entry dan nama section)
+    const headings = [];
+    const headingRegex = /^## .*$/gm;
+    while ((match = headingRegex.exec(text)) !== null) {
+        if (isMajorSection(match[0])) headings.push({ offset: match.index, line: match[0] });
+    }
+
+    return markers.map((marker, i) => {
+        const nextMarker = i + 1 < markers.length ? markers[i + 1].marker_start : text.length;
+        // Marker tepat di atas heading → entry = section utuh (heading ikut)
+        const ownHeading = headings.find(h => h.offset === marker.start) || null;
+        const boundary = headings.find(h => h.offset >= marker.start && h !== ownHeading);
+        const end = Math.min(nextMarker, boundary ? boundary.offset : text.length);
+        const section = ownHeading || [...headings].reverse().find(h => h.offset < marker.marker_start) || null;
+        return {
+            ...marker,
+            end,
+            heading: ownHeading ? ownHeading.line : null,
+            section: section ? section.line.replace(/^## /, '').trim() : null
+        };
+    });
+}
+
+/**
+ * Entry by ID
+ * @param {string} body
+ * @param {string} entryId
+ * @returns {object|null} Entry (lihat parseEntries) + content (tanpa marker)
+ */
+export function findEntry(body, entryId) {
+    const id = String(entryId || '').trim().toLowerCase();
+    if (!ENTRY_ID_REGEX.test(id)) return null;
+    const entry = parseEntries(body).find(e => e.id === id);
+    if (!entry) return null;
+    return { ...entry, content: body.substring(entry.start, entry.end).replace(/\s+$/, '') };
+}
+
+/**
+ * Entry yang mencakup offset (null jika di luar entry ber-marker, e.g. content lama)
+ * @param {Array} entries - Hasil parseEntries
+ * @param {number} offset
+ */
+export function entryAt(entries, offset) {
+    let found = null;
+    for (const entry of entries) {
+        if (entry.marker_start > offset) break;
+        if (offset < entry.end) found = entry;
+    }
+    return found;
+}
+
+/**
+ * Hapus baris marker (untuk index FTS/embedding/snippet)
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripEntryMarkers(text) {
+    return (text || '').replace(MARKER_STRIP, '');
+}
+
+export default {
+    ENTRY_ID_REGEX, newEntryId, entryMarker, stampEntry, stampSections, isEntryMarker,
+    parseEntries, findEntry, entryAt, stripEntryMarkers
+};
@@ -5,7 +5,7 @@
  * @module storage/files
  */
 import { existsSync, mkdirSync, readFileSync, writeFileSync, readdirSync, unlinkSync, statSync, renameSync, copyFileSync } from 'fs';
-import { join, basename } from 'path';
+import { join, basename, dirname } from 'path';
 
 /**
  * v7.5: Simple file lock — prevent concurrent write corruption
@@ -13,6 +13,9 @@ import { join, basename } from 'path';
  * Non-blocking: if lock held >5s, force-acquire (stale lock from crash)
  */
 function acquireLock(filepath) {
+    // v7.7: write path pertama di vault baru — runbooks dir dibuat di sini, bukan di getRunbooksDir()
+    const dir = dirname(filepath);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
     const lockPath = filepath + '.lock';
     const maxWaitMs = 5000;
     const start = Date.now();
@@ -53,33 +56,54 @@ function releaseLock(filepath) {
  */
 export { acquireLock, releaseLock };
 
-export function atomicWriteFileSync(filepath, content, encoding = 'utf8') {
+export function atomicWriteFileSync(filepath, content, encoding = 'utf8', options = {}) {
     const tmpPath = filepath + '.tmp';
     const bakPath = filepath + '.bak';
 
     acquireLock(filepath);
     try {
         // Backup existing file (if exists) for recovery
-        if (existsSync(filepath)) {
+        const hadPrevious = existsSync(filepath);
+        if (hadPrevious) {
             try { copyFileSync(filepath, bakPath); } catch {}
         }
 
+        // v7.7: Encryption at rest — section target / runbook `encrypt: true` di-seal sebelum menyentuh disk
+        const isRunbook = filepath.endsWith('.md');
+        const diskContent = isRunbook ? sealRunbookContent(content) : content;
+
         // Write to .tmp first
-        writeFileSync(tmpPath, content, encoding);
+        writeFileSync(tmpPath, diskContent, encoding);
 
         // Atomic rename: .tmp → target (POSIX atomic)
         renameSync(tmpPath, filepath);
+
+        // v7.7: Retained revision (content-addressed) — .bak hanya 1 versi, history semua versi
+        if (isRunbook) {
+            recordRevision(filepath, diskContent, {
+                note: options.historyNote,
+                hashSource: content,
+                readPrevious: () => (hadPrevious && existsSync(bakPath) ? readFileSync(bakPath, 'utf8') : null)
+            });
+        }
     } finally {
         releaseLock(filepath);
     }
 }
 import logger from '../utils/logger.js';
 import { ftsSearch, isIndexReady, incrementAccessCount } from './searchIndex.js';
-
-export const RUNBOOKS_DIR = '/home/kali/Desktop/mcp-memori/runbooks';
-
-// Ensure directories exist
-if (!existsSync(RUNBOOKS_DIR)) mkdirSync(RUNBOOKS_DIR, { recursive: true });
+import { getRunbooksDir, listRunbookFiles } from './paths.js';
+import { recordRevision } from './history.js';
+import { decryptText, hasEncryptedBlocks, sealBody, encryptedLineShifts } from './encryption.js';
+import { stampEntry, stampSections, isEntryMarker, stripEntryMarkers } from './entries.js';
+import { matchesSearchFilters, withQuerySections } from './searchFilters.js';
+import { parseSearchQuery, hasPositiveTerms, compileFtsMatch, matchesQuery } from './queryParser.js';
+import { getSynonyms, getNoiseTags } from './vocabulary.js';
+import { sectionKey } from './sectionSchema.js';
+
+// v7.7: Runbook dir di-resolve per call — mengikuti vault aktif (project_id), lihat storage/vault.js
+// getRunbooksDir() tidak membuat directory — write path lewat acquireLock/atomicWriteFileSync (ensure dir)
+export { getRunbooksDir, listRunbookFiles };
 
 /**
  * Sanitize title to valid filename
@@ -105,16 +129,21 @@ export function filenameToTitle(filename) {
 
 /**
  * Parse YAML-like frontmatter from .md file
+ * v7.7: Blob terenkripsi di body di-decrypt transparan.
+ * options.redact = ganti blob dengan [ENCRYPTED] (untuk FTS/vector index — plaintext tidak boleh masuk index)
+ * options.decrypt = false → body apa adanya (blob tetap blob)
  */
-export function parseFrontmatter(content) {
+export function parseFrontmatter(content, options = {}) {
+    const { decrypt = true, redact = false } = options;
+    const open = (text) => (decrypt && hasEncryptedBlocks(text) ? decryptText(text, { redact }) : text);
     if (!content || !content.startsWith('---\n')) {
-        return { meta: {}, body: content || '' };
+        return { meta: {}, body: open(content || '') };
     }
     const endIdx = content.indexOf('\n---\n', 4);
-    if (endIdx === -1) return { meta: {}, body: content };
+    if (endIdx === -1) return { meta: {}, body: open(content) };
 
     const frontStr = content.substring(4, endIdx);
-    const body = content.substring(endIdx + 5);
+    const body = open(content.substring(endIdx + 5));
     const meta = {};
 
     for (const line of frontStr.split('\n')) {
@@ -146,6 +175,21 @@ export function parseFrontmatter(content) {
     return { meta, body };
 }
 
+/**
+ * v7.7: Seal full file content sebelum write — frontmatter tetap clear,
+ * body di-encrypt per section (config.encryption.sections) atau utuh (frontmatter `encrypt: true`)
+ * @param {string} content - Full file content (plaintext)
+ * @param {object} options - { whole: override flag `encrypt` (untuk snapshot lama tanpa flag) }
+ * @returns {string} Content untuk disk
+ */
+export function sealRunbookContent(content, options = {}) {
+    const { meta, body } = parseFrontmatter(content, { decrypt: false });
+    const head = content.substring(0, content.length - body.length);
+    const whole = options.whole !== undefined ? options.whole : meta.encrypt === true;
+    const { body: sealed } = sealBody(body, { whole, title: meta.title || '', isMajor: isMajorSection });
+    return sealed === body ? content : head + sealed;
+}
+
 /**
  * Build frontmatter string from metadata object
  */
@@ -163,36 +207,12 @@ export function buildFrontmatter(meta) {
     return lines.join('\n');
 }
 
-/**
- * NOISE TAGS — tags terlalu generik yang ada di hampir semua runbook.
- * Tags ini DIBUANG saat merge karena tidak membantu search/filter.
- * Hanya simpan tags SPESIFIK: nama target, CVE, teknik spesifik, IP.
- */
-const NOISE_TAGS = new Set([
-    // Status tags (ada di semua runbook)
-    'gagal', 'failed', 'success', 'berhasil', 'blocked', 'alive', 'dead',
-    'active', 'critical', 'update', 'updated', 'progress', 'complete',
-    'state', 'checkpoint', 'fact', 'episode', 'decision',
-    // Generic technique tags (terlalu umum)
-    'ssh', 'credential', 'password', 'recon', 'exploit', 'persistence',
-    'root', 'rce', 'upload', 'injection', 'bypass', 'scan', 'pivot',
-    'lateral-movement', 'infrastructure', 'network-map', 'database',
-    'tunnel', 'fix', 'waf', 'dns', 'mail', 'smtp', 'windows', 'linux',
-    // Date tags (redundant — updated_at sudah ada di frontmatter)
-    'mar2026', 'apr2026', 'feb2026', 'jan2026',
-    // Meta tags
-    'technique', 'runbook', 'universal', 'audit', 'verification',
-    'lesson-learned', 'bug', 'fatal', 'hunt', 'research', 'ready',
-    'development', 'compiled', 'exhausted', 'final', 'new-target',
-    'discovery', 'live-status', 're-entry', 'checklist', 'cleanup',
-    'attack-chain', 'anti-sleep',
-]);
-
 /**
  * Filter out noise tags, keep only specific/useful ones
  * Useful = target name, CVE-*, IP address, specific service name, domain
  */
 function filterNoiseTags(tags) {
+    const noiseTags = getNoiseTags();
     return tags.filter(t => {
         const tl = (t || '').toLowerCase().trim();
         if (!tl || tl.length < 2) return false;
@@ -200,8 +220,8 @@ function filterNoiseTags(tags) {
         if (/^cve-/i.test(tl)) return true;
         if (/^\d{1,3}\.\d{1,3}\.\d{1,3}/.test(tl)) return true;
         if (/\.\w{2,}$/.test(tl) && tl.includes('.')) return true; // domain-like
-        // Remove noise
-        if (NOISE_TAGS.has(tl)) return false;
+        // Remove noise — v7.7: daftar dari vocabulary vault (storage/vocabulary.js)
+        if (noiseTags.has(tl)) return false;
         // Keep the rest (specific names, services, etc.)
         return true;
     });
@@ -239,12 +259,23 @@ export function isMajorSection(heading) {
     return true;
 }
 
+/**
+ * Nama semua section ## major di body (urut posisi, tanpa "## ")
+ * @param {string} body
+ * @returns {string[]}
+ */
+export function listMajorSections(body) {
+    return ((body || '').match(/^## .*$/gm) || []).filter(isMajorSection).map(h => h.replace(/^## /, '').trim());
+}
+
 /**
  * Find char offset where a section ENDS (next MAJOR ## heading or EOF).
  * Respects isMajorSection — sub-headings do NOT terminate a section.
+ * v7.7: Marker <!-- entry:ID --> tepat di atas heading berikutnya milik section berikutnya —
+ * section berakhir SEBELUM baris marker itu (append tidak jatuh di bawah marker, seal tidak ikut membungkusnya).
  * @param {string} body - Full body text
  * @param {number} sectionStartOffset - Char offset where section starts
- * @returns {number} Char offset where next major section starts (or body.length)
+ * @returns {number} Char offset where next major section (or its entry marker) starts (or body.length)
  */
 export function findSectionEnd(body, sectionStartOffset) {
     const remaining = body.substring(sectionStartOffset);
@@ -257,6 +288,7 @@ export function findSectionEnd(body, sectionStartOffset) {
     for (let i = 1; i < lines.length; i++) {
         const line = lines[i];
         if (line.startsWith('## ') && isMajorSection(line)) {
+            if (i > 1 && isEntryMarker(lines[i - 1])) return charOffset - lines[i - 1].length - 1;
             return charOffset;
         }
         charOffset += line.length + 1;
@@ -264,6 +296,32 @@ export function findSectionEnd(body, sectionStartOffset) {
     return body.length;
 }
 
+/**
+ * v7.7: Awal blok section — baris marker entry tepat di atas heading ikut section itu
+ * @param {string} body - Full body text
+ * @param {number} headerOffset - Char offset heading ## section
+ * @returns {number} Offset baris marker (atau headerOffset jika tidak ada marker)
+ */
+export function findSectionBlockStart(body, headerOffset) {
+    if (headerOffset === 0) return 0;
+    const prevLineStart = body.lastIndexOf('\n', headerOffset - 2) + 1;
+    return isEntryMarker(body.substring(prevLineStart, headerOffset - 1)) ? prevLineStart : headerOffset;
+}
+
+/**
+ * v7.7: Locate a ## section by name (header prefix, case-insensitive)
+ * @param {string} body - Runbook body (without frontmatter)
+ * @param {string} sectionName - Section name with or without "## "
+ * @returns {{start: number, end: number}|null} Char range [start, end) including header
+ */
+export function findSectionRange(body, sectionName) {
+    const sectionHeader = sectionName.startsWith('##') ? sectionName : `## ${sectionName}`;
+    const escapedHeader = sectionHeader.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`^${escapedHeader}`, 'im').exec(body);
+    if (!match) return null;
+    return { start: match.index, end: findSectionEnd(body, match.index) };
+}
+
 /**
  * Append content to the END of an existing section, preserving ALL existing content.
  * If section doesn't exist, creates it at end of body.
@@ -287,6 +345,8 @@ export function appendToSection(body, sectionName, newContent) {
             const now = new Date().toISOString().split('T')[0];
             createContent = `[${now}] ${createContent}`;
         }
+        // v7.7: Entry marker (id stabil + provenance client/model/session) di atas entry
+        createContent = stampEntry(createContent);
         return {
             body: body.trimEnd() + `\n\n${sectionHeader}\n${createContent}\n`,
             action: 'section_created'
@@ -297,8 +357,8 @@ export function appendToSection(body, sectionName, newContent) {
     const sectionEnd = findSectionEnd(body, sectionStart);
     const existingSection = body.substring(sectionStart, sectionEnd);
 
-    // Anti-duplicate: EXACT match — skip if content already in section
-    if (existingSection.includes(newContent.trim())) {
+    // Anti-duplicate: EXACT match — skip if content already in section (marker entry diabaikan)
+    if (stripEntryMarkers(existingSection).includes(stripEntryMarkers(newContent).trim())) {
         return { body, action: 'skipped_duplicate' };
     }
 
@@ -359,6 +419,7 @@ export function appendToSection(body, sectionName, newContent) {
         const now = new Date().toISOString().split('T')[0];
         stampedContent = `[${now}] ${stampedContent}`;
     }
+    stampedContent = stampEntry(stampedContent);
 
     // Append new content at END of section (before next major section)
     const updatedSection = existingSection.trimEnd() + '\n' + stampedContent + '\n';
@@ -398,7 +459,7 @@ function extractMatchKeywords(text) {
  * @returns {string|null} filepath of matched runbook, or null
  */
 export function findByFuzzyTitle(newTitle) {
-    const files = readdirSync(RUNBOOKS_DIR).filter(f => f.endsWith('.md'));
+    const files = listRunbookFiles();
 
     // v7.5 FIX: DOMAIN-AWARE PRE-MATCH runs FIRST (before keyword length check)
     // "[RUNBOOK] unitomo" has only 1 keyword but MUST match "unitomo.ac.id"
@@ -407,7 +468,7 @@ export function findByFuzzyTitle(newTitle) {
     if (bracketMatch) {
         const newTarget = bracketMatch[1].trim().toLowerCase();
         for (const file of files) {
-            const filepath = join(RUNBOOKS_DIR, file);
+            const filepath = join(getRunbooksDir(), file);
             let raw;
             try { raw = readFileSync(filepath, 'utf8'); } catch { continue; }
             const { meta } = parseFrontmatter(raw);
@@ -452,7 +513,7 @@ export function findByFuzzyTitle(newTitle) {
     const newIsSuccess = newLower.includes('berhasil') || newLower.includes('success');
 
     for (const file of files) {
-        const filepath = join(RUNBOOKS_DIR, file);
+        const filepath = join(getRunbooksDir(), file);
         let raw;
         try { raw = readFileSync(filepath, 'utf8'); } catch { continue; }
         const { meta } = parseFrontmatter(raw);
@@ -499,7 +560,7 @@ export function findByFuzzyTitle(newTitle) {
  */
 export function saveRunbook(title, content, tags = [], options = {}) {
     let filename = titleToFilename(title);
-    let filepath = join(RUNBOOKS_DIR, filename);
+    let filepath = join(getRunbooksDir(), filename);
     const now = new Date().toISOString();
     const newContent = (content || '').trim();
 
@@ -535,7 +596,8 @@ export function saveRunbook(title, content, tags = [], options = {}) {
         const existingBody = body.trim();
 
         // Check duplicate: skip if new content already exists in runbook
-        if (existingBody.includes(newContent)) {
+        // v7.7: bandingkan tanpa marker entry — stampSections menyisipkan marker di antara section
+        if (stripEntryMarkers(existingBody).includes(stripEntryMarkers(newContent))) {
             logger.info('RUNBOOK APPEND: Content already exists, skipping', { filename, title });
             return { id: filename, action: 'skipped_duplicate', filepath, version: meta.version || 1 };
         }
@@ -551,11 +613,11 @@ export function saveRunbook(title, content, tags = [], options = {}) {
         if (options.success !== undefined) meta.success = options.success;
         if (options.verified !== undefined) meta.verified = options.verified;
 
-        // APPEND new content (preserve ALL existing)
-        const newBody = existingBody + '\n\n' + newContent;
+        // APPEND new content (preserve ALL existing) — v7.7: 1 entry marker per section
+        const newBody = existingBody + '\n\n' + stampSections(newContent);
         const newFile = buildFrontmatter(meta) + newBody + '\n';
 
-        atomicWriteFileSync(filepath, newFile, 'utf8');
+        atomicWriteFileSync(filepath, newFile, 'utf8', { historyNote: 'append' });
         logger.info('RUNBOOK APPENDED', {
             filename, title,
             old_length: existingBody.length,
@@ -577,8 +639,8 @@ export function saveRunbook(title, content, tags = [], options = {}) {
         };
         if (options.success !== undefined) meta.success = options.success;
 
-        const fileContent = buildFrontmatter(meta) + newContent + '\n';
-        atomicWriteFileSync(filepath, fileContent, 'utf8');
+        const fileContent = buildFrontmatter(meta) + stampSections(newContent) + '\n';
+        atomicWriteFileSync(filepath, fileContent, 'utf8', { historyNote: 'create' });
         logger.info('RUNBOOK CREATED', { filename, title, size: fileContent.length });
 
         return { id: filename, action: 'created', filepath, version: 1 };
@@ -591,10 +653,10 @@ export function saveRunbook(title, content, tags = [], options = {}) {
  */
 export function readRunbook(id) {
     // Try exact filename first
-    let filepath = join(RUNBOOKS_DIR, id);
+    let filepath = join(getRunbooksDir(), id);
     if (!existsSync(filepath)) {
         // Try adding .md
-        if (!id.endsWith('.md')) filepath = join(RUNBOOKS_DIR, id + '.md');
+        if (!id.endsWith('.md')) filepath = join(getRunbooksDir(), id + '.md');
         if (!existsSync(filepath)) {
             // Try searching by title
             const found = findByTitle(id);
@@ -644,18 +706,18 @@ export function readRunbook(id) {
  * Find runbook file by title (case-insensitive search)
  */
 export function findByTitle(title) {
-    const files = readdirSync(RUNBOOKS_DIR).filter(f => f.endsWith('.md'));
+    const files = listRunbookFiles();
     const titleLower = title.toLowerCase();
     const expectedFilename = titleToFilename(title);
 
     // Exact filename match
     if (files.includes(expectedFilename)) {
-        return join(RUNBOOKS_DIR, expectedFilename);
+        return join(getRunbooksDir(), expectedFilename);
     }
 
     // Search in frontmatter titles
     for (const file of files) {
-        const filepath = join(RUNBOOKS_DIR, file);
+        const filepath = join(getRunbooksDir(), file);
         const raw = readFileSync(filepath, 'utf8');
         const { meta } = parseFrontmatter(raw);
         if (meta.title && meta.title.toLowerCase() === titleLower) {
@@ -666,72 +728,14 @@ export function findByTitle(title) {
     return null;
 }
 
-/**
- * QUERY EXPANSION v1.0 — Domain-specific synonym mapping
- * Expand search query with related terms for better recall
- * Ported from v5.2 + enhanced for runbook context
- */
-const QUERY_SYNONYMS = {
-    // Tunneling & Pivoting
-    'chisel': ['tunnel', 'proxy', 'pivot', 'socks'],
-    'tunnel': ['chisel', 'proxy', 'pivot', 'forward'],
-    'pivot': ['tunnel', 'lateral', 'chisel'],
-    'ligolo': ['tunnel', 'pivot', 'proxy'],
-    'ngrok': ['tunnel', 'forward', 'reverse'],
-
-    // Shells & Access
-    'webshell': ['backdoor', 'shell', 'rce', 'upload'],
-    'backdoor': ['webshell', 'persistence', 'implant'],
-    'shell': ['webshell', 'reverse', 'terminal', 'bash'],
-    'rce': ['command', 'injection', 'webshell', 'exploit'],
-    'reverse': ['shell', 'callback', 'listener'],
-
-    // Credentials
-    'credential': ['password', 'username', 'login', 'creds', 'auth'],
-    'password': ['credential', 'pass', 'secret', 'hash'],
-    'username': ['user', 'login', 'credential', 'account'],
-    'ssh': ['credential', 'login', 'tunnel', 'key', 'sshpass'],
-    'token': ['credential', 'auth', 'jwt', 'api'],
-
-    // Vulnerabilities
-    'sqli': ['sql', 'injection', 'database', 'union'],
-    'xss': ['script', 'injection', 'reflected', 'stored'],
-    'lfi': ['file', 'inclusion', 'traversal', 'read'],
-    'ssrf': ['request', 'forgery', 'internal', 'fetch'],
-    'ssti': ['template', 'injection', 'jinja', 'twig'],
-    'xxe': ['xml', 'entity', 'injection', 'dtd'],
-    'deserialization': ['unserialize', 'pickle', 'gadget'],
-
-    // Recon
-    'recon': ['reconnaissance', 'scan', 'enumeration', 'discovery'],
-    'scan': ['nmap', 'port', 'recon', 'rustscan'],
-    'subdomain': ['subfinder', 'dns', 'enumeration', 'domain'],
-
-    // General
-    'exploit': ['vulnerability', 'payload', 'attack', 'cve'],
-    'vuln': ['vulnerability', 'exploit', 'weakness', 'cve'],
-    'bypass': ['waf', 'filter', 'evasion', 'circumvent'],
-    'persistence': ['backdoor', 'tunnel', 'cron', 'service'],
-    'privesc': ['escalation', 'privilege', 'root', 'suid'],
-    'root': ['privesc', 'escalation', 'sudo', 'admin'],
-
-    // Techniques
-    'gagal': ['failed', 'error', 'blocked', 'patched'],
-    'failed': ['gagal', 'error', 'blocked', 'timeout'],
-    'berhasil': ['success', 'achieved', 'working'],
-    'success': ['berhasil', 'achieved', 'working'],
-
-    // Status
-    'alive': ['active', 'working', 'running', 'connected'],
-    'dead': ['inactive', 'down', 'disconnected', 'patched']
-};
-
 /**
  * Expand query with domain-specific synonyms for better recall
+ * v7.7: synonym dari vocabulary vault (runbooks/.vocabulary.json, default = kamus pentest bawaan)
  * @param {string} queryStr - Original search query
+ * @param {Map<string, string>} [sources] - v7.7: diisi synonym → key pemicu (explain mode)
  * @returns {string[]} Expanded query words (original + synonyms)
  */
-function expandQueryWords(queryStr) {
+function expandQueryWords(queryStr, sources = null) {
     if (!queryStr) return [];
     const queryLower = queryStr.toLowerCase();
     const originalWords = queryLower.split(/\s+/).filter(w => w.length >= 2);
@@ -747,13 +751,14 @@ function expandQueryWords(queryStr) {
     let expansionsAdded = 0;
     const MAX_EXPANSIONS = 4; // Reduced from 6 to reduce noise
 
-    for (const [key, synonyms] of Object.entries(QUERY_SYNONYMS)) {
+    for (const [key, synonyms] of Object.entries(getSynonyms())) {
         if (expansionsAdded >= MAX_EXPANSIONS) break;
         if (originalWords.includes(key) || queryLower.includes(key)) {
             for (const syn of synonyms.slice(0, 2)) {
                 if (expansionsAdded >= MAX_EXPANSIONS) break;
                 if (!syn.includes(' ') && !expanded.has(syn)) {
                     expanded.add(syn);
+                    if (sources) sources.set(syn, key);
                     expansionsAdded++;
                 }
             }
@@ -774,6 +779,8 @@ function expandQueryWords(queryStr) {
  * find WHERE the keyword appears and return context around it
  */
 function extractContextSnippet(body, queryWords, maxLen = 1200) {
+    // v7.7: marker <!-- entry:ID --> bukan konten — jangan ikut snippet
+    body = stripEntryMarkers(body);
     if (!queryWords.length || !body) return body.substring(0, maxLen);
 
     const bodyLower = body.toLowerCase();
@@ -863,6 +870,111 @@ function extractContextSnippet(body, queryWords, maxLen = 1200) {
     return body.substring(0, maxLen);
 }
 
+const MAX_HIT_OFFSETS = 50;
+const JUMP_CONTEXT_LINES = 2;
+const JUMP_MAX_LINES = 40;
+
+function lineAt(body, offset) {
+    let line = 1;
+    for (let i = body.indexOf('\n'); i !== -1 && i < offset; i = body.indexOf('\n', i + 1)) line++;
+    return line;
+}
+
+/**
+ * v7.7: Lokasi hit di body — section ##, nomor baris (1-based, sama dengan memory_get line), semua offset match
+ * Hit utama = section dengan kata query unik terbanyak (skip _AUTO_LOG / SESSION LOG jika ada alternatif),
+ * atau options.offset (e.g. chunk vector terbaik).
+ * Body = body yang di-scan search (redacted) — offset sama dengan offset chunk; line/jump dikonversi ke
+ * baris memory_get (decrypted) lewat options.lineShifts (encryptedLineShifts).
+ * @param {string} body - Body runbook redacted
+ * @param {string[]} words - Kata/frasa query (lowercase)
+ * @param {object} options - { offset: offset hit utama yang sudah diketahui,
+ *   sections / excludeSections: key section (filter section / section: di query) — hit hanya di section itu,
+ *   fallback: tanpa match di body (e.g. hanya cocok di title) → awal section filter / awal body,
+ *   lineShifts: [{ line, extra }] dari encryptedLineShifts }
+ * @returns {{ section: string|null, line: number, offset: number, offsets: number[], match_count: number,
+ *   jump: { line: number, line_count: number } }|null} null jika tidak ada match dan tanpa offset/fallback
+ */
+export function locateHits(body, words, options = {}) {
+    const text = body || '';
+    const lower = text.toLowerCase();
+    const terms = [...new Set((words || []).map(w => String(w).toLowerCase()).filter(w => w.length >= 2))];
+
+    const headings = [];
+    const headingRegex = /^## .*$/gm;
+    let match;
+    while ((match = headingRegex.exec(text)) !== null) {
+        if (isMajorSection(match[0])) headings.push({ offset: match.index, name: match[0].replace(/^## /, '').trim() });
+    }
+    const sectionAt = (offset) => [...headings].reverse().find(h => h.offset <= offset) || null;
+    const include = options.sections?.length ? new Set(options.sections) : null;
+    const exclude = new Set(options.excludeSections || []);
+    const inScope = (offset) => {
+        const key = sectionKey(sectionAt(offset)?.name || '');
+        return (!include || include.has(key)) && !exclude.has(key);
+    };
+
+    const offsets = [];
+    for (const term of terms) {
+        for (let idx = lower.indexOf(term); idx !== -1; idx = lower.indexOf(term, idx + term.length)) {
+            if (inScope(idx)) offsets.push({ idx, term });
+        }
+    }
+    offsets.sort((a, b) => a.idx - b.idx);
+
+    let hit = Number.isInteger(options.offset) && options.offset >= 0 && options.offset < text.length && inScope(options.offset) ? options.offset : null;
+    if (hit === null && offsets.length > 0) {
+        // Section dengan kata unik terbanyak; log otomatis hanya jika tidak ada section lain yang cocok
+        const bySection = new Map();
+        for (const { idx, term } of offsets) {
+            const section = sectionAt(idx);
+            const key = section ? section.offset : -1;
+            if (!bySection.has(key)) bySection.set(key, { first: idx, terms: new Set(), noise: /^(_AUTO_LOG|SESSION LOG)/i.test(section?.name || '') });
+            bySection.get(key).terms.add(term);
+        }
+        const ranked = [...bySection.values()].sort((a, b) =>
+            (a.noise - b.noise) || (b.terms.size - a.terms.size) || (a.first - b.first));
+        hit = ranked[0].first;
+    }
+    if (hit === null && options.fallback) {
+        const scoped = include ? headings.find(h => inScope(h.offset)) : null;
+        hit = scoped ? scoped.offset : (include ? null : 0);
+    }
+    if (hit === null) return null;
+
+    // Baris body redacted → baris memory_get (section terenkripsi lebih dari 1 baris setelah decrypt)
+    const shifts = options.lineShifts || [];
+    const readLine = (line) => line + shifts.filter(s => s.line < line).reduce((sum, s) => sum + s.extra, 0);
+    const section = sectionAt(hit);
+    const nextSection = headings.find(h => h.offset > hit);
+    const line = readLine(lineAt(text, hit));
+    const startLine = Math.max(section ? readLine(lineAt(text, section.offset)) : 1, line - JUMP_CONTEXT_LINES);
+    const endLine = nextSection ? readLine(lineAt(text, nextSection.offset)) - 1 : readLine(text.split('\n').length + 1) - 1;
+    return {
+        section: section ? section.name : null,
+        line,
+        offset: hit,
+        offsets: offsets.slice(0, MAX_HIT_OFFSETS).map(o => o.idx),
+        match_count: offsets.length,
+        jump: { line: startLine, line_count: Math.max(JUMP_CONTEXT_LINES * 2 + 1, Math.min(JUMP_MAX_LINES, endLine - startLine + 1)) }
+    };
+}
+
+/**
+ * v7.7: locateHits untuk 1 runbook di vault aktif — body redacted (sama dengan scoring/snippet/chunk),
+ * line/jump dikonversi ke baris memory_get
+ * @param {string} id - Filename runbook
+ * @returns {object|null} Lihat locateHits
+ */
+export function locateRunbookHits(id, words, options = {}) {
+    const filepath = join(getRunbooksDir(), id);
+    if (!existsSync(filepath)) return null;
+    const raw = readFileSync(filepath, 'utf8');
+    const { body } = parseFrontmatter(raw, { redact: true });
+    const lineShifts = hasEncryptedBlocks(raw) ? encryptedLineShifts(parseFrontmatter(raw, { decrypt: false }).body) : [];
+    return locateHits(body, words, { ...options, lineShifts });
+}
+
 /**
  * Count keyword occurrences (not just presence) for better scoring
  */
@@ -876,51 +988,112 @@ function countOccurrences(text, word) {
     return count;
 }
 
+/**
+ * v7.7: Explain — term query (asli + synonym) yang benar-benar muncul di title/tags/body
+ */
+function explainMatchedTerms(queryWords, originalWords, { title, tags, body }) {
+    const titleLower = (title || '').toLowerCase();
+    const tagsLower = (tags || []).map(t => String(t).toLowerCase());
+    const bodyLower = (body || '').toLowerCase();
+    const matched = { original: [], expanded: [] };
+    for (const word of queryWords) {
+        const fields = [];
+        if (titleLower.includes(word)) fields.push('title');
+        if (tagsLower.some(t => t.includes(word))) fields.push('tags');
+        if (bodyLower.includes(word)) fields.push('content');
+        if (fields.length > 0) matched[originalWords.includes(word) ? 'original' : 'expanded'].push({ term: word, fields });
+    }
+    return matched;
+}
+
+function roundExplain(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Search runbooks: FTS5 (fast path) atau file scan
+ * v7.7: options.filters (storage/searchFilters.js) — di-push ke SQL FTS5, di file scan dicek per file
+ * v7.7: options.syntax (default true) — query language (storage/queryParser.js): "frasa", -negasi, field:,
+ *       OR/AND. Query tanpa operator = perilaku lama (synonym expansion). Hook prompt memakai syntax:false.
+ * v7.7: options.explain — tiap hasil diberi explain.retrieval (BM25/skor per kata + semua multiplier),
+ *       return _query = term asli, synonym (+ key pemicu), ekspresi FTS5 yang dijalankan
+ */
 export function searchRunbooks(queryStr, options = {}) {
-    const { tags = [], limit = 20, offset = 0, fullContent = false, requiredTags = [], scopeId = '' } = options;
+    const { tags = [], limit = 20, offset = 0, fullContent = false, requiredTags = [], scopeId = '', syntax = true, explain = false } = options;
+    const parsed = syntax ? parseSearchQuery(queryStr) : null;
+    const structured = Boolean(parsed?.structured);
+    const filters = structured ? withQuerySections(options.filters || null, parsed) : (options.filters || null);
+    const synonymSources = new Map();
+    const expandedWords = structured ? [...parsed.words] : expandQueryWords(queryStr, synonymSources);
+    const queryInfo = (engine, ftsQuery = null) => ({
+        engine,
+        structured,
+        original_terms: structured ? [...parsed.words] : (queryStr || '').toLowerCase().split(/\s+/).filter(w => w.length >= 2),
+        expanded_terms: [...synonymSources].map(([term, from]) => ({ term, from })),
+        ...(ftsQuery ? { fts_query: ftsQuery } : {})
+    });
+
+    // v7.7: Tanpa term positif (e.g. "-", "AND", hanya -negasi) tidak ada yang dicari — bukan "semua runbook".
+    // section:X saja = filter → runbook yang punya section X (file scan, skor 0)
+    if (structured ? !hasPositiveTerms(parsed) : expandedWords.length === 0) {
+        return {
+            results: [],
+            pagination: { total: 0, offset, limit, returned: 0, has_more: false },
+            _engine: 'none',
+            ...(explain ? { _query: queryInfo('none') } : {})
+        };
+    }
 
     // v7.1: Try FTS5 index first (fast path) — only if no scope/tag filters and index is ready
     const canUseFts = isIndexReady() && !scopeId && tags.length === 0 && requiredTags.length === 0;
     if (canUseFts) {
-        const expandedQuery = expandQueryWords(queryStr).join(' ');
-        const ftsResults = ftsSearch(expandedQuery, { limit: limit * 2 });
+        // Query terstruktur tanpa term positif (e.g. hanya -negasi / section:) tidak bisa jadi MATCH → file scan
+        const ftsMatch = structured ? compileFtsMatch(parsed) : null;
+        const ftsResults = structured
+            ? (ftsMatch ? ftsSearch(null, { match: ftsMatch, limit: limit * 2, filters }) : null)
+            : ftsSearch(expandedWords.join(' '), { limit: limit * 2, filters });
 
         if (ftsResults && ftsResults.length > 0) {
             // Enrich FTS results with snippets from actual files
             const enriched = [];
-            const originalWords = (queryStr || '').toLowerCase().split(/\s+/).filter(w => w.length >= 2);
-            const queryWords = expandQueryWords(queryStr);
+            const originalWords = structured ? [...parsed.words] : (queryStr || '').toLowerCase().split(/\s+/).filter(w => w.length >= 2);
+            const queryWords = [...expandedWords];
             queryWords._originalWords = originalWords;
 
-            for (const fts of ftsResults) {
-                const filepath = join(RUNBOOKS_DIR, fts.id);
+            for (const [bm25Index, fts] of ftsResults.entries()) {
+                const filepath = join(getRunbooksDir(), fts.id);
                 if (!existsSync(filepath)) continue;
 
                 let raw;
                 try { raw = readFileSync(filepath, 'utf8'); } catch { continue; }
-                const { meta, body } = parseFrontmatter(raw);
+                // v7.7: Snippet dari body redacted (sama dengan index) — secret section terenkripsi tidak bocor
+                const { meta, body } = parseFrontmatter(raw, { redact: true });
                 const fileTags = Array.isArray(meta.tags) ? meta.tags : (typeof meta.tags === 'string' ? [meta.tags] : []);
 
                 // Apply usefulness boost from access_count
                 let score = fts.bm25_score;
+                const factors = [];
                 const accessBoost = Math.min(0.5, (fts.access_count || 0) * 0.02);
                 score *= (1 + accessBoost);
+                if (accessBoost > 0) factors.push({ signal: 'access_count', multiplier: roundExplain(1 + accessBoost), detail: `${fts.access_count} reads` });
 
                 // Success/verified boost
-                if (fts.success) score *= 1.1;
-                if (fts.verified) score *= 1.05;
+                if (fts.success) { score *= 1.1; factors.push({ signal: 'success', multiplier: 1.1 }); }
+                if (fts.verified) { score *= 1.05; factors.push({ signal: 'verified', multiplier: 1.05 }); }
 
                 // Recency decay
                 if (fts.updated_at) {
                     const days = (Date.now() - new Date(fts.updated_at).getTime()) / (1000 * 60 * 60 * 24);
                     const isTeknik = fts.id.toLowerCase().startsWith('teknik_');
                     const decay = isTeknik ? 0.003 : 0.005;
-                    score *= Math.max(0.3, 1 / (1 + days * decay));
+                    const recency = Math.max(0.3, 1 / (1 + days * decay));
+                    score *= recency;
+                    factors.push({ signal: 'recency', multiplier: roundExplain(recency), detail: `${Math.round(days)} days since update` });
                 }
 
-                const snippet = fullContent ? body : extractContextSnippet(body, queryWords);
+                const snippet = fullContent ? parseFrontmatter(raw).body : extractContextSnippet(body, queryWords);
 
-                enriched.push({
+                const item = {
                     id: fts.id,
                     type: 'runbook',
                     title: meta.title || filenameToTitle(fts.id),
@@ -931,11 +1104,25 @@ export function searchRunbooks(queryStr, options = {}) {
                     created_at: meta.created,
                     updated_at: meta.updated,
                     version: meta.version || 1
-                });
+                };
+                if (explain) {
+                    item.explain = {
+                        retrieval: {
+                            engine: 'fts5',
+                            bm25: roundExplain(fts.bm25_score),
+                            bm25_rank: bm25Index + 1,
+                            matched_terms: explainMatchedTerms(queryWords, originalWords, { title: item.title, tags: fileTags, body }),
+                            factors,
+                            score: item.score
+                        }
+                    };
+                }
+                enriched.push(item);
             }
 
             // Filter out score 0 results (irrelevant noise from FTS expansion)
-            const filtered = enriched.filter(r => r.score > 0.5);
+            // v7.7: Query terstruktur sudah difilter MATCH — BM25 term umum bisa < 0.5 tapi tetap hit
+            const filtered = structured ? enriched : enriched.filter(r => r.score > 0.5);
             filtered.sort((a, b) => b.score - a.score);
             const total = filtered.length;
             const paginated = filtered.slice(offset, offset + limit);
@@ -943,19 +1130,20 @@ export function searchRunbooks(queryStr, options = {}) {
             return {
                 results: paginated,
                 pagination: { total, offset, limit, returned: paginated.length, has_more: offset + limit < total },
-                _engine: 'fts5'
+                _engine: 'fts5',
+                ...(explain ? { _query: queryInfo('fts5', ftsResults._ftsQuery) } : {})
             };
         }
     }
 
     // FALLBACK: File scan (for scope_id, tag filters, or when FTS5 unavailable)
-    const files = readdirSync(RUNBOOKS_DIR).filter(f => f.endsWith('.md'));
+    const files = listRunbookFiles();
 
     // v7.0: Use expanded query words (original + synonyms) for better recall
-    const originalWords = (queryStr || '').toLowerCase().split(/\s+/).filter(w => w.length >= 2);
-    const queryWords = expandQueryWords(queryStr);
+    // v7.7: Query terstruktur — hanya term positif (tanpa expansion), boolean dievaluasi matchesQuery
+    const originalWords = structured ? [...parsed.words] : (queryStr || '').toLowerCase().split(/\s+/).filter(w => w.length >= 2);
+    const queryWords = [...expandedWords];
     queryWords._originalWords = originalWords;
-    const queryLower = (queryStr || '').toLowerCase();
 
     const results = [];
 
@@ -963,10 +1151,11 @@ export function searchRunbooks(queryStr, options = {}) {
         // scope_id filter: only search within ONE specific runbook
         if (scopeId && file !== scopeId && !file.includes(scopeId.replace(/\.md$/, ''))) continue;
 
-        const filepath = join(RUNBOOKS_DIR, file);
+        const filepath = join(getRunbooksDir(), file);
         let raw;
         try { raw = readFileSync(filepath, 'utf8'); } catch { continue; }
-        const { meta, body } = parseFrontmatter(raw);
+        // v7.7: Scoring/match/snippet di body redacted — plaintext section terenkripsi tidak ikut di-scan
+        const { meta, body } = parseFrontmatter(raw, { redact: true });
         const rawTags = Array.isArray(meta.tags) ? meta.tags : (typeof meta.tags === 'string' ? [meta.tags] : []);
         const fileTags = rawTags.map(t => (t || '').toLowerCase());
 
@@ -980,6 +1169,19 @@ export function searchRunbooks(queryStr, options = {}) {
             if (!tags.some(t => fileTags.includes(t.toLowerCase()))) continue;
         }
 
+        if (structured && !matchesQuery(parsed, { title: meta.title || filenameToTitle(file), tags: rawTags, body })) continue;
+
+        // v7.7: Structured filters (tanggal, success/verified, ukuran, title prefix, section)
+        if (filters && !matchesSearchFilters(filters, {
+            title: meta.title || filenameToTitle(file),
+            created_at: meta.created,
+            updated_at: meta.updated,
+            file_size: Buffer.byteLength(raw, 'utf8'),
+            success: meta.success,
+            verified: meta.verified,
+            headings: listMajorSections(body)
+        })) continue;
+
         // v7.0: Enhanced scoring with original word priority + expanded word support
         const titleLower = (meta.title || file).toLowerCase();
         const filenameLower = file.toLowerCase();
@@ -987,28 +1189,34 @@ export function searchRunbooks(queryStr, options = {}) {
         let score = 0;
         let matchedOriginal = 0;  // Track original (non-expanded) word matches
         let matchedWords = 0;
+        const termScores = [];
+        const factors = [];
 
         for (const word of queryWords) {
             let wordMatched = false;
             const isOriginal = originalWords.includes(word);
             // Original words get full weight, expanded synonyms get 0.5x weight
             const weightMultiplier = isOriginal ? 1.0 : 0.5;
+            const points = {};
 
             // Title match (highest weight)
             if (titleLower.includes(word)) {
                 score += 5 * weightMultiplier;
+                points.title = 5 * weightMultiplier;
                 wordMatched = true;
             }
 
             // Tag match (high weight)
             if (fileTags.some(t => t.includes(word))) {
                 score += 3 * weightMultiplier;
+                points.tags = 3 * weightMultiplier;
                 wordMatched = true;
             }
 
             // Filename match (medium-high weight)
             if (filenameLower.includes(word)) {
                 score += 2 * weightMultiplier;
+                points.filename = 2 * weightMultiplier;
                 wordMatched = true;
             }
 
@@ -1016,23 +1224,27 @@ export function searchRunbooks(queryStr, options = {}) {
             const occurrences = countOccurrences(contentLower, word);
             if (occurrences > 0) {
                 score += Math.min(5, 1 + Math.log2(occurrences)) * weightMultiplier;
+                points.content = roundExplain(Math.min(5, 1 + Math.log2(occurrences)) * weightMultiplier);
                 wordMatched = true;
             }
 
             if (wordMatched) {
                 matchedWords++;
                 if (isOriginal) matchedOriginal++;
+                termScores.push({ term: word, original: isOriginal, ...(isOriginal ? {} : { from: synonymSources.get(word) }), occurrences, points });
             }
         }
 
         // Bonus: ALL ORIGINAL query words matched (precision boost)
         if (originalWords.length > 1 && matchedOriginal === originalWords.length) {
             score *= 1.5;
+            factors.push({ signal: 'all_terms_matched', multiplier: 1.5 });
         }
 
         // Density adjustment for large files
         if (body.length > 100000 && originalWords.length >= 3 && matchedOriginal < originalWords.length) {
             score *= (matchedOriginal / originalWords.length);
+            factors.push({ signal: 'large_file_density', multiplier: roundExplain(matchedOriginal / originalWords.length), detail: `${matchedOriginal}/${originalWords.length} terms in ${body.length} chars` });
         }
 
         // v7.0: CREDENTIAL BOOST — credential-related runbooks get priority
@@ -1041,6 +1253,7 @@ export function searchRunbooks(queryStr, options = {}) {
         const queryHasCredentialIntent = originalWords.some(w => ['credential', 'password', 'ssh', 'login', 'creds', 'access', 'token'].includes(w));
         if (hasCredentialSignal && queryHasCredentialIntent) {
             score *= 1.3;
+            factors.push({ signal: 'credential_priority', multiplier: 1.3 });
         }
 
         // v7.0: TECHNIQUE BOOST — technique runbooks get priority when searching for techniques
@@ -1048,6 +1261,7 @@ export function searchRunbooks(queryStr, options = {}) {
         const queryHasTechIntent = originalWords.some(w => ['teknik', 'technique', 'cve', 'exploit', 'bypass', 'rce'].includes(w));
         if (isTeknik && queryHasTechIntent) {
             score *= 1.2;
+            factors.push({ signal: 'technique_priority', multiplier: 1.2 });
         }
 
         // v7.0: RECENCY DECAY — temporal intelligence per type
@@ -1059,17 +1273,20 @@ export function searchRunbooks(queryStr, options = {}) {
             const recencyMultiplier = Math.max(0.3, 1 / (1 + daysSinceUpdate * decayFactor));
             // Blend: 80% relevance score + 20% recency
             score = score * 0.8 + score * recencyMultiplier * 0.2;
+            factors.push({ signal: 'recency', multiplier: roundExplain(0.8 + recencyMultiplier * 0.2), detail: `${Math.round(daysSinceUpdate)} days since update` });
         }
 
         // v7.0: SUCCESS/VERIFIED BOOST
-        if (meta.success === true) score *= 1.1;
-        if (meta.verified === true) score *= 1.05;
+        if (meta.success === true) { score *= 1.1; factors.push({ signal: 'success', multiplier: 1.1 }); }
+        if (meta.verified === true) { score *= 1.05; factors.push({ signal: 'verified', multiplier: 1.05 }); }
 
-        if (score > 0.5 || queryWords.length === 0) {  // Raised threshold from 0 to 0.5 — filter irrelevant noise
+        // Raised threshold from 0 to 0.5 — filter irrelevant noise (query terstruktur sudah lolos matchesQuery)
+        if (structured || score > 0.5) {
             // Context-aware snippet: show RELEVANT section, not just file beginning
-            const snippet = fullContent ? body : extractContextSnippet(body, queryWords);
+            // full_content = read eksplisit → decrypt transparan seperti memory_get
+            const snippet = fullContent ? parseFrontmatter(raw).body : extractContextSnippet(body, queryWords);
 
-            results.push({
+            const item = {
                 id: file,
                 type: 'runbook',
                 title: meta.title || filenameToTitle(file),
@@ -1080,7 +1297,19 @@ export function searchRunbooks(queryStr, options = {}) {
                 created_at: meta.created,
                 updated_at: meta.updated,
                 version: meta.version || 1
-            });
+            };
+            if (explain) {
+                item.explain = {
+                    retrieval: {
+                        engine: 'file_scan',
+                        term_points: roundExplain(termScores.reduce((sum, t) => sum + Object.values(t.points).reduce((a, b) => a + b, 0), 0)),
+                        terms: termScores,
+                        factors,
+                        score: item.score
+                    }
+                };
+            }
+            results.push(item);
         }
     }
 
@@ -1095,7 +1324,8 @@ export function searchRunbooks(queryStr, options = {}) {
 
     return {
         results: paginated,
-        pagination: { total, offset, limit, returned: paginated.length, has_more: offset + limit < total }
+        pagination: { total, offset, limit, returned: paginated.length, has_more: offset + limit < total },
+        ...(explain ? { _query: queryInfo('file_scan') } : {})
     };
 }
 
@@ -1104,11 +1334,11 @@ export function searchRunbooks(queryStr, options = {}) {
  */
 export function listRunbooks(options = {}) {
     const { tags = [], limit = 20, offset = 0, titleContains = '', fullContent = false } = options;
-    const files = readdirSync(RUNBOOKS_DIR).filter(f => f.endsWith('.md'));
+    const files = listRunbookFiles();
     const items = [];
 
     for (const file of files) {
-        const filepath = join(RUNBOOKS_DIR, file);
+        const filepath = join(getRunbooksDir(), file);
         let raw;
         try { raw = readFileSync(filepath, 'utf8'); } catch { continue; }
         const { meta, body } = parseFrontmatter(raw);
@@ -1139,7 +1369,7 @@ export function listRunbooks(options = {}) {
         };
 
         if (fullContent) item.content = body;
-        else item.snippet = body.substring(0, 500);
+        else item.snippet = stripEntryMarkers(body).substring(0, 500);
 
         items.push(item);
     }
@@ -1160,10 +1390,10 @@ export function listRunbooks(options = {}) {
  * Delete runbook (move to .deleted/ for safety)
  */
 export function deleteRunbook(id, reason = '') {
-    const filepath = join(RUNBOOKS_DIR, id);
+    const filepath = join(getRunbooksDir(), id);
     if (!existsSync(filepath)) return false;
 
-    const deletedDir = join(RUNBOOKS_DIR, '.deleted');
+    const deletedDir = join(getRunbooksDir(), '.deleted');
     if (!existsSync(deletedDir)) mkdirSync(deletedDir, { recursive: true });
 
     const raw = readFileSync(filepath, 'utf8');
@@ -1179,21 +1409,21 @@ export function deleteRunbook(id, reason = '') {
  * Get stats about runbooks
  */
 export function getStats() {
-    const files = readdirSync(RUNBOOKS_DIR).filter(f => f.endsWith('.md'));
+    const files = listRunbookFiles();
     let totalSize = 0;
     let totalContent = 0;
 
     for (const file of files) {
-        const stat = statSync(join(RUNBOOKS_DIR, file));
+        const stat = statSync(join(getRunbooksDir(), file));
         totalSize += stat.size;
         try {
-            const raw = readFileSync(join(RUNBOOKS_DIR, file), 'utf8');
+            const raw = readFileSync(join(getRunbooksDir(), file), 'utf8');
             const { body } = parseFrontmatter(raw);
             totalContent += body.length;
         } catch {}
     }
 
-    const deletedDir = join(RUNBOOKS_DIR, '.deleted');
+    const deletedDir = join(getRunbooksDir(), '.deleted');
     const deletedCount = existsSync(deletedDir) ? readdirSync(deletedDir).length : 0;
 
     return {
@@ -1202,14 +1432,14 @@ export function getStats() {
         total_size_mb: Math.round(totalSize / 1024 / 1024 * 100) / 100,
         total_content_chars: totalContent,
         deleted_count: deletedCount,
-        directory: RUNBOOKS_DIR
+        directory: getRunbooksDir()
     };
 }
 
 export { filterNoiseTags, SUB_HEADING_PATTERNS };
 
 export default {
-    RUNBOOKS_DIR,
+    getRunbooksDir,
     titleToFilename,
     filenameToTitle,
     parseFrontmatter,
@@ -1219,6 +1449,7 @@ export default {
     findByTitle,
     findByFuzzyTitle,
     searchRunbooks,
+    locateHits, locateRunbookHits,
     listRunbooks,
     deleteRunbook,
     getStats,
@@ -1226,5 +1457,7 @@ export default {
     filterNoiseTags,
     isMajorSection,
     findSectionEnd,
+    findSectionBlockStart,
+    findSectionRange,
     appendToSection
 };
@@ -0,0 +1,306 @@
+/**
+ * Graph Extractor v1.0 — entity + relasi bertipe dari body runbook (per section ##)
+ * Entity: host, ip, port (host:port/proto), service, cve, credential (user@host), user, url
+ * Relasi:
+ *   host —exposes→ port            port —runs_service→ service     host —runs_service→ service
+ *   host —resolves_to→ ip          cve —affects→ service           host —vulnerable_to→ cve
+ *   credential —valid_on→ host     credential —dead_on→ host       credential —for_user→ user
+ *   url —hosted_on→ host
+ * Tiap entity/relasi membawa section + line asal (line 1-based di body, sama dengan memory_get).
+ * Konteks host untuk port tanpa host (output nmap): host/IP terakhir di section, fallback target judul.
+ * Secret tidak pernah masuk graph — credential hanya user@host.
+ * @module storage/graphExtract
+ */
+import { isMajorSection } from './files.js';
+import { sectionKey } from './sectionSchema.js';
+
+/**
+ * Known service names for entity classification
+ */
+export const KNOWN_SERVICES = new Set([
+    'postgresql', 'mysql', 'redis', 'mongodb', 'elasticsearch', 'mssql', 'oracle', 'mariadb',
+    'nginx', 'apache', 'tomcat', 'iis', 'lighttpd', 'caddy', 'jetty',
+    'ssh', 'rdp', 'ftp', 'smb', 'telnet', 'vnc', 'winrm',
+    'geoserver', 'zimbra', 'proxmox', 'vcenter', 'nutanix', 'kubernetes', 'docker',
+    'cloudflare', 'wordpress', 'laravel', 'django', 'jenkins', 'gitlab', 'grafana',
+    'axigen', 'mikrotik', 'unifi', 'wireguard', 'openvpn', 'haproxy',
+    'nagios', 'zabbix', 'librenms', 'portainer', 'truenas', 'metabase',
+    'solana', 'jupiter', 'phantom', 'dexscreener'
+]);
+
+// Nama service versi nmap / banner → KNOWN_SERVICES
+const SERVICE_ALIASES = {
+    postgres: 'postgresql', 'ms-sql-s': 'mssql', 'microsoft-ds': 'smb', 'netbios-ssn': 'smb', samba: 'smb',
+    'ms-wbt-server': 'rdp', openssh: 'ssh', apache2: 'apache', mongo: 'mongodb', mysqld: 'mysql',
+    k8s: 'kubernetes', wsman: 'winrm', vsftpd: 'ftp', proftpd: 'ftp', 'pure-ftpd': 'ftp', 'microsoft-iis': 'iis'
+};
+
+// TLD > 2 huruf yang diterima; 2 huruf = ccTLD kecuali ekstensi file
+const LONG_TLDS = new Set([
+    'com', 'net', 'org', 'edu', 'gov', 'mil', 'int', 'info', 'biz', 'name', 'pro', 'dev', 'app', 'cloud',
+    'xyz', 'site', 'online', 'tech', 'store', 'shop', 'live', 'local', 'lan', 'internal', 'corp', 'home',
+    'htb', 'thm', 'onion', 'arpa', 'web', 'top', 'club', 'asia', 'mobi', 'network', 'systems', 'digital'
+]);
+const FILE_EXTENSIONS_2 = new Set(['js', 'py', 'sh', 'md', 'gz', 'db', 'so', 'rb', 'go', 'cs', 'ts', 'pl', 'ps', 'vb', 'xz', 'bz', 'gs', 'rs', 'kt', 'lo', 'mo', 'po']);
+
+const HOST_PATTERN = /\b(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,24}\b/gi;
+const IPV4_PATTERN = /\b(?:25[0-5]|2[0-4]\d|1?\d?\d)(?:\.(?:25[0-5]|2[0-4]\d|1?\d?\d)){3}\b/g;
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`)\]|]+/gi;
+const CVE_PATTERN = /\bcve-\d{4}-\d{4,}\b/gi;
+// "443/tcp open http nginx 1.18" (nmap) / "port 8080" / "port 8080/tcp"
+const PORT_NMAP = /\b(\d{1,5})\/(tcp|udp)\s+(open(?:\|filtered)?|filtered|closed)\b(.*)$/i;
+const PORT_PROSE = /\bport\s+(\d{1,5})(?:\/(tcp|udp))?\b(?!\s*(?:is\s+|:\s*|=\s*)?(?:closed|filtered))/gi;
+// user@host / user:secret@host — grup secret tidak pernah disimpan
+const USER_AT_HOST = /(?:^|[\s|(`'"=,;])([a-z0-9][a-z0-9._\\-]{0,63})(?::[^\s@]+)?@((?:[a-z0-9-]+\.)+[a-z0-9-]+)/gi;
+const USER_FIELD = /\b(?:user(?:name)?|login)\s*[:=]\s*`?([a-z0-9][a-z0-9._\\-]{0,63})/i;
+const CREDENTIAL_HINT = /\b(?:pass(?:word|wd)?|pwd|creds?|credentials?|login|alive|dead|valid|hash|ntlm|token|ssh\s)/i;
+const CREDENTIAL_DEAD = /\b(?:dead|expired|revoked|invalid)\b/i;
+// "example.com (10.0.0.5)", "example.com -> 10.0.0.5", "example.com has address 10.0.0.5", dig "example.com. 300 IN A 10.0.0.5"
+const RESOLVES_PATTERN = /((?:[a-z0-9-]+\.)+[a-z]{2,24})\.?\s*(?:\(\s*|->\s*|→\s*|=>\s*|resolves?\s+to\s+|has\s+address\s+|\d+\s+IN\s+A\s+)((?:\d{1,3}\.){3}\d{1,3})\b/gi;
+
+// Blok managed ## CREDENTIAL (storage/credentials.js renderCredentialBlock)
+const CRED_BLOCK_BEGIN = /<!-- CREDENTIALS:BEGIN/;
+const CRED_BLOCK_END = /<!-- CREDENTIALS:END -->/;
+
+const MAX_ENTITIES = 300;
+const MAX_RELATIONS = 500;
+const MAX_URL_LENGTH = 200;
+
+/**
+ * Service canonical dari satu token (alias nmap ikut), null jika bukan service dikenal
+ */
+export function normalizeService(token) {
+    const lower = (token || '').toLowerCase().trim();
+    const name = SERVICE_ALIASES[lower] || lower;
+    return KNOWN_SERVICES.has(name) ? name : null;
+}
+
+function servicesIn(text) {
+    const found = new Set();
+    for (const token of (text || '').toLowerCase().split(/[^a-z0-9-]+/)) {
+        const service = normalizeService(token);
+        if (service) found.add(service);
+    }
+    return [...found];
+}
+
+function isIp(value) {
+    return /^(?:25[0-5]|2[0-4]\d|1?\d?\d)(?:\.(?:25[0-5]|2[0-4]\d|1?\d?\d)){3}$/.test(value);
+}
+
+/**
+ * Domain/hostname yang masuk akal (bukan nama file "config.php" / atribut "os.path")
+ */
+export function isHostname(value) {
+    const lower = (value || '').toLowerCase().replace(/\.$/, '');
+    if (!/^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,24}$/.test(lower)) return false;
+    const tld = lower.substring(lower.lastIndexOf('.') + 1);
+    return tld.length === 2 ? !FILE_EXTENSIONS_2.has(tld) : LONG_TLDS.has(tld);
+}
+
+/**
+ * Host dari target judul "[RUNBOOK] example.com" (null jika target bukan hostname/IP)
+ */
+function titleHost(title) {
+    const match = (title || '').match(/^\[RUNBOOK\]\s*(\S+)/i);
+    if (!match) return null;
+    const candidate = match[1].toLowerCase();
+    return isIp(candidate) || isHostname(candidate) ? candidate : null;
+}
+
+// Host/IP di satu baris (urut posisi), dengan port "host:port" jika ada
+function hostsIn(line) {
+    const found = [];
+    const seen = new Set();
+    const add = (name, index, length) => {
+        if (seen.has(name)) return;
+        seen.add(name);
+        const portMatch = line.substring(index + length).match(/^:(\d{1,5})\b/);
+        found.push({ name, index, port: portMatch ? parseInt(portMatch[1], 10) : null });
+    };
+    for (const match of line.matchAll(IPV4_PATTERN)) {
+        const before = line.substring(0, match.index);
+        const after = line.substring(match.index + match[0].length);
+        // Bagian dari versi/OID panjang ("1.2.3.4.5") atau CIDR ("10.0.0.0/24") → bukan host
+        if (/\d\.$/.test(before) || /^\.\d/.test(after) || /^\/\d/.test(after) || match[0] === '0.0.0.0') continue;
+        add(match[0], match.index, match[0].length);
+    }
+    for (const match of line.matchAll(HOST_PATTERN)) {
+        const name = match[0].toLowerCase();
+        if (isIp(name) || !isHostname(name)) continue;
+        // Path file ("/etc/nginx/sites-enabled/example.com") tetap host; "file.example.com.bak" tidak
+        if (/^\.[a-z0-9]/i.test(line.substring(match.index + match[0].length))) continue;
+        add(name, match.index, match[0].length);
+    }
+    return found.sort((a, b) => a.index - b.index);
+}
+
+function validPort(port) {
+    return Number.isInteger(port) && port > 0 && port <= 65535;
+}
+
+function cleanUrl(raw) {
+    const url = raw.replace(/[.,;:!?]+$/, '').split(/[?#]/)[0];
+    const match = url.match(/^(https?:\/\/)([^/:]+)(:\d{1,5})?(\/.*)?$/i);
+    if (!match) return null;
+    const host = match[2].toLowerCase();
+    if (!isIp(host) && !isHostname(host)) return null;
+    const port = match[3] ? parseInt(match[3].substring(1), 10) : null;
+    return {
+        url: `${match[1].toLowerCase()}${host}${match[3] || ''}${match[4] || ''}`.substring(0, MAX_URL_LENGTH),
+        host,
+        port: validPort(port) ? port : null
+    };
+}
+
+// Sel tabel markdown (pipe ter-escape "\|" tidak memecah sel)
+function tableCells(line) {
+    return line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Ekstrak entity + relasi bertipe dari body runbook
+ * @param {object} doc - { title, body } (body tanpa frontmatter; section terenkripsi sebaiknya sudah di-redact)
+ * @returns {{ entities: Array<{ name, type, section, line }>, relations: Array<{ source, source_type, relation, target, target_type, section, line }> }}
+ *   entities = kemunculan pertama per (entity, section); section null = sebelum ## pertama
+ */
+export function extractGraph({ title = '', body = '' } = {}) {
+    const entities = new Map();
+    const relations = new Map();
+    const fallbackHost = titleHost(title);
+
+    const addEntity = (name, type, section, line) => {
+        const key = `${name}\u0000${section || ''}`;
+        if (entities.has(key) || entities.size >= MAX_ENTITIES) return;
+        entities.set(key, { name, type, section, line });
+    };
+    const relate = (source, sourceType, relation, target, targetType, section, line) => {
+        if (!source || !target || source === target) return;
+        addEntity(source, sourceType, section, line);
+        addEntity(target, targetType, section, line);
+        const key = [source, relation, target, section || ''].join('\u0000');
+        if (relations.has(key) || relations.size >= MAX_RELATIONS) return;
+        relations.set(key, { source, source_type: sourceType, relation, target, target_type: targetType, section, line });
+    };
+    const hostType = (name) => (isIp(name) ? 'ip' : 'host');
+    const portName = (host, port, proto = 'tcp') => `${host}:${port}/${proto.toLowerCase()}`;
+    const addCredential = (user, host, dead, section, line) => {
+        const username = user.toLowerCase();
+        const credential = `${username}@${host}`;
+        relate(credential, 'credential', dead ? 'dead_on' : 'valid_on', host, hostType(host), section, line);
+        relate(credential, 'credential', 'for_user', username, 'user', section, line);
+    };
+
+    let section = null;
+    let context = null;
+    let inCredentialBlock = false;
+    const lines = (body || '').split('\n');
+
+    lines.forEach((text, index) => {
+        const line = index + 1;
+        if (/^## /.test(text)) {
+            if (isMajorSection(text)) {
+                section = text.replace(/^## /, '').trim();
+                context = null;
+            }
+            return;
+        }
+        if (CRED_BLOCK_BEGIN.test(text)) { inCredentialBlock = true; return; }
+        if (CRED_BLOCK_END.test(text)) { inCredentialBlock = false; return; }
+        if (!text.trim()) return;
+
+        // Record typed credential (memory_credential): | Cred | Service | Host | User | Secret Ref | Status | ...
+        if (inCredentialBlock) {
+            const cells = tableCells(text);
+            if (cells.length < 6 || /^-+$/.test(cells[0]) || cells[0] === 'Cred') return;
+            const [, service, rawHost, user, , status] = cells;
+            const host = (rawHost || '').toLowerCase();
+            if (!host || host === '-' || !user || user === '-') return;
+            addCredential(user, host, status === 'DEAD', section, line);
+            const canonical = normalizeService(service);
+            if (canonical) relate(host, hostType(host), 'runs_service', canonical, 'service', section, line);
+            return;
+        }
+
+        const hosts = hostsIn(text);
+        if (hosts.length > 0) context = hosts[0].name;
+        const lineHost = context || fallbackHost;
+        const services = servicesIn(text);
+
+        for (const host of hosts) {
+            addEntity(host.name, hostType(host.name), section, line);
+            if (validPort(host.port)) relate(host.name, hostType(host.name), 'exposes', portName(host.name, host.port), 'port', section, line);
+        }
+        for (const service of services) addEntity(service, 'service', section, line);
+
+        // DNS: domain → IP
+        for (const match of text.matchAll(RESOLVES_PATTERN)) {
+            const domain = match[1].toLowerCase();
+            if (isHostname(domain) && isIp(match[2])) relate(domain, 'host', 'resolves_to', match[2], 'ip', section, line);
+        }
+
+        // Port open: nmap (service dari kolom service/version) atau prosa "port 8080"
+        const nmap = text.match(PORT_NMAP);
+        if (nmap && lineHost) {
+            const port = parseInt(nmap[1], 10);
+            if (validPort(port) && nmap[3].toLowerCase() !== 'closed' && nmap[3].toLowerCase() !== 'filtered') {
+                const name = portName(lineHost, port, nmap[2]);
+                relate(lineHost, hostType(lineHost), 'exposes', name, 'port', section, line);
+                for (const service of servicesIn(nmap[4])) {
+                    relate(name, 'port', 'runs_service', service, 'service', section, line);
+                    relate(lineHost, hostType(lineHost), 'runs_service', service, 'service', section, line);
+                }
+            }
+        } else if (lineHost) {
+            for (const match of text.matchAll(PORT_PROSE)) {
+                const port = parseInt(match[1], 10);
+                if (!validPort(port)) continue;
+                const name = portName(lineHost, port, match[2] || 'tcp');
+                relate(lineHost, hostType(lineHost), 'exposes', name, 'port', section, line);
+                for (const service of services) relate(name, 'port', 'runs_service', service, 'service', section, line);
+            }
+        }
+        // "nginx on 10.0.0.5:8080" → port runs_service; host tanpa port → host runs_service
+        for (const host of hosts) {
+            for (const service of services) {
+                if (validPort(host.port)) relate(portName(host.name, host.port), 'port', 'runs_service', service, 'service', section, line);
+                relate(host.name, hostType(host.name), 'runs_service', service, 'service', section, line);
+            }
+        }
+
+        // CVE → service yang disebut di baris yang sama, host di baris → vulnerable_to
+        for (const match of text.matchAll(CVE_PATTERN)) {
+            const cve = match[0].toLowerCase();
+            addEntity(cve, 'cve', section, line);
+            for (const service of services) relate(cve, 'cve', 'affects', service, 'service', section, line);
+            for (const host of hosts) relate(host.name, hostType(host.name), 'vulnerable_to', cve, 'cve', section, line);
+        }
+
+        // URL → host
+        for (const match of text.matchAll(URL_PATTERN)) {
+            const url = cleanUrl(match[0]);
+            if (!url) continue;
+            relate(url.url, 'url', 'hosted_on', url.host, hostType(url.host), section, line);
+            if (url.port) relate(url.host, hostType(url.host), 'exposes', portName(url.host, url.port), 'port', section, line);
+        }
+
+        // Credential: user@host / user:secret@host (section CREDENTIAL atau baris dengan petunjuk credential)
+        const credentialLine = sectionKey(section || '') === 'CREDENTIAL' || CREDENTIAL_HINT.test(text);
+        if (credentialLine) {
+            const dead = CREDENTIAL_DEAD.test(text);
+            let found = false;
+            for (const match of text.matchAll(USER_AT_HOST)) {
+                const host = match[2].toLowerCase().replace(/\.$/, '');
+                if (!isIp(host) && !isHostname(host)) continue;
+                addCredential(match[1], host, dead, section, line);
+                found = true;
+            }
+            const field = !found && text.match(USER_FIELD);
+            if (field && lineHost) addCredential(field[1], lineHost, dead, section, line);
+        }
+    });
+
+    return { entities: [...entities.values()], relations: [...relations.values()] };
+}
+
+export default { KNOWN_SERVICES, normalizeService, isHostname, extractGraph };
@@ -5,28 +5,26 @@
  *
  * Enables: "all targets using PostgreSQL", "all techniques that failed", cross-runbook reasoning
  * ADDITIVE LAYER: Does NOT replace existing search
+ * v7.7: db handle per vault via searchIndex.getDb()
+ * v7.7: Typed graph — body runbook di-ekstrak per section (graphExtract.js): host/ip/port/cve/credential/user/url.
+ *   kg_links     runbook —relation→ entity (+ entity_type, section, line asal; title/tags = section '')
+ *   kg_relations entity —relation→ entity (host exposes port, cve affects service, credential valid_on host, ...)
  * @module storage/graphIndex
  */
-import { existsSync, readdirSync, readFileSync } from 'fs';
+import { existsSync, readFileSync } from 'fs';
 import { join } from 'path';
-import { RUNBOOKS_DIR, parseFrontmatter, filenameToTitle } from './files.js';
+import { getRunbooksDir, listRunbookFiles, parseFrontmatter, filenameToTitle } from './files.js';
 import logger from '../utils/logger.js';
+import { getDb } from './searchIndex.js';
+import { KNOWN_SERVICES, extractGraph } from './graphExtract.js';
 
-let db = null;
+// Tipe entity jika nama yang sama muncul dengan beberapa tipe (e.g. target judul = host di body)
+const TYPE_PRIORITY = ['target', 'technique_name', 'cve', 'credential', 'port', 'url', 'ip', 'host', 'service', 'technique', 'user', 'tag'];
 
-/**
- * Known service names for entity classification
- */
-const KNOWN_SERVICES = new Set([
-    'postgresql', 'mysql', 'redis', 'mongodb', 'elasticsearch', 'mssql', 'oracle', 'mariadb',
-    'nginx', 'apache', 'tomcat', 'iis', 'lighttpd', 'caddy', 'jetty',
-    'ssh', 'rdp', 'ftp', 'smb', 'telnet', 'vnc', 'winrm',
-    'geoserver', 'zimbra', 'proxmox', 'vcenter', 'nutanix', 'kubernetes', 'docker',
-    'cloudflare', 'wordpress', 'laravel', 'django', 'jenkins', 'gitlab', 'grafana',
-    'axigen', 'mikrotik', 'unifi', 'wireguard', 'openvpn', 'haproxy',
-    'nagios', 'zabbix', 'librenms', 'portainer', 'truenas', 'metabase',
-    'solana', 'jupiter', 'phantom', 'dexscreener'
-]);
+function typeRank(type) {
+    const index = TYPE_PRIORITY.indexOf(type);
+    return index === -1 ? TYPE_PRIORITY.length : index;
+}
 
 /**
  * Known technique words for entity classification
@@ -41,6 +39,60 @@ const KNOWN_TECHNIQUES = new Set([
     'maphack', 'mod', 'hooking', 'anti-cheat', 'scalping', 'trading'
 ]);
 
+// Frasa umum di teks runbook → technique canonical (KNOWN_TECHNIQUES)
+const TECHNIQUE_PHRASES = [
+    [/\bsql\s*injection\b/i, 'sqli'],
+    [/\bcommand\s*injection\b|\bcmd\s*injection\b/i, 'rce'],
+    [/\bremote\s*code\s*exec/i, 'rce'],
+    [/\b(?:path|directory)\s*traversal\b|\blocal\s*file\s*inclusion\b/i, 'lfi'],
+    [/\bfile\s*upload\b/i, 'file-upload'],
+    [/\bbrute[\s-]*forc/i, 'brute'],
+    [/\bpassword\s*spray/i, 'spray'],
+    [/\bprivilege\s*escalation\b/i, 'privesc'],
+    [/\bweb\s*shell\b/i, 'webshell'],
+    [/\brev(?:erse)?[\s-]*shell\b/i, 'reverse-shell'],
+    [/\bzone\s*transfer\b|\baxfr\b/i, 'dns-zone-transfer'],
+    [/\.git\/|\bgit[\s-]*dump/i, 'git-dump']
+];
+
+// Nama tool di baris EXPLOIT/GAGAL → technique canonical ("sqlmap -u ... gagal" = sqli gagal)
+const TOOL_TECHNIQUES = new Map([
+    ['sqlmap', 'sqli'], ['ghauri', 'sqli'],
+    ['hydra', 'brute'], ['medusa', 'brute'], ['ncrack', 'brute'], ['patator', 'brute'],
+    ['kerbrute', 'spray'],
+    ['commix', 'rce'],
+    ['tplmap', 'ssti'], ['sstimap', 'ssti'],
+    ['xsstrike', 'xss'], ['dalfox', 'xss'],
+    ['ssrfmap', 'ssrf'], ['gopherus', 'ssrf'],
+    ['ysoserial', 'deserialization'],
+    ['weevely', 'webshell'],
+    ['git-dumper', 'git-dump'], ['gitdumper', 'git-dump'],
+    ['subjack', 'subdomain-takeover'],
+    ['chisel', 'tunnel'], ['ligolo', 'tunnel'], ['ligolo-ng', 'tunnel'], ['sshuttle', 'tunnel'],
+    ['linpeas', 'privesc'], ['winpeas', 'privesc'], ['pspy', 'privesc']
+]);
+
+/**
+ * Technique + CVE yang disebut di teks bebas (baris section EXPLOIT/GAGAL), termasuk lewat nama tool
+ * @param {string} text
+ * @returns {string[]} Nama technique canonical / cve-xxxx-xxxx (unik, lowercase)
+ */
+export function detectTechniques(text) {
+    const found = new Set();
+    const lower = (text || '').toLowerCase();
+    for (const token of lower.split(/[^a-z0-9-]+/)) {
+        if (KNOWN_TECHNIQUES.has(token)) found.add(token);
+        if (TOOL_TECHNIQUES.has(token)) found.add(TOOL_TECHNIQUES.get(token));
+    }
+    for (const [pattern, technique] of TECHNIQUE_PHRASES) {
+        if (pattern.test(lower)) found.add(technique);
+    }
+    for (const cve of lower.match(/cve-\d{4}-\d{4,}/g) || []) found.add(cve);
+    // "sql injection" → sqli saja, bukan sqli + injection generik
+    if (found.has('injection') && ['sqli', 'ssti', 'xxe', 'rce'].some(t => found.has(t))) found.delete('injection');
+    return [...found];
+}
+
 /**
  * Classify entity type from tag name
  */
@@ -73,10 +125,14 @@ function extractTarget(title) {
  * @param {object} database - better-sqlite3 db instance
  */
 export function initGraphIndex(database) {
-    db = database;
+    const db = database;
     if (!db) return false;
 
     try {
+        // v7.7: kg_links lama (tanpa section) di-drop — graph selalu di-rebuild dari .md setelah init
+        const linkColumns = db.prepare('PRAGMA table_info(kg_links)').all().map(c => c.name);
+        if (linkColumns.length > 0 && !linkColumns.includes('section')) db.exec('DROP TABLE kg_links');
+
         db.exec(`
             CREATE TABLE IF NOT EXISTS kg_entities (
                 name TEXT PRIMARY KEY,
@@ -90,12 +146,30 @@ export function initGraphIndex(database) {
                 runbook_id TEXT,
                 entity_name TEXT,
                 relation TEXT DEFAULT 'tagged',
-                PRIMARY KEY (runbook_id, entity_name, relation)
+                entity_type TEXT DEFAULT 'tag',
+                section TEXT DEFAULT '',
+                line INTEGER,
+                PRIMARY KEY (runbook_id, entity_name, relation, section)
+            )
+        `);
+
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS kg_relations (
+                runbook_id TEXT,
+                source TEXT,
+                relation TEXT,
+                target TEXT,
+                section TEXT DEFAULT '',
+                line INTEGER,
+                PRIMARY KEY (runbook_id, source, relation, target, section)
             )
         `);
 
         db.exec('CREATE INDEX IF NOT EXISTS idx_kg_links_entity ON kg_links(entity_name)');
         db.exec('CREATE INDEX IF NOT EXISTS idx_kg_links_runbook ON kg_links(runbook_id)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_kg_relations_source ON kg_relations(source)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_kg_relations_target ON kg_relations(target)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_kg_relations_runbook ON kg_relations(runbook_id)');
 
         logger.info('Knowledge graph tables initialized');
         return true;
@@ -105,64 +179,121 @@ export function initGraphIndex(database) {
     }
 }
 
+/**
+ * Link + relasi satu runbook: target judul, tags (section ''), entity body per section
+ * @param {string} filename
+ * @returns {{ links: Array<{ entity, type, relation, section, line }>, relations: Array<object> }|null} null = file tidak ada
+ */
+function collectRunbookGraph(filename) {
+    const filepath = join(getRunbooksDir(), filename);
+    if (!existsSync(filepath)) return null;
+
+    // Section terenkripsi di-redact — isi credential sealed tidak masuk graph
+    const { meta, body } = parseFrontmatter(readFileSync(filepath, 'utf8'), { redact: true });
+    const title = meta.title || filenameToTitle(filename);
+    const links = [];
+
+    // Extract target from title
+    const target = extractTarget(title);
+    if (target) {
+        links.push({ entity: target.name, type: target.type, relation: target.type === 'target' ? 'targets' : 'implements', section: '', line: null });
+    }
+
+    // Extract entities from tags
+    const tags = Array.isArray(meta.tags) ? meta.tags : [];
+    for (const tag of tags) {
+        const entityType = classifyEntity(tag);
+        if (!entityType || entityType === 'date' || entityType === 'meta') continue;
+
+        const relation = entityType === 'service' ? 'uses_service'
+            : entityType === 'cve' ? 'exploits_cve'
+            : entityType === 'technique' ? 'uses_technique'
+            : 'tagged';
+        links.push({ entity: tag.toLowerCase().trim(), type: entityType, relation, section: '', line: null });
+    }
+
+    // v7.7: Entity bertipe dari body (kemunculan pertama per section)
+    const extracted = extractGraph({ title, body });
+    for (const e of extracted.entities) {
+        links.push({ entity: e.name, type: e.type, relation: 'mentions', section: e.section || '', line: e.line });
+    }
+    return { links, relations: extracted.relations };
+}
+
+function writeRunbookGraph(db, filename, graph) {
+    db.prepare('DELETE FROM kg_links WHERE runbook_id = ?').run(filename);
+    db.prepare('DELETE FROM kg_relations WHERE runbook_id = ?').run(filename);
+    if (!graph) return;
+    const insertLink = db.prepare('INSERT OR IGNORE INTO kg_links (runbook_id, entity_name, relation, entity_type, section, line) VALUES (?, ?, ?, ?, ?, ?)');
+    const insertRelation = db.prepare('INSERT OR IGNORE INTO kg_relations (runbook_id, source, relation, target, section, line) VALUES (?, ?, ?, ?, ?, ?)');
+    for (const l of graph.links) insertLink.run(filename, l.entity, l.relation, l.type, l.section, l.line);
+    for (const r of graph.relations) insertRelation.run(filename, r.source, r.relation, r.target, r.section || '', r.line);
+}
+
+/**
+ * Hitung ulang kg_entities (count = jumlah runbook unik) — semua entity, atau hanya names
+ * @param {object} db
+ * @param {string[]|null} names
+ * @returns {number} Entity yang ditulis
+ */
+function refreshEntities(db, names = null) {
+    // Batas variabel SQLite — IN (...) per 500 nama
+    const batches = [];
+    if (names) {
+        const unique = [...new Set(names)];
+        for (let i = 0; i < unique.length; i += 500) batches.push(unique.slice(i, i + 500));
+    } else {
+        batches.push(null);
+    }
+
+    const entities = new Map();
+    for (const batch of batches) {
+        const where = batch ? `WHERE entity_name IN (${batch.map(() => '?').join(', ')})` : '';
+        const params = batch || [];
+        if (batch) db.prepare(`DELETE FROM kg_entities WHERE name IN (${batch.map(() => '?').join(', ')})`).run(...batch);
+        for (const row of db.prepare(`SELECT entity_name AS name, entity_type AS type FROM kg_links ${where} GROUP BY entity_name, entity_type`).all(...params)) {
+            const current = entities.get(row.name);
+            if (!current || typeRank(row.type) < typeRank(current.type)) entities.set(row.name, { type: row.type, count: 0 });
+        }
+        for (const row of db.prepare(`SELECT entity_name AS name, COUNT(DISTINCT runbook_id) AS cnt FROM kg_links ${where} GROUP BY entity_name`).all(...params)) {
+            entities.get(row.name).count = row.cnt;
+        }
+    }
+
+    if (!names) db.exec('DELETE FROM kg_entities');
+    const insertEntity = db.prepare('INSERT OR REPLACE INTO kg_entities (name, type, count) VALUES (?, ?, ?)');
+    for (const [name, e] of entities) insertEntity.run(name, e.type, e.count);
+    return entities.size;
+}
+
 /**
  * Rebuild entire knowledge graph from all .md files
  */
 export function rebuildGraphIndex() {
-    if (!db) return { entities: 0, links: 0 };
+    const db = getDb();
+    if (!db) return { entities: 0, links: 0, relations: 0 };
 
-    const files = readdirSync(RUNBOOKS_DIR).filter(f => f.endsWith('.md'));
+    const files = listRunbookFiles();
 
     // Clear and rebuild (fast — no embeddings needed)
     const transaction = db.transaction(() => {
-        db.exec('DELETE FROM kg_entities');
         db.exec('DELETE FROM kg_links');
-
-        const entityCounts = new Map();
-        const insertLink = db.prepare('INSERT OR IGNORE INTO kg_links (runbook_id, entity_name, relation) VALUES (?, ?, ?)');
-        let totalLinks = 0;
+        db.exec('DELETE FROM kg_relations');
 
         for (const file of files) {
             try {
-                const filepath = join(RUNBOOKS_DIR, file);
-                const raw = readFileSync(filepath, 'utf8');
-                const { meta } = parseFrontmatter(raw);
-
-                // Extract target from title
-                const target = extractTarget(meta.title || filenameToTitle(file));
-                if (target) {
-                    insertLink.run(file, target.name, target.type === 'target' ? 'targets' : 'implements');
-                    entityCounts.set(target.name, (entityCounts.get(target.name) || 0) + 1);
-                    totalLinks++;
-                }
-
-                // Extract entities from tags
-                const tags = Array.isArray(meta.tags) ? meta.tags : [];
-                for (const tag of tags) {
-                    const entityType = classifyEntity(tag);
-                    if (!entityType || entityType === 'date' || entityType === 'meta') continue;
-
-                    const entityName = tag.toLowerCase().trim();
-                    const relation = entityType === 'service' ? 'uses_service'
-                        : entityType === 'cve' ? 'exploits_cve'
-                        : entityType === 'technique' ? 'uses_technique'
-                        : 'tagged';
-
-                    insertLink.run(file, entityName, relation);
-                    entityCounts.set(entityName, (entityCounts.get(entityName) || 0) + 1);
-                    totalLinks++;
-                }
-            } catch {}
-        }
-
-        // Insert entities with counts
-        const insertEntity = db.prepare('INSERT OR REPLACE INTO kg_entities (name, type, count) VALUES (?, ?, ?)');
-        for (const [name, count] of entityCounts) {
-            const type = classifyEntity(name) || 'tag';
-            insertEntity.run(name, type, count);
+                writeRunbookGraph(db, file, collectRunbookGraph(file));
+            } catch (err) {
+                logger.warn('Graph extract failed (non-fatal)', { file, error: err.message });
+            }
         }
 
-        return { entities: entityCounts.size, links: totalLinks };
+        const entities = refreshEntities(db);
+        return {
+            entities,
+            links: db.prepare('SELECT COUNT(*) AS cnt FROM kg_links').get().cnt,
+            relations: db.prepare('SELECT COUNT(*) AS cnt FROM kg_relations').get().cnt
+        };
     });
 
     const result = transaction();
@@ -174,45 +305,17 @@ export function rebuildGraphIndex() {
  * Update graph entries for single runbook (on upsert)
  */
 export function updateGraphEntry(filename) {
+    const db = getDb();
     if (!db) return;
 
     try {
-        // Remove old links for this file
-        db.prepare('DELETE FROM kg_links WHERE runbook_id = ?').run(filename);
-
-        const filepath = join(RUNBOOKS_DIR, filename);
-        if (!existsSync(filepath)) return;
-
-        const raw = readFileSync(filepath, 'utf8');
-        const { meta } = parseFrontmatter(raw);
-
-        const insertLink = db.prepare('INSERT OR IGNORE INTO kg_links (runbook_id, entity_name, relation) VALUES (?, ?, ?)');
-
-        // Target from title
-        const target = extractTarget(meta.title || filenameToTitle(filename));
-        if (target) {
-            insertLink.run(filename, target.name, target.type === 'target' ? 'targets' : 'implements');
-        }
-
-        // Entities from tags
-        const tags = Array.isArray(meta.tags) ? meta.tags : [];
-        for (const tag of tags) {
-            const entityType = classifyEntity(tag);
-            if (!entityType || entityType === 'date' || entityType === 'meta') continue;
-
-            const entityName = tag.toLowerCase().trim();
-            const relation = entityType === 'service' ? 'uses_service'
-                : entityType === 'cve' ? 'exploits_cve'
-                : entityType === 'technique' ? 'uses_technique'
-                : 'tagged';
-            insertLink.run(filename, entityName, relation);
-        }
-
-        // Recount all entities
-        db.exec(`
-            INSERT OR REPLACE INTO kg_entities (name, type, count)
-            SELECT entity_name, 'tag', COUNT(*) FROM kg_links GROUP BY entity_name
-        `);
+        const graph = collectRunbookGraph(filename);
+        db.transaction(() => {
+            const previous = db.prepare('SELECT DISTINCT entity_name FROM kg_links WHERE runbook_id = ?').all(filename).map(r => r.entity_name);
+            writeRunbookGraph(db, filename, graph);
+            // Recount hanya entity yang disentuh runbook ini (lama + baru)
+            refreshEntities(db, [...previous, ...(graph ? graph.links.map(l => l.entity) : [])]);
+        })();
     } catch (err) {
         logger.warn('Graph entry update failed (non-fatal)', { filename, error: err.message });
     }
@@ -222,28 +325,97 @@ export function updateGraphEntry(filename) {
  * Remove graph entries for deleted runbook
  */
 export function removeGraphEntry(filename) {
+    const db = getDb();
     if (!db) return;
     try {
-        db.prepare('DELETE FROM kg_links WHERE runbook_id = ?').run(filename);
+        db.transaction(() => {
+            const previous = db.prepare('SELECT DISTINCT entity_name FROM kg_links WHERE runbook_id = ?').all(filename).map(r => r.entity_name);
+            writeRunbookGraph(db, filename, null);
+            refreshEntities(db, previous);
+        })();
     } catch {}
 }
 
 /**
  * Query: find all runbooks linked to an entity
  * @param {string} entityName - Entity to search for
- * @returns {Array<{runbook_id, relation, title}>}
+ * @returns {Array<{runbook_id, entity_name, relation, sections, title}>} sections = section body asal (kosong = title/tags)
  */
 export function queryGraph(entityName) {
+    const db = getDb();
     if (!db) return [];
     try {
         const lower = entityName.toLowerCase().trim();
         return db.prepare(`
-            SELECT kl.runbook_id, kl.relation, ri.title, ri.success, ri.verified
+            SELECT kl.runbook_id, kl.entity_name, kl.relation, GROUP_CONCAT(DISTINCT NULLIF(kl.section, '')) AS sections,
+                   ri.title, ri.success, ri.verified
             FROM kg_links kl
             LEFT JOIN runbook_index ri ON kl.runbook_id = ri.id
             WHERE kl.entity_name = ? OR kl.entity_name LIKE ?
+            GROUP BY kl.runbook_id, kl.entity_name, kl.relation
             ORDER BY ri.updated_at DESC
-        `).all(lower, `%${lower}%`);
+        `).all(lower, `%${lower}%`).map(r => ({ ...r, sections: r.sections ? r.sections.split(',') : [] }));
+    } catch { return []; }
+}
+
+/**
+ * v7.7: Relasi bertipe entity ↔ entity (kg_relations) dengan runbook + section asal
+ * @param {string} entityName
+ * @param {object} options - { direction: 'out'|'in'|'both', relation, limit }
+ * @returns {Array<{source, source_type, relation, target, target_type, runbook_id, section, line}>}
+ */
+export function queryRelations(entityName, options = {}) {
+    const db = getDb();
+    if (!db) return [];
+    const { direction = 'both', relation = null, limit = 100 } = options;
+    try {
+        const lower = entityName.toLowerCase().trim();
+        const sides = direction === 'out' ? 'kr.source = ?' : direction === 'in' ? 'kr.target = ?' : '(kr.source = ? OR kr.target = ?)';
+        const params = direction === 'both' ? [lower, lower] : [lower];
+        if (relation) params.push(relation);
+        return db.prepare(`
+            SELECT kr.source, src.type AS source_type, kr.relation, kr.target, tgt.type AS target_type,
+                   kr.runbook_id, NULLIF(kr.section, '') AS section, kr.line
+            FROM kg_relations kr
+            LEFT JOIN kg_entities src ON src.name = kr.source
+            LEFT JOIN kg_entities tgt ON tgt.name = kr.target
+            WHERE ${sides}${relation ? ' AND kr.relation = ?' : ''}
+            ORDER BY kr.relation, kr.source, kr.target
+            LIMIT ?
+        `).all(...params, limit);
+    } catch { return []; }
+}
+
+/**
+ * v7.7: Entity milik satu runbook untuk enrichment hasil search —
+ * entity yang cocok dengan kata query dulu, lalu yang juga muncul di runbook lain (penghubung lintas runbook)
+ * @param {string} runbookId
+ * @param {object} options - { words: kata query (lowercase), limit }
+ * @returns {Array<{name, type, section, shared_runbooks}>} shared_runbooks = runbook LAIN yang memuat entity
+ */
+export function getRunbookEntities(runbookId, options = {}) {
+    const db = getDb();
+    if (!db) return [];
+    const { words = [], limit = 5 } = options;
+    try {
+        const rows = db.prepare(`
+            SELECT kl.entity_name AS name, COALESCE(ke.type, kl.entity_type) AS type,
+                   MIN(CASE WHEN kl.section = '' THEN NULL ELSE kl.section END) AS section,
+                   COALESCE(ke.count, 1) - 1 AS shared_runbooks
+            FROM kg_links kl
+            LEFT JOIN kg_entities ke ON ke.name = kl.entity_name
+            WHERE kl.runbook_id = ? AND kl.relation NOT IN ('targets', 'implements')
+            GROUP BY kl.entity_name
+        `).all(runbookId);
+        const matchesQuery = (name) => words.some(w => w.length >= 3 && name.includes(w));
+        return rows
+            .map(r => ({ ...r, _match: matchesQuery(r.name) }))
+            .sort((a, b) => (b._match - a._match)
+                || (Math.min(b.shared_runbooks, 1) - Math.min(a.shared_runbooks, 1))
+                || (typeRank(a.type) - typeRank(b.type))
+                || (b.shared_runbooks - a.shared_runbooks))
+            .slice(0, limit)
+            .map(({ _match, ...r }) => r);
     } catch { return []; }
 }
 
@@ -255,6 +427,7 @@ export function queryGraph(entityName) {
  * @returns {Array<{name, type, count, shared_runbooks}>}
  */
 export function findRelatedEntities(entityName, limit = 20) {
+    const db = getDb();
     if (!db) return [];
     try {
         const lower = entityName.toLowerCase().trim();
@@ -272,10 +445,208 @@ export function findRelatedEntities(entityName, limit = 20) {
     } catch { return []; }
 }
 
+// === TRAVERSAL (memory_graph) ===
+
+const RUNBOOK_NODE_PREFIX = 'runbook:';
+const MAX_PATH_VISITS = 20000;
+
+/**
+ * v7.7: Node graph dari nama — entity (kg_entities) atau runbook ("runbook:<id>" / "<id>.md")
+ * @param {string} name
+ * @returns {{ id: string, name: string, type: string, count?: number }|null}
+ */
+export function resolveGraphNode(name) {
+    const db = getDb();
+    if (!db || !name) return null;
+    try {
+        const raw = String(name).trim();
+        const runbookId = raw.startsWith(RUNBOOK_NODE_PREFIX) ? raw.substring(RUNBOOK_NODE_PREFIX.length) : raw.endsWith('.md') ? raw : null;
+        if (runbookId) {
+            const linked = db.prepare('SELECT 1 FROM kg_links WHERE runbook_id = ? LIMIT 1').get(runbookId);
+            return linked ? { id: RUNBOOK_NODE_PREFIX + runbookId, name: runbookId, type: 'runbook' } : null;
+        }
+        const entity = db.prepare('SELECT name, type, count FROM kg_entities WHERE name = ?').get(raw.toLowerCase());
+        return entity ? { id: entity.name, ...entity } : null;
+    } catch { return null; }
+}
+
+/**
+ * Entity yang namanya mirip (untuk pesan "not found")
+ */
+export function suggestGraphEntities(name, limit = 10) {
+    const db = getDb();
+    if (!db || !name) return [];
+    try {
+        return db.prepare('SELECT name, type, count FROM kg_entities WHERE name LIKE ? ORDER BY count DESC LIMIT ?')
+            .all(`%${String(name).trim().toLowerCase()}%`, limit);
+    } catch { return []; }
+}
+
+/**
+ * Tetangga satu node, dua arah: runbook ↔ entity (kg_links) dan entity ↔ entity (kg_relations)
+ * Edge menyimpan arah asli + provenance pertama (runbook, section, line).
+ * @returns {(nodeId: string) => Array<{ neighbor: string, edge: object }>}
+ */
+function createNeighborLookup(db, { relations = null, includeRunbooks = true } = {}) {
+    const allowed = relations && relations.length > 0 ? new Set(relations) : null;
+    const linksOfEntity = db.prepare(`
+        SELECT runbook_id, relation, MIN(NULLIF(section, '')) AS section, MIN(line) AS line
+        FROM kg_links WHERE entity_name = ? GROUP BY runbook_id, relation
+    `);
+    const linksOfRunbook = db.prepare(`
+        SELECT entity_name, relation, MIN(NULLIF(section, '')) AS section, MIN(line) AS line
+        FROM kg_links WHERE runbook_id = ? GROUP BY entity_name, relation
+    `);
+    const relationsOf = db.prepare(`
+        SELECT source, relation, target, runbook_id, NULLIF(section, '') AS section, line
+        FROM kg_relations WHERE source = ? OR target = ?
+        ORDER BY runbook_id, line
+    `);
+
+    return (nodeId) => {
+        const neighbors = [];
+        const seen = new Set();
+        const push = (neighbor, edge) => {
+            if (allowed && !allowed.has(edge.relation)) return;
+            const key = `${edge.source}\u0000${edge.relation}\u0000${edge.target}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            neighbors.push({ neighbor, edge });
+        };
+
+        if (nodeId.startsWith(RUNBOOK_NODE_PREFIX)) {
+            const runbookId = nodeId.substring(RUNBOOK_NODE_PREFIX.length);
+            for (const l of linksOfRunbook.all(runbookId)) {
+                push(l.entity_name, { source: nodeId, relation: l.relation, target: l.entity_name, runbook_id: runbookId, section: l.section, line: l.line });
+            }
+            return neighbors;
+        }
+
+        for (const r of relationsOf.all(nodeId, nodeId)) {
+            push(r.source === nodeId ? r.target : r.source, { source: r.source, relation: r.relation, target: r.target, runbook_id: r.runbook_id, section: r.section, line: r.line });
+        }
+        if (includeRunbooks) {
+            for (const l of linksOfEntity.all(nodeId)) {
+                const runbookNode = RUNBOOK_NODE_PREFIX + l.runbook_id;
+                push(runbookNode, { source: runbookNode, relation: l.relation, target: nodeId, runbook_id: l.runbook_id, section: l.section, line: l.line });
+            }
+        }
+        return neighbors;
+    };
+}
+
+/**
+ * Detail node untuk output: type/count entity, title runbook
+ * @param {string[]} nodeIds
+ * @returns {Map<string, { id, name, type, count?, title? }>}
+ */
+function describeGraphNodes(db, nodeIds) {
+    const entityInfo = db.prepare('SELECT type, count FROM kg_entities WHERE name = ?');
+    let titleOf = () => null;
+    try {
+        const stmt = db.prepare('SELECT title FROM runbook_index WHERE id = ?');
+        titleOf = (id) => stmt.get(id)?.title || null;
+    } catch {}
+
+    const nodes = new Map();
+    for (const id of nodeIds) {
+        if (id.startsWith(RUNBOOK_NODE_PREFIX)) {
+            const runbookId = id.substring(RUNBOOK_NODE_PREFIX.length);
+            nodes.set(id, { id, name: runbookId, type: 'runbook', title: titleOf(runbookId) || filenameToTitle(runbookId) });
+        } else {
+            const info = entityInfo.get(id);
+            nodes.set(id, { id, name: id, type: info?.type || 'tag', count: info?.count || 0 });
+        }
+    }
+    return nodes;
+}
+
+/**
+ * v7.7: Shortest path (BFS, edge dianggap dua arah) antara dua node — e.g. target A → runbook → technique B
+ * @param {string} fromId - Node id (hasil resolveGraphNode)
+ * @param {string} toId
+ * @param {object} options - { maxHops = 6, relations, includeRunbooks = true }
+ * @returns {{ found: boolean, hops: number|null, nodes: Array, edges: Array, visited: number }}
+ */
+export function findGraphPath(fromId, toId, options = {}) {
+    const db = getDb();
+    if (!db) return { found: false, hops: null, nodes: [], edges: [], visited: 0 };
+    const { maxHops = 6 } = options;
+    const neighborsOf = createNeighborLookup(db, options);
+
+    const parents = new Map([[fromId, null]]);
+    let frontier = [fromId];
+    let found = fromId === toId;
+    for (let hop = 0; hop < maxHops && !found && frontier.length > 0 && parents.size < MAX_PATH_VISITS; hop++) {
+        const next = [];
+        for (const nodeId of frontier) {
+            for (const { neighbor, edge } of neighborsOf(nodeId)) {
+                if (parents.has(neighbor)) continue;
+                parents.set(neighbor, { from: nodeId, edge });
+                if (neighbor === toId) { found = true; break; }
+                next.push(neighbor);
+            }
+            if (found) break;
+        }
+        frontier = next;
+    }
+    if (!found) return { found: false, hops: null, nodes: [], edges: [], visited: parents.size };
+
+    const pathIds = [toId];
+    const edges = [];
+    for (let step = parents.get(toId); step; step = parents.get(step.from)) {
+        edges.unshift(step.edge);
+        pathIds.unshift(step.from);
+    }
+    const described = describeGraphNodes(db, pathIds);
+    return { found: true, hops: edges.length, nodes: pathIds.map(id => described.get(id)), edges, visited: parents.size };
+}
+
+/**
+ * v7.7: Neighborhood k-hop sebuah node (BFS, dibatasi limit node)
+ * @param {string} startId - Node id (hasil resolveGraphNode)
+ * @param {object} options - { depth = 2, limit = 50, relations, includeRunbooks = true }
+ * @returns {{ nodes: Array<{ id, name, type, hop }>, edges: Array, truncated: boolean }}
+ */
+export function graphNeighborhood(startId, options = {}) {
+    const db = getDb();
+    if (!db) return { nodes: [], edges: [], truncated: false };
+    const { depth = 2, limit = 50 } = options;
+    const neighborsOf = createNeighborLookup(db, options);
+
+    const hops = new Map([[startId, 0]]);
+    const edges = new Map();
+    let frontier = [startId];
+    let truncated = false;
+    for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+        const next = [];
+        for (const nodeId of frontier) {
+            for (const { neighbor, edge } of neighborsOf(nodeId)) {
+                if (!hops.has(neighbor)) {
+                    if (hops.size >= limit) { truncated = true; continue; }
+                    hops.set(neighbor, hop);
+                    next.push(neighbor);
+                }
+                const key = `${edge.source}\u0000${edge.relation}\u0000${edge.target}`;
+                if (!edges.has(key)) edges.set(key, edge);
+            }
+        }
+        frontier = next;
+    }
+
+    const described = describeGraphNodes(db, [...hops.keys()]);
+    return {
+        nodes: [...hops].map(([id, hop]) => ({ ...described.get(id), hop })),
+        edges: [...edges.values()].filter(e => hops.has(e.source) && hops.has(e.target)),
+        truncated
+    };
+}
+
 /**
  * Get entity stats: top entities by type
  */
 export function getEntityStats() {
+    const db = getDb();
     if (!db) return { total: 0, by_type: {} };
     try {
         const total = db.prepare('SELECT COUNT(*) as cnt FROM kg_entities').get();
@@ -286,17 +657,23 @@ export function getEntityStats() {
         const topEntities = db.prepare(`
             SELECT name, type, count FROM kg_entities ORDER BY count DESC LIMIT 20
         `).all();
+        const byRelation = db.prepare(`
+            SELECT relation, COUNT(*) as cnt FROM kg_relations GROUP BY relation ORDER BY cnt DESC
+        `).all();
 
         return {
             total_entities: total.cnt,
             total_links: totalLinks.cnt,
+            total_relations: byRelation.reduce((sum, r) => sum + r.cnt, 0),
             by_type: Object.fromEntries(byType.map(r => [r.type, r.cnt])),
+            by_relation: Object.fromEntries(byRelation.map(r => [r.relation, r.cnt])),
             top_entities: topEntities
         };
-    } catch { return { total_entities: 0, total_links: 0 }; }
+    } catch { return { total_entities: 0, total_links: 0, total_relations: 0 }; }
 }
 
 export default {
-    initGraphIndex, rebuildGraphIndex, updateGraphEntry, removeGraphEntry,
-    queryGraph, findRelatedEntities, getEntityStats
+    initGraphIndex, rebuildGraphIndex, detectTechniques, updateGraphEntry, removeGraphEntry,
+    queryGraph, queryRelations, findRelatedEntities, getRunbookEntities, getEntityStats,
+    resolveGraphNode, suggestGraphEntities, findGraphPath, graphNeighborhood
 };
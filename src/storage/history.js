@@ -0,0 +1,146 @@
+/**
+ * Runbook Revision History v1.0 — content-addressed snapshots per runbook
+ * Setiap write via atomicWriteFileSync = 1 revisi. .bak hanya simpan 1 versi,
+ * history menyimpan SEMUA versi agar janji append-only benar-benar tanpa data loss.
+ *
+ * Layout (per vault, di samping .deleted/):
+ *   runbooks/.history/<id>/revisions.jsonl   — { rev, hash, version, ts, size, note }
+ *   runbooks/.history/<id>/<sha256>.gz       — snapshot full file (dedup by hash)
+ *
+ * _AUTO_LOG append (memory_autolog inline write) TIDAK dicatat — log churn, bukan state.
+ * @module storage/history
+ */
+import { existsSync, mkdirSync, readFileSync, writeFileSync, appendFileSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { createHash } from 'crypto';
+import { gzipSync, gunzipSync } from 'zlib';
+import { getRunbooksDir } from './paths.js';
+import logger from '../utils/logger.js';
+
+export const HISTORY_DIRNAME = '.history';
+
+function historyDirFor(filepath) {
+    return join(dirname(filepath), HISTORY_DIRNAME, basename(filepath));
+}
+
+function historyDirForId(id) {
+    const filename = id.endsWith('.md') ? id : id + '.md';
+    return join(getRunbooksDir(), HISTORY_DIRNAME, filename);
+}
+
+function readRevisionLog(dir) {
+    const logPath = join(dir, 'revisions.jsonl');
+    if (!existsSync(logPath)) return [];
+    const revisions = [];
+    for (const line of readFileSync(logPath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try { revisions.push(JSON.parse(line)); } catch {}
+    }
+    return revisions;
+}
+
+function extractVersion(content) {
+    const match = content.match(/^---\n[\s\S]*?^version:\s*(\d+)/m);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+function storeSnapshot(dir, content, hashSource = content) {
+    const hash = createHash('sha256').update(hashSource, 'utf8').digest('hex');
+    const objectPath = join(dir, `${hash}.gz`);
+    if (!existsSync(objectPath)) writeFileSync(objectPath, gzipSync(Buffer.from(content, 'utf8')));
+    return hash;
+}
+
+function appendRevision(dir, revisions, content, note, hashSource = content) {
+    const hash = storeSnapshot(dir, content, hashSource);
+    const last = revisions[revisions.length - 1];
+    if (last && last.hash === hash) return null; // No-op write
+
+    const entry = {
+        rev: last ? last.rev + 1 : 1,
+        hash,
+        version: extractVersion(content),
+        ts: new Date().toISOString(),
+        size: Buffer.byteLength(content, 'utf8'),
+        note: note || null
+    };
+    appendFileSync(join(dir, 'revisions.jsonl'), JSON.stringify(entry) + '\n', 'utf8');
+    revisions.push(entry);
+    return entry;
+}
+
+/**
+ * Record a revision for a runbook write (dipanggil dari atomicWriteFileSync, di dalam lock)
+ * Runbook lama tanpa history: isi sebelum write dicatat dulu sebagai revisi 'baseline'.
+ * @param {string} filepath - Runbook .md path
+ * @param {string} content - New full file content
+ * @param {object} options - { note, readPrevious: () => string|null, hashSource }
+ *   hashSource = plaintext sebelum encryption (IV random → hash blob tidak stabil untuk deteksi no-op write)
+ * @returns {object|null} Revision entry
+ */
+export function recordRevision(filepath, content, options = {}) {
+    const { note = null, readPrevious = null, hashSource = content } = options;
+    try {
+        const dir = historyDirFor(filepath);
+        if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+        const revisions = readRevisionLog(dir);
+        if (revisions.length === 0 && readPrevious) {
+            const previous = readPrevious();
+            if (previous) appendRevision(dir, revisions, previous, 'baseline');
+        }
+        return appendRevision(dir, revisions, content, note, hashSource);
+    } catch (err) {
+        logger.warn('History: record revision failed (non-fatal)', { filepath, error: err.message });
+        return null;
+    }
+}
+
+/**
+ * List revisions of a runbook (oldest first)
+ * @param {string} id - Runbook filename
+ * @returns {Array<{rev, hash, version, ts, size, note}>}
+ */
+export function listRevisions(id) {
+    return readRevisionLog(historyDirForId(id));
+}
+
+/**
+ * Read full file content of a revision
+ * @param {string} id - Runbook filename
+ * @param {number} rev - Revision number
+ * @returns {string|null}
+ */
+export function readRevision(id, rev) {
+    const dir = historyDirForId(id);
+    const entry = readRevisionLog(dir).find(r => r.rev === rev);
+    if (!entry) return null;
+    const objectPath = join(dir, `${entry.hash}.gz`);
+    if (!existsSync(objectPath)) return null;
+    return gunzipSync(readFileSync(objectPath)).toString('utf8');
+}
+
+/**
+ * Rewrite isi semua snapshot revisi in place — nama file hash tetap (hanya dedup key).
+ * Dipakai memory_encrypt agar revisi lama tidak menyimpan plaintext.
+ * @param {string} id - Runbook filename
+ * @param {function} transform - (content) => content baru
+ * @returns {number} Jumlah snapshot yang berubah
+ */
+export function rewriteSnapshots(id, transform) {
+    const dir = historyDirForId(id);
+    const hashes = new Set(readRevisionLog(dir).map(r => r.hash));
+    let changed = 0;
+    for (const hash of hashes) {
+        const objectPath = join(dir, `${hash}.gz`);
+        if (!existsSync(objectPath)) continue;
+        const content = gunzipSync(readFileSync(objectPath)).toString('utf8');
+        const next = transform(content);
+        if (next === content) continue;
+        writeFileSync(objectPath, gzipSync(Buffer.from(next, 'utf8')));
+        changed++;
+    }
+    return changed;
+}
+
+export default { recordRevision, listRevisions, readRevision, rewriteSnapshots, HISTORY_DIRNAME };
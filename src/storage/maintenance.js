@@ -0,0 +1,367 @@
+/**
+ * Runbook Maintenance v1.0 — aksi maintenance nyata untuk file mode (dipakai memory_maintain)
+ *
+ * Actions (semua mendukung dryRun — laporan saja, tanpa mengubah apa pun):
+ *   dedup            — runbook dengan body identik → duplikat lama dipindah ke .deleted/
+ *                      (judul sama tapi isi beda hanya dilaporkan, merge manual)
+ *   index_repair     — drift .md ↔ runbook_index/runbook_fts/embeddings/kg_links → resync index vault
+ *   orphan_cleanup   — sisa crash (.tmp, .lock basi, .bak tanpa runbook) + sidecar tanpa runbook
+ *   autolog_compact  — archive _AUTO_LOG harian lama → 1 file .log.gz per runbook per bulan
+ *   reembed          — embedding dari model/provider lain (atau semua, force_reembed) → re-embed di background
+ *                      dengan provider aktif (pengganti scripts/reindex-embeddings.js)
+ *
+ * @module storage/maintenance
+ */
+import { existsSync, readdirSync, readFileSync, statSync, unlinkSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { gzipSync, gunzipSync } from 'zlib';
+import { getRunbooksDir, listRunbookFiles, parseFrontmatter, filenameToTitle, deleteRunbook } from './files.js';
+import { getArchiveDir } from './paths.js';
+import { getDb, initSearchIndex, removeIndexEntry } from './searchIndex.js';
+import { rebuildVectorIndex, removeVectorEntry, getEmbeddingStatus } from './vectorIndex.js';
+import { removeGraphEntry } from './graphIndex.js';
+import { listTrash } from './trash.js';
+import { HISTORY_DIRNAME } from './history.js';
+import { TOMBSTONES_DIRNAME } from './tombstones.js';
+import { CREDENTIALS_DIRNAME } from './credentials.js';
+import logger from '../utils/logger.js';
+
+export const MAINTENANCE_ACTIONS = ['dedup', 'index_repair', 'orphan_cleanup', 'autolog_compact', 'reembed'];
+
+export const DEFAULT_POLICY = {
+    archive_after_days: 30,        // autolog_compact: archive harian lebih tua dari ini di-compact
+    stale_lock_minutes: 5,         // orphan_cleanup: .lock lebih tua dari ini dianggap sisa crash
+    purge_orphan_sidecars: false,  // orphan_cleanup: hapus .history/.credentials tanpa runbook (default: laporkan saja)
+    force_reembed: false           // reembed: embed ulang semua file, bukan hanya yang modelnya beda
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Body identik tapi hampir kosong (skeleton section saja) bukan duplikat kecuali judulnya juga sama
+const MIN_DEDUP_SUBSTANCE = 200;
+const DAILY_ARCHIVE_PATTERN = /^(.+)_autolog_(\d{4}-\d{2})-\d{2}\.log$/;
+
+function forgetIndexes(id) {
+    try { removeIndexEntry(id); } catch {}
+    try { removeVectorEntry(id); } catch {}
+    try { removeGraphEntry(id); } catch {}
+}
+
+// === DEDUP ===
+
+/**
+ * Runbook dengan body identik (hash) → simpan versi tertinggi/terbaru, sisanya ke .deleted/
+ */
+export function dedupRunbooks(options = {}) {
+    const { dryRun = true } = options;
+    const byHash = new Map();
+    const byTitle = new Map();
+
+    for (const file of listRunbookFiles()) {
+        try {
+            const filepath = join(getRunbooksDir(), file);
+            const { meta, body } = parseFrontmatter(readFileSync(filepath, 'utf8'));
+            const info = {
+                id: file,
+                title: meta.title || filenameToTitle(file),
+                version: parseInt(meta.version, 10) || 0,
+                mtime: statSync(filepath).mtimeMs
+            };
+            const hash = createHash('sha256').update(body.trim(), 'utf8').digest('hex');
+            const titleKey = info.title.toLowerCase().replace(/\s+/g, ' ').trim();
+            const substance = body.replace(/^#+ .*$/gm, '').replace(/\s+/g, ' ').trim().length;
+            const hashKey = substance >= MIN_DEDUP_SUBSTANCE ? hash : `${hash}:${titleKey}`;
+            if (!byHash.has(hashKey)) byHash.set(hashKey, []);
+            byHash.get(hashKey).push(info);
+
+            if (!byTitle.has(titleKey)) byTitle.set(titleKey, []);
+            byTitle.get(titleKey).push({ ...info, hash });
+        } catch (err) {
+            logger.warn('Maintenance dedup: skip unreadable runbook', { file, error: err.message });
+        }
+    }
+
+    const duplicates = [];
+    for (const group of byHash.values()) {
+        if (group.length < 2) continue;
+        group.sort((a, b) => b.version - a.version || b.mtime - a.mtime);
+        const [keep, ...drop] = group;
+        for (const dup of drop) {
+            if (!dryRun && deleteRunbook(dup.id, `memory_maintain dedup: duplicate of ${keep.id}`)) {
+                forgetIndexes(dup.id);
+            }
+            duplicates.push({ id: dup.id, duplicate_of: keep.id, title: dup.title });
+        }
+    }
+
+    // Judul sama, isi beda → tidak disentuh (butuh merge manual)
+    const titleConflicts = [];
+    for (const group of byTitle.values()) {
+        if (group.length < 2 || new Set(group.map(g => g.hash)).size < 2) continue;
+        titleConflicts.push({ title: group[0].title, ids: group.map(g => g.id) });
+    }
+
+    return { duplicates, title_conflicts: titleConflicts, removed: dryRun ? 0 : duplicates.length };
+}
+
+// === INDEX REPAIR ===
+
+/**
+ * Bandingkan .md di disk dengan index vault, resync jika ada drift
+ */
+export function repairIndex(options = {}) {
+    const { dryRun = true } = options;
+    const db = getDb();
+    if (!db) return { skipped: true, reason: 'Search index belum dibuka di proses ini (hanya server MCP yang memegang index)' };
+
+    const files = new Set(listRunbookFiles());
+    const rows = db.prepare('SELECT id, updated_at, file_size FROM runbook_index').all();
+    const indexed = new Set(rows.map(r => r.id));
+
+    const missing = [...files].filter(f => !indexed.has(f));
+    const stale = [];
+    for (const row of rows) {
+        if (!files.has(row.id)) continue;
+        try {
+            const filepath = join(getRunbooksDir(), row.id);
+            const size = statSync(filepath).size;
+            const { meta } = parseFrontmatter(readFileSync(filepath, 'utf8'), { redact: true });
+            if (size !== row.file_size || (meta.updated && meta.updated !== row.updated_at)) stale.push(row.id);
+        } catch {}
+    }
+    const orphanRows = rows.map(r => r.id).filter(id => !files.has(id));
+
+    const idsOf = (sql) => {
+        try { return db.prepare(sql).all().map(r => r.id).filter(id => !files.has(id)); } catch { return []; }
+    };
+    const orphanVectors = [...new Set([...idsOf('SELECT id FROM runbook_embeddings'), ...idsOf('SELECT DISTINCT id FROM runbook_chunks')])];
+    const orphanLinks = [...new Set([...idsOf('SELECT DISTINCT runbook_id AS id FROM kg_links'), ...idsOf('SELECT DISTINCT runbook_id AS id FROM kg_relations')])];
+
+    const ftsCount = db.prepare('SELECT COUNT(*) AS cnt FROM runbook_fts').get().cnt;
+    let ftsIntegrity = 'ok';
+    try {
+        db.prepare("INSERT INTO runbook_fts(runbook_fts) VALUES('integrity-check')").run();
+    } catch (err) {
+        ftsIntegrity = err.message;
+    }
+    const ftsDrift = ftsCount !== rows.length || ftsIntegrity !== 'ok';
+
+    const report = {
+        files: files.size,
+        indexed: rows.length,
+        missing_from_index: missing,
+        stale_entries: stale,
+        orphan_index_rows: orphanRows,
+        orphan_vectors: orphanVectors,
+        orphan_graph_links: orphanLinks,
+        fts: { rows: ftsCount, integrity: ftsIntegrity, drift: ftsDrift }
+    };
+    const needsRepair = missing.length + stale.length + orphanRows.length + orphanVectors.length + orphanLinks.length > 0 || ftsDrift;
+    report.needs_repair = needsRepair;
+    if (dryRun || !needsRepair) return { ...report, repaired: false };
+
+    if (ftsDrift) {
+        db.transaction(() => {
+            db.exec('DELETE FROM runbook_fts');
+            db.exec('INSERT INTO runbook_fts(id, title, tags, content) SELECT id, title, tags, content FROM runbook_index');
+        })();
+    }
+    for (const id of new Set([...orphanVectors, ...orphanLinks])) forgetIndexes(id);
+
+    // Resync FTS (missing/stale/orphan rows), graph dan credentials dari .md
+    initSearchIndex();
+    rebuildVectorIndex().catch(err => logger.warn('Maintenance: vector rebuild failed (non-fatal)', { error: err.message }));
+
+    logger.info('INDEX REPAIRED', { missing: missing.length, stale: stale.length, orphans: orphanRows.length, fts_rebuilt: ftsDrift });
+    return { ...report, repaired: true };
+}
+
+// === ORPHAN CLEANUP ===
+
+function ageMs(path) {
+    try { return Date.now() - statSync(path).mtimeMs; } catch { return 0; }
+}
+
+function sizeOf(path) {
+    try { return statSync(path).size; } catch { return 0; }
+}
+
+/**
+ * Sisa crash + sidecar yang runbook-nya sudah tidak ada (tidak di disk, tidak di .deleted/)
+ */
+export function cleanupOrphans(options = {}) {
+    const { dryRun = true, policy = {} } = options;
+    const { stale_lock_minutes: staleLockMinutes, purge_orphan_sidecars: purgeSidecars } = { ...DEFAULT_POLICY, ...policy };
+    const dir = getRunbooksDir();
+    const live = new Set(listRunbookFiles());
+    const trashed = new Set(listTrash().map(e => e.original_id));
+    const known = (id) => live.has(id) || trashed.has(id);
+
+    const removed = [];
+    const reported = [];
+    let freed = 0;
+    const remove = (path, kind, recursive = false) => {
+        const size = recursive ? 0 : sizeOf(path);
+        if (!dryRun) {
+            try { recursive ? rmSync(path, { recursive: true, force: true }) : unlinkSync(path); } catch { return; }
+        }
+        freed += size;
+        removed.push({ path: path.substring(dir.length + 1), kind });
+    };
+
+    // 1. Sisa write yang crash: .tmp, .lock basi, .bak tanpa runbook (di root + sidecar dirs)
+    const scanDirs = [dir, join(dir, CREDENTIALS_DIRNAME)].filter(existsSync);
+    for (const scanDir of scanDirs) {
+        for (const file of readdirSync(scanDir)) {
+            const path = join(scanDir, file);
+            if (file.endsWith('.tmp')) remove(path, 'tmp');
+            else if (file.endsWith('.lock') && ageMs(path) > staleLockMinutes * 60 * 1000) remove(path, 'stale_lock');
+            else if (file.endsWith('.bak') && !existsSync(path.slice(0, -4))) remove(path, 'orphan_bak');
+        }
+    }
+
+    // 2. Tombstone tanpa runbook — undo tidak mungkin lagi
+    const tombstonesDir = join(dir, TOMBSTONES_DIRNAME);
+    if (existsSync(tombstonesDir)) {
+        for (const file of readdirSync(tombstonesDir)) {
+            if (!file.endsWith('.jsonl')) continue;
+            if (!known(file.replace(/\.jsonl$/, '.md'))) remove(join(tombstonesDir, file), 'orphan_tombstones');
+        }
+    }
+
+    // 3. History / credential sidecar tanpa runbook — data berharga, hapus hanya jika policy mengizinkan
+    const sidecars = [];
+    const historyDir = join(dir, HISTORY_DIRNAME);
+    if (existsSync(historyDir)) {
+        for (const id of readdirSync(historyDir)) {
+            if (!known(id)) sidecars.push({ path: join(historyDir, id), kind: 'orphan_history', recursive: true });
+        }
+    }
+    const credentialsDir = join(dir, CREDENTIALS_DIRNAME);
+    if (existsSync(credentialsDir)) {
+        for (const file of readdirSync(credentialsDir)) {
+            if (file.endsWith('.json') && !known(file.replace(/\.json$/, '.md'))) {
+                sidecars.push({ path: join(credentialsDir, file), kind: 'orphan_credentials' });
+            }
+        }
+    }
+    for (const sidecar of sidecars) {
+        if (purgeSidecars) remove(sidecar.path, sidecar.kind, sidecar.recursive);
+        else reported.push({ path: sidecar.path.substring(dir.length + 1), kind: sidecar.kind });
+    }
+
+    if (!dryRun && removed.length > 0) logger.info('ORPHANS CLEANED', { count: removed.length, freed_bytes: freed });
+    return {
+        removed,
+        retained_sidecars: reported,
+        freed_bytes: freed,
+        hint: reported.length > 0 ? 'Sidecar .history/.credentials tanpa runbook dipertahankan — set policy.purge_orphan_sidecars:true untuk menghapus.' : undefined
+    };
+}
+
+// === AUTOLOG ARCHIVE COMPACTION ===
+
+/**
+ * <runbook>_autolog_YYYY-MM-DD.log (lebih tua dari archive_after_days) → <runbook>_autolog_YYYY-MM.log.gz
+ * Bulan yang sudah punya .gz di-append (gunzip → gabung → gzip ulang).
+ */
+export function compactAutologArchives(options = {}) {
+    const { dryRun = true, policy = {} } = options;
+    const { archive_after_days: archiveAfterDays } = { ...DEFAULT_POLICY, ...policy };
+    const archiveDir = getArchiveDir();
+    if (!existsSync(archiveDir)) return { compacted: [], files_merged: 0, saved_bytes: 0 };
+
+    const cutoff = Date.now() - archiveAfterDays * DAY_MS;
+    const groups = new Map();
+    for (const file of readdirSync(archiveDir).sort()) {
+        const match = file.match(DAILY_ARCHIVE_PATTERN);
+        if (!match) continue;
+        const day = file.match(/(\d{4}-\d{2}-\d{2})\.log$/)[1];
+        if (new Date(day).getTime() >= cutoff) continue;
+        const key = `${match[1]}_autolog_${match[2]}.log.gz`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(file);
+    }
+
+    const compacted = [];
+    let merged = 0;
+    let saved = 0;
+    for (const [target, files] of groups) {
+        const targetPath = join(archiveDir, target);
+        const before = files.reduce((sum, f) => sum + sizeOf(join(archiveDir, f)), 0);
+        if (!dryRun) {
+            try {
+                const previous = existsSync(targetPath) ? gunzipSync(readFileSync(targetPath)).toString('utf8') : '';
+                const combined = previous + files.map(f => readFileSync(join(archiveDir, f), 'utf8')).join('');
+                const previousSize = sizeOf(targetPath);
+                writeFileSync(targetPath, gzipSync(Buffer.from(combined, 'utf8')));
+                for (const f of files) unlinkSync(join(archiveDir, f));
+                saved += before + previousSize - sizeOf(targetPath);
+            } catch (err) {
+                logger.warn('Maintenance: autolog compaction failed (non-fatal)', { target, error: err.message });
+                continue;
+            }
+        }
+        merged += files.length;
+        compacted.push({ archive: target, daily_files: files.length, bytes: before });
+    }
+
+    if (!dryRun && compacted.length > 0) logger.info('AUTOLOG ARCHIVES COMPACTED', { archives: compacted.length, files_merged: merged });
+    return { compacted, files_merged: merged, saved_bytes: dryRun ? 0 : Math.max(0, saved) };
+}
+
+// === RE-EMBED ===
+
+/**
+ * Re-embed runbook yang embedding-nya dari model/provider lain (deteksi via kolom model/dim).
+ * Apply = rebuild vector index di background; progress di memory_stats vector.embedding.migration
+ * atau dry run action ini.
+ */
+export function reembedRunbooks(options = {}) {
+    const { dryRun = true, policy = {} } = options;
+    const { force_reembed: force } = { ...DEFAULT_POLICY, ...policy };
+    const status = getEmbeddingStatus();
+    const pending = force ? listRunbookFiles().length : status.stale_files;
+    const report = { provider: status.provider.key, index_models: status.index_models, stale_files: status.stale_files, migration: status.migration };
+    if (dryRun || pending === 0 || status.migration?.running) return { ...report, started: false };
+
+    rebuildVectorIndex({ force, reason: force ? 'manual_force' : 'manual' })
+        .catch(err => logger.warn('Maintenance: re-embed failed (non-fatal)', { error: err.message }));
+    logger.info('RE-EMBED STARTED', { provider: report.provider, files: pending, force });
+    return { ...report, started: true, files: pending, migration: getEmbeddingStatus().migration };
+}
+
+/**
+ * Jalankan beberapa action berurutan. Action gagal tidak menghentikan yang lain.
+ * @param {object} options - { actions, dryRun, policy }
+ * @returns {object} action → report ({ error } jika gagal)
+ */
+export function runMaintenance(options = {}) {
+    const { actions = MAINTENANCE_ACTIONS, dryRun = true, policy = {} } = options;
+    const runners = {
+        dedup: () => dedupRunbooks({ dryRun }),
+        // Repair setelah dedup/cleanup sehingga index mencerminkan hasil akhir
+        orphan_cleanup: () => cleanupOrphans({ dryRun, policy }),
+        autolog_compact: () => compactAutologArchives({ dryRun, policy }),
+        index_repair: () => repairIndex({ dryRun }),
+        // Setelah index_repair: rebuild yang dipicu repair sudah jalan → tidak dobel
+        reembed: () => reembedRunbooks({ dryRun, policy })
+    };
+
+    const results = {};
+    for (const action of Object.keys(runners)) {
+        if (!actions.includes(action)) continue;
+        try {
+            results[action] = runners[action]();
+        } catch (err) {
+            logger.warn('Maintenance action failed', { action, error: err.message });
+            results[action] = { error: err.message };
+        }
+    }
+    return results;
+}
+
+export default {
+    MAINTENANCE_ACTIONS, DEFAULT_POLICY, dedupRunbooks, repairIndex, cleanupOrphans, compactAutologArchives,
+    reembedRunbooks, runMaintenance
+};
@@ -0,0 +1,69 @@
+/**
+ * Outcome Entries v1.0 — entry sukses (## EXPLOIT) / gagal (## GAGAL) dari body runbook
+ * Dipakai memory_reflect (statistik teknik) dan governance/loopbreaker (mistake signature).
+ * @module storage/outcomes
+ */
+import { isMajorSection } from './files.js';
+import { isEntryMarker } from './entries.js';
+import { getSectionSchema, matchSchemaSection } from './sectionSchema.js';
+
+// Section schema canonical → outcome (alias "FAILED", "EXPLOITATION", ... ikut via matchSchemaSection)
+export const OUTCOME_SECTIONS = { EXPLOIT: 'success', GAGAL: 'failure' };
+
+// Stamp provenance appendToSection: "[YYYY-MM-DD] ..." (opsional diikuti bullet)
+const DATE_STAMP = /^\s{0,1}\[\d{4}-\d{2}-\d{2}[^\]]*\]\s*\S/;
+
+/**
+ * Pecah body section jadi entry: bullet / numbered / ### sub-heading / stamp [YYYY-MM-DD] memulai entry baru,
+ * baris lanjutan (indent, code block) ikut entry sebelumnya
+ * @param {string} content
+ * @returns {string[]}
+ */
+export function splitEntries(content) {
+    const entries = [];
+    for (const line of (content || '').split('\n')) {
+        if (!line.trim() || isEntryMarker(line)) continue;
+        const startsEntry = /^\s{0,1}(?:[-*+]|\d+[.)])\s+\S/.test(line) || /^###+\s+\S/.test(line) || DATE_STAMP.test(line);
+        if (startsEntry || entries.length === 0) entries.push(line.trim());
+        else entries[entries.length - 1] += '\n' + line.trim();
+    }
+    return entries;
+}
+
+/**
+ * Entry dari section EXPLOIT/GAGAL (nama canonical atau alias)
+ * @param {string} title - Judul runbook (menentukan schema)
+ * @param {string} body - Body tanpa frontmatter
+ * @returns {Array<{ outcome: 'success'|'failure', entry: string }>}
+ */
+export function outcomeEntries(title, body) {
+    const schema = getSectionSchema(title);
+    if (!schema || !body) return [];
+
+    const headings = [];
+    const regex = /^## (.*)$/gm;
+    let match;
+    while ((match = regex.exec(body)) !== null) {
+        if (isMajorSection(match[0])) headings.push({ heading: match[1], start: match.index, contentStart: match.index + match[0].length });
+    }
+
+    const entries = [];
+    headings.forEach((h, i) => {
+        const schemaMatch = matchSchemaSection(schema, h.heading);
+        const outcome = schemaMatch && OUTCOME_SECTIONS[schemaMatch.section.name];
+        if (!outcome) return;
+        const end = i + 1 < headings.length ? headings[i + 1].start : body.length;
+        for (const entry of splitEntries(body.substring(h.contentStart, end))) entries.push({ outcome, entry });
+    });
+    return entries;
+}
+
+/**
+ * Target dari judul runbook: "[RUNBOOK] example.com" → "example.com", [TEKNIK]/lainnya → null
+ */
+export function runbookTarget(title) {
+    const match = (title || '').match(/^\[RUNBOOK\]\s*(.+)$/i);
+    return match ? match[1].trim().toLowerCase() : null;
+}
+
+export default { OUTCOME_SECTIONS, splitEntries, outcomeEntries, runbookTarget };
@@ -0,0 +1,96 @@
+/**
+ * Storage Path Resolution — satu sumber kebenaran untuk lokasi runbooks/data/archives
+ * Root dari CLI --root, env MCP_MEMORI_ROOT, mcp.config.json storage.root, atau repo root.
+ * Per-project root via mcp.config.json storage.projects, vault lain di <root>/vaults/<id>.
+ * Tanpa projectId = vault aktif (lihat storage/vault.js).
+ * @module storage/paths
+ */
+import { existsSync, mkdirSync, readdirSync } from 'fs';
+import { join } from 'path';
+import config from '../utils/config.js';
+import { getCurrentVault, normalizeVaultId, VAULTS_SUBDIR } from './vault.js';
+
+/**
+ * Get storage root for a project/vault
+ * @param {string} [projectId] - Project ID (default: vault aktif)
+ * @returns {string} Absolute path
+ */
+export function getStorageRoot(projectId) {
+    const vaultId = projectId === undefined ? getCurrentVault() : normalizeVaultId(projectId);
+    if (config.storage.projects[vaultId]) return config.storage.projects[vaultId];
+    if (vaultId === config.defaultProject) return config.storage.root;
+    return join(config.storage.root, VAULTS_SUBDIR, vaultId);
+}
+
+/**
+ * Directory berisi .md runbooks. Tidak dibuat di sini — read path (search/list dengan project_id
+ * typo) tidak boleh memunculkan vault baru; write path memanggil ensureRunbooksDir().
+ */
+export function getRunbooksDir(projectId) {
+    return join(getStorageRoot(projectId), 'runbooks');
+}
+
+/**
+ * Directory runbooks untuk write path (dibuat jika belum ada)
+ */
+export function ensureRunbooksDir(projectId) {
+    const dir = getRunbooksDir(projectId);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+/**
+ * Filename .md di runbooks dir ([] jika vault belum punya directory)
+ */
+export function listRunbookFiles(projectId) {
+    const dir = getRunbooksDir(projectId);
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir).filter(f => f.endsWith('.md'));
+}
+
+/**
+ * Directory untuk derived data (search index, logs)
+ */
+export function getDataDir(projectId) {
+    return join(getStorageRoot(projectId), 'data');
+}
+
+/**
+ * SQLite search index path (FTS5 + vectors + graph + observations)
+ */
+export function getIndexDbPath(projectId) {
+    return join(getDataDir(projectId), 'search_index.db');
+}
+
+/**
+ * Archive dir untuk rotated _AUTO_LOG entries
+ */
+export function getArchiveDir(projectId) {
+    return join(getStorageRoot(projectId), 'archives');
+}
+
+/**
+ * Hook debug log path
+ */
+export function getHookLogPath(projectId) {
+    return join(getDataDir(projectId), 'hook_debug.log');
+}
+
+/**
+ * Claude Code auto-memory file (MEMORY.md) yang di-sync oleh upsert/hooks
+ */
+export function getAutoMemoryPath() {
+    return config.storage.autoMemoryPath;
+}
+
+export default {
+    getStorageRoot,
+    getRunbooksDir,
+    ensureRunbooksDir,
+    listRunbookFiles,
+    getDataDir,
+    getIndexDbPath,
+    getArchiveDir,
+    getHookLogPath,
+    getAutoMemoryPath
+};
@@ -0,0 +1,62 @@
+/**
+ * Provenance v1.0 — siapa yang menulis setiap entry runbook (client, model, session)
+ * Context dibawa via AsyncLocalStorage (di-set server per tools/call, sama seperti vault context),
+ * lalu saveRunbook/appendToSection menulis provenance di marker entry (storage/entries.js):
+ *   <!-- entry:3f9a2c1b {"client":"claude-code","model":"opus","session":"1a2b3c4d","at":"2026-01-01T00:00:00Z"} -->
+ * Marker tidak tampil di markdown render, dan di-strip dari FTS/embedding.
+ * @module storage/provenance
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import config from '../utils/config.js';
+
+const provenanceContext = new AsyncLocalStorage();
+
+/**
+ * Jalankan fn dengan provenance context (sync atau async)
+ * @param {object} provenance - { client, client_version, model, session_id }
+ * @param {Function} fn
+ */
+export function runWithProvenance(provenance, fn) {
+    return provenanceContext.run(provenance || {}, fn);
+}
+
+/**
+ * Provenance call saat ini (model fallback: config.provenance.model / MCP_MEMORI_MODEL)
+ * @returns {{ client: string|null, client_version: string|null, model: string|null, session_id: string|null }|null}
+ */
+export function getProvenance() {
+    const store = provenanceContext.getStore() || {};
+    const provenance = {
+        client: store.client || null,
+        client_version: store.client_version || null,
+        model: store.model || config.provenance.model || null,
+        session_id: store.session_id || null
+    };
+    return provenance.client || provenance.model || provenance.session_id ? provenance : null;
+}
+
+/**
+ * Provenance → data ringkas untuk marker entry (null jika tidak ada provenance, e.g. script/hook)
+ * @param {object|null} provenance - Hasil getProvenance()
+ * @returns {{ client?: string, model?: string, session?: string, at: string }|null}
+ */
+export function provenanceData(provenance) {
+    if (!provenance) return null;
+    const data = {};
+    if (provenance.client) data.client = provenance.client_version ? `${provenance.client}/${provenance.client_version}` : provenance.client;
+    if (provenance.model) data.model = provenance.model;
+    // UUID session HTTP cukup 8 char pertama; stdio = "stdio-<pid>"
+    if (provenance.session_id) data.session = String(provenance.session_id).replace(/^([0-9a-f]{8})-[0-9a-f-]{27}$/i, '$1');
+    data.at = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    return data;
+}
+
+/**
+ * Label singkat "client model" untuk perbandingan cross-model
+ */
+export function provenanceLabel(provenance) {
+    if (!provenance) return 'unknown';
+    return [provenance.client, provenance.model].filter(Boolean).join(' ') || 'unknown';
+}
+
+export default { runWithProvenance, getProvenance, provenanceData, provenanceLabel };
@@ -0,0 +1,150 @@
+/**
+ * Search Query Language v1.0 — grammar kecil untuk memory_search
+ *   nginx bypass              kata biasa (prefix match). Tanpa operator = perilaku lama (synonym expansion)
+ *   "alias traversal"         frasa persis
+ *   -waf  -"rate limit"       negasi (juga: NOT waf)
+ *   title:unitomo             field: title, tag (tags), content, cve, section
+ *   tag:"unitomo.ac.id"       field + frasa
+ *   cve:2021-44228            = frasa "CVE-2021-44228" (prefix "CVE-" opsional)
+ *   section:CREDENTIAL        filter section ## (sama dengan param section, bukan teks)
+ *   a b OR c d                AND implisit antar term; OR (huruf besar) memisah grup. Tanpa kurung.
+ *
+ * Query harus punya term positif atau section: (hasPositiveTerms) — kosong / hanya negasi ditolak.
+ * compileFtsMatch → ekspresi FTS5 MATCH (semua term di-quote, " di-escape → "").
+ * matchesQuery → evaluasi yang sama untuk file-scan fallback (tanpa index).
+ * @module storage/queryParser
+ */
+
+export const QUERY_FIELDS = ['title', 'tag', 'content', 'cve', 'section'];
+const FIELD_ALIASES = { tags: 'tag', body: 'content', sections: 'section' };
+// Kolom FTS5 runbook_fts per field (null = semua kolom)
+const FTS_COLUMNS = { title: 'title', tag: 'tags', content: 'content', cve: null, term: null };
+
+const TOKEN_REGEX = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"?|(\S+))/g;
+
+function normalizeCve(value) {
+    return `CVE-${value.replace(/^cve-?/i, '')}`.toUpperCase();
+}
+
+/**
+ * Parse query → grup OR berisi term AND
+ * @param {string} queryStr
+ * @returns {{ structured: boolean, groups: Array<{ terms: Array<object>, negated: Array<object> }>,
+ *   sections: string[], excludeSections: string[], words: string[], text: string }}
+ *   term: { field: 'term'|'title'|'tag'|'content'|'cve', value: string, phrase: boolean }
+ *   words = nilai term positif (lowercase) untuk scoring/snippet, text = words digabung (vector/rerank)
+ */
+export function parseSearchQuery(queryStr) {
+    const groups = [{ terms: [], negated: [] }];
+    const sections = [];
+    const excludeSections = [];
+    let structured = false;
+    let negateNext = false;
+
+    for (const match of (queryStr || '').matchAll(TOKEN_REGEX)) {
+        const [raw, dash, rawField, quoted, bare] = match;
+        if (quoted === undefined && (bare === 'OR' || bare === 'AND' || bare === 'NOT') && !dash && !rawField) {
+            structured = true;
+            if (bare === 'OR' && groups[groups.length - 1].terms.length + groups[groups.length - 1].negated.length > 0) {
+                groups.push({ terms: [], negated: [] });
+            }
+            if (bare === 'NOT') negateNext = true;
+            continue;
+        }
+
+        let field = rawField ? (FIELD_ALIASES[rawField.toLowerCase()] || rawField.toLowerCase()) : 'term';
+        let value = quoted !== undefined ? quoted : bare;
+        // "http://..." / "host:8080" — bukan field yang dikenal → kata biasa utuh
+        if (rawField && !QUERY_FIELDS.includes(field)) {
+            field = 'term';
+            value = raw.replace(/^-/, '');
+        }
+        value = value.trim();
+        // "-" sendirian / kata 1 huruf tanpa field → noise
+        if (!value || (field === 'term' && quoted === undefined && value.length < 2)) continue;
+
+        const negate = Boolean(dash) || negateNext;
+        negateNext = false;
+        if (negate || quoted !== undefined || field !== 'term') structured = true;
+
+        if (field === 'section') {
+            (negate ? excludeSections : sections).push(value);
+            continue;
+        }
+        if (field === 'cve') value = normalizeCve(value);
+        const term = { field, value, phrase: quoted !== undefined || field === 'cve' };
+        groups[groups.length - 1][negate ? 'negated' : 'terms'].push(term);
+    }
+
+    const usedGroups = groups.filter(g => g.terms.length + g.negated.length > 0);
+    const words = [...new Set(usedGroups.flatMap(g => g.terms.map(t => t.value.toLowerCase())))];
+    return {
+        structured,
+        groups: usedGroups,
+        sections,
+        excludeSections,
+        words,
+        text: words.join(' ')
+    };
+}
+
+/**
+ * Query punya sesuatu untuk dicari: term positif, atau section: (filter section saja = runbook yang punya section itu)
+ * Kosong / hanya operator / hanya -negasi (termasuk -section:) → false
+ * @param {object} parsed - Hasil parseSearchQuery
+ * @returns {boolean}
+ */
+export function hasPositiveTerms(parsed) {
+    return Boolean(parsed) && (parsed.words.length > 0 || parsed.sections.length > 0);
+}
+
+function quote(value) {
+    return `"${value.replace(/"/g, '""')}"`;
+}
+
+function ftsTerm(term) {
+    const column = FTS_COLUMNS[term.field];
+    const phrase = term.phrase ? quote(term.value) : `${quote(term.value)}*`;
+    return column ? `${column} : ${phrase}` : phrase;
+}
+
+/**
+ * Ekspresi FTS5 MATCH untuk query terstruktur
+ * @param {object} parsed - Hasil parseSearchQuery
+ * @returns {string|null} null jika tidak bisa diekspresikan di FTS5 (grup tanpa term positif — e.g. hanya negasi)
+ */
+export function compileFtsMatch(parsed) {
+    if (!parsed || parsed.groups.length === 0) return null;
+    if (parsed.groups.some(g => g.terms.length === 0)) return null;
+    const compiled = parsed.groups.map(group => {
+        const positive = `(${group.terms.map(ftsTerm).join(' AND ')})`;
+        if (group.negated.length === 0) return positive;
+        return `(${positive} NOT (${group.negated.map(ftsTerm).join(' OR ')}))`;
+    });
+    return compiled.join(' OR ');
+}
+
+function termMatches(term, doc) {
+    const value = term.value.toLowerCase().replace(/\s+/g, ' ');
+    const inText = (text) => (text || '').toLowerCase().replace(/\s+/g, ' ').includes(value);
+    switch (term.field) {
+        case 'title': return inText(doc.title);
+        case 'tag': return (doc.tags || []).some(tag => inText(tag));
+        case 'content': return inText(doc.body);
+        default: return inText(doc.title) || (doc.tags || []).some(tag => inText(tag)) || inText(doc.body);
+    }
+}
+
+/**
+ * Evaluasi query terstruktur terhadap 1 runbook (file-scan fallback)
+ * @param {object} parsed - Hasil parseSearchQuery
+ * @param {{ title: string, tags: string[], body: string }} doc
+ * @returns {boolean}
+ */
+export function matchesQuery(parsed, doc) {
+    if (!parsed || parsed.groups.length === 0) return true;
+    return parsed.groups.some(group =>
+        group.terms.every(term => termMatches(term, doc)) && !group.negated.some(term => termMatches(term, doc)));
+}
+
+export default { QUERY_FIELDS, parseSearchQuery, hasPositiveTerms, compileFtsMatch, matchesQuery };
@@ -0,0 +1,147 @@
+/**
+ * Search Filters v1.0 — filter terstruktur memory_search (tanggal, success/verified, ukuran, prefix title, section)
+ * FTS5 path: filter jadi klausa WHERE di SQL runbook_index (pushdown, bukan post-filter hasil searchRunbooks).
+ * Vector path: id hasil ANN disaring dengan klausa yang sama. File-scan fallback: matchesSearchFilters (JS).
+ *
+ * Semantik: *_after = inklusif (>=), *_before = eksklusif (<), perbandingan string ISO
+ * ("2026-01-05" cocok dengan semua timestamp hari itu untuk _after). section = nama section ## (OR jika array).
+ * v7.7: section:/-section: dari query language (queryParser.js) digabung via withQuerySections → exclude_sections.
+ * @module storage/searchFilters
+ */
+import { sectionKey } from './sectionSchema.js';
+
+const DATE_FILTERS = [
+    ['updated_after', 'updated_at', '>='],
+    ['updated_before', 'updated_at', '<'],
+    ['created_after', 'created_at', '>='],
+    ['created_before', 'created_at', '<']
+];
+
+/**
+ * Validasi + normalisasi filter dari params memory_search
+ * @param {object} params
+ * @returns {object|null} Filter ter-normalisasi, null jika tidak ada filter
+ * @throws {Error} Nilai filter tidak valid
+ */
+export function normalizeSearchFilters(params = {}) {
+    const filters = {};
+    for (const [name] of DATE_FILTERS) {
+        const value = params[name];
+        if (value === undefined || value === null || value === '') continue;
+        const text = String(value).trim();
+        if (Number.isNaN(new Date(text).getTime())) throw new Error(`${name}: invalid date "${value}" (ISO 8601, e.g. 2026-01-31)`);
+        // Tanggal saja dibiarkan apa adanya (prefix ISO); datetime → ISO UTC
+        filters[name] = /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : new Date(text).toISOString();
+    }
+    for (const name of ['verified', 'success']) {
+        if (params[name] === undefined || params[name] === null) continue;
+        if (typeof params[name] !== 'boolean') throw new Error(`${name}: must be true or false`);
+        filters[name] = params[name];
+    }
+    for (const name of ['min_size', 'max_size']) {
+        if (params[name] === undefined || params[name] === null) continue;
+        const size = Number(params[name]);
+        if (!Number.isFinite(size) || size < 0) throw new Error(`${name}: must be a non-negative number of bytes`);
+        filters[name] = Math.floor(size);
+    }
+    if (params.title_prefix) filters.title_prefix = String(params.title_prefix).trim();
+    if (params.section) {
+        const sections = (Array.isArray(params.section) ? params.section : [params.section]).map(sectionKey).filter(Boolean);
+        if (sections.length > 0) filters.sections = [...new Set(sections)];
+    }
+    return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Nilai kolom sections runbook_index: key section major, dipisah spasi (dengan spasi di ujung → LIKE '% KEY %')
+ * @param {string[]} headings - Nama section (dengan atau tanpa "## ")
+ */
+export function sectionsColumn(headings) {
+    const keys = [...new Set(headings.map(sectionKey).filter(Boolean))];
+    return ` ${keys.join(' ')} `;
+}
+
+/**
+ * Klausa SQL untuk filter (alias tabel runbook_index)
+ * @param {object|null} filters - Hasil normalizeSearchFilters
+ * @param {string} [alias] - Alias runbook_index di query
+ * @returns {{ sql: string, params: Array }} sql = "" atau diawali " AND "
+ */
+export function filterClauses(filters, alias = 'ri') {
+    if (!filters) return { sql: '', params: [] };
+    const clauses = [];
+    const params = [];
+    for (const [name, column, op] of DATE_FILTERS) {
+        if (filters[name] === undefined) continue;
+        clauses.push(`${alias}.${column} ${op} ?`);
+        params.push(filters[name]);
+    }
+    if (filters.verified !== undefined) { clauses.push(`${alias}.verified = ?`); params.push(filters.verified ? 1 : 0); }
+    if (filters.success !== undefined) { clauses.push(`${alias}.success = ?`); params.push(filters.success ? 1 : 0); }
+    if (filters.min_size !== undefined) { clauses.push(`${alias}.file_size >= ?`); params.push(filters.min_size); }
+    if (filters.max_size !== undefined) { clauses.push(`${alias}.file_size <= ?`); params.push(filters.max_size); }
+    if (filters.title_prefix) {
+        // substr, bukan LIKE: prefix "[RUNBOOK]" berisi karakter yang perlu escape di LIKE
+        clauses.push(`lower(substr(${alias}.title, 1, ?)) = lower(?)`);
+        params.push(filters.title_prefix.length, filters.title_prefix);
+    }
+    if (filters.sections) {
+        clauses.push(`(${filters.sections.map(() => `${alias}.sections LIKE ?`).join(' OR ')})`);
+        params.push(...filters.sections.map(key => `% ${key} %`));
+    }
+    for (const key of filters.exclude_sections || []) {
+        clauses.push(`${alias}.sections NOT LIKE ?`);
+        params.push(`% ${key} %`);
+    }
+    return { sql: clauses.map(c => ` AND ${c}`).join(''), params };
+}
+
+/**
+ * Filter untuk file-scan fallback (tanpa index)
+ * @param {object|null} filters
+ * @param {object} doc - { title, created_at, updated_at, file_size, success, verified, headings }
+ * @returns {boolean}
+ */
+export function matchesSearchFilters(filters, doc) {
+    if (!filters) return true;
+    for (const [name, column, op] of DATE_FILTERS) {
+        if (filters[name] === undefined) continue;
+        const value = doc[column] ? String(doc[column]) : '';
+        if (!value) return false;
+        if (op === '>=' ? value < filters[name] : value >= filters[name]) return false;
+    }
+    if (filters.verified !== undefined && (doc.verified === true) !== filters.verified) return false;
+    if (filters.success !== undefined && (doc.success === true) !== filters.success) return false;
+    if (filters.min_size !== undefined && doc.file_size < filters.min_size) return false;
+    if (filters.max_size !== undefined && doc.file_size > filters.max_size) return false;
+    if (filters.title_prefix && !(doc.title || '').toLowerCase().startsWith(filters.title_prefix.toLowerCase())) return false;
+    if (filters.sections || filters.exclude_sections) {
+        const keys = new Set((doc.headings || []).map(sectionKey));
+        if (filters.sections && !filters.sections.some(key => keys.has(key))) return false;
+        if ((filters.exclude_sections || []).some(key => keys.has(key))) return false;
+    }
+    return true;
+}
+
+/**
+ * Gabungkan section:/-section: dari query (parseSearchQuery) ke filter
+ * section: di query AND dengan param section (keduanya harus terpenuhi jika dua-duanya ada)
+ * @param {object|null} filters
+ * @param {object|null} parsed
+ * @returns {object|null}
+ */
+export function withQuerySections(filters, parsed) {
+    if (!parsed || (parsed.sections.length === 0 && parsed.excludeSections.length === 0)) return filters;
+    const merged = { ...(filters || {}) };
+    const include = [...new Set(parsed.sections.map(sectionKey).filter(Boolean))];
+    if (include.length > 0) {
+        merged.sections = merged.sections ? merged.sections.filter(key => include.includes(key)) : include;
+        // Irisan kosong → tidak ada yang cocok; pakai key mustahil agar SQL tetap valid
+        if (merged.sections.length === 0) merged.sections = ['__NONE__'];
+    }
+    const exclude = parsed.excludeSections.map(sectionKey).filter(Boolean);
+    if (exclude.length > 0) merged.exclude_sections = [...new Set([...(merged.exclude_sections || []), ...exclude])];
+    return merged;
+}
+
+export default { normalizeSearchFilters, sectionsColumn, filterClauses, matchesSearchFilters, withQuerySections };
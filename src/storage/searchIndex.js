@@ -7,32 +7,71 @@
  * - On startup: build index from all .md files
  * - On upsert/delete: update single index entry
  * - On search: use FTS5 BM25 ranking
+ * - v7.7: One index DB per vault (project_id), opened lazily on first use
+ * - v7.7: created_at + sections (key section major) di runbook_index → filter memory_search di SQL (searchFilters.js)
  *
  * @module storage/searchIndex
  */
 import Database from 'better-sqlite3';
-import { existsSync, readdirSync, readFileSync, statSync, mkdirSync } from 'fs';
+import { existsSync, readFileSync, statSync, mkdirSync } from 'fs';
 import { join, basename } from 'path';
-import { RUNBOOKS_DIR, parseFrontmatter, filenameToTitle } from './files.js';
+import { getRunbooksDir, listRunbookFiles, parseFrontmatter, filenameToTitle, listMajorSections } from './files.js';
+import { filterClauses, sectionsColumn } from './searchFilters.js';
 import logger from '../utils/logger.js';
-import { initVectorIndex } from './vectorIndex.js';
+import { initVectorIndex, rebuildVectorIndex } from './vectorIndex.js';
 import { initGraphIndex, rebuildGraphIndex } from './graphIndex.js';
+import { initCredentialIndex, rebuildCredentialIndex } from './credentials.js';
+import { stripEntryMarkers } from './entries.js';
+import { initMistakeIndex, rebuildMistakeIndex, updateMistakeEntry } from '../governance/loopbreaker.js';
+import { getDataDir, getIndexDbPath } from './paths.js';
+import { getCurrentVault, vaultExists } from './vault.js';
 
-const INDEX_DB_PATH = '/home/kali/Desktop/mcp-memori/data/search_index.db';
+// v7.7: vault id → { db, ready, path }
+const vaultIndexes = new Map();
 
-let db = null;
-let indexReady = false;
+const CLOSED_INDEX = { db: null, ready: false, path: null };
 
 /**
- * Initialize the FTS5 search index database
+ * Get index state for the active vault.
+ * Vault yang belum pernah dibuka di-init lazily (FTS + graph sync, vectors di background).
+ * Lazy open hanya setelah server memanggil initSearchIndex() — hooks (short-lived process)
+ * tetap pakai file-scan fallback tanpa membuka DB.
+ * Vault yang belum ada tidak dibuka — init membuat data dir, yang berarti membuat vault baru.
+ */
+function getVaultIndex() {
+    const vaultId = getCurrentVault();
+    if (vaultIndexes.size === 0) return CLOSED_INDEX;
+    if (!vaultIndexes.has(vaultId)) {
+        if (!vaultExists(vaultId)) return CLOSED_INDEX;
+        logger.info('Opening vault index', { vault: vaultId });
+        if (initSearchIndex()) {
+            rebuildVectorIndex().catch(err => {
+                logger.warn('Vault vector rebuild failed (non-fatal)', { vault: vaultId, error: err.message });
+            });
+        }
+    }
+    return vaultIndexes.get(vaultId);
+}
+
+/**
+ * Initialize the FTS5 search index database (for the active vault)
  */
 export function initSearchIndex() {
+    const vaultId = getCurrentVault();
+    const previous = vaultIndexes.get(vaultId);
+    if (previous && previous.db) {
+        try { previous.db.close(); } catch {}
+    }
+    const state = { db: null, ready: false, path: getIndexDbPath() };
+    vaultIndexes.set(vaultId, state);
+
     try {
         // Ensure data dir exists
-        const dataDir = '/home/kali/Desktop/mcp-memori/data';
+        const dataDir = getDataDir();
         if (!existsSync(dataDir)) mkdirSync(dataDir, { recursive: true });
 
-        db = new Database(INDEX_DB_PATH);
+        const db = new Database(state.path);
+        state.db = db;
         db.pragma('journal_mode = WAL');
         db.pragma('busy_timeout = 5000');
         db.pragma('synchronous = NORMAL');
@@ -49,9 +88,16 @@ export function initSearchIndex() {
                 access_count INTEGER DEFAULT 0,
                 success INTEGER DEFAULT 0,
                 verified INTEGER DEFAULT 0,
-                indexed_at TEXT
+                indexed_at TEXT,
+                created_at TEXT,
+                sections TEXT
             )
         `);
+        // v7.7: kolom filter untuk DB lama (NULL → baris di-index ulang oleh rebuildIndex)
+        for (const column of ['created_at TEXT', 'sections TEXT']) {
+            try { db.exec(`ALTER TABLE runbook_index ADD COLUMN ${column}`); } catch {}
+        }
+        db.exec('CREATE INDEX IF NOT EXISTS idx_runbook_updated ON runbook_index(updated_at)');
 
         db.exec(`
             CREATE VIRTUAL TABLE IF NOT EXISTS runbook_fts USING fts5(
@@ -99,55 +145,63 @@ export function initSearchIndex() {
         db.exec(`CREATE INDEX IF NOT EXISTS idx_obs_ts ON observations(timestamp)`);
         db.exec(`CREATE INDEX IF NOT EXISTS idx_obs_runbook ON observations(runbook_id)`);
 
-        logger.info('Search index DB initialized', { path: INDEX_DB_PATH });
+        logger.info('Search index DB initialized', { path: state.path, vault: vaultId });
 
         // Build/rebuild index from .md files
-        rebuildIndex();
+        rebuildIndex(db);
 
         // v7.5: Initialize vector + graph index (additive layers)
         initVectorIndex(db);
         initGraphIndex(db);
         rebuildGraphIndex(); // Fast — no embeddings, just frontmatter parsing
-
-        indexReady = true;
+        // v7.7: Credential records (sidecar .credentials/*.json → tabel credentials)
+        initCredentialIndex(db);
+        rebuildCredentialIndex(db);
+        // v7.7: Mistake signature dari ## GAGAL → loop-breaker guardrails
+        initMistakeIndex(db);
+        rebuildMistakeIndex(db);
+
+        state.ready = true;
         return true;
     } catch (err) {
-        logger.error('Search index init failed', { error: err.message });
-        indexReady = false;
+        logger.error('Search index init failed', { vault: vaultId, error: err.message });
+        state.ready = false;
         return false;
     }
 }
 
+const UPSERT_SQL = `
+    INSERT OR REPLACE INTO runbook_index (id, title, tags, content, updated_at, file_size, access_count, success, verified, indexed_at, created_at, sections)
+    VALUES (?, ?, ?, ?, ?, ?, COALESCE((SELECT access_count FROM runbook_index WHERE id = ?), 0), ?, ?, ?, ?, ?)
+`;
+
 /**
  * Rebuild entire index from .md files
  * Only re-indexes files that changed since last index
  */
-function rebuildIndex() {
+function rebuildIndex(db) {
     if (!db) return;
 
-    const files = readdirSync(RUNBOOKS_DIR).filter(f => f.endsWith('.md'));
+    const files = listRunbookFiles();
     const now = new Date().toISOString();
 
     // Get existing index entries for comparison
     const existing = new Map();
     try {
-        const rows = db.prepare('SELECT id, updated_at, file_size FROM runbook_index').all();
+        const rows = db.prepare('SELECT id, updated_at, file_size, sections FROM runbook_index').all();
         for (const row of rows) {
-            existing.set(row.id, { updated_at: row.updated_at, file_size: row.file_size });
+            existing.set(row.id, { updated_at: row.updated_at, file_size: row.file_size, sections: row.sections });
         }
     } catch {}
 
-    const upsertStmt = db.prepare(`
-        INSERT OR REPLACE INTO runbook_index (id, title, tags, content, updated_at, file_size, access_count, success, verified, indexed_at)
-        VALUES (?, ?, ?, ?, ?, ?, COALESCE((SELECT access_count FROM runbook_index WHERE id = ?), 0), ?, ?, ?)
-    `);
+    const upsertStmt = db.prepare(UPSERT_SQL);
 
     let indexed = 0;
     let skipped = 0;
 
     const transaction = db.transaction(() => {
         for (const file of files) {
-            const filepath = join(RUNBOOKS_DIR, file);
+            const filepath = join(getRunbooksDir(), file);
             let stat;
             try { stat = statSync(filepath); } catch { continue; }
 
@@ -156,12 +210,12 @@ function rebuildIndex() {
 
             let raw;
             try { raw = readFileSync(filepath, 'utf8'); } catch { continue; }
-            const { meta, body } = parseFrontmatter(raw);
+            const { meta, body } = parseFrontmatter(raw, { redact: true });
 
             const fileUpdated = meta.updated || stat.mtime.toISOString();
 
             // Skip if already indexed and file hasn't changed
-            if (ex && ex.updated_at === fileUpdated && ex.file_size === stat.size) {
+            if (ex && ex.updated_at === fileUpdated && ex.file_size === stat.size && ex.sections !== null) {
                 skipped++;
                 existing.delete(file);
                 continue;
@@ -170,7 +224,7 @@ function rebuildIndex() {
             const title = meta.title || filenameToTitle(file);
             const tags = Array.isArray(meta.tags) ? meta.tags.join(' ') : (meta.tags || '');
             // Index first 200K chars of content (50K was too small — credential/persistence at bottom of large runbooks was unsearchable)
-            const contentForIndex = body.substring(0, 200000);
+            const contentForIndex = stripEntryMarkers(body).substring(0, 200000);
 
             upsertStmt.run(
                 file, title, tags, contentForIndex,
@@ -178,7 +232,9 @@ function rebuildIndex() {
                 file, // for COALESCE access_count
                 meta.success === true ? 1 : 0,
                 meta.verified === true ? 1 : 0,
-                now
+                now,
+                meta.created || null,
+                sectionsColumn(listMajorSections(body))
             );
 
             indexed++;
@@ -206,35 +262,37 @@ function rebuildIndex() {
  * Update single entry in index (called after upsert)
  */
 export function updateIndexEntry(filename) {
-    if (!db || !indexReady) return;
+    const { db, ready } = getVaultIndex();
+    if (!db || !ready) return;
 
     try {
-        const filepath = join(RUNBOOKS_DIR, filename);
+        const filepath = join(getRunbooksDir(), filename);
         if (!existsSync(filepath)) {
             // File deleted, remove from index
             db.prepare('DELETE FROM runbook_index WHERE id = ?').run(filename);
+            updateMistakeEntry(filename);
             return;
         }
 
         const raw = readFileSync(filepath, 'utf8');
-        const { meta, body } = parseFrontmatter(raw);
+        const { meta, body } = parseFrontmatter(raw, { redact: true });
         const stat = statSync(filepath);
         const title = meta.title || filenameToTitle(filename);
         const tags = Array.isArray(meta.tags) ? meta.tags.join(' ') : (meta.tags || '');
-        const contentForIndex = body.substring(0, 200000);
+        const contentForIndex = stripEntryMarkers(body).substring(0, 200000);
         const now = new Date().toISOString();
 
-        db.prepare(`
-            INSERT OR REPLACE INTO runbook_index (id, title, tags, content, updated_at, file_size, access_count, success, verified, indexed_at)
-            VALUES (?, ?, ?, ?, ?, ?, COALESCE((SELECT access_count FROM runbook_index WHERE id = ?), 0), ?, ?, ?)
-        `).run(
+        db.prepare(UPSERT_SQL).run(
             filename, title, tags, contentForIndex,
             meta.updated || now, stat.size,
             filename,
             meta.success === true ? 1 : 0,
             meta.verified === true ? 1 : 0,
-            now
+            now,
+            meta.created || null,
+            sectionsColumn(listMajorSections(body))
         );
+        updateMistakeEntry(filename);
     } catch (err) {
         logger.warn('Index entry update failed', { filename, error: err.message });
     }
@@ -244,9 +302,11 @@ export function updateIndexEntry(filename) {
  * Remove entry from index (called after delete)
  */
 export function removeIndexEntry(filename) {
-    if (!db || !indexReady) return;
+    const { db, ready } = getVaultIndex();
+    if (!db || !ready) return;
     try {
         db.prepare('DELETE FROM runbook_index WHERE id = ?').run(filename);
+        updateMistakeEntry(filename);
     } catch (err) {
         logger.warn('Index entry remove failed', { filename, error: err.message });
     }
@@ -256,7 +316,8 @@ export function removeIndexEntry(filename) {
  * Increment access count for usefulness scoring
  */
 export function incrementAccessCount(filename) {
-    if (!db || !indexReady) return;
+    const { db, ready } = getVaultIndex();
+    if (!db || !ready) return;
     try {
         db.prepare('UPDATE runbook_index SET access_count = access_count + 1 WHERE id = ?').run(filename);
     } catch {}
@@ -266,7 +327,8 @@ export function incrementAccessCount(filename) {
  * Get access count for a runbook
  */
 export function getAccessCount(filename) {
-    if (!db || !indexReady) return 0;
+    const { db, ready } = getVaultIndex();
+    if (!db || !ready) return 0;
     try {
         const row = db.prepare('SELECT access_count FROM runbook_index WHERE id = ?').get(filename);
         return row ? row.access_count : 0;
@@ -276,13 +338,17 @@ export function getAccessCount(filename) {
 /**
  * FTS5 Search — fast search using BM25 ranking
  * @param {string} queryStr - Search query
- * @param {object} options - Search options
- * @returns {Array<{id, title, score, snippet}>} Ranked results
+ * @param {object} options - Search options: { limit, filters (searchFilters.normalizeSearchFilters),
+ *   match (ekspresi MATCH jadi dari queryParser.compileFtsMatch — menggantikan queryStr, tanpa fallback OR) }
+ * @returns {Array<{id, title, score, snippet}>} Ranked results (v7.7: array._ftsQuery = ekspresi MATCH yang dijalankan)
  */
 export function ftsSearch(queryStr, options = {}) {
-    if (!db || !indexReady) return null; // Fallback signal
+    const { db, ready } = getVaultIndex();
+    if (!db || !ready) return null; // Fallback signal
 
-    const { limit = 50 } = options;
+    const { limit = 50, filters = null, match = null } = options;
+    const where = filterClauses(filters, 'ri');
+    if (match) return ftsMatchSearch(db, match, where, limit);
     const words = (queryStr || '').toLowerCase().split(/\s+/).filter(w => w.length >= 2);
     if (words.length === 0) return null;
 
@@ -299,10 +365,10 @@ export function ftsSearch(queryStr, options = {}) {
                    bm25(runbook_fts, 0, 5.0, 3.0, 1.0) as bm25_score
             FROM runbook_fts fts
             JOIN runbook_index ri ON fts.id = ri.id
-            WHERE runbook_fts MATCH ?
+            WHERE runbook_fts MATCH ?${where.sql}
             ORDER BY bm25_score
             LIMIT ?
-        `).all(ftsQuery, limit);
+        `).all(ftsQuery, ...where.params, limit);
 
         // If AND returned too few, fallback to OR
         if (useAnd && rows.length < 3) {
@@ -313,40 +379,93 @@ export function ftsSearch(queryStr, options = {}) {
                        bm25(runbook_fts, 0, 5.0, 3.0, 1.0) as bm25_score
                 FROM runbook_fts fts
                 JOIN runbook_index ri ON fts.id = ri.id
-                WHERE runbook_fts MATCH ?
+                WHERE runbook_fts MATCH ?${where.sql}
                 ORDER BY bm25_score
                 LIMIT ?
-            `).all(orQuery, limit);
-            return orRows.map(r => ({
+            `).all(orQuery, ...where.params, limit);
+            const orResults = orRows.map(r => ({
                 ...r,
                 bm25_score: Math.abs(r.bm25_score),
                 tags: r.tags ? r.tags.split(' ') : []
             }));
+            orResults._ftsQuery = orQuery;
+            return orResults;
         }
 
-        return rows.map(r => ({
+        const results = rows.map(r => ({
             ...r,
             bm25_score: Math.abs(r.bm25_score), // BM25 returns negative in SQLite
             tags: r.tags ? r.tags.split(' ') : []
         }));
+        // v7.7: Ekspresi MATCH yang benar-benar dijalankan (explain mode memory_search)
+        results._ftsQuery = ftsQuery;
+        return results;
     } catch (err) {
         logger.warn('FTS search failed, will fallback to file scan', { error: err.message });
         return null; // Signal to fallback
     }
 }
 
+function ftsMatchSearch(db, match, where, limit) {
+    try {
+        const rows = db.prepare(`
+            SELECT ri.id, ri.title, ri.tags, ri.updated_at, ri.file_size,
+                   ri.access_count, ri.success, ri.verified,
+                   bm25(runbook_fts, 0, 5.0, 3.0, 1.0) as bm25_score
+            FROM runbook_fts fts
+            JOIN runbook_index ri ON fts.id = ri.id
+            WHERE runbook_fts MATCH ?${where.sql}
+            ORDER BY bm25_score
+            LIMIT ?
+        `).all(match, ...where.params, limit);
+        const results = rows.map(r => ({ ...r, bm25_score: Math.abs(r.bm25_score), tags: r.tags ? r.tags.split(' ') : [] }));
+        results._ftsQuery = match;
+        return results;
+    } catch (err) {
+        logger.warn('FTS query-language search failed, will fallback to file scan', { match, error: err.message });
+        return null;
+    }
+}
+
+/**
+ * Saring id runbook (e.g. hasil vector search) dengan filter memory_search — SQL yang sama dengan ftsSearch
+ * @param {string[]} ids
+ * @param {object|null} filters
+ * @param {object} [options] - { match: ekspresi FTS5 MATCH yang juga harus cocok (query language) }
+ * @returns {Set<string>|null} Id yang lolos (null jika index tidak tersedia)
+ */
+export function filterIndexIds(ids, filters, { match = null } = {}) {
+    const { db, ready } = getVaultIndex();
+    if (!db || !ready) return null;
+    if ((!filters && !match) || ids.length === 0) return new Set(ids);
+    const where = filterClauses(filters, 'ri');
+    try {
+        const rows = db.prepare(`
+            SELECT ri.id FROM runbook_index ri
+            WHERE ri.id IN (${ids.map(() => '?').join(',')})${where.sql}
+            ${match ? 'AND ri.id IN (SELECT id FROM runbook_fts WHERE runbook_fts MATCH ?)' : ''}
+        `).all(...ids, ...where.params, ...(match ? [match] : []));
+        return new Set(rows.map(r => r.id));
+    } catch (err) {
+        logger.warn('Index id filter failed (non-fatal)', { error: err.message });
+        return null;
+    }
+}
+
 /**
  * Check if index is ready
  */
 export function isIndexReady() {
-    return indexReady && db !== null;
+    const { db, ready } = getVaultIndex();
+    return ready && db !== null;
 }
 
 /**
  * Get index stats
  */
 export function getIndexStats() {
-    if (!db || !indexReady) return { ready: false };
+    const { db, ready } = getVaultIndex();
+    if (!db || !ready) return { ready: false };
     try {
         const count = db.prepare('SELECT COUNT(*) as cnt FROM runbook_index').get();
         const totalAccess = db.prepare('SELECT SUM(access_count) as total FROM runbook_index').get();
@@ -354,16 +473,17 @@ export function getIndexStats() {
             ready: true,
             indexed_count: count.cnt,
             total_access: totalAccess.total || 0,
-            db_path: INDEX_DB_PATH
+            db_path: getVaultIndex().path,
+            vault: getCurrentVault()
         };
     } catch { return { ready: false }; }
 }
 
 /**
- * Get shared db handle (for vector/graph modules)
+ * Get shared db handle of the active vault (for vector/graph modules)
  */
 export function getDb() {
-    return db;
+    return getVaultIndex().db;
 }
 
 export default {
@@ -373,6 +493,7 @@ export default {
     incrementAccessCount,
     getAccessCount,
     ftsSearch,
+    filterIndexIds,
     isIndexReady,
     getIndexStats,
     getDb
@@ -0,0 +1,257 @@
+/**
+ * Section Schema v1.0 — struktur ## section per tipe runbook ([RUNBOOK] / [TEKNIK])
+ * Satu sumber kebenaran untuk nama section, alias, section wajib, urutan dan
+ * operasi yang boleh (replace_section allowlist). Dipakai memory_upsert,
+ * memory_validate dan hooks — jangan tulis literal nama section di tempat lain.
+ * @module storage/sectionSchema
+ */
+
+/**
+ * ops: operasi yang boleh per section
+ *   append  = append_to_section / default append
+ *   replace = replace_section (ganti total — hanya untuk section "snapshot" seperti LIVE STATUS)
+ *   edit    = replace_text / memory_forget partial
+ * state: section state yang dijaga hard-block (disebut di hook SessionStart)
+ */
+export const SECTION_SCHEMAS = {
+    runbook: {
+        type: 'runbook',
+        titlePrefix: '[RUNBOOK]',
+        sections: [
+            { name: 'LIVE STATUS', required: true, state: true, ops: ['append', 'replace', 'edit'], aliases: ['LIVE_STATUS', 'ACCESS STATUS', 'STATUS AKSES'] },
+            { name: 'RECON', ops: ['append', 'edit'], aliases: ['RECONNAISSANCE', 'ENUM', 'ENUMERATION'] },
+            { name: 'EXPLOIT', required: true, state: true, ops: ['append', 'edit'], aliases: ['EXPLOITS', 'EXPLOITATION'] },
+            { name: 'CREDENTIAL', required: true, state: true, ops: ['append', 'edit'], aliases: ['CREDENTIALS', 'CREDS', 'CRED', 'KREDENSIAL', 'PASSWORDS'] },
+            { name: 'PERSISTENCE', state: true, ops: ['append', 'edit'], aliases: ['BACKDOOR', 'BACKDOORS'] },
+            { name: 'ROOT / PRIVESC', ops: ['append', 'edit'], aliases: ['ROOT', 'PRIVESC', 'PRIVILEGE ESCALATION', 'ROOT PRIVESC'] },
+            { name: 'RE-ENTRY CHECKLIST', required: true, state: true, ops: ['append', 'replace', 'edit'], aliases: ['RE-ENTRY', 'REENTRY', 'RE ENTRY', 'REENTRY CHECKLIST'] },
+            { name: 'GAGAL', required: true, state: true, ops: ['append', 'edit'], aliases: ['FAILED', 'FAILURES', 'FAILURE', 'GAGAL / FAILED'] },
+            { name: 'CLEANUP', ops: ['append', 'edit'], aliases: ['CLEAN UP', 'CLEANING'] }
+        ]
+    },
+    teknik: {
+        type: 'teknik',
+        titlePrefix: '[TEKNIK]',
+        sections: [
+            { name: 'DESKRIPSI', ops: ['append', 'replace', 'edit'], aliases: ['DESCRIPTION', 'OVERVIEW', 'RINGKASAN'] },
+            { name: 'COMMAND', ops: ['append', 'edit'], aliases: ['COMMANDS', 'USAGE', 'PAYLOAD', 'PAYLOADS'] },
+            { name: 'TESTED ON', ops: ['append', 'edit'], aliases: ['TARGETS', 'TESTED', 'TESTED TARGETS'] },
+            { name: 'GAGAL', ops: ['append', 'edit'], aliases: ['FAILED', 'FAILURES', 'FAILURE'] }
+        ]
+    }
+};
+
+// Section sistem — selalu boleh, tidak ikut aturan urutan. _AUTO_LOG ditulis memory_autolog saja.
+export const SYSTEM_SECTIONS = [
+    { name: '_AUTO_LOG', ops: ['append'] },
+    { name: '_CHANGELOG', ops: ['append', 'replace'] }
+];
+
+/**
+ * Section state [RUNBOOK] (urutan schema) — untuk pesan hard-block di hooks
+ */
+export const STATE_SECTIONS = SECTION_SCHEMAS.runbook.sections.filter(s => s.state).map(s => s.name);
+
+/**
+ * Normalisasi nama section → key perbandingan
+ * "Credentials" / "CREDENTIAL (APPEND-ONLY)" / "credential" → "CREDENTIAL"
+ */
+export function sectionKey(name) {
+    let key = (name || '')
+        .replace(/^##\s*/, '')
+        .replace(/\(.*?\)/g, '')
+        .toUpperCase()
+        .replace(/[^A-Z0-9_]/g, '');
+    if (key.length > 4 && key.endsWith('S')) key = key.slice(0, -1);
+    return key;
+}
+
+/**
+ * Schema untuk title runbook (by prefix), null = tanpa schema
+ */
+export function getSectionSchema(title) {
+    const t = (title || '').trim().toUpperCase();
+    for (const schema of Object.values(SECTION_SCHEMAS)) {
+        if (t.startsWith(schema.titlePrefix)) return schema;
+    }
+    return null;
+}
+
+/**
+ * Heading canonical = nama persis (case-sensitive), boleh diikuti anotasi "(APPEND-ONLY)" / "— note"
+ */
+function isCanonicalHeading(heading, name) {
+    if (!heading.startsWith(name)) return false;
+    const rest = heading.substring(name.length);
+    return rest === '' || /^\s+[(\[—-]/.test(rest);
+}
+
+/**
+ * Cocokkan heading dengan section schema (nama canonical atau alias)
+ * @param {object} schema
+ * @param {string} heading - Tanpa "## "
+ * @returns {{ section: object, canonical: boolean, system?: boolean }|null}
+ */
+export function matchSchemaSection(schema, heading) {
+    const clean = (heading || '').replace(/^##\s*/, '').trim();
+    const key = sectionKey(clean);
+    if (!key) return null;
+
+    for (const section of SYSTEM_SECTIONS) {
+        if (key === sectionKey(section.name)) return { section, canonical: isCanonicalHeading(clean, section.name), system: true };
+    }
+    if (!schema) return null;
+    for (const section of schema.sections) {
+        if (isCanonicalHeading(clean, section.name)) return { section, canonical: true };
+    }
+    for (const section of schema.sections) {
+        const keys = [section.name, ...(section.aliases || [])].map(sectionKey);
+        if (keys.includes(key)) return { section, canonical: false };
+    }
+    return null;
+}
+
+/**
+ * Major ## headings di body (sub-heading sudah disaring oleh caller via isMajor)
+ */
+function listHeadings(body, isMajor) {
+    const headings = [];
+    const regex = /^## (.*)$/gm;
+    let match;
+    while ((match = regex.exec(body)) !== null) {
+        if (!isMajor || isMajor(match[0])) headings.push({ heading: match[1].trim(), offset: match.index });
+    }
+    return headings;
+}
+
+/**
+ * Resolve nama section target upsert ke nama canonical.
+ * Jika body sudah punya section canonical → pakai canonical.
+ * Jika body hanya punya varian lama (e.g. "## Credentials") → tetap tulis ke varian itu (tidak bikin section kembar).
+ * @returns {{ name: string, renamed: boolean, legacy: boolean }}
+ */
+export function resolveSectionName(schema, name, body = '') {
+    const match = matchSchemaSection(schema, name);
+    if (!match || match.canonical) return { name, renamed: false, legacy: false };
+
+    const canonical = match.section.name;
+    const headings = listHeadings(body);
+    if (headings.some(h => isCanonicalHeading(h.heading, canonical))) {
+        return { name: canonical, renamed: true, legacy: false };
+    }
+    const existingVariant = headings.find(h => {
+        const m = matchSchemaSection(schema, h.heading);
+        return m && m.section === match.section;
+    });
+    if (existingVariant) return { name: existingVariant.heading, renamed: existingVariant.heading !== name, legacy: true };
+    return { name: canonical, renamed: true, legacy: false };
+}
+
+/**
+ * Ganti heading varian "## Credentials" di content baru → "## CREDENTIAL"
+ * @param {string} content
+ * @param {object} schema
+ * @param {function} isMajor - Optional filter, sub-heading ("## Status: ...") tidak disentuh
+ * @returns {{ text: string, renamed: Array<{from, to}> }}
+ */
+export function canonicalizeHeadings(content, schema, isMajor = null) {
+    const renamed = [];
+    if (!schema || !content) return { text: content, renamed };
+    const text = content.replace(/^## (.+)$/gm, (line, heading) => {
+        if (isMajor && !isMajor(line)) return line;
+        const match = matchSchemaSection(schema, heading);
+        if (!match || match.canonical) return line;
+        renamed.push({ from: heading.trim(), to: match.section.name });
+        return `## ${match.section.name}`;
+    });
+    return { text, renamed };
+}
+
+/**
+ * Daftar section yang boleh replace_section
+ */
+export function getReplaceableSections(schema) {
+    return [...(schema || SECTION_SCHEMAS.runbook).sections, ...SYSTEM_SECTIONS]
+        .filter(s => s.ops.includes('replace'))
+        .map(s => s.name);
+}
+
+/**
+ * Cek operasi diizinkan untuk section. Section di luar schema: append/edit boleh, replace tidak.
+ * Title tanpa schema memakai allowlist [RUNBOOK] (perilaku lama).
+ * @param {object|null} schema
+ * @param {string} name - Section name
+ * @param {'append'|'replace'|'edit'} op
+ */
+export function isSectionOpAllowed(schema, name, op) {
+    const match = matchSchemaSection(schema || SECTION_SCHEMAS.runbook, name);
+    if (!match) return op !== 'replace';
+    return match.section.ops.includes(op);
+}
+
+/**
+ * Validasi body runbook terhadap schema
+ * error = nama section salah (non-canonical). warning = kondisi wajar selama runbook tumbuh:
+ * section wajib belum ditulis, section kembar dari append default (blok "## GAGAL" baru), urutan.
+ * @param {object} schema
+ * @param {string} body - Runbook body (tanpa frontmatter)
+ * @param {object} options - { isMajor: fn(headingLine) → boolean }
+ * @returns {Array<{ rule: string, severity: 'error'|'warning', section: string, message: string }>}
+ */
+export function validateSections(schema, body, options = {}) {
+    const violations = [];
+    if (!schema) return violations;
+
+    const headings = listHeadings(body || '', options.isMajor);
+    const seen = new Map();
+    const order = [];
+
+    for (const { heading } of headings) {
+        const match = matchSchemaSection(schema, heading);
+        if (!match) continue;
+        const name = match.section.name;
+
+        if (!match.canonical) {
+            violations.push({
+                rule: 'non_canonical_name',
+                severity: 'error',
+                section: heading,
+                message: `"## ${heading}" adalah varian dari "## ${name}" — rename ke nama canonical.`
+            });
+        }
+        seen.set(name, (seen.get(name) || 0) + 1);
+        if (!match.system) order.push(name);
+    }
+
+    for (const [name, count] of seen) {
+        if (count > 1) {
+            violations.push({ rule: 'duplicate_section', severity: 'warning', section: name, message: `"## ${name}" muncul ${count}x — gabungkan jadi 1 section (append berikutnya: append_to_section).` });
+        }
+    }
+
+    for (const section of schema.sections) {
+        if (section.required && !seen.has(section.name)) {
+            violations.push({ rule: 'missing_required', severity: 'warning', section: section.name, message: `Section wajib "## ${section.name}" belum ada.` });
+        }
+    }
+
+    const rank = new Map(schema.sections.map((s, i) => [s.name, i]));
+    const firstSeen = [...new Set(order)];
+    for (let i = 1; i < firstSeen.length; i++) {
+        if (rank.get(firstSeen[i]) < rank.get(firstSeen[i - 1])) {
+            violations.push({
+                rule: 'out_of_order',
+                severity: 'warning',
+                section: firstSeen[i],
+                message: `"## ${firstSeen[i]}" seharusnya sebelum "## ${firstSeen[i - 1]}" (urutan: ${schema.sections.map(s => s.name).join(' → ')}).`
+            });
+        }
+    }
+
+    return violations;
+}
+
+export default {
+    SECTION_SCHEMAS, SYSTEM_SECTIONS, STATE_SECTIONS, sectionKey, getSectionSchema, matchSchemaSection,
+    resolveSectionName, canonicalizeHeadings, getReplaceableSections, isSectionOpAllowed, validateSections
+};
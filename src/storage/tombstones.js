@@ -0,0 +1,267 @@
+/**
+ * Partial Forget Tombstones v1.0 — fragment yang dihapus memory_forget (remove_text / remove_section)
+ * Tiap partial forget = 1 tombstone berisi fragment, section asal, offset dan anchor context,
+ * supaya undo bisa menyisipkan kembali di tempat yang benar walau runbook sudah di-append setelahnya.
+ *
+ * Layout (per vault, di samping .history/ dan .deleted/):
+ *   runbooks/.tombstones/<id>.jsonl — append-only:
+ *     { op: 'forget', tombstone, ts, kind, fragment, section, prev_section, next_section,
+ *       offset, section_offset, before, after, version, reason }
+ *     { op: 'undo', tombstone, ts, reason }
+ * Fragment dari section terenkripsi (atau runbook `encrypt: true`) disimpan sebagai blob: sealed = true.
+ * @module storage/tombstones
+ */
+import { existsSync, mkdirSync, readFileSync, appendFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { getRunbooksDir } from './paths.js';
+import { findSectionEnd, findSectionBlockStart, findSectionRange, isMajorSection } from './files.js';
+import { decryptText, encryptText, isEncryptedSection } from './encryption.js';
+import logger from '../utils/logger.js';
+
+export const TOMBSTONES_DIRNAME = '.tombstones';
+
+// Panjang anchor context di kiri/kanan fragment
+const ANCHOR_CHARS = 80;
+
+function tombstonePath(id) {
+    const filename = id.endsWith('.md') ? id : id + '.md';
+    return join(getRunbooksDir(), TOMBSTONES_DIRNAME, filename.replace(/\.md$/, '.jsonl'));
+}
+
+function readEvents(id) {
+    const path = tombstonePath(id);
+    if (!existsSync(path)) return [];
+    const events = [];
+    for (const line of readFileSync(path, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try { events.push(JSON.parse(line)); } catch {}
+    }
+    return events;
+}
+
+function appendEvent(id, event) {
+    const path = tombstonePath(id);
+    const dir = join(getRunbooksDir(), TOMBSTONES_DIRNAME);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    appendFileSync(path, JSON.stringify(event) + '\n', 'utf8');
+}
+
+/**
+ * Major ## headings di body → [{ name, start }]
+ */
+function majorHeadings(body) {
+    const headings = [];
+    const regex = /^## .*$/gm;
+    let match;
+    while ((match = regex.exec(body)) !== null) {
+        if (isMajorSection(match[0])) headings.push({ name: match[0].replace(/^## /, '').trim(), start: match.index });
+    }
+    return headings;
+}
+
+/**
+ * Section yang berisi offset (heading major terakhir sebelum offset)
+ */
+function sectionAt(body, offset) {
+    let current = null;
+    for (const heading of majorHeadings(body)) {
+        if (heading.start > offset) break;
+        current = heading;
+    }
+    return current;
+}
+
+/**
+ * Record tombstone untuk fragment yang akan dihapus dari body
+ * @param {string} id - Runbook filename
+ * @param {object} info - { kind: 'text'|'section', body, offset, fragment, version, reason, meta }
+ *   body = body SEBELUM fragment dihapus, offset = posisi fragment di body itu
+ *   meta = frontmatter runbook (untuk cek encryption)
+ * @returns {object|null} Tombstone entry
+ */
+export function recordTombstone(id, info) {
+    const { kind, body, offset, fragment, version = null, reason = null, meta = {} } = info;
+    try {
+        const headings = majorHeadings(body);
+        let section = null, prevSection = null, nextSection = null, sectionOffset = null;
+
+        if (kind === 'section') {
+            // Fragment bisa diawali marker entry section — heading = baris ## pertama
+            const headerAt = Math.max(0, fragment.search(/^## /m));
+            const index = headings.findIndex(h => h.start === offset + headerAt);
+            section = index >= 0 ? headings[index].name : fragment.substring(headerAt).split('\n')[0].replace(/^## /, '').trim();
+            prevSection = index > 0 ? headings[index - 1].name : null;
+            nextSection = index >= 0 && index + 1 < headings.length ? headings[index + 1].name : null;
+        } else {
+            const containing = sectionAt(body, offset);
+            if (containing) {
+                section = containing.name;
+                sectionOffset = offset - containing.start;
+            }
+        }
+
+        // v7.7: Fragment rahasia tidak boleh plaintext di .tombstones/
+        const sealed = meta.encrypt === true || isEncryptedSection(section || '', meta.title || '');
+        const seal = (text) => (sealed && text ? encryptText(text) : text);
+
+        const entry = {
+            op: 'forget',
+            tombstone: `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`,
+            ts: new Date().toISOString(),
+            kind,
+            fragment: seal(fragment),
+            section,
+            prev_section: prevSection,
+            next_section: nextSection,
+            offset,
+            section_offset: sectionOffset,
+            before: seal(body.substring(Math.max(0, offset - ANCHOR_CHARS), offset)),
+            after: seal(body.substring(offset + fragment.length, offset + fragment.length + ANCHOR_CHARS)),
+            version,
+            reason
+        };
+        if (sealed) entry.sealed = true;
+        appendEvent(id, entry);
+        return entry;
+    } catch (err) {
+        logger.warn('Tombstone: record failed (non-fatal)', { id, error: err.message });
+        return null;
+    }
+}
+
+/**
+ * List tombstones of a runbook (newest first), dengan status undone.
+ * Tombstone sealed di-decrypt transparan (blob tetap blob jika key tidak tersedia).
+ * @param {string} id - Runbook filename
+ * @returns {Array<object>}
+ */
+export function listTombstones(id) {
+    const events = readEvents(id);
+    const undone = new Map(events.filter(e => e.op === 'undo').map(e => [e.tombstone, e.ts]));
+    return events
+        .filter(e => e.op === 'forget')
+        .map(e => {
+            const entry = { ...e, undone_at: undone.get(e.tombstone) || null };
+            if (e.sealed) {
+                for (const field of ['fragment', 'before', 'after']) entry[field] = decryptText(e[field] || '');
+            }
+            return entry;
+        })
+        .reverse();
+}
+
+/**
+ * Cari posisi sisip di scope [start, end) berdasarkan anchor before/after.
+ * Urutan: before+after bersebelahan → before saja → after saja (exact, lalu whitespace-trimmed)
+ * @returns {number|null} Absolute offset
+ */
+function locateByAnchors(body, start, end, before, after) {
+    const scope = body.substring(start, end);
+    const uniqueIndex = (needle) => {
+        if (!needle) return -1;
+        const first = scope.indexOf(needle);
+        if (first === -1 || scope.indexOf(needle, first + 1) !== -1) return -1;
+        return first;
+    };
+
+    for (const [b, a] of [[before, after], [before.trimEnd(), after.trimStart()]]) {
+        if (b && a) {
+            const idx = uniqueIndex(b + a);
+            if (idx !== -1) return start + idx + b.length;
+        }
+    }
+    for (const b of [before, before.trimEnd()]) {
+        const idx = uniqueIndex(b);
+        if (idx !== -1 && b.length >= 8) return start + idx + b.length;
+    }
+    for (const a of [after, after.trimStart()]) {
+        const idx = uniqueIndex(a);
+        if (idx !== -1 && a.length >= 8) return start + idx;
+    }
+    return null;
+}
+
+/**
+ * Sisipkan kembali fragment tombstone ke body saat ini
+ * @param {string} body - Current runbook body
+ * @param {object} tombstone - Entry dari listTombstones
+ * @returns {{ ok: boolean, body?: string, strategy?: string, error?: string }}
+ */
+export function applyUndo(body, tombstone) {
+    const { kind, fragment, section } = tombstone;
+
+    if (kind === 'section') {
+        if (section && findSectionRange(body, section)) {
+            return { ok: false, error: `Section "${section}" sudah ada lagi di runbook — undo dibatalkan agar tidak dobel. Gabungkan manual via memory_upsert.` };
+        }
+        const block = fragment.trimEnd() + '\n\n';
+        const next = tombstone.next_section ? findSectionRange(body, tombstone.next_section) : null;
+        if (next) {
+            // Sebelum marker entry section berikutnya, bukan di antara marker dan heading-nya
+            const at = findSectionBlockStart(body, next.start);
+            return { ok: true, body: body.substring(0, at) + block + body.substring(at), strategy: 'before_next_section' };
+        }
+        const prev = tombstone.prev_section ? findSectionRange(body, tombstone.prev_section) : null;
+        if (prev) {
+            const head = body.substring(0, prev.end).trimEnd() + '\n\n';
+            return { ok: true, body: head + block + body.substring(prev.end), strategy: 'after_prev_section' };
+        }
+        return { ok: true, body: body.trimEnd() + '\n\n' + block, strategy: 'append' };
+    }
+
+    // kind === 'text': cari di section asal dulu, fallback seluruh body
+    const range = section ? findSectionRange(body, section) : null;
+    const scopes = range ? [[range.start, range.end, 'section'], [0, body.length, 'body']] : [[0, body.length, 'body']];
+    for (const [start, end, label] of scopes) {
+        const position = locateByAnchors(body, start, end, tombstone.before || '', tombstone.after || '');
+        if (position !== null) {
+            return { ok: true, body: body.substring(0, position) + fragment + body.substring(position), strategy: `anchor_${label}` };
+        }
+    }
+
+    // Anchor hilang — pakai offset relatif section (clamped), atau offset absolut
+    if (range && tombstone.section_offset !== null) {
+        const sectionEnd = findSectionEnd(body, range.start);
+        const position = Math.min(range.start + tombstone.section_offset, sectionEnd);
+        return { ok: true, body: body.substring(0, position) + fragment + body.substring(position), strategy: 'section_offset' };
+    }
+    if (section && !range) {
+        return { ok: true, body: body.trimEnd() + `\n\n## ${section}\n${fragment.trim()}\n`, strategy: 'recreate_section' };
+    }
+    const position = Math.min(tombstone.offset, body.length);
+    return { ok: true, body: body.substring(0, position) + fragment + body.substring(position), strategy: 'offset' };
+}
+
+/**
+ * Seal tombstone plaintext lama sesuai policy encryption saat ini (dipakai memory_encrypt)
+ * @param {string} id - Runbook filename
+ * @param {object} meta - Frontmatter runbook
+ * @returns {number} Jumlah tombstone yang di-seal
+ */
+export function sealTombstones(id, meta = {}) {
+    const events = readEvents(id);
+    let sealedCount = 0;
+    for (const event of events) {
+        if (event.op !== 'forget' || event.sealed) continue;
+        if (meta.encrypt !== true && !isEncryptedSection(event.section || '', meta.title || '')) continue;
+        for (const field of ['fragment', 'before', 'after']) {
+            if (event[field]) event[field] = encryptText(event[field]);
+        }
+        event.sealed = true;
+        sealedCount++;
+    }
+    if (sealedCount > 0) {
+        writeFileSync(tombstonePath(id), events.map(e => JSON.stringify(e)).join('\n') + '\n', 'utf8');
+    }
+    return sealedCount;
+}
+
+/**
+ * Tandai tombstone sudah di-undo (append event, tombstone tetap tersimpan)
+ */
+export function markUndone(id, tombstoneId, reason = null) {
+    appendEvent(id, { op: 'undo', tombstone: tombstoneId, ts: new Date().toISOString(), reason });
+}
+
+export default { recordTombstone, listTombstones, applyUndo, markUndone, sealTombstones, TOMBSTONES_DIRNAME };
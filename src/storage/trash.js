@@ -0,0 +1,199 @@
+/**
+ * Trash Management v1.0 — list/show/restore/purge runbooks in runbooks/.deleted/
+ * Format entry (dari deleteRunbook): .deleted/<ISO-ts dengan : . → ->_<id>
+ * Isi: `<!-- DELETED: <reason> at <ISO-ts> -->` + raw file asli
+ * @module storage/trash
+ */
+import { existsSync, readdirSync, readFileSync, statSync, unlinkSync, writeFileSync } from 'fs';
+import { join, basename } from 'path';
+import { getRunbooksDir, parseFrontmatter, buildFrontmatter, atomicWriteFileSync, filenameToTitle } from './files.js';
+import logger from '../utils/logger.js';
+
+export const TRASH_DIRNAME = '.deleted';
+
+const ENTRY_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)_(.+)$/;
+const HEADER_PATTERN = /^<!-- DELETED: ([\s\S]*?) at (\S+) -->\n/;
+
+function getTrashDir() {
+    return join(getRunbooksDir(), TRASH_DIRNAME);
+}
+
+/**
+ * Parse trash entry name + header into metadata
+ */
+function describeEntry(entry) {
+    const filepath = join(getTrashDir(), entry);
+    const match = entry.match(ENTRY_PATTERN);
+    const stat = statSync(filepath);
+
+    let reason = null;
+    let deletedAt = null;
+    let title = null;
+    try {
+        const raw = readFileSync(filepath, 'utf8');
+        const header = raw.match(HEADER_PATTERN);
+        if (header) {
+            reason = header[1];
+            deletedAt = header[2];
+        }
+        const { meta } = parseFrontmatter(header ? raw.substring(header[0].length) : raw);
+        title = meta.title || null;
+    } catch {}
+
+    const originalId = match ? match[2] : entry;
+    return {
+        entry,
+        original_id: originalId,
+        title: title || filenameToTitle(originalId),
+        reason,
+        deleted_at: deletedAt || (match ? match[1].replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z') : stat.mtime.toISOString()),
+        size: stat.size
+    };
+}
+
+/**
+ * List trash entries (newest first)
+ * @param {object} options - { query: filter by id/title substring }
+ * @returns {Array<{entry, original_id, title, reason, deleted_at, size}>}
+ */
+export function listTrash(options = {}) {
+    const trashDir = getTrashDir();
+    if (!existsSync(trashDir)) return [];
+    const query = (options.query || '').toLowerCase();
+
+    const entries = [];
+    for (const entry of readdirSync(trashDir)) {
+        try {
+            const info = describeEntry(entry);
+            if (query && !info.original_id.toLowerCase().includes(query) && !info.title.toLowerCase().includes(query)) continue;
+            entries.push(info);
+        } catch {}
+    }
+    entries.sort((a, b) => (b.deleted_at || '').localeCompare(a.deleted_at || ''));
+    return entries;
+}
+
+/**
+ * Resolve entry name: exact trash entry, atau original id (ambil yang paling baru)
+ */
+export function resolveTrashEntry(entryOrId) {
+    if (!entryOrId) return null;
+    const trashDir = getTrashDir();
+    if (existsSync(join(trashDir, entryOrId)) && ENTRY_PATTERN.test(entryOrId)) return entryOrId;
+    const id = entryOrId.endsWith('.md') ? entryOrId : entryOrId + '.md';
+    const latest = listTrash().find(e => e.original_id === id);
+    return latest ? latest.entry : null;
+}
+
+/**
+ * Read trash entry content (tanpa DELETED header)
+ */
+export function readTrashEntry(entry) {
+    const filepath = join(getTrashDir(), entry);
+    if (!existsSync(filepath)) return null;
+    const raw = readFileSync(filepath, 'utf8');
+    const header = raw.match(HEADER_PATTERN);
+    return { info: describeEntry(entry), content: header ? raw.substring(header[0].length) : raw };
+}
+
+/**
+ * Pick a free filename for restore (collision → _restored_N suffix)
+ */
+function resolveRestoreId(originalId, restoreAs) {
+    const runbooksDir = getRunbooksDir();
+    if (restoreAs) {
+        const id = restoreAs.endsWith('.md') ? restoreAs : restoreAs + '.md';
+        return { id: basename(id), collision: existsSync(join(runbooksDir, basename(id))) };
+    }
+    if (!existsSync(join(runbooksDir, originalId))) return { id: originalId, collision: false };
+
+    const base = originalId.replace(/\.md$/, '');
+    for (let n = 1; n < 1000; n++) {
+        const candidate = `${base}_restored_${n}.md`;
+        if (!existsSync(join(runbooksDir, candidate))) return { id: candidate, collision: false, renamed: true };
+    }
+    return { id: null, collision: true };
+}
+
+/**
+ * Restore trash entry back into runbooks dir
+ * Collision: file dengan id sama sudah ada → disimpan sebagai <id>_restored_N.md
+ * dan title diberi suffix agar title match tidak ambigu.
+ * @param {string} entry - Trash entry name
+ * @param {object} options - { restoreAs }
+ * @returns {{ ok: boolean, id?: string, renamed?: boolean, error?: string }}
+ */
+export function restoreTrashEntry(entry, options = {}) {
+    const data = readTrashEntry(entry);
+    if (!data) return { ok: false, error: `Trash entry not found: ${entry}` };
+
+    const target = resolveRestoreId(data.info.original_id, options.restoreAs);
+    if (!target.id || target.collision) {
+        return { ok: false, error: `Runbook ${target.id || data.info.original_id} sudah ada — pilih restore_as lain.` };
+    }
+
+    const { meta, body } = parseFrontmatter(data.content);
+    if (target.renamed) {
+        meta.title = `${meta.title || filenameToTitle(data.info.original_id)} (restored ${new Date().toISOString().split('T')[0]})`;
+    }
+    meta.updated = new Date().toISOString();
+    meta.version = (meta.version || 1) + 1;
+    meta.last_edit = `Restored from trash (${entry})`;
+
+    const filepath = join(getRunbooksDir(), target.id);
+    atomicWriteFileSync(filepath, buildFrontmatter(meta) + body.trim() + '\n', 'utf8', { historyNote: `restore from trash: ${entry}` });
+    unlinkSync(join(getTrashDir(), entry));
+
+    logger.info('TRASH RESTORED', { entry, id: target.id, renamed: !!target.renamed });
+    return { ok: true, id: target.id, renamed: !!target.renamed, title: meta.title, version: meta.version };
+}
+
+/**
+ * Purge trash entries older than retention (or one specific entry)
+ * @param {object} options - { olderThanDays, entry, dryRun }
+ * @returns {{ purged: Array, kept: number, freed_bytes: number }}
+ */
+export function purgeTrash(options = {}) {
+    const { olderThanDays = 30, entry = null, dryRun = true } = options;
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+
+    const all = listTrash();
+    const candidates = all.filter(e => entry
+        ? e.entry === entry
+        : new Date(e.deleted_at).getTime() < cutoff);
+
+    let freed = 0;
+    const purged = [];
+    for (const e of candidates) {
+        if (!dryRun) {
+            try { unlinkSync(join(getTrashDir(), e.entry)); } catch { continue; }
+        }
+        freed += e.size;
+        purged.push({ entry: e.entry, original_id: e.original_id, deleted_at: e.deleted_at });
+    }
+
+    if (!dryRun && purged.length > 0) {
+        logger.info('TRASH PURGED', { count: purged.length, freed_bytes: freed, older_than_days: entry ? null : olderThanDays });
+    }
+    return { purged, kept: all.length - purged.length, freed_bytes: freed };
+}
+
+/**
+ * Rewrite isi runbook di entry trash (header DELETED dipertahankan) — dipakai memory_encrypt
+ * @param {string} entry - Trash entry name
+ * @param {function} transform - (fileContent) => fileContent baru
+ * @returns {boolean} changed
+ */
+export function rewriteTrashEntry(entry, transform) {
+    const filepath = join(getTrashDir(), basename(entry));
+    if (!existsSync(filepath)) return false;
+    const raw = readFileSync(filepath, 'utf8');
+    const header = raw.match(HEADER_PATTERN);
+    const content = header ? raw.substring(header[0].length) : raw;
+    const next = transform(content);
+    if (next === content) return false;
+    writeFileSync(filepath, (header ? header[0] : '') + next, 'utf8');
+    return true;
+}
+
+export default { listTrash, resolveTrashEntry, readTrashEntry, restoreTrashEntry, purgeTrash, rewriteTrashEntry, TRASH_DIRNAME };
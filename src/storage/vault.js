@@ -0,0 +1,75 @@
+/**
+ * Vault Context v1.0 — project_id → isolated vault (runbooks + index + archives)
+ * Vault aktif dibawa via AsyncLocalStorage, jadi storage layer tidak perlu
+ * parameter project_id di setiap fungsi. Di luar context = DEFAULT_PROJECT.
+ *
+ * Layout:
+ * - DEFAULT_PROJECT → storage root (backward compatible, runbook lama tetap di sini)
+ * - storage.projects[id] di mcp.config.json → root custom
+ * - lainnya → <root>/vaults/<id>
+ * @module storage/vault
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import { existsSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import config from '../utils/config.js';
+
+export const VAULTS_SUBDIR = 'vaults';
+
+const vaultContext = new AsyncLocalStorage();
+
+/**
+ * Normalize project_id into a safe vault id (no path traversal)
+ * @param {string} projectId
+ * @returns {string} Vault id (DEFAULT_PROJECT if empty)
+ */
+export function normalizeVaultId(projectId) {
+    const raw = typeof projectId === 'string' ? projectId.trim() : '';
+    if (!raw) return config.defaultProject;
+    const safe = raw.replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^[.-]+|[.-]+$/g, '');
+    return safe || config.defaultProject;
+}
+
+/**
+ * Vault aktif untuk call saat ini
+ */
+export function getCurrentVault() {
+    return vaultContext.getStore() || config.defaultProject;
+}
+
+/**
+ * Jalankan fn di dalam vault context (sync atau async)
+ * @param {string} projectId - project_id dari tool params
+ * @param {Function} fn
+ */
+export function runInVault(projectId, fn) {
+    return vaultContext.run(normalizeVaultId(projectId), fn);
+}
+
+/**
+ * List known vaults: default + configured projects + existing <root>/vaults/* dirs
+ * @returns {string[]}
+ */
+export function listVaults() {
+    const vaults = new Set([config.defaultProject, ...Object.keys(config.storage.projects)]);
+    const vaultsDir = join(config.storage.root, VAULTS_SUBDIR);
+    try {
+        if (existsSync(vaultsDir)) {
+            for (const entry of readdirSync(vaultsDir)) {
+                try {
+                    if (statSync(join(vaultsDir, entry)).isDirectory()) vaults.add(entry);
+                } catch {}
+            }
+        }
+    } catch {}
+    return [...vaults];
+}
+
+/**
+ * Check apakah vault sudah ada (configured atau directory exists)
+ */
+export function vaultExists(projectId) {
+    return listVaults().includes(normalizeVaultId(projectId));
+}
+
+export default { normalizeVaultId, getCurrentVault, runInVault, listVaults, vaultExists, VAULTS_SUBDIR };
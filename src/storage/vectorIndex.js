@@ -4,93 +4,185 @@
  * Stored in search_index.db alongside FTS5 tables
  *
  * ADDITIVE LAYER: Does NOT replace FTS5 — runs in parallel, merged via RRF
+ * v7.7: db handle per vault via searchIndex.getDb()
+ * v7.7: Chunk-level — 1 embedding per entry/section (runbook_chunks, lengkap dengan offset body),
+ *       bukan 1 embedding per file dari prefix body. runbook_embeddings = manifest per file (content_hash).
+ * v7.7: Query lewat ANN index (storage/annIndex.js, IVF) — bukan full scan JS per query.
+ * v7.7: Model dari registry provider (utils/embeddingProviders.js, per vault). Key provider disimpan di kolom
+ *       `model`/`dim` — ganti model/provider → rebuild re-embed di background (progress via getEmbeddingStatus),
+ *       query hanya memakai chunk model aktif selama migrasi.
  * @module storage/vectorIndex
  */
-import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { existsSync, readFileSync, statSync } from 'fs';
 import { join } from 'path';
 import { createHash } from 'crypto';
-import { RUNBOOKS_DIR, parseFrontmatter, filenameToTitle } from './files.js';
+import { getRunbooksDir, listRunbookFiles, parseFrontmatter, filenameToTitle, isMajorSection } from './files.js';
 import logger from '../utils/logger.js';
-
-let db = null;
-let vectorReady = false;
-let embeddingPipeline = null;
-let pipelineLoading = null;
-
-const MODEL_NAME = 'Xenova/all-MiniLM-L6-v2';
-const EMBEDDING_DIM = 384;
+import { getDb } from './searchIndex.js';
+import { stripEntryMarkers, parseEntries, entryAt } from './entries.js';
+import { getCurrentVault } from './vault.js';
+import { initAnnIndex, assignAnnEntry, maybeRetrainAnn, searchAnn, getAnnStats } from './annIndex.js';
+import { getEmbeddingProvider, resolveEmbeddingSpec, normalizeModelKey } from '../utils/embeddingProviders.js';
+
+// v7.7: vault ids yang sudah punya embeddings (model aktif)
+const readyVaults = new Set();
+// v7.7: rebuild yang sedang jalan + progress terakhir, per vault
+const activeRebuilds = new Map();
+const rebuildProgress = new Map();
+
+// Index sebelum registry: model tanpa prefix provider
+const LEGACY_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// Chunking: MiniLM max 256 token (~1000 char) — chunk lebih panjang dipotong di batas baris
+const CHUNK_CHARS = 800;
+const MIN_CHUNK_CHARS = 120;
+const MAX_CHUNKS_PER_FILE = 1000;
+const EMBED_CHARS = 1000;
+// Naikkan jika algoritma chunking berubah → content_hash lama tidak cocok → re-embed
+const CHUNKER_VERSION = 'chunks-v1';
 
 /**
- * Lazy-load the embedding pipeline (3-5s first call, cached after)
+ * Provider embedding untuk vault aktif
  */
-async function getEmbeddingPipeline() {
-    if (embeddingPipeline) return embeddingPipeline;
-    if (pipelineLoading) return pipelineLoading;
-
-    pipelineLoading = (async () => {
-        try {
-            const { pipeline } = await import('@xenova/transformers');
-            embeddingPipeline = await pipeline('feature-extraction', MODEL_NAME, { quantized: true });
-            logger.info('Vector embedding model loaded', { model: MODEL_NAME, dim: EMBEDDING_DIM });
-            return embeddingPipeline;
-        } catch (err) {
-            logger.warn('Vector embedding model failed to load (non-fatal)', { error: err.message });
-            return null;
-        }
-    })();
+function currentProvider() {
+    return getEmbeddingProvider(resolveEmbeddingSpec(getCurrentVault()));
+}
 
-    return pipelineLoading;
+/**
+ * Key model aktif ("<provider>:<model>") — filter chunk untuk ANN/benchmark
+ */
+export function currentEmbeddingModel() {
+    return currentProvider().key;
 }
 
 /**
  * Generate embedding for text
- * @param {string} text - Input text (truncated to ~400 chars internally)
+ * @param {object} provider - Hasil currentProvider()
+ * @param {string} text - Input text (truncated to EMBED_CHARS internally)
  * @returns {Promise<Float32Array|null>}
  */
-async function embed(text) {
-    const pipe = await getEmbeddingPipeline();
-    if (!pipe) return null;
+async function embed(provider, text) {
+    return provider.embed(text.substring(0, EMBED_CHARS));
+}
 
-    try {
-        const truncated = text.substring(0, 500);
-        const output = await pipe(truncated, { pooling: 'mean', normalize: true });
-        return output.data;
-    } catch (err) {
-        logger.warn('Embedding generation failed', { error: err.message });
-        return null;
-    }
+/**
+ * Content hash for change detection
+ */
+function contentHash(text) {
+    return createHash('md5').update(`${CHUNKER_VERSION}\n${text}`).digest('hex');
 }
 
 /**
- * Cosine similarity between two vectors
+ * Potong body runbook jadi chunk per entry/section
+ * Batas = marker entry + heading ## major; segmen > CHUNK_CHARS dipecah di batas baris,
+ * segmen kecil (< MIN_CHUNK_CHARS) digabung dengan tetangga di section yang sama.
+ * @param {string} body
+ * @returns {Array<{ start: number, end: number, section: string|null, entry_id: string|null, text: string }>}
+ *   start/end = offset di body (sama dengan offset memory_get), text = tanpa marker
  */
-function cosineSimilarity(a, b) {
-    if (!a || !b || a.length !== b.length) return 0;
-    let dot = 0, normA = 0, normB = 0;
-    for (let i = 0; i < a.length; i++) {
-        dot += a[i] * b[i];
-        normA += a[i] * a[i];
-        normB += b[i] * b[i];
+export function chunkRunbook(body) {
+    const text = body || '';
+    const entries = parseEntries(text);
+    const headings = [];
+    const headingRegex = /^## .*$/gm;
+    let match;
+    while ((match = headingRegex.exec(text)) !== null) {
+        if (isMajorSection(match[0])) headings.push({ offset: match.index, name: match[0].replace(/^## /, '').trim() });
     }
-    const denom = Math.sqrt(normA) * Math.sqrt(normB);
-    return denom === 0 ? 0 : dot / denom;
+
+    const cuts = [...new Set([0, ...entries.map(e => e.marker_start), ...headings.map(h => h.offset)])]
+        .filter(c => c < text.length)
+        .sort((a, b) => a - b);
+
+    const pieces = [];
+    for (let i = 0; i < cuts.length; i++) {
+        const segEnd = i + 1 < cuts.length ? cuts[i + 1] : text.length;
+        const entry = entryAt(entries, cuts[i]);
+        // Section: heading terakhir yang mulai di/sebelum segmen (heading selalu jadi batas segmen sendiri)
+        const heading = [...headings].reverse().find(h => h.offset <= cuts[i]);
+        let start = cuts[i];
+        while (start < segEnd) {
+            let end = segEnd;
+            if (end - start > CHUNK_CHARS) {
+                const lineBreak = text.lastIndexOf('\n', start + CHUNK_CHARS);
+                end = lineBreak > start + CHUNK_CHARS / 2 ? lineBreak + 1 : start + CHUNK_CHARS;
+            }
+            pieces.push({ start, end, section: heading ? heading.name : null, entry_id: entry ? entry.id : null });
+            start = end;
+        }
+    }
+
+    const chunks = [];
+    for (const piece of pieces) {
+        const pieceText = stripEntryMarkers(text.substring(piece.start, piece.end)).trim();
+        if (!pieceText) continue;
+        const prev = chunks[chunks.length - 1];
+        if (prev && prev.section === piece.section
+            && (prev.text.length < MIN_CHUNK_CHARS || pieceText.length < MIN_CHUNK_CHARS)
+            && prev.text.length + pieceText.length < CHUNK_CHARS) {
+            prev.end = piece.end;
+            prev.text = `${prev.text}\n${pieceText}`;
+            prev.entry_id = prev.entry_id || piece.entry_id;
+            continue;
+        }
+        chunks.push({ ...piece, text: pieceText });
+    }
+    return chunks;
 }
 
 /**
- * Content hash for change detection
+ * Prepare text for embedding: title + section memberi konteks ke chunk
  */
-function contentHash(text) {
-    return createHash('md5').update(text).digest('hex');
+function prepareChunkText(meta, chunk) {
+    const title = meta.title || '';
+    return `${title}${chunk.section ? ` — ${chunk.section}` : ''}\n${chunk.text}`.trim();
 }
 
 /**
- * Prepare text for embedding: title + tags + body prefix
+ * Apakah baris manifest masih valid untuk content + provider aktif
  */
-function prepareEmbeddingText(meta, body) {
-    const title = meta.title || '';
-    const tags = Array.isArray(meta.tags) ? meta.tags.join(' ') : '';
-    const bodyPrefix = (body || '').substring(0, 450);
-    return `${title} ${tags} ${bodyPrefix}`.trim();
+function isCurrent(row, hash, provider) {
+    if (!row || row.content_hash !== hash) return false;
+    if (normalizeModelKey(row.model) !== provider.key) return false;
+    return !provider.dim || row.dim === provider.dim;
+}
+
+/**
+ * Embed semua chunk 1 runbook lalu ganti baris lamanya
+ * @returns {Promise<number|null>} Jumlah chunk (null jika model tidak tersedia)
+ */
+async function embedRunbook(db, provider, filename, raw, hash, { assignLists = true } = {}) {
+    const { meta, body } = parseFrontmatter(raw, { redact: true });
+    if (!meta.title) meta.title = filenameToTitle(filename);
+    let chunks = chunkRunbook(body);
+    if (chunks.length > MAX_CHUNKS_PER_FILE) {
+        logger.warn('Vector chunks truncated', { filename, chunks: chunks.length, max: MAX_CHUNKS_PER_FILE });
+        chunks = chunks.slice(0, MAX_CHUNKS_PER_FILE);
+    }
+
+    const vectors = [];
+    let dim = provider.dim;
+    for (const chunk of chunks) {
+        const vector = await embed(provider, prepareChunkText(meta, chunk));
+        if (!vector) return null;
+        dim = vector.length;
+        vectors.push(Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength));
+    }
+
+    const insertChunk = db.prepare(`
+        INSERT INTO runbook_chunks (id, chunk, start_offset, end_offset, section, entry_id, text, embedding, model)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    db.transaction(() => {
+        db.prepare('DELETE FROM runbook_chunks WHERE id = ?').run(filename);
+        chunks.forEach((c, i) => insertChunk.run(filename, i, c.start, c.end, c.section, c.entry_id, c.text, vectors[i], provider.key));
+        db.prepare(`
+            INSERT OR REPLACE INTO runbook_embeddings (id, embedding, content_hash, embedded_at, model, dim, chunks)
+            VALUES (?, NULL, ?, ?, ?, ?, ?)
+        `).run(filename, hash, new Date().toISOString(), provider.key, dim, chunks.length);
+    })();
+    if (assignLists) assignAnnEntry(db, filename, { model: provider.key });
+    return chunks.length;
 }
 
 /**
@@ -98,7 +190,7 @@ function prepareEmbeddingText(meta, body) {
  * @param {object} database - better-sqlite3 db instance from searchIndex
  */
 export function initVectorIndex(database) {
-    db = database;
+    const db = database;
     if (!db) return false;
 
     try {
@@ -108,10 +200,33 @@ export function initVectorIndex(database) {
                 embedding BLOB,
                 content_hash TEXT,
                 embedded_at TEXT,
-                model TEXT DEFAULT '${MODEL_NAME}',
-                dim INTEGER DEFAULT ${EMBEDDING_DIM}
+                model TEXT,
+                dim INTEGER
+            )
+        `);
+        // v7.7: kolom embedding per file tidak diisi lagi — vector ada di runbook_chunks
+        try { db.exec('ALTER TABLE runbook_embeddings ADD COLUMN chunks INTEGER DEFAULT 0'); } catch {}
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS runbook_chunks (
+                id TEXT,
+                chunk INTEGER,
+                start_offset INTEGER,
+                end_offset INTEGER,
+                section TEXT,
+                entry_id TEXT,
+                text TEXT,
+                embedding BLOB,
+                PRIMARY KEY (id, chunk)
             )
         `);
+        // v7.7: key provider per chunk — chunk model lama tidak ikut query selama re-embed
+        try { db.exec('ALTER TABLE runbook_chunks ADD COLUMN model TEXT'); } catch {}
+        db.prepare('UPDATE runbook_embeddings SET model = ? WHERE model = ? OR model IS NULL').run(normalizeModelKey(LEGACY_MODEL), LEGACY_MODEL);
+        db.exec(`
+            UPDATE runbook_chunks SET model = (SELECT e.model FROM runbook_embeddings e WHERE e.id = runbook_chunks.id)
+            WHERE model IS NULL
+        `);
+        initAnnIndex(db);
         logger.info('Vector index tables initialized');
         return true;
     } catch (err) {
@@ -122,26 +237,54 @@ export function initVectorIndex(database) {
 
 /**
  * Rebuild vector index for ALL .md files (background, async)
- * Skips files whose content_hash hasn't changed
+ * Skips files whose content_hash + model/dim haven't changed. 1 rebuild per vault sekaligus —
+ * call saat rebuild jalan menunggu rebuild itu.
+ * @param {object} options - { force (re-embed semua file), reason (label progress: 'startup', 'manual', ...) }
  */
-export async function rebuildVectorIndex() {
+export function rebuildVectorIndex(options = {}) {
+    const vault = getCurrentVault();
+    if (activeRebuilds.has(vault)) return activeRebuilds.get(vault);
+    const run = runRebuild(options).finally(() => activeRebuilds.delete(vault));
+    activeRebuilds.set(vault, run);
+    return run;
+}
+
+async function runRebuild({ force = false, reason = 'rebuild' } = {}) {
+    const db = getDb();
     if (!db) return { indexed: 0, skipped: 0 };
+    const provider = currentProvider();
+    const vault = getCurrentVault();
 
-    const files = readdirSync(RUNBOOKS_DIR).filter(f => f.endsWith('.md'));
+    const files = listRunbookFiles();
     const existing = new Map();
 
     try {
-        const rows = db.prepare('SELECT id, content_hash FROM runbook_embeddings').all();
-        for (const row of rows) existing.set(row.id, row.content_hash);
+        const rows = db.prepare('SELECT id, content_hash, model, dim FROM runbook_embeddings').all();
+        for (const row of rows) existing.set(row.id, row);
     } catch {}
 
-    let indexed = 0, skipped = 0, failed = 0;
-    const now = new Date().toISOString();
+    const stale = [...existing.values()].filter(row => normalizeModelKey(row.model) !== provider.key);
+    if (stale.length > 0) {
+        logger.warn('Embedding model changed — re-embedding in background', {
+            vault, provider: provider.key, stale: stale.length, previous: [...new Set(stale.map(r => r.model))]
+        });
+    }
 
-    const upsertStmt = db.prepare(`
-        INSERT OR REPLACE INTO runbook_embeddings (id, embedding, content_hash, embedded_at, model, dim)
-        VALUES (?, ?, ?, ?, ?, ?)
-    `);
+    const progress = {
+        status: 'running',
+        reason: stale.length > 0 && !force ? 'model_changed' : reason,
+        provider: provider.key,
+        total: files.length,
+        done: 0,
+        skipped: 0,
+        failed: 0,
+        started_at: new Date().toISOString(),
+        finished_at: null
+    };
+    rebuildProgress.set(vault, progress);
+
+    let indexed = 0, skipped = 0, failed = 0, chunks = 0;
+    const changed = [];
 
     // Process in batches of 10 to avoid blocking
     for (let i = 0; i < files.length; i += 10) {
@@ -149,24 +292,22 @@ export async function rebuildVectorIndex() {
 
         for (const file of batch) {
             try {
-                const filepath = join(RUNBOOKS_DIR, file);
+                const filepath = join(getRunbooksDir(), file);
                 const raw = readFileSync(filepath, 'utf8');
                 const hash = contentHash(raw);
 
                 // Skip if unchanged
-                if (existing.get(file) === hash) {
+                if (!force && isCurrent(existing.get(file), hash, provider)) {
                     skipped++;
                     continue;
                 }
 
-                const { meta, body } = parseFrontmatter(raw);
-                const text = prepareEmbeddingText(meta, body);
-                const vector = await embed(text);
-
-                if (vector) {
-                    const buffer = Buffer.from(vector.buffer || new Float32Array(vector).buffer);
-                    upsertStmt.run(file, buffer, hash, now, MODEL_NAME, EMBEDDING_DIM);
+                // Rebuild: list_id di-assign sekali di akhir (train/retrain), bukan per file
+                const count = await embedRunbook(db, provider, file, raw, hash, { assignLists: false });
+                if (count !== null) {
                     indexed++;
+                    chunks += count;
+                    changed.push(file);
                 } else {
                     failed++;
                 }
@@ -175,6 +316,7 @@ export async function rebuildVectorIndex() {
                 logger.warn('Vector index entry failed', { file, error: err.message });
             }
         }
+        Object.assign(progress, { done: Math.min(i + batch.length, files.length), skipped, failed });
 
         // Yield to event loop between batches
         await new Promise(resolve => setTimeout(resolve, 1));
@@ -183,50 +325,54 @@ export async function rebuildVectorIndex() {
     // Remove entries for deleted files
     const currentFiles = new Set(files);
     let deleted = 0;
-    const deleteStmt = db.prepare('DELETE FROM runbook_embeddings WHERE id = ?');
     for (const [id] of existing) {
         if (!currentFiles.has(id)) {
-            deleteStmt.run(id);
+            removeVectorEntry(id);
             deleted++;
         }
     }
 
-    vectorReady = indexed > 0 || skipped > 0;
-    logger.info('Vector index rebuilt', { indexed, skipped, failed, deleted, total: files.length });
-    return { indexed, skipped, failed, deleted };
+    const model = provider.key;
+    if (changed.length > 0 || deleted > 0) {
+        // Train/retrain jika perlu; jika tidak, chunk baru di-assign ke centroid yang ada
+        if (!maybeRetrainAnn(db, { model })) for (const file of changed) assignAnnEntry(db, file, { model });
+    }
+
+    if (countCurrent(db, model) > 0) readyVaults.add(vault);
+    else readyVaults.delete(vault);
+    Object.assign(progress, { status: failed > 0 && indexed === 0 && skipped === 0 ? 'failed' : 'done', finished_at: new Date().toISOString() });
+    logger.info('Vector index rebuilt', { provider: model, indexed, skipped, failed, deleted, chunks, total: files.length });
+    return { provider: model, indexed, skipped, failed, deleted, chunks };
+}
+
+function countCurrent(db, model) {
+    return db.prepare('SELECT COUNT(*) AS cnt FROM runbook_embeddings WHERE model = ?').get(model).cnt;
 }
 
 /**
  * Update single vector entry (called after upsert)
  */
 export async function updateVectorEntry(filename) {
+    const db = getDb();
     if (!db) return;
 
     try {
-        const filepath = join(RUNBOOKS_DIR, filename);
+        const filepath = join(getRunbooksDir(), filename);
         if (!existsSync(filepath)) {
-            db.prepare('DELETE FROM runbook_embeddings WHERE id = ?').run(filename);
+            removeVectorEntry(filename);
             return;
         }
 
         const raw = readFileSync(filepath, 'utf8');
         const hash = contentHash(raw);
+        const provider = currentProvider();
 
         // Skip if unchanged
-        const existing = db.prepare('SELECT content_hash FROM runbook_embeddings WHERE id = ?').get(filename);
-        if (existing && existing.content_hash === hash) return;
-
-        const { meta, body } = parseFrontmatter(raw);
-        const text = prepareEmbeddingText(meta, body);
-        const vector = await embed(text);
-
-        if (vector) {
-            const buffer = Buffer.from(vector.buffer || new Float32Array(vector).buffer);
-            db.prepare(`
-                INSERT OR REPLACE INTO runbook_embeddings (id, embedding, content_hash, embedded_at, model, dim)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `).run(filename, buffer, hash, new Date().toISOString(), MODEL_NAME, EMBEDDING_DIM);
-        }
+        const existing = db.prepare('SELECT content_hash, model, dim FROM runbook_embeddings WHERE id = ?').get(filename);
+        if (isCurrent(existing, hash, provider)) return;
+
+        const count = await embedRunbook(db, provider, filename, raw, hash);
+        if (count !== null) readyVaults.add(getCurrentVault());
     } catch (err) {
         logger.warn('Vector entry update failed (non-fatal)', { filename, error: err.message });
     }
@@ -236,40 +382,51 @@ export async function updateVectorEntry(filename) {
  * Remove vector entry
  */
 export function removeVectorEntry(filename) {
+    const db = getDb();
     if (!db) return;
     try {
         db.prepare('DELETE FROM runbook_embeddings WHERE id = ?').run(filename);
+        db.prepare('DELETE FROM runbook_chunks WHERE id = ?').run(filename);
+        // Chunk terhapus cukup hilang dari list-nya; corpus susut jauh → retrain
+        maybeRetrainAnn(db, { model: currentEmbeddingModel() });
     } catch {}
 }
 
 /**
- * Vector similarity search against all embedded runbooks
+ * Vector similarity search against all embedded chunks — 1 hasil per runbook (chunk terbaik)
  * @param {string} queryText - Search query
  * @param {number} limit - Max results
- * @returns {Promise<Array<{id: string, similarity: number}>>}
+ * @returns {Promise<Array<{id: string, similarity: number,
+ *   chunk: { index: number, offset: number, length: number, section: string|null, entry_id: string|null, text: string }}>>}
  */
 export async function vectorSearchRunbooks(queryText, limit = 20) {
-    if (!db || !vectorReady) return [];
+    const db = getDb();
+    if (!db || !readyVaults.has(getCurrentVault())) return [];
 
     try {
-        const queryVector = await embed(queryText);
+        const provider = currentProvider();
+        const queryVector = await embed(provider, queryText);
         if (!queryVector) return [];
 
-        const rows = db.prepare('SELECT id, embedding FROM runbook_embeddings WHERE embedding IS NOT NULL').all();
-
-        const scored = [];
-        for (const row of rows) {
-            try {
-                const stored = new Float32Array(row.embedding.buffer, row.embedding.byteOffset, row.embedding.length / 4);
-                const sim = cosineSimilarity(queryVector, stored);
-                if (sim > 0.15) { // Min threshold to reduce noise
-                    scored.push({ id: row.id, similarity: sim });
-                }
-            } catch {}
-        }
-
-        scored.sort((a, b) => b.similarity - a.similarity);
-        return scored.slice(0, limit);
+        // v7.7: IVF (atau exact scan untuk corpus kecil), min threshold to reduce noise
+        const scored = searchAnn(db, queryVector, { model: provider.key, limit, minSimilarity: 0.15 });
+        const chunkStmt = db.prepare('SELECT start_offset, end_offset, section, entry_id, text FROM runbook_chunks WHERE id = ? AND chunk = ?');
+        return scored.map(({ id, similarity, chunkIndex }) => {
+            const c = chunkStmt.get(id, chunkIndex);
+            return {
+                id,
+                similarity,
+                chunk: c ? {
+                    index: chunkIndex,
+                    offset: c.start_offset,
+                    length: c.end_offset - c.start_offset,
+                    section: c.section,
+                    entry_id: c.entry_id,
+                    // Chunk lama (sebelum chunkRunbook strip marker) bisa masih memuat marker
+                    text: stripEntryMarkers(c.text)
+                } : null
+            };
+        });
     } catch (err) {
         logger.warn('Vector search failed (non-fatal)', { error: err.message });
         return [];
@@ -280,21 +437,56 @@ export async function vectorSearchRunbooks(queryText, limit = 20) {
  * Check if vector search is ready
  */
 export function isVectorReady() {
-    return vectorReady && db !== null;
+    return readyVaults.has(getCurrentVault()) && getDb() !== null;
+}
+
+/**
+ * Status embedding vault aktif: provider, model yang ada di index, file yang belum di-embed ulang, progress rebuild
+ * @returns {{ provider: object, index_models: Array<{ model: string, dim: number|null, files: number }>,
+ *   stale_files: number, migration: object|null }}
+ */
+export function getEmbeddingStatus() {
+    const provider = currentProvider();
+    const db = getDb();
+    let indexModels = [];
+    if (db) {
+        try {
+            indexModels = db.prepare('SELECT model, dim, COUNT(*) AS files FROM runbook_embeddings GROUP BY model, dim ORDER BY files DESC').all()
+                .map(row => ({ model: normalizeModelKey(row.model), dim: row.dim, files: row.files }));
+        } catch {}
+    }
+    const progress = rebuildProgress.get(getCurrentVault()) || null;
+    return {
+        provider: provider.info(),
+        index_models: indexModels,
+        stale_files: indexModels.filter(m => m.model !== provider.key || (provider.dim && m.dim !== provider.dim))
+            .reduce((sum, m) => sum + m.files, 0),
+        migration: progress ? { ...progress, running: activeRebuilds.has(getCurrentVault()) } : null
+    };
 }
 
 /**
  * Get vector index stats
  */
 export function getVectorStats() {
+    const db = getDb();
     if (!db) return { ready: false };
     try {
+        const model = currentEmbeddingModel();
         const count = db.prepare('SELECT COUNT(*) as cnt FROM runbook_embeddings').get();
-        return { ready: vectorReady, embedded_count: count.cnt, model: MODEL_NAME, dim: EMBEDDING_DIM };
+        const chunks = db.prepare('SELECT COUNT(*) as cnt FROM runbook_chunks').get();
+        return {
+            ready: readyVaults.has(getCurrentVault()),
+            embedded_count: count.cnt,
+            chunk_count: chunks.cnt,
+            model,
+            embedding: getEmbeddingStatus(),
+            ann: getAnnStats(db, { model })
+        };
     } catch { return { ready: false }; }
 }
 
 export default {
-    initVectorIndex, rebuildVectorIndex, updateVectorEntry, removeVectorEntry,
-    vectorSearchRunbooks, isVectorReady, getVectorStats
+    chunkRunbook, initVectorIndex, rebuildVectorIndex, updateVectorEntry, removeVectorEntry,
+    vectorSearchRunbooks, isVectorReady, getVectorStats, getEmbeddingStatus, currentEmbeddingModel
 };
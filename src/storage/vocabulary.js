@@ -0,0 +1,389 @@
+/**
+ * Search Vocabulary v1.0 — kamus search per vault (dulu hardcoded di files.js, memory.search.js, retrieval/rerank.js,
+ * scripts/clean_tags.js):
+ *   synonyms        — query expansion memory_search (key → synonym, 2 pertama yang dipakai per key)
+ *   noise_tags      — tag generik yang dibuang saat save/merge tags
+ *   technique_words — kata teknik yang BUKAN target (tidak dapat target-tag boost di rerank)
+ *
+ * File: runbooks/.vocabulary.json per vault { version, updated_at, synonyms, noise_tags, technique_words }.
+ * Tidak ada file (atau key hilang) = default bawaan. File ditulis lengkap saat pertama diubah, version naik tiap perubahan.
+ * Reload tanpa restart: cache per path divalidasi mtime — perubahan via memory_vocabulary maupun edit manual langsung terbaca.
+ * Suggest: pasangan tag yang sering muncul bersama di kg_links (graph index) → usulan synonym.
+ * @module storage/vocabulary
+ */
+import { existsSync, readFileSync, renameSync, statSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { getRunbooksDir, ensureRunbooksDir } from './paths.js';
+import { getDb } from './searchIndex.js';
+import logger from '../utils/logger.js';
+
+export const VOCABULARY_FILENAME = '.vocabulary.json';
+export const VOCABULARY_KINDS = ['synonym', 'noise_tag', 'technique_word'];
+
+/**
+ * QUERY EXPANSION v1.0 — Domain-specific synonym mapping
+ * Ported from v5.2 + enhanced for runbook context
+ */
+const DEFAULT_SYNONYMS = {
+    // Tunneling & Pivoting
+    'chisel': ['tunnel', 'proxy', 'pivot', 'socks'],
+    'tunnel': ['chisel', 'proxy', 'pivot', 'forward'],
+    'pivot': ['tunnel', 'lateral', 'chisel'],
+    'ligolo': ['tunnel', 'pivot', 'proxy'],
+    'ngrok': ['tunnel', 'forward', 'reverse'],
+
+    // Shells & Access
+    'webshell': ['backdoor', 'shell', 'rce', 'upload'],
+    'backdoor': ['webshell', 'persistence', 'implant'],
+    'shell': ['webshell', 'reverse', 'terminal', 'bash'],
+    'rce': ['command', 'injection', 'webshell', 'exploit'],
+    'reverse': ['shell', 'callback', 'listener'],
+
+    // Credentials
+    'credential': ['password', 'username', 'login', 'creds', 'auth'],
+    'password': ['credential', 'pass', 'secret', 'hash'],
+    'username': ['user', 'login', 'credential', 'account'],
+    'ssh': ['credential', 'login', 'tunnel', 'key', 'sshpass'],
+    'token': ['credential', 'auth', 'jwt', 'api'],
+
+    // Vulnerabilities
+    'sqli': ['sql', 'injection', 'database', 'union'],
+    'xss': ['script', 'injection', 'reflected', 'stored'],
+    'lfi': ['file', 'inclusion', 'traversal', 'read'],
+    'ssrf': ['request', 'forgery', 'internal', 'fetch'],
+    'ssti': ['template', 'injection', 'jinja', 'twig'],
+    'xxe': ['xml', 'entity', 'injection', 'dtd'],
+    'deserialization': ['unserialize', 'pickle', 'gadget'],
+
+    // Recon
+    'recon': ['reconnaissance', 'scan', 'enumeration', 'discovery'],
+    'scan': ['nmap', 'port', 'recon', 'rustscan'],
+    'subdomain': ['subfinder', 'dns', 'enumeration', 'domain'],
+
+    // General
+    'exploit': ['vulnerability', 'payload', 'attack', 'cve'],
+    'vuln': ['vulnerability', 'exploit', 'weakness', 'cve'],
+    'bypass': ['waf', 'filter', 'evasion', 'circumvent'],
+    'persistence': ['backdoor', 'tunnel', 'cron', 'service'],
+    'privesc': ['escalation', 'privilege', 'root', 'suid'],
+    'root': ['privesc', 'escalation', 'sudo', 'admin'],
+
+    // Techniques
+    'gagal': ['failed', 'error', 'blocked', 'patched'],
+    'failed': ['gagal', 'error', 'blocked', 'timeout'],
+    'berhasil': ['success', 'achieved', 'working'],
+    'success': ['berhasil', 'achieved', 'working'],
+
+    // Status
+    'alive': ['active', 'working', 'running', 'connected'],
+    'dead': ['inactive', 'down', 'disconnected', 'patched']
+};
+
+/**
+ * NOISE TAGS — tags terlalu generik yang ada di hampir semua runbook.
+ * Tags ini DIBUANG saat merge karena tidak membantu search/filter.
+ * Hanya simpan tags SPESIFIK: nama target, CVE, teknik spesifik, IP.
+ */
+const DEFAULT_NOISE_TAGS = [
+    // Status tags (ada di semua runbook)
+    'gagal', 'failed', 'success', 'berhasil', 'blocked', 'alive', 'dead',
+    'active', 'critical', 'update', 'updated', 'progress', 'complete',
+    'state', 'checkpoint', 'fact', 'episode', 'decision',
+    // Generic technique tags (terlalu umum)
+    'ssh', 'credential', 'password', 'recon', 'exploit', 'persistence',
+    'root', 'rce', 'upload', 'injection', 'bypass', 'scan', 'pivot',
+    'lateral-movement', 'infrastructure', 'network-map', 'database',
+    'tunnel', 'fix', 'waf', 'dns', 'mail', 'smtp', 'windows', 'linux',
+    // Date tags (redundant — updated_at sudah ada di frontmatter)
+    'mar2026', 'apr2026', 'feb2026', 'jan2026',
+    // Meta tags
+    'technique', 'runbook', 'universal', 'audit', 'verification',
+    'lesson-learned', 'bug', 'fatal', 'hunt', 'research', 'ready',
+    'development', 'compiled', 'exhausted', 'final', 'new-target',
+    'discovery', 'live-status', 're-entry', 'checklist', 'cleanup',
+    'attack-chain', 'anti-sleep'
+];
+
+/**
+ * Common technique words excluded from target-tag boost
+ * These are NOT target identifiers (domains, hosts, services)
+ * Example: "inarisk exploit rce" → "inarisk" is target, "exploit"/"rce" are techniques.
+ */
+const DEFAULT_TECHNIQUE_WORDS = [
+    // Attack techniques
+    'exploit', 'vulnerability', 'payload', 'attack', 'hack', 'shell', 'webshell',
+    'rce', 'xxe', 'sqli', 'xss', 'ssrf', 'lfi', 'rfi', 'ssti', 'idor', 'csrf',
+    'injection', 'bypass', 'brute', 'force', 'enum', 'enumeration', 'scan', 'scanner',
+    'cve', 'poc',
+    // Infrastructure
+    'credential', 'creds', 'password', 'tunnel', 'persistence', 'backdoor', 'reverse',
+    'ssh', 'rdp', 'ftp', 'http', 'https', 'mysql', 'postgresql', 'redis', 'smb',
+    'port', 'proxy', 'socks', 'chisel', 'ngrok', 'cloudflare', 'cloudflared',
+    // Actions
+    'recon', 'install', 'deploy', 'upload', 'download', 'exfil', 'exfiltration',
+    'access', 'login', 'connect', 'pivot', 'escalate', 'privesc', 'dump',
+    'root', 'admin', 'sudo',
+    // Status/types
+    'failed', 'success', 'blocked', 'patched', 'active', 'gagal', 'berhasil',
+    'state', 'decision', 'episode', 'fact', 'runbook', 'guardrail', 'banned', 'critical',
+    // Common qualifiers
+    'full', 'updated', 'server', 'target', 'host', 'domain', 'windows', 'linux',
+    'tier', 'phase', 'chain', 'kill', 'hunt', 'final', 'master', 'migration',
+    'teknik', 'technique', 'universal'
+];
+
+// path → { mtimeMs, vocabulary }
+const cache = new Map();
+
+function vocabularyPath() {
+    return join(getRunbooksDir(), VOCABULARY_FILENAME);
+}
+
+function normalizeTerm(term) {
+    return String(term || '').toLowerCase().trim();
+}
+
+function normalizeList(list) {
+    return [...new Set((Array.isArray(list) ? list : []).map(normalizeTerm).filter(Boolean))];
+}
+
+function normalizeSynonyms(synonyms) {
+    const result = {};
+    for (const [key, terms] of Object.entries(synonyms || {})) {
+        const k = normalizeTerm(key);
+        const list = normalizeList(terms).filter(t => t !== k);
+        if (k && list.length > 0) result[k] = list;
+    }
+    return result;
+}
+
+function defaultVocabulary() {
+    return {
+        version: 0,
+        updated_at: null,
+        synonyms: normalizeSynonyms(DEFAULT_SYNONYMS),
+        noise_tags: [...DEFAULT_NOISE_TAGS],
+        technique_words: [...new Set(DEFAULT_TECHNIQUE_WORDS)]
+    };
+}
+
+function compile(data, source) {
+    const defaults = defaultVocabulary();
+    const vocabulary = {
+        version: Number.isInteger(data.version) ? data.version : defaults.version,
+        updated_at: data.updated_at || null,
+        synonyms: data.synonyms && typeof data.synonyms === 'object' ? normalizeSynonyms(data.synonyms) : defaults.synonyms,
+        noise_tags: Array.isArray(data.noise_tags) ? normalizeList(data.noise_tags) : defaults.noise_tags,
+        technique_words: Array.isArray(data.technique_words) ? normalizeList(data.technique_words) : defaults.technique_words
+    };
+    vocabulary.source = source;
+    vocabulary.noiseSet = new Set(vocabulary.noise_tags);
+    vocabulary.techniqueSet = new Set(vocabulary.technique_words);
+    return vocabulary;
+}
+
+/**
+ * Vocabulary vault aktif (cached, reload otomatis jika file berubah)
+ * @returns {{ version: number, updated_at: string|null, source: 'file'|'default', synonyms: object,
+ *   noise_tags: string[], technique_words: string[], noiseSet: Set<string>, techniqueSet: Set<string> }}
+ */
+export function getVocabulary() {
+    const path = vocabularyPath();
+    let mtimeMs = 0;
+    try {
+        if (existsSync(path)) mtimeMs = statSync(path).mtimeMs;
+    } catch {}
+
+    const cached = cache.get(path);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.vocabulary;
+
+    let vocabulary;
+    if (!mtimeMs) {
+        vocabulary = compile({}, 'default');
+    } else {
+        try {
+            vocabulary = compile(JSON.parse(readFileSync(path, 'utf8')), 'file');
+        } catch (err) {
+            // File rusak → default, jangan matikan search
+            logger.warn('Vocabulary file unreadable, using defaults', { path, error: err.message });
+            vocabulary = compile({}, 'default');
+        }
+    }
+    cache.set(path, { mtimeMs, vocabulary });
+    return vocabulary;
+}
+
+/** Synonym map untuk query expansion */
+export function getSynonyms() {
+    return getVocabulary().synonyms;
+}
+
+/** Noise tags (Set) untuk filterNoiseTags */
+export function getNoiseTags() {
+    return getVocabulary().noiseSet;
+}
+
+/** Technique words (Set) — dikecualikan dari target-tag boost */
+export function getTechniqueWords() {
+    return getVocabulary().techniqueSet;
+}
+
+function saveVocabulary(vocabulary) {
+    const path = vocabularyPath();
+    const data = {
+        version: vocabulary.version + 1,
+        updated_at: new Date().toISOString(),
+        synonyms: vocabulary.synonyms,
+        noise_tags: vocabulary.noise_tags,
+        technique_words: vocabulary.technique_words
+    };
+    const tmpPath = `${path}.tmp`;
+    ensureRunbooksDir();
+    writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    renameSync(tmpPath, path);
+    cache.delete(path);
+    return getVocabulary();
+}
+
+function validateTerms(kind, terms) {
+    const list = normalizeList(terms);
+    if (list.length === 0) throw new Error('terms required (array of words)');
+    // expandQueryWords hanya memakai synonym 1 kata — frasa tidak akan pernah dipakai
+    if (kind === 'synonym' && list.some(t => /\s/.test(t))) throw new Error('synonyms must be single words');
+    return list;
+}
+
+/**
+ * Tambah entry vocabulary
+ * @param {string} kind - synonym | noise_tag | technique_word
+ * @param {{ key?: string, terms: string[] }} params - key wajib untuk synonym
+ * @returns {{ vocabulary: object, added: string[] }}
+ * @throws {Error} Parameter tidak valid
+ */
+export function addVocabulary(kind, { key, terms }) {
+    if (!VOCABULARY_KINDS.includes(kind)) throw new Error(`kind must be one of: ${VOCABULARY_KINDS.join(', ')}`);
+    const list = validateTerms(kind, terms);
+    const current = getVocabulary();
+    const next = { ...current, synonyms: { ...current.synonyms } };
+    let added;
+
+    if (kind === 'synonym') {
+        const k = normalizeTerm(key);
+        if (!k) throw new Error('key required for synonym');
+        const existing = next.synonyms[k] || [];
+        added = list.filter(t => t !== k && !existing.includes(t));
+        next.synonyms[k] = [...existing, ...added];
+    } else {
+        const field = kind === 'noise_tag' ? 'noise_tags' : 'technique_words';
+        added = list.filter(t => !current[field].includes(t));
+        next[field] = [...current[field], ...added];
+    }
+
+    if (added.length === 0) return { vocabulary: current, added };
+    const vocabulary = saveVocabulary(next);
+    logger.info('Vocabulary updated', { action: 'add', kind, key, added, version: vocabulary.version });
+    return { vocabulary, added };
+}
+
+/**
+ * Hapus entry vocabulary. Synonym tanpa terms = hapus seluruh key.
+ * @param {string} kind - synonym | noise_tag | technique_word
+ * @param {{ key?: string, terms?: string[] }} params
+ * @returns {{ vocabulary: object, removed: string[] }}
+ * @throws {Error} Parameter tidak valid
+ */
+export function removeVocabulary(kind, { key, terms }) {
+    if (!VOCABULARY_KINDS.includes(kind)) throw new Error(`kind must be one of: ${VOCABULARY_KINDS.join(', ')}`);
+    const current = getVocabulary();
+    const next = { ...current, synonyms: { ...current.synonyms } };
+    let removed;
+
+    if (kind === 'synonym') {
+        const k = normalizeTerm(key);
+        if (!k) throw new Error('key required for synonym');
+        const existing = next.synonyms[k] || [];
+        if (!terms || terms.length === 0) {
+            removed = existing;
+            delete next.synonyms[k];
+        } else {
+            const list = normalizeList(terms);
+            removed = existing.filter(t => list.includes(t));
+            const remaining = existing.filter(t => !list.includes(t));
+            if (remaining.length > 0) next.synonyms[k] = remaining;
+            else delete next.synonyms[k];
+        }
+    } else {
+        const list = validateTerms(kind, terms);
+        const field = kind === 'noise_tag' ? 'noise_tags' : 'technique_words';
+        removed = current[field].filter(t => list.includes(t));
+        next[field] = current[field].filter(t => !list.includes(t));
+    }
+
+    if (removed.length === 0) return { vocabulary: current, removed };
+    const vocabulary = saveVocabulary(next);
+    logger.info('Vocabulary updated', { action: 'remove', kind, key, removed, version: vocabulary.version });
+    return { vocabulary, removed };
+}
+
+/**
+ * Usulan synonym dari tag yang sering muncul bersama di kg_links (relasi dari tags — bukan target dari title / entity body)
+ * Skor = Jaccard runbook bersama / gabungan. Pasangan yang sudah jadi synonym atau noise tag dilewati.
+ * @param {object} [options] - { limit = 20, minShared = 2, minScore = 0.3 }
+ * @returns {Array<{ key: string, term: string, shared_runbooks: number, key_runbooks: number, term_runbooks: number, score: number }>}
+ */
+export function suggestSynonyms({ limit = 20, minShared = 2, minScore = 0.3 } = {}) {
+    const db = getDb();
+    if (!db) return [];
+    const vocabulary = getVocabulary();
+    try {
+        const rows = db.prepare(`
+            WITH tag_links AS (
+                SELECT DISTINCT runbook_id, entity_name FROM kg_links
+                WHERE relation NOT IN ('targets', 'implements', 'mentions')
+            ),
+            tag_counts AS (
+                SELECT entity_name, COUNT(*) AS runbooks FROM tag_links GROUP BY entity_name
+            )
+            SELECT a.entity_name AS key, b.entity_name AS term, COUNT(*) AS shared,
+                   ca.runbooks AS key_runbooks, cb.runbooks AS term_runbooks
+            FROM tag_links a
+            JOIN tag_links b ON a.runbook_id = b.runbook_id AND a.entity_name < b.entity_name
+            JOIN tag_counts ca ON ca.entity_name = a.entity_name
+            JOIN tag_counts cb ON cb.entity_name = b.entity_name
+            GROUP BY a.entity_name, b.entity_name
+            HAVING COUNT(*) >= ?
+        `).all(minShared);
+
+        const suggestions = [];
+        for (const row of rows) {
+            if (vocabulary.noiseSet.has(row.key) || vocabulary.noiseSet.has(row.term)) continue;
+            // Synonym dipakai sebagai kata query → hanya tag 1 kata
+            if (/\s/.test(row.key) || /\s/.test(row.term)) continue;
+            const score = row.shared / (row.key_runbooks + row.term_runbooks - row.shared);
+            if (score < minScore) continue;
+            // Arah: tag yang lebih jarang → tag yang lebih umum (query spesifik ikut menemukan konteks umum)
+            const [key, term, keyRunbooks, termRunbooks] = row.key_runbooks <= row.term_runbooks
+                ? [row.key, row.term, row.key_runbooks, row.term_runbooks]
+                : [row.term, row.key, row.term_runbooks, row.key_runbooks];
+            if ((vocabulary.synonyms[key] || []).includes(term)) continue;
+            suggestions.push({
+                key,
+                term,
+                shared_runbooks: row.shared,
+                key_runbooks: keyRunbooks,
+                term_runbooks: termRunbooks,
+                score: Math.round(score * 1000) / 1000
+            });
+        }
+        suggestions.sort((a, b) => b.score - a.score || b.shared_runbooks - a.shared_runbooks);
+        return suggestions.slice(0, limit);
+    } catch (err) {
+        logger.warn('Synonym suggestion failed (non-fatal)', { error: err.message });
+        return [];
+    }
+}
+
+export default {
+    VOCABULARY_FILENAME, VOCABULARY_KINDS, getVocabulary, getSynonyms, getNoiseTags, getTechniqueWords,
+    addVocabulary, removeVocabulary, suggestSynonyms
+};
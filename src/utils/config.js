@@ -2,8 +2,14 @@
  * Configuration loader dengan auto-detection
  * @module utils/config
  */
-import { existsSync } from 'fs';
+import { existsSync, readFileSync } from 'fs';
 import { execSync } from 'child_process';
+import { dirname, join, resolve, isAbsolute } from 'path';
+import { homedir } from 'os';
+import { fileURLToPath } from 'url';
+
+// Repo root (src/utils/../..) — default storage root + base for relative paths in mcp.config.json
+const PROJECT_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..', '..');
 
 // Load .env jika ada
 const envPath = new URL('../../.env', import.meta.url).pathname;
@@ -12,6 +18,149 @@ if (existsSync(envPath)) {
     dotenv.config({ path: envPath });
 }
 
+/**
+ * Read CLI flag from process.argv: `--name value` atau `--name=value`
+ * @param {string} name - Flag name without dashes
+ * @returns {string|null}
+ */
+function readCliFlag(name) {
+    const argv = process.argv.slice(2);
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === `--${name}` && argv[i + 1] && !argv[i + 1].startsWith('--')) return argv[i + 1];
+        if (argv[i].startsWith(`--${name}=`)) return argv[i].substring(name.length + 3);
+    }
+    return null;
+}
+
+/**
+ * Load mcp.config.json (optional). Invalid/missing file = empty config.
+ */
+function loadMcpConfig() {
+    const configPath = process.env.MCP_MEMORI_CONFIG || join(PROJECT_ROOT, 'mcp.config.json');
+    try {
+        if (!existsSync(configPath)) return {};
+        return JSON.parse(readFileSync(configPath, 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+const mcpConfig = loadMcpConfig();
+
+/**
+ * Resolve path setting: absolute as-is, `~/` = home, relative = against base dir
+ */
+function resolvePathSetting(value, baseDir) {
+    if (!value || typeof value !== 'string') return null;
+    if (value.startsWith('~/')) return join(homedir(), value.substring(2));
+    return isAbsolute(value) ? value : resolve(baseDir, value);
+}
+
+/**
+ * STORAGE ROOT RESOLUTION — satu sumber untuk semua module + hooks
+ * Priority: CLI --root > env MCP_MEMORI_ROOT > mcp.config.json storage.root > repo root
+ * Relative path dari CLI/env di-resolve terhadap cwd, dari mcp.config.json terhadap repo root.
+ */
+function resolveStorageConfig() {
+    const storageCfg = mcpConfig.storage || {};
+    const root = resolvePathSetting(readCliFlag('root'), process.cwd())
+        || resolvePathSetting(process.env.MCP_MEMORI_ROOT, process.cwd())
+        || resolvePathSetting(storageCfg.root, PROJECT_ROOT)
+        || PROJECT_ROOT;
+
+    // Per-project roots: { "<project_id>": "/path/to/engagement" }
+    const projects = {};
+    for (const [projectId, projectRoot] of Object.entries(storageCfg.projects || {})) {
+        const resolved = resolvePathSetting(projectRoot, PROJECT_ROOT);
+        if (resolved) projects[projectId] = resolved;
+    }
+
+    // Claude Code auto-memory file (MEMORY.md) — default: project dir slug of storage root
+    const autoMemoryPath = resolvePathSetting(process.env.MCP_MEMORI_AUTO_MEMORY, process.cwd())
+        || resolvePathSetting(storageCfg.auto_memory_path, PROJECT_ROOT)
+        || join(homedir(), '.claude', 'projects', root.replace(/[\/]/g, '-'), 'memory', 'MEMORY.md');
+
+    return { root, projects, autoMemoryPath };
+}
+
+/**
+ * Parse token list: "alice:tok1,tok2" / ["tok"] / [{ name, token }] → [{ name, token }]
+ */
+function parseTokens(value) {
+    const items = typeof value === 'string' ? value.split(',') : (Array.isArray(value) ? value : []);
+    return items
+        .map((item, i) => {
+            if (item && typeof item === 'object') return { name: String(item.name || `token${i + 1}`), token: String(item.token || '') };
+            const text = String(item).trim();
+            const sep = text.indexOf(':');
+            return sep > 0 ? { name: text.substring(0, sep), token: text.substring(sep + 1) } : { name: `token${i + 1}`, token: text };
+        })
+        .filter(t => t.token.length > 0);
+}
+
+/**
+ * TRANSPORT — stdio (default, 1 proses per client) atau http (Streamable HTTP + legacy SSE, 1 server dipakai bersama)
+ * type: CLI --transport > env MCP_TRANSPORT > mcp.config.json transport.type
+ * port/host: CLI --port/--host > env MCP_PORT/MCP_HOST > mcp.config.json transport.port/host
+ * tokens: env MCP_MEMORI_TOKENS > mcp.config.json transport.tokens (Bearer auth)
+ */
+function resolveTransportConfig() {
+    const transportCfg = mcpConfig.transport || {};
+    const type = (readCliFlag('transport') || process.env.MCP_TRANSPORT || transportCfg.type || 'stdio').toLowerCase();
+    const port = parseInt(readCliFlag('port') || process.env.MCP_PORT || transportCfg.port || '3100', 10);
+    const host = readCliFlag('host') || process.env.MCP_HOST || transportCfg.host || 'localhost';
+    const tokens = parseTokens(process.env.MCP_MEMORI_TOKENS || transportCfg.tokens);
+    const allowedOrigins = Array.isArray(transportCfg.allowed_origins) ? transportCfg.allowed_origins : [];
+
+    return { type, port, host, tokens, allowedOrigins };
+}
+
+/**
+ * ENCRYPTION AT REST — section/runbook yang disimpan terenkripsi (AES-256-GCM)
+ * sections: env ENCRYPT_SECTIONS (comma list) > mcp.config.json encryption.sections
+ * keyfile: env MCP_MEMORI_KEYFILE > mcp.config.json encryption.keyfile
+ * Passphrase HANYA via env MCP_MEMORI_PASSPHRASE (tidak pernah di file config).
+ */
+function resolveEncryptionConfig() {
+    const encryptionCfg = mcpConfig.encryption || {};
+    const sections = process.env.ENCRYPT_SECTIONS
+        ? process.env.ENCRYPT_SECTIONS.split(',')
+        : (Array.isArray(encryptionCfg.sections) ? encryptionCfg.sections : []);
+    const keyfile = resolvePathSetting(process.env.MCP_MEMORI_KEYFILE, process.cwd())
+        || resolvePathSetting(encryptionCfg.keyfile, PROJECT_ROOT);
+
+    return { sections: sections.map(s => String(s).trim()).filter(Boolean), keyfile };
+}
+
+/**
+ * EMBEDDING PROVIDER — lihat utils/embeddingProviders.js
+ * provider: env EMBEDDING_PROVIDER > mcp.config.json embedding.provider > EMBEDDING_BACKEND (local|ollama) > local
+ * model/url: env EMBEDDING_MODEL / EMBEDDING_URL > mcp.config.json embedding.model / embedding.url > default provider
+ * projects: mcp.config.json embedding.projects { "<project_id>": { provider, model, url, api_key_env } }
+ * API key HANYA via env (EMBEDDING_API_KEY, atau nama env di api_key_env per project).
+ */
+function resolveEmbeddingConfig() {
+    const embeddingCfg = mcpConfig.embedding || {};
+    const kinds = ['local', 'ollama', 'openai'];
+    const legacyBackend = kinds.includes(process.env.EMBEDDING_BACKEND) ? process.env.EMBEDDING_BACKEND : null;
+    const provider = [process.env.EMBEDDING_PROVIDER, embeddingCfg.provider, legacyBackend].find(p => kinds.includes(p)) || 'local';
+    const projects = {};
+    for (const [projectId, projectCfg] of Object.entries(embeddingCfg.projects || {})) {
+        if (projectCfg && typeof projectCfg === 'object') projects[projectId] = projectCfg;
+    }
+
+    // model/url di mcp.config.json milik provider di file itu — tidak terbawa jika env memilih provider lain
+    const fileMatches = !embeddingCfg.provider || embeddingCfg.provider === provider;
+
+    return {
+        provider,
+        model: process.env.EMBEDDING_MODEL || (fileMatches ? embeddingCfg.model : null) || null,
+        url: process.env.EMBEDDING_URL || (fileMatches ? embeddingCfg.url : null) || null,
+        apiKey: process.env.EMBEDDING_API_KEY || (embeddingCfg.api_key_env ? process.env[embeddingCfg.api_key_env] : null) || null,
+        projects
+    };
+}
+
 /**
  * Cek apakah ollama tersedia di sistem
  */
@@ -69,6 +218,9 @@ export const config = {
     ollamaUrl: process.env.OLLAMA_URL || 'http://localhost:11434',
     ollamaModel: process.env.OLLAMA_MODEL || 'nomic-embed-text',
 
+    // Embedding provider registry (vector index runbook + legacy retrieval), per vault
+    embedding: resolveEmbeddingConfig(),
+
     // LAYER 1: Hybrid Score Weights (configurable)
     // Formula: keyword*wKeyword + vector*wVector + recency*wRecency
     scoreWeights: {
@@ -97,13 +249,38 @@ export const config = {
     // MCP Server
     mcpPort: parseInt(process.env.MCP_PORT || '3100', 10),
     mcpHost: process.env.MCP_HOST || 'localhost',
+    transport: resolveTransportConfig(),
 
     // Logging
     logLevel: process.env.LOG_LEVEL || 'info',
 
     // Defaults
     defaultTenant: process.env.DEFAULT_TENANT || 'local-user',
-    defaultProject: process.env.DEFAULT_PROJECT || 'default',
+    defaultProject: readCliFlag('project') || process.env.DEFAULT_PROJECT || 'default',
+
+    // Storage locations (runbooks/, data/, archives/ live under root)
+    storage: resolveStorageConfig(),
+    projectRoot: PROJECT_ROOT,
+
+    // Trash (.deleted/) retention for memory_trash purge
+    trash: {
+        retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10)
+    },
+
+    // Provenance entry runbook (lihat storage/provenance.js) — client tidak mengirim nama model via MCP
+    provenance: {
+        model: process.env.MCP_MEMORI_MODEL || null
+    },
+
+    // ANN vector index (lihat storage/annIndex.js) — IVF aktif jika chunk >= minChunks, di bawahnya exact scan
+    ann: {
+        minChunks: parseInt(process.env.ANN_MIN_CHUNKS || '2000', 10),
+        nprobe: parseInt(process.env.ANN_NPROBE || '8', 10),
+        recallSampleRate: parseFloat(process.env.ANN_RECALL_SAMPLE_RATE || '0.05')
+    },
+
+    // Encrypted-at-rest sections/runbooks (lihat storage/encryption.js)
+    encryption: resolveEncryptionConfig(),
 
     // Helpers
     testPostgresConnection,
@@ -0,0 +1,154 @@
+/**
+ * Line diff (Myers O(ND)) + unified diff formatter
+ * Dipakai memory_history untuk diff antar revisi runbook.
+ * Common prefix/suffix di-trim dulu — kasus umum (append) jadi murah.
+ * @module utils/diff
+ */
+
+// Batas Myers: edit distance + memory trace (Int32 cells). Lebih dari ini = blok tengah dianggap replace total
+const MAX_EDIT_DISTANCE = 4000;
+const MAX_TRACE_CELLS = 4000000;
+
+/**
+ * Myers shortest edit script on two line arrays
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>|null} null jika melebihi MAX_EDIT_DISTANCE
+ */
+function myers(a, b) {
+    const n = a.length, m = b.length;
+    const max = n + m;
+    const offset = max;
+    const v = new Int32Array(2 * max + 2);
+    const trace = [];
+
+    const dLimit = Math.min(max, MAX_EDIT_DISTANCE, Math.floor(MAX_TRACE_CELLS / (2 * max + 2)));
+
+    for (let d = 0; d <= dLimit; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                return backtrack(trace, a, b, offset, d);
+            }
+        }
+    }
+    return null;
+}
+
+function backtrack(trace, a, b, offset, dEnd) {
+    const ops = [];
+    let x = a.length, y = b.length;
+    for (let d = dEnd; d > 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+        const prevX = v[offset + prevK];
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push({ type: ' ', line: a[--x] });
+            y--;
+        }
+        if (x === prevX) ops.push({ type: '+', line: b[--y] });
+        else ops.push({ type: '-', line: a[--x] });
+    }
+    while (x > 0 && y > 0) {
+        ops.push({ type: ' ', line: a[--x] });
+        y--;
+    }
+    return ops.reverse();
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+export function diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length, endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const middle = myers(midA, midB) || [
+        ...midA.map(line => ({ type: '-', line })),
+        ...midB.map(line => ({ type: '+', line }))
+    ];
+
+    return [
+        ...a.slice(0, start).map(line => ({ type: ' ', line })),
+        ...middle,
+        ...a.slice(endA).map(line => ({ type: ' ', line }))
+    ];
+}
+
+/**
+ * Unified diff (git-style hunks)
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {object} options - { context: 3, fromLabel, toLabel }
+ * @returns {{ text: string, added: number, removed: number, hunks: number }}
+ */
+export function unifiedDiff(oldText, newText, options = {}) {
+    const { context = 3, fromLabel = 'a', toLabel = 'b' } = options;
+    const ops = diffLines(oldText, newText);
+
+    let added = 0, removed = 0;
+    for (const op of ops) {
+        if (op.type === '+') added++;
+        else if (op.type === '-') removed++;
+    }
+    if (added === 0 && removed === 0) return { text: '', added, removed, hunks: 0 };
+
+    // Group changes into hunks with `context` lines around them
+    const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+    let hunks = 0;
+    let i = 0;
+    let oldLine = 1, newLine = 1;
+    const oldLineAt = [], newLineAt = [];
+    for (const op of ops) {
+        oldLineAt.push(oldLine);
+        newLineAt.push(newLine);
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    }
+
+    while (i < ops.length) {
+        if (ops[i].type === ' ') { i++; continue; }
+        const hunkStart = Math.max(0, i - context);
+        let hunkEnd = i;
+        // Extend hunk while next change is within 2*context lines
+        while (hunkEnd < ops.length) {
+            if (ops[hunkEnd].type !== ' ') { hunkEnd++; continue; }
+            let next = hunkEnd;
+            while (next < ops.length && ops[next].type === ' ') next++;
+            if (next < ops.length && next - hunkEnd <= context * 2) { hunkEnd = next; continue; }
+            hunkEnd = Math.min(ops.length, hunkEnd + context);
+            break;
+        }
+
+        const slice = ops.slice(hunkStart, hunkEnd);
+        const oldCount = slice.filter(op => op.type !== '+').length;
+        const newCount = slice.filter(op => op.type !== '-').length;
+        lines.push(`@@ -${oldLineAt[hunkStart]},${oldCount} +${newLineAt[hunkStart]},${newCount} @@`);
+        for (const op of slice) lines.push(op.type + op.line);
+        hunks++;
+        i = hunkEnd;
+    }
+
+    return { text: lines.join('\n'), added, removed, hunks };
+}
+
+export default { diffLines, unifiedDiff };
@@ -1,113 +1,44 @@
 /**
- * Embedding utilities v3.0 - Multi-backend support
- * Backends: ollama, local_sentence_transformer, off
+ * Embedding utilities v4.0 - Registry provider (utils/embeddingProviders.js)
+ * Backends: local (transformers), ollama, openai-compatible, off
+ * v7.7: generateEmbedding pakai provider yang sama dengan vector index runbook (per vault);
+ *       provider non-local yang gagal fallback ke local (model default).
  * @module utils/embedding
  */
 import config from './config.js';
 import logger from './logger.js';
-import { generateLocalEmbedding, isLocalEmbeddingAvailable, getModelInfo } from './embedding-local.js';
+import { getEmbeddingProvider, resolveEmbeddingSpec } from './embeddingProviders.js';
+import { getCurrentVault } from '../storage/vault.js';
 
 // Track state for forensic reporting
 let lastFallbackReason = null;
 let lastBackend = null;
-let ollamaAvailable = null;
 
 /**
  * Get configured embedding backend
- * @returns {'ollama'|'local'|'off'}
+ * @returns {'local'|'ollama'|'openai'}
  */
 export function getEmbeddingBackend() {
-    return process.env.EMBEDDING_BACKEND || 'local'; // Default to local
+    return resolveEmbeddingSpec(getCurrentVault()).provider;
 }
 
 /**
- * Check if Ollama is reachable
- * @returns {Promise<boolean>}
+ * Fallback local (model default) untuk provider remote yang gagal
  */
-async function checkOllamaHealth() {
-    if (ollamaAvailable !== null) return ollamaAvailable;
-
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 3000);
-
-        const response = await fetch(`${config.ollamaUrl}/api/tags`, {
-            method: 'GET',
-            signal: controller.signal
-        });
-
-        clearTimeout(timeoutId);
-        ollamaAvailable = response.ok;
-
-        // Reset cache after 60 seconds
-        setTimeout(() => { ollamaAvailable = null; }, 60000);
-
-        return ollamaAvailable;
-    } catch {
-        ollamaAvailable = false;
-        setTimeout(() => { ollamaAvailable = null; }, 30000);
-        return false;
-    }
+function localFallbackProvider() {
+    const model = 'Xenova/all-MiniLM-L6-v2';
+    return getEmbeddingProvider({ provider: 'local', model, url: null, apiKey: null, key: `local:${model}` });
 }
 
 /**
- * Generate embedding via Ollama
+ * Generate embedding using configured provider with fallback chain
+ * Priority: configured provider -> fallback to local -> fallback to null
  * @param {string} text 
- * @param {number} timeoutMs 
- * @returns {Promise<{embedding: number[]|null, fallbackReason: string|null, backend: string}>}
- */
-async function generateOllamaEmbedding(text, timeoutMs = 10000) {
-    const backend = 'ollama';
-
-    const healthy = await checkOllamaHealth();
-    if (!healthy) {
-        return { embedding: null, fallbackReason: 'ollama_unavailable', backend };
-    }
-
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-
-        const response = await fetch(`${config.ollamaUrl}/api/embeddings`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                model: config.ollamaModel,
-                prompt: text.slice(0, 8192)
-            }),
-            signal: controller.signal
-        });
-
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            return { embedding: null, fallbackReason: `ollama_error: ${response.status}`, backend };
-        }
-
-        const data = await response.json();
-        if (!data.embedding?.length) {
-            return { embedding: null, fallbackReason: 'ollama_empty_response', backend };
-        }
-
-        return { embedding: data.embedding, fallbackReason: null, backend };
-    } catch (err) {
-        const reason = err.name === 'AbortError'
-            ? 'ollama_timeout'
-            : `ollama_error: ${err.message}`;
-        return { embedding: null, fallbackReason: reason, backend };
-    }
-}
-
-/**
- * Generate embedding using configured backend with fallback chain
- * Priority: configured backend -> fallback to local -> fallback to null
- * @param {string} text 
- * @param {number} timeoutMs 
+ * @param {number} timeoutMs - Batas waktu total (provider punya timeout request sendiri)
  * @returns {Promise<{embedding: number[]|null, fallbackReason: string|null, backend: string}>}
  */
 export async function generateEmbedding(text, timeoutMs = 15000) {
     const mode = getEmbeddingMode();
-    const requestedBackend = getEmbeddingBackend();
 
     // Mode off = no embedding
     if (mode === 'keyword_only') {
@@ -116,36 +47,29 @@ export async function generateEmbedding(text, timeoutMs = 15000) {
         return { embedding: null, fallbackReason: 'mode_keyword_only', backend: 'off' };
     }
 
-    let result;
+    const withTimeout = (promise) => Promise.race([
+        promise,
+        new Promise(resolve => setTimeout(() => resolve(null), timeoutMs).unref?.())
+    ]);
 
-    // Try requested backend first
-    if (requestedBackend === 'ollama') {
-        result = await generateOllamaEmbedding(text, timeoutMs);
-        if (result.embedding) {
-            lastBackend = 'ollama';
-            lastFallbackReason = null;
-            return result;
-        }
-        // Fallback to local
-        logger.info('Ollama failed, falling back to local embedding');
-    }
+    const provider = getEmbeddingProvider(resolveEmbeddingSpec(getCurrentVault()));
+    const chain = provider.provider === 'local' ? [provider] : [provider, localFallbackProvider()];
 
-    // Try local (default or fallback)
-    if (requestedBackend === 'local' || !result?.embedding) {
-        result = await generateLocalEmbedding(text, timeoutMs);
-        if (result.embedding) {
-            lastBackend = 'local_sentence_transformer';
-            lastFallbackReason = requestedBackend === 'ollama' ? 'ollama_fallback_to_local' : null;
-            return {
-                ...result,
-                fallbackReason: lastFallbackReason
-            };
+    for (const candidate of chain) {
+        const vector = await withTimeout(candidate.embed(text.slice(0, 8192)));
+        if (vector) {
+            lastBackend = candidate.key;
+            lastFallbackReason = candidate === provider ? null : `${provider.provider}_fallback_to_local`;
+            return { embedding: Array.from(vector), fallbackReason: lastFallbackReason, backend: candidate.key };
+        }
+        if (candidate === provider && chain.length > 1) {
+            logger.info('Embedding provider failed, falling back to local embedding', { provider: provider.key });
         }
     }
 
     // All backends failed
     lastBackend = 'off';
-    lastFallbackReason = result?.fallbackReason || 'all_backends_failed';
+    lastFallbackReason = `${provider.provider}_unavailable`;
     return {
         embedding: null,
         fallbackReason: lastFallbackReason,
@@ -228,14 +152,7 @@ export async function isEmbeddingAvailable() {
     const mode = getEmbeddingMode();
     if (mode === 'keyword_only') return false;
 
-    const backend = getEmbeddingBackend();
-    if (backend === 'ollama') {
-        return await checkOllamaHealth();
-    }
-    if (backend === 'local') {
-        return await isLocalEmbeddingAvailable();
-    }
-    return false;
+    return await getEmbeddingProvider(resolveEmbeddingSpec(getCurrentVault())).available();
 }
 
 /**
@@ -243,14 +160,14 @@ export async function isEmbeddingAvailable() {
  * @returns {Promise<object>}
  */
 export async function getEmbeddingInfo() {
-    const backend = getEmbeddingBackend();
+    const provider = getEmbeddingProvider(resolveEmbeddingSpec(getCurrentVault()));
     const mode = getEmbeddingMode();
 
     return {
         mode,
-        backend,
-        local_model: getModelInfo(),
-        ollama_available: await checkOllamaHealth().catch(() => false),
+        backend: provider.provider,
+        provider: provider.info(),
+        available: await provider.available().catch(() => false),
         last_fallback_reason: lastFallbackReason,
         last_backend_used: lastBackend
     };
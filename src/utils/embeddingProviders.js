@@ -0,0 +1,201 @@
+/**
+ * Embedding Providers v1.0 — 1 registry untuk semua embedding (vector index runbook + legacy retrieval)
+ * Providers:
+ *   local  — @xenova/transformers feature-extraction (CPU, model apa saja dari HF hub, default all-MiniLM-L6-v2)
+ *   ollama — POST {url}/api/embeddings
+ *   openai — endpoint OpenAI-compatible (llama.cpp, LM Studio, vLLM, LocalAI...) POST {url}/embeddings
+ * Dikonfigurasi per vault (config.embedding.projects[vault] override default).
+ * Key provider = "<provider>:<model>" — disimpan di kolom `model` index untuk deteksi ganti model.
+ * Semua vector dinormalisasi (dot product = cosine).
+ * @module utils/embeddingProviders
+ */
+import config from './config.js';
+import logger from './logger.js';
+
+export const PROVIDER_KINDS = ['local', 'ollama', 'openai'];
+
+const DEFAULT_MODELS = {
+    local: 'Xenova/all-MiniLM-L6-v2',
+    ollama: config.ollamaModel,
+    openai: 'text-embedding-3-small'
+};
+const DEFAULT_URLS = {
+    ollama: config.ollamaUrl,
+    openai: 'http://localhost:8080/v1'
+};
+// Dimensi model yang sudah dikenal (lainnya diketahui setelah embedding pertama)
+const KNOWN_DIMS = {
+    'local:Xenova/all-MiniLM-L6-v2': 384,
+    'local:Xenova/all-MiniLM-L12-v2': 384,
+    'local:Xenova/bge-small-en-v1.5': 384,
+    'local:Xenova/bge-base-en-v1.5': 768,
+    'ollama:nomic-embed-text': 768,
+    'ollama:mxbai-embed-large': 1024,
+    'openai:text-embedding-3-small': 1536
+};
+// Index sebelum registry menyimpan nama model tanpa prefix provider
+const LEGACY_MODEL_KEYS = { 'Xenova/all-MiniLM-L6-v2': 'local:Xenova/all-MiniLM-L6-v2' };
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+const providers = new Map();
+
+/**
+ * Normalize key model yang tersimpan di index (nama lama tanpa prefix → "local:<model>")
+ * @param {string|null} model
+ */
+export function normalizeModelKey(model) {
+    if (!model) return null;
+    return LEGACY_MODEL_KEYS[model] || model;
+}
+
+/**
+ * Spec provider untuk vault: config.embedding default + override config.embedding.projects[vault]
+ * @param {string} [vaultId]
+ * @returns {{ provider: string, model: string, url: string|null, apiKey: string|null, key: string }}
+ */
+export function resolveEmbeddingSpec(vaultId = null) {
+    const base = config.embedding;
+    const override = (vaultId && base.projects[vaultId]) || {};
+    const provider = PROVIDER_KINDS.includes(override.provider) ? override.provider : base.provider;
+    // Model/url default hanya berlaku jika provider tidak di-override ke jenis lain
+    const sameProvider = provider === base.provider;
+    const model = override.model || (sameProvider ? base.model : null) || DEFAULT_MODELS[provider];
+    const url = override.url || (sameProvider ? base.url : null) || DEFAULT_URLS[provider] || null;
+    const apiKey = (override.api_key_env && process.env[override.api_key_env]) || base.apiKey || null;
+    return { provider, model, url: url ? url.replace(/\/+$/, '') : null, apiKey, key: `${provider}:${model}` };
+}
+
+function normalize(values) {
+    const vector = Float32Array.from(values);
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    return vector;
+}
+
+async function postJson(url, body, headers = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.json();
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+function createLocalBackend(spec) {
+    let pipe = null;
+    let loading = null;
+    const load = () => {
+        if (pipe) return Promise.resolve(pipe);
+        if (!loading) {
+            loading = (async () => {
+                const { pipeline } = await import('@xenova/transformers');
+                pipe = await pipeline('feature-extraction', spec.model, { quantized: true });
+                logger.info('Embedding model loaded', { provider: spec.key });
+                return pipe;
+            })();
+            // Gagal load → boleh dicoba lagi di call berikutnya
+            loading.catch(() => { loading = null; });
+        }
+        return loading;
+    };
+    return {
+        async embed(text) {
+            const extractor = await load();
+            const output = await extractor(text, { pooling: 'mean', normalize: true });
+            return Float32Array.from(output.data);
+        },
+        async available() {
+            try { return Boolean(await load()); } catch { return false; }
+        }
+    };
+}
+
+function createOllamaBackend(spec) {
+    return {
+        async embed(text) {
+            const data = await postJson(`${spec.url}/api/embeddings`, { model: spec.model, prompt: text });
+            if (!data.embedding?.length) throw new Error('empty embedding');
+            return normalize(data.embedding);
+        },
+        async available() {
+            try {
+                const controller = new AbortController();
+                const timeoutId = setTimeout(() => controller.abort(), 3000);
+                const response = await fetch(`${spec.url}/api/tags`, { signal: controller.signal });
+                clearTimeout(timeoutId);
+                return response.ok;
+            } catch { return false; }
+        }
+    };
+}
+
+function createOpenAIBackend(spec) {
+    const headers = spec.apiKey ? { Authorization: `Bearer ${spec.apiKey}` } : {};
+    return {
+        async embed(text) {
+            const data = await postJson(`${spec.url}/embeddings`, { model: spec.model, input: text }, headers);
+            const values = data.data?.[0]?.embedding;
+            if (!values?.length) throw new Error('empty embedding');
+            return normalize(values);
+        },
+        async available() {
+            try { return Boolean(await this.embed('ping')); } catch { return false; }
+        }
+    };
+}
+
+const BACKENDS = { local: createLocalBackend, ollama: createOllamaBackend, openai: createOpenAIBackend };
+
+/**
+ * Provider instance (di-cache per key+url)
+ * @param {object} [spec] - Hasil resolveEmbeddingSpec (default: spec vault default)
+ * @returns {{ key: string, provider: string, model: string, dim: number|null,
+ *   embed: (text: string) => Promise<Float32Array|null>, available: () => Promise<boolean>, info: () => object }}
+ */
+export function getEmbeddingProvider(spec = resolveEmbeddingSpec()) {
+    const cacheKey = `${spec.key}@${spec.url || ''}`;
+    if (providers.has(cacheKey)) return providers.get(cacheKey);
+
+    const backend = BACKENDS[spec.provider](spec);
+    let lastError = null;
+    let warned = false;
+    const instance = {
+        key: spec.key,
+        provider: spec.provider,
+        model: spec.model,
+        dim: KNOWN_DIMS[spec.key] || null,
+        async embed(text) {
+            try {
+                const vector = await backend.embed(text);
+                instance.dim = vector.length;
+                lastError = null;
+                return vector;
+            } catch (err) {
+                lastError = err.message;
+                // 1 warning per provider — gagal berulang (model tidak ada / server mati) tidak spam log
+                if (!warned) {
+                    warned = true;
+                    logger.warn('Embedding provider failed (non-fatal)', { provider: spec.key, error: err.message });
+                }
+                return null;
+            }
+        },
+        available: () => backend.available(),
+        info: () => ({ key: spec.key, provider: spec.provider, model: spec.model, url: spec.url, dim: instance.dim, last_error: lastError })
+    };
+    providers.set(cacheKey, instance);
+    return instance;
+}
+
+export default { PROVIDER_KINDS, normalizeModelKey, resolveEmbeddingSpec, getEmbeddingProvider };
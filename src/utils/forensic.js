@@ -7,6 +7,7 @@ import { getDbType } from '../db/index.js';
 import { getEmbeddingMode, getEmbeddingBackend, getLastBackend, getLastFallbackReason } from './embedding.js';
 import { query } from '../db/index.js';
 import config from './config.js';
+import logger from './logger.js';
 
 // Lazy imports to avoid circular dependencies
 let guardrailsModule = null;
@@ -18,6 +19,15 @@ async function getGuardrailsModule() {
     return guardrailsModule;
 }
 
+/**
+ * v7.7: Guardrail aktif vault projectId — file mode (runbooks/.guardrails.json), bukan tabel legacy `guardrails`
+ */
+async function getVaultGuardrails(projectId) {
+    const { getActiveGuardrails } = await getGuardrailsModule();
+    const { runInVault } = await import('../storage/vault.js');
+    return runInVault(projectId, () => getActiveGuardrails());
+}
+
 /**
  * Get COMPACT forensic metadata (DEFAULT) - Lightweight for every response
  * Only essential info: backend, mode, governance COUNTS (no UUID arrays)
@@ -47,16 +57,14 @@ export async function getForensicMeta(tenantId, projectId) {
             [tenantId, projectId]
         );
         deletedCount = dRes[0]?.cnt || 0;
-
-        try {
-            const gRes = await query(
-                `SELECT COUNT(*) as cnt FROM guardrails WHERE tenant_id = ? AND project_id = ? AND active = 1`,
-                [tenantId, projectId]
-            );
-            guardrailsCount = gRes[0]?.cnt || 0;
-        } catch { /* guardrails table may not exist */ }
     } catch { /* ignore count errors */ }
 
+    try {
+        guardrailsCount = (await getVaultGuardrails(projectId)).length;
+    } catch (err) {
+        logger.warn('Forensic: guardrails unreadable (non-fatal)', { error: err.message });
+    }
+
     // Cross-model: lightweight inline query (crossModel.js dependency removed - was dead code)
     let modelCount = 0;
     let pendingConflicts = 0;
@@ -110,7 +118,7 @@ export async function getFullForensicMeta(tenantId, projectId) {
     let hybridEffectiveness = 'neutral';
     if (embeddingMode === 'keyword_only' || fallbackReason) {
         hybridEffectiveness = 'low';
-    } else if (backendUsed === 'local_sentence_transformer' || backendUsed === 'ollama') {
+    } else if (backendUsed && backendUsed !== 'off') {
         hybridEffectiveness = scoreWeights.vector > 0 ? 'high' : 'neutral';
     }
 
@@ -138,8 +146,20 @@ export async function getFullForensicMeta(tenantId, projectId) {
 
 /**
  * Get governance snapshot - LAYER 4 Enhanced
+ * v7.7: Guardrail dari file vault — tetap terisi walau DB legacy (memory_items) tidak ada.
+ * Guardrail file mode hanya memberi warning (memory_search / hook), tidak menyembunyikan runbook →
+ * suppressed_memory_ids selalu kosong; runbook terkait ada di guardrails_active[].runbook_ids.
  */
 async function getGovernanceSnapshot(tenantId, projectId) {
+    const snapshot = {
+        quarantined_count: 0,
+        quarantined_ids: [],
+        deleted_count: 0,
+        recent_deleted_ids: [],
+        guardrails_active: [],
+        suppressed_memory_ids: []
+    };
+
     try {
         // Get quarantined IDs
         const quarantined = await query(
@@ -158,29 +178,28 @@ async function getGovernanceSnapshot(tenantId, projectId) {
             [tenantId, projectId]
         );
 
-        // LAYER 4: Get active guardrails
-        let guardrailsActive = [];
-        let suppressedIds = [];
-        try {
-            const guardrailsMod = await getGuardrailsModule();
-            const { ids, guardrails } = await guardrailsMod.getSuppressedIds(projectId, tenantId);
-            suppressedIds = ids;
-            guardrailsActive = guardrails;
-        } catch (e) {
-            // Guardrails table might not exist yet
-        }
-
-        return {
-            quarantined_count: quarantined.length,
-            quarantined_ids: quarantined.map(i => i.id),
-            deleted_count: deleted.length,
-            recent_deleted_ids: deleted.map(i => i.id),
-            guardrails_active: guardrailsActive,
-            suppressed_memory_ids: suppressedIds
-        };
+        snapshot.quarantined_count = quarantined.length;
+        snapshot.quarantined_ids = quarantined.map(i => i.id);
+        snapshot.deleted_count = deleted.length;
+        snapshot.recent_deleted_ids = deleted.map(i => i.id);
     } catch (e) {
-        return { error: e.message };
+        snapshot.error = e.message;
     }
+
+    // LAYER 4: Get active guardrails
+    try {
+        snapshot.guardrails_active = (await getVaultGuardrails(projectId)).map(g => ({
+            id: g.id,
+            ruleType: g.rule_type,
+            description: g.description,
+            count: g.count,
+            runbook_ids: g.runbook_ids || []
+        }));
+    } catch (err) {
+        logger.warn('Forensic: guardrails unreadable (non-fatal)', { error: err.message });
+    }
+
+    return snapshot;
 }
 
 /**
@@ -4,7 +4,8 @@
  * IMPORTANT: Scrubber HANYA digunakan oleh hook auto-capture untuk
  * section `## _AUTO_LOG`. Manual memory_upsert ke section state
  * (CREDENTIAL/EXPLOIT/LIVE STATUS) TIDAK di-scrub — itu wajib apa adanya
- * karena memang dibutuhkan AI untuk re-exploitation.
+ * karena memang dibutuhkan AI untuk re-exploitation. Proteksi at-rest untuk
+ * section itu = encryption (storage/encryption.js, ENCRYPT_SECTIONS), bukan scrubber.
  *
  * Scrubber tujuannya:
  * 1. Cegah bocoran accidental di log (output tool yang tidak relevan tapi
@@ -0,0 +1,131 @@
+/**
+ * ANN (IVF) — recall top-k vs brute force di vector sintetis ter-cluster, assign incremental,
+ * isolasi per model embedding, exact scan di bawah ANN_MIN_CHUNKS
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import './helpers.js';
+
+process.env.ANN_MIN_CHUNKS = '300';
+process.env.ANN_RECALL_SAMPLE_RATE = '1';
+
+const { initVectorIndex } = await import('../src/storage/vectorIndex.js');
+const { dot, trainAnnIndex, maybeRetrainAnn, assignAnnEntry, searchAnn, benchmarkAnn, getAnnStats } = await import('../src/storage/annIndex.js');
+
+const MODEL = 'test:synthetic-32';
+const DIM = 32;
+const CLUSTERS = 20;
+
+// PRNG deterministik (mulberry32) — vector sama di setiap run
+let seed = 42;
+const random = () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+const normalize = (v) => {
+    const norm = Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+    return Float32Array.from(v, x => x / norm);
+};
+const randomVector = () => normalize(Array.from({ length: DIM }, () => random() * 2 - 1));
+const near = (center, noise) => normalize(Array.from(center, x => x + (random() * 2 - 1) * noise));
+const blob = (v) => Buffer.from(v.buffer, v.byteOffset, v.byteLength);
+
+const CENTERS = Array.from({ length: CLUSTERS }, randomVector);
+
+const db = new Database(':memory:');
+assert.ok(initVectorIndex(db));
+const insert = db.prepare('INSERT INTO runbook_chunks (id, chunk, text, embedding, model) VALUES (?, ?, ?, ?, ?)');
+const addRunbook = (id, chunks, model = MODEL) => {
+    chunks.forEach((v, i) => insert.run(id, i, `chunk ${i}`, blob(v), model));
+};
+
+// 40 runbook × 15 chunk, tiap chunk di cluster acak
+for (let r = 0; r < 40; r++) {
+    addRunbook(`RUNBOOK_r${r}.md`, Array.from({ length: 15 }, () => near(CENTERS[Math.floor(random() * CLUSTERS)], 0.3)));
+}
+
+// Ground truth: best chunk per runbook, dihitung langsung
+function bruteForce(query, k, model = MODEL) {
+    const best = new Map();
+    for (const row of db.prepare('SELECT id, embedding FROM runbook_chunks WHERE model = ?').all(model)) {
+        const sim = dot(query, new Float32Array(Uint8Array.from(row.embedding).buffer));
+        if (!best.has(row.id) || sim > best.get(row.id)) best.set(row.id, sim);
+    }
+    return [...best.entries()].sort((a, b) => b[1] - a[1]).slice(0, k).map(([id]) => id);
+}
+
+test('di bawah ANN_MIN_CHUNKS → tidak di-train, query pakai exact scan', () => {
+    const small = new Database(':memory:');
+    initVectorIndex(small);
+    const smallInsert = small.prepare('INSERT INTO runbook_chunks (id, chunk, text, embedding, model) VALUES (?, ?, ?, ?, ?)');
+    for (let i = 0; i < 50; i++) smallInsert.run(`RUNBOOK_s${i}.md`, 0, 'x', blob(randomVector()), MODEL);
+    assert.equal(maybeRetrainAnn(small, { model: MODEL }), null);
+    assert.equal(getAnnStats(small, { model: MODEL }).mode, 'exact');
+    small.close();
+});
+
+test('train IVF: semua chunk model aktif dapat list_id', () => {
+    const result = maybeRetrainAnn(db, { model: MODEL });
+    assert.equal(result.trained, true);
+    assert.equal(result.chunks, 600);
+    assert.equal(result.nlist, 24);
+
+    const stats = getAnnStats(db, { model: MODEL });
+    assert.equal(stats.mode, 'ivf');
+    assert.equal(stats.unassigned, 0);
+    assert.equal(stats.nlist, 24);
+});
+
+test('recall@10 IVF vs brute force ≥ 0.9 dan scan lebih sedikit chunk', () => {
+    let recall = 0;
+    const QUERIES = 30;
+    for (let q = 0; q < QUERIES; q++) {
+        const query = near(CENTERS[q % CLUSTERS], 0.2);
+        const truth = bruteForce(query, 10);
+        const approx = searchAnn(db, query, { model: MODEL, limit: 10 }).map(r => r.id);
+        recall += truth.filter(id => approx.includes(id)).length / truth.length;
+    }
+    assert.ok(recall / QUERIES >= 0.9, `recall ${recall / QUERIES}`);
+
+    const stats = getAnnStats(db, { model: MODEL });
+    assert.equal(stats.queries.ivf, QUERIES);
+    assert.ok(stats.avg_scanned < 600);
+    // ANN_RECALL_SAMPLE_RATE=1 → setiap query IVF dibandingkan exact scan
+    assert.ok(stats.recall.samples > 0);
+    assert.ok(stats.recall.avg >= 0.9);
+
+    const bench = benchmarkAnn(db, { model: MODEL, queries: 20, k: 10 });
+    assert.equal(bench.mode, 'ivf');
+    assert.ok(bench.recall >= 0.9, `benchmark recall ${bench.recall}`);
+});
+
+test('runbook baru di-assign incremental dan langsung ditemukan', () => {
+    const target = near(CENTERS[3], 0.05);
+    addRunbook('RUNBOOK_new.md', [target]);
+    assignAnnEntry(db, 'RUNBOOK_new.md', { model: MODEL });
+
+    const row = db.prepare('SELECT list_id FROM runbook_chunks WHERE id = ?').get('RUNBOOK_new.md');
+    assert.notEqual(row.list_id, null);
+    assert.equal(searchAnn(db, target, { model: MODEL, limit: 1 })[0].id, 'RUNBOOK_new.md');
+});
+
+test('chunk model lain tidak ikut di-scan, centroid model lain = belum di-train', () => {
+    const query = near(CENTERS[5], 0.01);
+    addRunbook('RUNBOOK_other_model.md', [query], 'test:other-64');
+    assert.ok(!searchAnn(db, query, { model: MODEL, limit: 50 }).some(r => r.id === 'RUNBOOK_other_model.md'));
+
+    const other = searchAnn(db, query, { model: 'test:other-64', limit: 5 });
+    assert.deepEqual(other.map(r => r.id), ['RUNBOOK_other_model.md']);
+    assert.equal(getAnnStats(db, { model: 'test:other-64' }).mode, 'exact');
+});
+
+test('retrain saat corpus menyusut jauh → kembali exact scan', () => {
+    db.prepare("DELETE FROM runbook_chunks WHERE model = ? AND id != 'RUNBOOK_r0.md'").run(MODEL);
+    const result = maybeRetrainAnn(db, { model: MODEL });
+    assert.equal(result.trained, false);
+    assert.equal(getAnnStats(db, { model: MODEL }).mode, 'exact');
+    assert.equal(trainAnnIndex(db, { model: MODEL }).trained, false);
+});
@@ -0,0 +1,92 @@
+/**
+ * memory_credential — set / status ALIVE→DEAD (history + last_verified), query via index, render blok ## CREDENTIAL
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { readRunbook, findSectionRange } = await import('../src/storage/files.js');
+const { initSearchIndex } = await import('../src/storage/searchIndex.js');
+const { loadCredentials } = await import('../src/storage/credentials.js');
+
+const created = await executeTool('memory_upsert', {
+    items: [{ title: '[RUNBOOK] cred.example', content: '## RECON\nssh 22, postgres 5432\n\n## CREDENTIAL\nteks bebas: password dari .env lama', tags: ['test'] }]
+});
+const ID = created.upserted[0].id;
+assert.ok(initSearchIndex());
+
+const cred = (params) => executeTool('memory_credential', { id: ID, ...params });
+const credentialSection = () => {
+    const body = readRunbook(ID).content;
+    const range = findSectionRange(body, 'CREDENTIAL');
+    return body.substring(range.start, range.end);
+};
+const rowOf = (credId) => credentialSection().split('\n').find(l => l.startsWith(`| ${credId} |`));
+
+let SSH;
+let PG;
+
+test('set → record baru, blok managed dirender di ## CREDENTIAL tanpa menghapus teks bebas', async () => {
+    const ssh = await cred({ action: 'set', service: 'SSH', host: '10.0.0.9', username: 'deploy', secret_ref: 'env:DEPLOY_PASS', status: 'ALIVE' });
+    assert.equal(ssh.action, 'created');
+    assert.equal(ssh.rendered, true);
+    assert.equal(ssh.credential.service, 'ssh');
+    assert.equal(ssh.credential.status, 'ALIVE');
+    assert.ok(ssh.credential.last_verified);
+    SSH = ssh.credential.cred_id;
+
+    const pg = await cred({ action: 'set', service: 'postgresql', host: '10.0.0.9:5432', username: 'app' });
+    assert.equal(pg.credential.status, 'UNKNOWN');
+    assert.equal(pg.credential.last_verified, null);
+    PG = pg.credential.cred_id;
+
+    const section = credentialSection();
+    assert.match(section, /<!-- CREDENTIALS:BEGIN/);
+    assert.match(section, /teks bebas: password dari \.env lama/);
+    assert.match(rowOf(SSH), /\| ALIVE \|/);
+    assert.match(rowOf(PG), /\| UNKNOWN \|/);
+
+    const again = await cred({ action: 'set', service: 'ssh', host: '10.0.0.9', username: 'deploy', notes: 'sudo NOPASSWD' });
+    assert.equal(again.action, 'updated');
+    assert.equal(again.credential.cred_id, SSH);
+});
+
+test('status ALIVE → DEAD: history, previous_status, blok dirender ulang, query ikut berubah', async () => {
+    assert.equal((await executeTool('memory_credential', { status: 'ALIVE' })).total, 1);
+
+    const dead = await executeTool('memory_credential', { action: 'status', cred_id: SSH, status: 'DEAD', notes: 'password changed', verified_at: '2026-05-01T10:00:00.000Z' });
+    assert.equal(dead.ok, true);
+    assert.equal(dead.id, ID);
+    assert.equal(dead.previous_status, 'ALIVE');
+    assert.equal(dead.credential.status, 'DEAD');
+    assert.equal(dead.credential.last_verified, '2026-05-01T10:00:00.000Z');
+    assert.equal(dead.credential.status_changes, 2);
+    assert.equal(dead.rendered, true);
+    assert.match(rowOf(SSH), /\| DEAD \| 2026-05-01 \| sudo NOPASSWD \|/);
+
+    const history = loadCredentials(ID).find(c => c.cred_id === SSH).history;
+    assert.deepEqual(history.map(h => [h.status, h.note]), [['ALIVE', null], ['DEAD', 'password changed']]);
+
+    assert.equal((await executeTool('memory_credential', { status: 'ALIVE' })).total, 0);
+    const deadRows = await executeTool('memory_credential', { status: 'DEAD', host: '10.0.0' });
+    assert.deepEqual(deadRows.credentials.map(c => [c.cred_id, c.runbook_id]), [[SSH, ID]]);
+
+    // Status sama tanpa perubahan blok → tidak ada revisi baru
+    const version = readRunbook(ID).version;
+    const unknown = await cred({ action: 'status', cred_id: PG, status: 'UNKNOWN' });
+    assert.equal(unknown.rendered, false);
+    assert.equal(unknown.credential.status_changes, 0);
+    assert.equal(readRunbook(ID).version, version);
+});
+
+test('status tidak valid / cred_id tidak ada / delete', async () => {
+    assert.equal((await executeTool('memory_credential', { action: 'status', cred_id: SSH, status: 'MAYBE' })).ok, false);
+    assert.equal((await executeTool('memory_credential', { action: 'status', cred_id: 'nope', status: 'DEAD' })).ok, false);
+    assert.equal((await cred({ action: 'set', service: 'ssh' })).ok, false);
+
+    const removed = await executeTool('memory_credential', { action: 'delete', cred_id: PG });
+    assert.equal(removed.ok, true);
+    assert.equal(rowOf(PG), undefined);
+    assert.deepEqual((await cred({ action: 'list' })).credentials.map(c => c.cred_id), [SSH]);
+});
@@ -0,0 +1,56 @@
+/**
+ * Cross-model conflicts — klaim credential ALIVE/DEAD dari prosa dan tabel memory_credential
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+
+const { extractClaims, detectConflicts } = await import('../src/governance/crossModel.js');
+const { renderCredentialBlock } = await import('../src/storage/credentials.js');
+
+const credentialClaims = (text) => extractClaims(text)
+    .filter(c => c.kind === 'credential_status')
+    .map(c => `${c.subject} ${c.value}`);
+
+test('user:pass on host / user:pass@host → subject user@host tanpa password', () => {
+    assert.deepEqual(credentialClaims([
+        '- admin:Sup3r!Pass on 10.10.10.5 — ALIVE',
+        '- root:toor@db.example.com DEAD (password diganti)',
+        '- svc_backup:p@ss@files.example.com alive',
+        '- deploy@ci.example.com revoked'
+    ].join('\n')), [
+        'admin@10.10.10.5 ALIVE',
+        'root@db.example.com DEAD',
+        'svc_backup@files.example.com ALIVE',
+        'deploy@ci.example.com DEAD'
+    ]);
+});
+
+test('transisi dan URL bukan klaim credential', () => {
+    assert.deepEqual(credentialClaims('admin:x on 10.10.10.5 DEAD → ALIVE'), []);
+    assert.deepEqual(credentialClaims('http://example.com on 10.0.0.1 alive'), []);
+});
+
+test('baris tabel blok CREDENTIALS → klaim per user@host (UNKNOWN dilewati)', () => {
+    const block = renderCredentialBlock([
+        { cred_id: 'c1', service: 'ssh', host: '10.10.10.5', username: 'admin', secret_ref: 'vault:ssh/admin', status: 'ALIVE', last_verified: '2026-10-01T00:00:00Z', notes: 'pernah DEAD' },
+        { cred_id: 'c2', service: 'mysql', host: '10.10.10.6', username: 'root', secret_ref: null, status: 'UNKNOWN', last_verified: null, notes: null }
+    ]);
+    assert.deepEqual(credentialClaims(`## CREDENTIAL\n${block}`), ['admin@10.10.10.5 ALIVE']);
+});
+
+test('tabel ALIVE vs prosa DEAD untuk user@host yang sama → conflict', () => {
+    const previousBody = `## CREDENTIAL\n${renderCredentialBlock([
+        { cred_id: 'c1', service: 'ssh', host: '10.10.10.5', username: 'admin', secret_ref: '-', status: 'ALIVE', last_verified: null, notes: null }
+    ])}`;
+    const conflicts = detectConflicts({
+        runbookId: 'RUNBOOK_cm.example.md',
+        previousBody,
+        content: 'admin:Sup3r!Pass on 10.10.10.5 DEAD — login ditolak'
+    });
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].subject, 'admin@10.10.10.5');
+    assert.equal(conflicts[0].claim_a.value, 'ALIVE');
+    assert.equal(conflicts[0].claim_b.value, 'DEAD');
+    assert.equal(conflicts[0].claim_b.excerpt, null);
+});
@@ -0,0 +1,116 @@
+/**
+ * Ganti provider/model embedding — chunk model lama tidak ikut query, memory_maintain reembed
+ * meng-embed ulang dengan model aktif. Backend = server Ollama-compatible lokal (POST /api/embeddings).
+ */
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { FILLER } from './helpers.js';
+
+// Embedding deterministik: hash kata → bucket; dimensi tergantung model
+const DIMS = { 'embed-a': 16, 'embed-b': 24 };
+const requests = { 'embed-a': 0, 'embed-b': 0 };
+function fakeEmbedding(model, text) {
+    const vector = new Array(DIMS[model]).fill(0);
+    for (const word of text.toLowerCase().split(/\W+/).filter(Boolean)) {
+        let h = 0;
+        for (const ch of word) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+        vector[h % vector.length] += 1;
+    }
+    return vector;
+}
+
+const embedServer = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url === '/api/tags') return res.end(JSON.stringify({ models: [] }));
+        const { model, prompt } = JSON.parse(body || '{}');
+        if (req.url !== '/api/embeddings' || !DIMS[model]) {
+            res.statusCode = 404;
+            return res.end('{}');
+        }
+        requests[model]++;
+        res.end(JSON.stringify({ embedding: fakeEmbedding(model, prompt) }));
+    });
+});
+await new Promise(resolve => embedServer.listen(0, '127.0.0.1', resolve));
+after(() => embedServer.close());
+
+process.env.EMBEDDING_URL = `http://127.0.0.1:${embedServer.address().port}`;
+process.env.EMBEDDING_MODEL = 'embed-a';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { initSearchIndex } = await import('../src/storage/searchIndex.js');
+const { rebuildVectorIndex, vectorSearchRunbooks, getEmbeddingStatus } = await import('../src/storage/vectorIndex.js');
+const { getCurrentVault } = await import('../src/storage/vault.js');
+const config = (await import('../src/utils/config.js')).default;
+
+await executeTool('memory_upsert', {
+    items: [...FILLER, {
+        title: '[RUNBOOK] embed.example',
+        content: '## EXPLOIT\nlog4shell jndi ldap callback di header User-Agent',
+        tags: ['java']
+    }]
+});
+assert.ok(initSearchIndex());
+
+test('index awal: semua file di-embed dengan provider aktif', async () => {
+    const result = await rebuildVectorIndex();
+    assert.equal(result.provider, 'ollama:embed-a');
+    assert.equal(result.indexed, 4);
+
+    const status = getEmbeddingStatus();
+    assert.deepEqual(status.index_models, [{ model: 'ollama:embed-a', dim: 16, files: 4 }]);
+    assert.equal(status.stale_files, 0);
+    assert.equal((await vectorSearchRunbooks('log4shell jndi ldap'))[0].id, 'RUNBOOK_embed.example.md');
+
+    // File tidak berubah + model sama → tidak di-embed ulang
+    const again = await rebuildVectorIndex();
+    assert.equal(again.indexed, 0);
+    assert.equal(again.skipped, 4);
+});
+
+test('ganti model (override per vault) → index lama stale, tidak dicampur di query', async () => {
+    config.embedding.projects[getCurrentVault()] = { model: 'embed-b' };
+
+    const status = getEmbeddingStatus();
+    assert.equal(status.provider.key, 'ollama:embed-b');
+    assert.equal(status.stale_files, 4);
+    // Chunk 16 dimensi tidak dibandingkan dengan query 24 dimensi
+    assert.deepEqual(await vectorSearchRunbooks('log4shell jndi ldap'), []);
+
+    const dry = await executeTool('memory_maintain', { actions: ['reembed'] });
+    assert.equal(dry.actions.reembed.started, false);
+    assert.equal(dry.actions.reembed.stale_files, 4);
+    assert.equal(requests['embed-b'], 1);
+});
+
+test('memory_maintain reembed apply → semua file di-embed ulang dengan model baru', async () => {
+    const applied = await executeTool('memory_maintain', { mode: 'apply', actions: ['reembed'] });
+    assert.equal(applied.actions.reembed.started, true);
+    assert.equal(applied.actions.reembed.files, 4);
+
+    // Rebuild yang sedang jalan dipakai bersama (1 rebuild per vault)
+    const result = await rebuildVectorIndex();
+    assert.equal(result.provider, 'ollama:embed-b');
+    assert.equal(result.indexed, 4);
+
+    const status = getEmbeddingStatus();
+    assert.deepEqual(status.index_models, [{ model: 'ollama:embed-b', dim: 24, files: 4 }]);
+    assert.equal(status.stale_files, 0);
+    assert.equal(status.migration.status, 'done');
+    assert.equal(status.migration.reason, 'model_changed');
+    assert.equal((await vectorSearchRunbooks('log4shell jndi ldap'))[0].id, 'RUNBOOK_embed.example.md');
+});
+
+test('kembali ke model lama → di-embed ulang lagi (bukan pakai baris lama yang sudah diganti)', async () => {
+    delete config.embedding.projects[getCurrentVault()];
+    const before = requests['embed-a'];
+    const result = await rebuildVectorIndex();
+    assert.equal(result.provider, 'ollama:embed-a');
+    assert.equal(result.indexed, 4);
+    assert.ok(requests['embed-a'] > before);
+    assert.deepEqual(getEmbeddingStatus().index_models, [{ model: 'ollama:embed-a', dim: 16, files: 4 }]);
+});
@@ -0,0 +1,50 @@
+/**
+ * Encryption at rest — search (FTS5 dan file-scan fallback) tidak boleh membocorkan plaintext section terenkripsi
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { root, FILLER } from './helpers.js';
+
+process.env.MCP_MEMORI_PASSPHRASE = 'test-passphrase';
+process.env.ENCRYPT_SECTIONS = 'CREDENTIAL';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { searchRunbooks } = await import('../src/storage/files.js');
+const { initSearchIndex } = await import('../src/storage/searchIndex.js');
+
+const SECRET = 'Hunter2SuperSecret';
+const CONTENT = [
+    '## RECON',
+    'postgres 13 terbuka di 10.10.10.5:5432',
+    '',
+    '## CREDENTIAL',
+    `postgres:${SECRET} on 10.10.10.5 — ALIVE`
+].join('\n');
+
+await executeTool('memory_upsert', {
+    items: [...FILLER, { title: '[RUNBOOK] db.example', content: CONTENT, tags: ['postgres'] }]
+});
+
+test('section CREDENTIAL tersimpan terenkripsi', () => {
+    const raw = readFileSync(join(root, 'runbooks', 'RUNBOOK_db.example.md'), 'utf8');
+    assert.ok(!raw.includes(SECRET));
+});
+
+test('file-scan fallback tidak match dan tidak membuat snippet dari plaintext', () => {
+    // Index belum dibuka → searchRunbooks memakai file scan
+    assert.equal(searchRunbooks(SECRET.toLowerCase()).results.length, 0);
+
+    const { results } = searchRunbooks('postgres credential');
+    assert.ok(results.some(r => r.id === 'RUNBOOK_db.example.md'));
+    for (const result of results) assert.ok(!result.snippet.includes(SECRET), result.snippet);
+});
+
+test('snippet hasil FTS5 memakai body redacted', () => {
+    initSearchIndex();
+    const { results, _engine } = searchRunbooks('postgres alive');
+    assert.equal(_engine, 'fts5');
+    assert.ok(results.some(r => r.id === 'RUNBOOK_db.example.md'));
+    for (const result of results) assert.ok(!result.snippet.includes(SECRET), result.snippet);
+});
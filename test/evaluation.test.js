@@ -0,0 +1,166 @@
+/**
+ * Evaluation harness — golden set JSONL, recall@k / MRR / nDCG pipeline memory_search, regression gate (+ scripts/eval_run.js)
+ */
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import './helpers.js';
+
+const { loadGoldenSet, seedFixtures, scoreRanking, evaluateRetrieval, checkRegressionGate } = await import('../src/evaluation/harness.js');
+const { initSearchIndex } = await import('../src/storage/searchIndex.js');
+
+const SCRIPT = fileURLToPath(new URL('../scripts/eval_run.js', import.meta.url));
+const scratch = mkdtempSync(join(tmpdir(), 'mcp-memori-eval-test-'));
+after(() => rmSync(scratch, { recursive: true, force: true }));
+
+const GOLDEN = [
+    '# golden set test',
+    JSON.stringify({
+        id: 'rb-redis',
+        title: '[RUNBOOK] redis-cache.lab',
+        content: '## RECON\nredis 6.0 port 6379 tanpa auth\n\n## EXPLOIT\n- redis CONFIG SET dir /root/.ssh lalu tulis authorized_keys → ssh root',
+        tags: ['redis'],
+        ground_truth: ['redis tanpa auth']
+    }),
+    JSON.stringify({
+        id: 'tk-kerberoast',
+        title: '[TEKNIK] Kerberoasting service account',
+        content: '## COMMAND\nGetUserSPNs.py domain/user:pass -request → hashcat -m 13100',
+        tags: ['kerberos'],
+        ground_truth: ['kerberoasting GetUserSPNs']
+    }),
+    // Fixture tanpa ground_truth = korpus pengisi (BM25 butuh lebih dari 2 dokumen)
+    ...['jenkins-ci.lab', 'smb-share.corp', 'grafana.internal'].map(host => JSON.stringify({
+        title: `[RUNBOOK] ${host}`,
+        content: `## RECON\nnmap -sV ${host} → port 8080 http\n\n## GAGAL\n- hydra login ${host} timeout`,
+        tags: ['filler']
+    })),
+    '',
+    JSON.stringify({ id: 'q-section', query: 'authorized_keys', expected: [{ id: 'rb-redis', section: 'exploit', grade: 2 }] })
+].join('\n');
+
+const goldenFile = (name, text) => {
+    const path = join(scratch, name);
+    writeFileSync(path, text);
+    return path;
+};
+
+test('loadGoldenSet: fixture → case per ground_truth, query dengan section/grade, komentar dilewati', () => {
+    const golden = loadGoldenSet(goldenFile('golden.jsonl', GOLDEN));
+    assert.deepEqual(golden.fixtures.map(f => f.key), ['rb-redis', 'tk-kerberoast', 'fixture-4', 'fixture-5', 'fixture-6']);
+    assert.deepEqual(golden.cases.map(c => c.id), ['rb-redis#1', 'tk-kerberoast#1', 'q-section']);
+    assert.deepEqual(golden.cases[2].expected, [{ id: 'rb-redis', section: 'EXPLOIT', grade: 2 }]);
+    assert.match(golden.hash, /^[0-9a-f]{16}$/);
+    assert.equal(loadGoldenSet(goldenFile('same.jsonl', GOLDEN)).hash, golden.hash);
+});
+
+test('loadGoldenSet: baris tidak valid → error dengan nomor baris', () => {
+    const load = (text) => () => loadGoldenSet(goldenFile('bad.jsonl', text));
+    assert.throws(load('# ok\n{"query": "x"'), /^Error: line 2: invalid JSON/);
+    assert.throws(load('{"expected": ["a.md"]}'), /line 1: missing query/);
+    assert.throws(load('{"query": "x", "expected": []}'), /line 1: expected must list at least one runbook/);
+    assert.throws(load('{"query": "x", "expected": [{"id": "a.md", "grade": 0}]}'), /line 1: grade must be a positive number/);
+    assert.throws(load('{"content": "isi"}'), /line 1: fixture needs a title/);
+});
+
+test('scoreRanking: recall, reciprocal rank, nDCG bertingkat; section harus cocok; expected dihitung sekali', () => {
+    const expected = [{ id: 'a.md', section: null, grade: 2 }, { id: 'b', section: 'CREDENTIAL', grade: 1 }];
+
+    const perfect = scoreRanking([{ id: 'a' }, { id: 'B.md', section: 'Credentials' }], expected, 5);
+    assert.deepEqual(perfect, { recall: 1, reciprocal_rank: 1, ndcg: 1, first_relevant_rank: 1 });
+
+    const late = scoreRanking([{ id: 'x' }, { id: 'b', section: 'RECON' }, { id: 'a' }, { id: 'a' }], expected, 5);
+    assert.equal(late.recall, 0.5);
+    assert.equal(late.reciprocal_rank, 1 / 3);
+    assert.equal(late.first_relevant_rank, 3);
+    const idcg = 3 + 1 / Math.log2(3);
+    assert.ok(Math.abs(late.ndcg - (3 / Math.log2(4)) / idcg) < 1e-9);
+
+    assert.deepEqual(scoreRanking([{ id: 'x' }, { id: 'a' }], expected, 1), { recall: 0, reciprocal_rank: 0, ndcg: 0, first_relevant_rank: null });
+});
+
+test('evaluateRetrieval: search custom, query yang error = skor 0 tanpa abort', async () => {
+    const cases = [
+        { id: 'hit', query: 'satu', expected: [{ id: 'a', section: null, grade: 1 }] },
+        { id: 'second', query: 'dua', expected: [{ id: 'a', section: null, grade: 1 }] },
+        { id: 'boom', query: 'tiga', expected: [{ id: 'a', section: null, grade: 1 }] }
+    ];
+    const search = async (query, { limit }) => {
+        assert.equal(limit, 10);
+        if (query === 'tiga') throw new Error('index rusak');
+        return query === 'satu' ? [{ id: 'a' }] : [{ id: 'z' }, { id: 'a' }];
+    };
+    const result = await evaluateRetrieval(cases, { k: 3, search });
+    assert.equal(result.total, 3);
+    assert.equal(result.recall_at_k, 0.667);
+    assert.equal(result.mrr, 0.5);
+    assert.equal(result.failed_queries, 1);
+    assert.deepEqual(result.details.map(d => [d.id, d.first_relevant_rank, d.error]), [['hit', 1, undefined], ['second', 2, undefined], ['boom', null, 'index rusak']]);
+});
+
+test('evaluateRetrieval default = pipeline memory_search: fixture di-seed, expected diganti id runbook, section dari location', async () => {
+    const golden = loadGoldenSet(goldenFile('golden.jsonl', GOLDEN));
+    assert.ok(initSearchIndex());
+    const ids = seedFixtures(golden);
+    assert.equal(ids.get('rb-redis'), 'RUNBOOK_redis-cache.lab.md');
+    assert.equal(golden.cases[2].expected[0].id, 'RUNBOOK_redis-cache.lab.md');
+
+    const result = await evaluateRetrieval(golden.cases, { k: 5 });
+    assert.equal(result.failed_queries, 0);
+    assert.deepEqual([result.recall_at_k, result.mrr, result.ndcg_at_k], [1, 1, 1]);
+    assert.deepEqual(result.details[2].retrieved[0], 'RUNBOOK_redis-cache.lab.md#EXPLOIT');
+});
+
+test('checkRegressionGate: tanpa baseline = threshold absolut, baseline = metrik tidak boleh turun > tolerance', () => {
+    const run = (recall, mrr, ndcg, extra = {}) => ({
+        k: 5, recall_at_k: recall, mrr, ndcg_at_k: ndcg, golden_hash: 'aaa', embedding: 'off',
+        details: [{ id: 'q1', query: 'q', ndcg, retrieved: [] }], ...extra
+    });
+
+    assert.equal(checkRegressionGate(run(0.8, 0.7, 0.75)).passed, true);
+    assert.deepEqual(checkRegressionGate(run(0.8, 0.7, 0.75), null, { minMrr: 0.9 }).failures, ['mrr 0.7 < threshold 0.9']);
+
+    const baseline = run(0.8, 0.7, 0.75);
+    assert.equal(checkRegressionGate(run(0.8, 0.704, 0.75), baseline).passed, true);
+    assert.equal(checkRegressionGate(run(0.8, 0.697, 0.75), baseline).passed, true);
+
+    const dropped = checkRegressionGate(run(0.8, 0.6, 0.5), baseline);
+    assert.equal(dropped.passed, false);
+    assert.deepEqual(dropped.failures, ['mrr dropped 0.7 → 0.6 (-0.1)', 'ndcg_at_k dropped 0.75 → 0.5 (-0.25)']);
+    assert.deepEqual(dropped.regressed_queries.map(q => [q.id, q.ndcg_before, q.ndcg_after]), [['q1', 0.75, 0.5]]);
+
+    const otherK = checkRegressionGate(run(0.8, 0.7, 0.75, { k: 10 }), baseline);
+    assert.deepEqual(otherK.failures, ['baseline was measured at k=5, current run uses k=10']);
+
+    const changed = checkRegressionGate(run(0.9, 0.8, 0.8, { golden_hash: 'bbb', embedding: 'nomic-embed-text' }), baseline);
+    assert.equal(changed.passed, true);
+    assert.equal(changed.warnings.length, 2);
+});
+
+test('scripts/eval_run.js: --update-baseline lalu run ulang lulus, baseline lebih tinggi → exit 1', () => {
+    const golden = goldenFile('golden.jsonl', GOLDEN);
+    const baselinePath = join(scratch, 'baseline.json');
+    const run = (...extra) => spawnSync(process.execPath, [SCRIPT, '--golden', golden, '--baseline', baselinePath, '--json', ...extra], {
+        encoding: 'utf8', timeout: 120_000, env: process.env
+    });
+
+    const update = run('--update-baseline');
+    assert.equal(update.status, 0, update.stderr);
+    const saved = JSON.parse(readFileSync(baselinePath, 'utf8'));
+    assert.equal(saved.total, 3);
+    assert.equal(saved.recall_at_k, 1);
+    assert.equal(saved.golden_hash, loadGoldenSet(golden).hash);
+
+    const again = run();
+    assert.equal(again.status, 0, again.stderr);
+    assert.equal(JSON.parse(again.stdout).gate.passed, true);
+
+    writeFileSync(baselinePath, JSON.stringify({ ...saved, mrr: saved.mrr + 0.2 }));
+    const regressed = run();
+    assert.equal(regressed.status, 1);
+    assert.match(JSON.parse(regressed.stdout).gate.reason, /^mrr dropped/);
+});
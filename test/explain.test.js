@@ -0,0 +1,88 @@
+/**
+ * memory_search explain:true — term query (asli/synonym, FTS query), breakdown retrieval → rerank → skor akhir,
+ * explain tidak mengubah hasil/urutan
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FILLER } from './helpers.js';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { initSearchIndex } = await import('../src/storage/searchIndex.js');
+
+await executeTool('memory_upsert', {
+    items: [...FILLER, {
+        title: '[TEKNIK] Ligolo Tunnel',
+        content: '## COMMAND\nligolo agent -connect 10.0.0.1:11601 -ignore-cert',
+        tags: ['tunnel']
+    }, {
+        title: '[RUNBOOK] burrowz.lab',
+        content: '## RECON\nburrowz host, pivot via ligolo gagal',
+        tags: ['burrowz.lab']
+    }]
+});
+await executeTool('memory_vocabulary', { action: 'add', kind: 'synonym', key: 'burrowz', terms: ['ligolo'] });
+
+const search = (params) => executeTool('memory_search', { query: 'burrowz', ...params });
+const product = (factors) => factors.reduce((acc, f) => acc * f.multiplier, 1);
+
+for (const engine of ['file_scan', 'fts5']) {
+    test(`${engine}: explain query — term asli, synonym + key pemicu, fusion`, async () => {
+        if (engine === 'fts5') assert.ok(initSearchIndex());
+        const { explain } = await search({ explain: true });
+        assert.equal(explain.engine, engine);
+        assert.equal(explain.structured, false);
+        assert.deepEqual(explain.original_terms, ['burrowz']);
+        assert.deepEqual(explain.expanded_terms, [{ term: 'ligolo', from: 'burrowz' }]);
+        assert.equal(explain.fusion, 'keyword_only');
+        assert.equal(explain.vector.used, false);
+        assert.deepEqual(explain.rerank_target_keywords, ['burrowz']);
+        if (engine === 'fts5') assert.equal(explain.fts_query, '"burrowz"* OR "ligolo"*');
+        else assert.equal(explain.fts_query, undefined);
+    });
+
+    test(`${engine}: explain per hasil — retrieval → rerank → final_score konsisten`, async () => {
+        const { results } = await search({ explain: true });
+        assert.deepEqual(results.map(r => r.id), ['RUNBOOK_burrowz.lab.md', 'TEKNIK_Ligolo_Tunnel.md']);
+
+        results.forEach((result, i) => {
+            const { rank, retrieval, rerank, graph, final_score: finalScore } = result.explain;
+            assert.equal(rank, i + 1);
+            assert.equal(retrieval.engine, engine);
+            assert.equal(rerank.score_in, retrieval.score);
+            assert.ok(Math.abs(rerank.score_in * product(rerank.factors) - rerank.score) < 0.01);
+            assert.equal(finalScore, result.score);
+            assert.equal(graph.affects_score, false);
+        });
+
+        const [top, synonymOnly] = results;
+        assert.deepEqual(top.explain.rerank.factors.map(f => f.signal), ['target_tag_boost', 'title_target_boost', 'failure_penalty']);
+        if (engine === 'fts5') {
+            assert.deepEqual(top.explain.retrieval.matched_terms.original, [{ term: 'burrowz', fields: ['title', 'tags', 'content'] }]);
+            assert.deepEqual(top.explain.retrieval.matched_terms.expanded, [{ term: 'ligolo', fields: ['content'] }]);
+            assert.equal(synonymOnly.explain.retrieval.matched_terms.original.length, 0);
+        } else {
+            const terms = top.explain.retrieval.terms;
+            const points = terms.reduce((sum, t) => sum + Object.values(t.points).reduce((a, b) => a + b, 0), 0);
+            assert.equal(top.explain.retrieval.term_points, points);
+            assert.deepEqual(terms.find(t => t.term === 'ligolo'), { term: 'ligolo', original: false, from: 'burrowz', occurrences: 1, points: { content: 0.5 } });
+            assert.deepEqual(synonymOnly.explain.retrieval.terms.map(t => t.term), ['ligolo']);
+        }
+    });
+
+    test(`${engine}: tanpa explain → tidak ada field explain, hasil dan skor sama`, async () => {
+        const plain = await search({});
+        const explained = await search({ explain: true });
+        assert.equal(plain.explain, undefined);
+        assert.ok(plain.results.every(r => r.explain === undefined));
+        assert.deepEqual(plain.results.map(r => [r.id, r.score]), explained.results.map(r => [r.id, r.score]));
+    });
+}
+
+test('query terstruktur: tanpa synonym expansion, FTS query dari parser', async () => {
+    const { explain, results } = await executeTool('memory_search', { query: '"ligolo agent" -gagal', explain: true });
+    assert.equal(explain.structured, true);
+    assert.deepEqual(explain.expanded_terms, []);
+    assert.match(explain.fts_query, /"ligolo agent"/);
+    assert.match(explain.fts_query, /NOT/);
+    assert.deepEqual(results.map(r => r.id), ['TEKNIK_Ligolo_Tunnel.md']);
+});
@@ -0,0 +1,90 @@
+/**
+ * Filter terstruktur memory_search — rentang updated/created, success/verified, ukuran, title_prefix, section
+ * (file-scan dan FTS5 pushdown harus sama), tanggal tidak valid → error
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, statSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { FILLER } from './helpers.js';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { parseFrontmatter, buildFrontmatter, getRunbooksDir } = await import('../src/storage/files.js');
+const { initSearchIndex } = await import('../src/storage/searchIndex.js');
+
+const OLD = 'RUNBOOK_old.corp.md';
+const MID = 'RUNBOOK_mid.lab.md';
+const BIG = 'TEKNIK_Nginx_Alias_Traversal.md';
+
+await executeTool('memory_upsert', {
+    items: [...FILLER, {
+        title: '[RUNBOOK] old.corp',
+        content: '## RECON\nnginx 1.14 di port 80\n\n## GAGAL\nnginx alias traversal dipatch',
+        tags: ['web'], success: false
+    }, {
+        title: '[RUNBOOK] mid.lab',
+        content: '## RECON\nnginx 1.18 di port 8080\n\n## CREDENTIAL\nadmin:admin on mid.lab ALIVE',
+        tags: ['web'], success: true, verified: true
+    }, {
+        title: '[TEKNIK] Nginx Alias Traversal',
+        content: '## COMMAND\ncurl http://target/static../etc/passwd — nginx alias tanpa trailing slash\n\n## NOTES\n' + 'payload variasi\n'.repeat(200),
+        tags: ['web'], success: true
+    }]
+});
+
+// Tanggal created/updated diatur langsung di frontmatter (upsert selalu pakai waktu sekarang)
+const setDates = (id, created, updated) => {
+    const file = join(getRunbooksDir(), id);
+    const { meta, body } = parseFrontmatter(readFileSync(file, 'utf8'), { decrypt: false });
+    writeFileSync(file, buildFrontmatter({ ...meta, created, updated }) + body.trim() + '\n');
+};
+setDates(OLD, '2025-01-10T09:00:00.000Z', '2025-02-01T09:00:00.000Z');
+setDates(MID, '2026-01-05T08:00:00.000Z', '2026-01-31T23:00:00.000Z');
+setDates(BIG, '2026-03-01T10:00:00.000Z', '2026-03-02T10:00:00.000Z');
+
+// Frasa = query terstruktur (tanpa threshold skor) → hasil hanya ditentukan oleh filter
+const ids = async (params) => (await executeTool('memory_search', { query: '"nginx"', ...params })).results.map(r => r.id).sort();
+
+for (const engine of ['file_scan', 'fts5']) {
+    test(`${engine}: rentang tanggal — *_after inklusif (tanggal saja = seluruh hari), *_before eksklusif`, async () => {
+        if (engine === 'fts5') assert.ok(initSearchIndex());
+        assert.deepEqual(await ids({}), [OLD, MID, BIG].sort());
+        assert.deepEqual(await ids({ updated_after: '2026-01-31' }), [MID, BIG].sort());
+        assert.deepEqual(await ids({ updated_after: '2026-02-01' }), [BIG]);
+        assert.deepEqual(await ids({ updated_before: '2026-01-31T23:00:00Z' }), [OLD]);
+        assert.deepEqual(await ids({ created_after: '2026-01-01', created_before: '2026-02-01' }), [MID]);
+    });
+
+    test(`${engine}: success / verified`, async () => {
+        assert.deepEqual(await ids({ success: true }), [MID, BIG].sort());
+        assert.deepEqual(await ids({ success: false }), [OLD]);
+        assert.deepEqual(await ids({ verified: true }), [MID]);
+        assert.deepEqual(await ids({ verified: false, success: true }), [BIG]);
+    });
+
+    test(`${engine}: ukuran file, title_prefix, section`, async () => {
+        const bigSize = statSync(join(getRunbooksDir(), BIG)).size;
+        assert.deepEqual(await ids({ min_size: bigSize }), [BIG]);
+        assert.deepEqual(await ids({ max_size: bigSize - 1 }), [OLD, MID].sort());
+        assert.deepEqual(await ids({ title_prefix: '[teknik]' }), [BIG]);
+        assert.deepEqual(await ids({ title_prefix: '[RUNBOOK]', success: true }), [MID]);
+        assert.deepEqual(await ids({ section: ['CREDENTIAL', 'GAGAL'] }), [OLD, MID].sort());
+        assert.deepEqual(await ids({ section: 'Credentials' }), [MID]);
+        assert.deepEqual(await ids({ query: '"nginx" -section:GAGAL', section: ['RECON'] }), [MID]);
+    });
+}
+
+test('filter tidak valid → error Invalid filter, tanpa hasil', async () => {
+    for (const params of [{ updated_after: 'kemarin' }, { created_before: '2026-13-45' }, { success: 'yes' }, { min_size: -1 }]) {
+        const res = await executeTool('memory_search', { query: 'nginx', ...params });
+        assert.deepEqual(res.results, [], JSON.stringify(params));
+        assert.match(res.error, /^Invalid filter — /, JSON.stringify(params));
+    }
+    const res = await executeTool('memory_search', { query: 'nginx', updated_after: 'kemarin' });
+    assert.match(res.error, /updated_after: invalid date "kemarin"/);
+});
+
+test('filter ikut dilaporkan di response', async () => {
+    const res = await executeTool('memory_search', { query: 'nginx', updated_after: '2026-01-31', success: true });
+    assert.deepEqual(res.meta.filters, { updated_after: '2026-01-31', success: true });
+});
@@ -0,0 +1,50 @@
+/**
+ * memory_graph — depth / max_hops / limit dari client dikoersi ke angka (string, NaN → default)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FILLER } from './helpers.js';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { initSearchIndex } = await import('../src/storage/searchIndex.js');
+
+await executeTool('memory_upsert', {
+    items: [...FILLER, {
+        title: '[RUNBOOK] graph.example',
+        content: '## RECON\n10.10.10.5 port 80 apache\n\n## EXPLOIT\nCVE-2021-41773 path traversal → RCE',
+        tags: ['apache']
+    }, {
+        title: '[RUNBOOK] graph2.example',
+        content: '## EXPLOIT\nCVE-2021-41773 juga di 10.10.10.6',
+        tags: ['apache']
+    }]
+});
+assert.ok(initSearchIndex());
+
+test('neighborhood: depth/limit bukan angka → default, string angka → angka', async () => {
+    const invalid = await executeTool('memory_graph', { entity: 'cve-2021-41773', depth: 'abc', limit: 'banyak' });
+    assert.equal(invalid.ok, true);
+    assert.equal(invalid.depth, 2);
+    assert.ok(invalid.node_count > 1);
+
+    const numeric = await executeTool('memory_graph', { entity: 'cve-2021-41773', depth: '1', limit: '200' });
+    assert.equal(numeric.depth, 1);
+    assert.ok(numeric.node_count > 1);
+
+    assert.equal((await executeTool('memory_graph', { entity: 'cve-2021-41773', depth: 99 })).depth, 4);
+});
+
+test('path: max_hops bukan angka → default 6', async () => {
+    const res = await executeTool('memory_graph', { action: 'path', from: 'cve-2021-41773', to: '10.10.10.6', max_hops: 'abc' });
+    assert.equal(res.ok, true);
+    assert.equal(res.found, true);
+});
+
+test('shared: limit bukan angka → default, string angka dipakai', async () => {
+    const invalid = await executeTool('memory_graph', { action: 'shared', entity: 'cve-2021-41773', limit: 'abc' });
+    assert.equal(invalid.runbooks.length, 2);
+
+    const one = await executeTool('memory_graph', { action: 'shared', entity: 'cve-2021-41773', limit: '1' });
+    assert.equal(one.runbooks.length, 1);
+    assert.equal(one.total, 2);
+});
@@ -0,0 +1,118 @@
+/**
+ * Graph bertipe — ekstraksi host/ip/port/service/cve/credential/url + relasi dari section runbook,
+ * index kg_relations (incremental saat upsert), section terenkripsi tidak masuk graph
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FILLER } from './helpers.js';
+
+process.env.MCP_MEMORI_PASSPHRASE = 'test-passphrase';
+process.env.ENCRYPT_SECTIONS = 'CREDENTIAL';
+
+const { extractGraph } = await import('../src/storage/graphExtract.js');
+const { executeTool } = await import('../src/mcp/index.js');
+const { initSearchIndex } = await import('../src/storage/searchIndex.js');
+const { queryRelations } = await import('../src/storage/graphIndex.js');
+const { confirmRead } = await import('../src/mcp/tools/memory.forget.js');
+const { readRunbook } = await import('../src/storage/files.js');
+
+const BODY = [
+    '## RECON',
+    'Nmap scan report for app.example.com (10.10.10.5)',
+    '22/tcp open ssh OpenSSH 8.2',
+    '8080/tcp open http nginx 1.18',
+    '443/tcp closed https',
+    'http://app.example.com:8080/admin/login panel',
+    '',
+    '## EXPLOIT',
+    'CVE-2021-23017 nginx resolver di app.example.com',
+    '',
+    '## CREDENTIAL',
+    'deploy:S3cret@app.example.com ssh ALIVE',
+    'backup@10.10.10.5 password lama DEAD'
+].join('\n');
+
+const edges = (relations) => relations.map(r => `${r.source} -${r.relation}-> ${r.target}`);
+
+test('extractGraph: entity bertipe dengan section + line asal', () => {
+    const { entities } = extractGraph({ title: '[RUNBOOK] app.example.com', body: BODY });
+    const at = (name, section) => entities.find(e => e.name === name && e.section === section);
+    assert.deepEqual(at('app.example.com', 'RECON'), { name: 'app.example.com', type: 'host', section: 'RECON', line: 2 });
+    assert.equal(at('10.10.10.5', 'RECON').type, 'ip');
+    assert.deepEqual(at('app.example.com:8080/tcp', 'RECON'), { name: 'app.example.com:8080/tcp', type: 'port', section: 'RECON', line: 4 });
+    assert.equal(at('cve-2021-23017', 'EXPLOIT').line, 9);
+    assert.equal(at('deploy@app.example.com', 'CREDENTIAL').type, 'credential');
+    assert.equal(at('http://app.example.com:8080/admin/login', 'RECON').type, 'url');
+    // Port closed tidak dianggap terbuka, secret tidak pernah jadi entity
+    assert.ok(!entities.some(e => e.name.includes(':443')));
+    assert.ok(!entities.some(e => e.name.toLowerCase().includes('s3cret')));
+});
+
+test('extractGraph: relasi nmap, DNS, CVE, URL, credential ALIVE/DEAD', () => {
+    const { relations } = extractGraph({ title: '[RUNBOOK] app.example.com', body: BODY });
+    const all = edges(relations);
+    for (const edge of [
+        'app.example.com -resolves_to-> 10.10.10.5',
+        'app.example.com -exposes-> app.example.com:22/tcp',
+        'app.example.com:22/tcp -runs_service-> ssh',
+        'app.example.com:8080/tcp -runs_service-> nginx',
+        'http://app.example.com:8080/admin/login -hosted_on-> app.example.com',
+        'cve-2021-23017 -affects-> nginx',
+        'app.example.com -vulnerable_to-> cve-2021-23017',
+        'deploy@app.example.com -valid_on-> app.example.com',
+        'deploy@app.example.com -for_user-> deploy',
+        'backup@10.10.10.5 -dead_on-> 10.10.10.5'
+    ]) assert.ok(all.includes(edge), edge);
+    assert.ok(!all.some(e => e.includes('443')));
+});
+
+test('extractGraph: port tanpa host di baris → host terakhir di section, fallback target judul', () => {
+    const { relations } = extractGraph({ title: '[RUNBOOK] db.example.org', body: '## RECON\n5432/tcp open postgresql\nport 6379 redis terbuka' });
+    assert.deepEqual(edges(relations), [
+        'db.example.org -exposes-> db.example.org:5432/tcp',
+        'db.example.org:5432/tcp -runs_service-> postgresql',
+        'db.example.org -runs_service-> postgresql',
+        'db.example.org -exposes-> db.example.org:6379/tcp',
+        'db.example.org:6379/tcp -runs_service-> redis'
+    ]);
+});
+
+await executeTool('memory_upsert', {
+    items: [...FILLER, { title: '[RUNBOOK] app.example.com', content: BODY, tags: ['nginx'] }, {
+        title: '[RUNBOOK] edge.example.net',
+        content: '## EXPLOIT\nCVE-2021-23017 nginx juga di edge.example.net',
+        tags: ['nginx']
+    }]
+});
+assert.ok(initSearchIndex());
+
+test('index: kg_relations per runbook + section, lintas runbook lewat entity yang sama', async () => {
+    const exposes = queryRelations('app.example.com', { direction: 'out', relation: 'exposes' });
+    assert.deepEqual(exposes.map(r => [r.target, r.target_type, r.section, r.runbook_id]), [
+        ['app.example.com:22/tcp', 'port', 'RECON', 'RUNBOOK_app.example.com.md'],
+        ['app.example.com:8080/tcp', 'port', 'RECON', 'RUNBOOK_app.example.com.md']
+    ]);
+
+    const shared = await executeTool('memory_graph', { action: 'shared', entity: 'CVE-2021-23017' });
+    assert.equal(shared.entity.type, 'cve');
+    assert.equal(shared.total, 2);
+    assert.deepEqual([...new Set(shared.relations.filter(r => r.relation === 'vulnerable_to').map(r => r.source))].sort(), ['app.example.com', 'edge.example.net']);
+
+    const path = await executeTool('memory_graph', { action: 'path', from: 'edge.example.net', to: 'app.example.com:8080/tcp' });
+    assert.equal(path.found, true);
+});
+
+test('section terenkripsi di-redact sebelum ekstraksi → credential tidak masuk graph', () => {
+    assert.deepEqual(queryRelations('deploy@app.example.com'), []);
+    assert.deepEqual(queryRelations('10.10.10.5', { relation: 'dead_on' }), []);
+});
+
+test('upsert setelah index → graph runbook diperbarui incremental', async () => {
+    const id = 'RUNBOOK_app.example.com.md';
+    confirmRead(id, 'full', readRunbook(id).content.length);
+    await executeTool('memory_upsert', { items: [{ title: '[RUNBOOK] app.example.com', append_to_section: 'RECON', content: '3306/tcp open mysql MySQL 8.0', tags: ['nginx'] }] });
+
+    const exposes = queryRelations('app.example.com', { direction: 'out', relation: 'exposes' }).map(r => r.target);
+    assert.ok(exposes.includes('app.example.com:3306/tcp'));
+    assert.deepEqual(edges(queryRelations('app.example.com:3306/tcp', { direction: 'out' })), ['app.example.com:3306/tcp -runs_service-> mysql']);
+});
@@ -0,0 +1,25 @@
+/**
+ * Test helpers — storage root sementara per test file (node --test = 1 process per file).
+ * Import helper ini SEBELUM modul src (config dibaca saat load), lalu import src secara dinamis.
+ */
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+export const root = mkdtempSync(join(tmpdir(), 'mcp-memori-test-'));
+process.env.MCP_MEMORI_ROOT = root;
+process.on('exit', () => rmSync(root, { recursive: true, force: true }));
+process.env.MCP_MEMORI_AUTO_MEMORY = join(root, 'MEMORY.md');
+// Tanpa embedding backend — search jalan di FTS5/file-scan saja (deterministik, tanpa download model)
+process.env.EMBEDDING_MODE = 'keyword_only';
+process.env.EMBEDDING_PROVIDER = 'ollama';
+process.env.EMBEDDING_URL = 'http://127.0.0.1:9';
+
+// Runbook pengisi — BM25 butuh beberapa dokumen supaya IDF term yang dicari > 0
+export const FILLER = [
+    { title: '[TEKNIK] Filler Recon', content: '## Recon\nport scan dengan masscan, subdomain enumeration', tags: ['recon'] },
+    { title: '[TEKNIK] Filler Privesc', content: '## Privesc\nsudo -l, SUID binaries, kernel exploit', tags: ['privesc'] },
+    { title: '[TEKNIK] Filler Web', content: '## Web\ndirectory bruteforce, parameter discovery', tags: ['web'] }
+];
+
+export default { root, FILLER };
@@ -0,0 +1,90 @@
+/**
+ * Revisi runbook — memory_history (list/diff) dan memory_restore (full / 1 section) round trip
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { confirmRead } = await import('../src/mcp/tools/memory.forget.js');
+const { readRunbook, findSectionRange } = await import('../src/storage/files.js');
+const { readRevision } = await import('../src/storage/history.js');
+
+const TITLE = '[RUNBOOK] hist.example';
+const upsert = (item) => executeTool('memory_upsert', { items: [{ title: TITLE, tags: ['test'], ...item }] });
+const section = (body, name) => {
+    const range = findSectionRange(body, name);
+    return range ? body.substring(range.start, range.end).trim() : null;
+};
+
+const created = await upsert({ content: '## LIVE STATUS\nALIVE\n\n## CREDENTIAL\nadmin:admin on 10.0.0.5 ALIVE' });
+const ID = created.upserted[0].id;
+const REV1_BODY = readRunbook(ID).content;
+confirmRead(ID, 'full', REV1_BODY.length);
+await upsert({ append_to_section: 'CREDENTIAL', content: 'root:toor on 10.0.0.6 ALIVE' });
+await upsert({ replace_section: 'LIVE STATUS', content: 'DEAD — box dimatikan' });
+
+test('setiap write = 1 revisi, list terbaru dulu dengan note operasi', async () => {
+    const res = await executeTool('memory_history', { id: ID });
+    assert.equal(res.total, 3);
+    assert.deepEqual(res.revisions.map(r => [r.rev, r.version, r.note]), [
+        [3, 3, 'replace_section: LIVE STATUS'],
+        [2, 2, 'append_to_section: CREDENTIAL'],
+        [1, 1, 'create']
+    ]);
+    assert.match(readRevision(ID, 1), /admin:admin/);
+    assert.doesNotMatch(readRevision(ID, 1), /root:toor/);
+});
+
+test('diff antar revisi, dibatasi 1 section', async () => {
+    const full = await executeTool('memory_history', { id: ID, from: 1 });
+    assert.equal(full.to, 'current');
+    assert.match(full.diff, /^\+.*root:toor/m);
+    assert.match(full.diff, /^-ALIVE$/m);
+    assert.match(full.diff, /^\+DEAD — box dimatikan$/m);
+
+    const credential = await executeTool('memory_history', { id: ID, from: 1, to: 2, section: 'CREDENTIAL' });
+    assert.match(credential.diff, /^\+.*root:toor/m);
+    assert.doesNotMatch(credential.diff, /DEAD/);
+
+    const missing = await executeTool('memory_history', { id: ID, from: 1, to: 99 });
+    assert.equal(missing.ok, false);
+});
+
+test('restore 1 section: section lain tetap versi terbaru', async () => {
+    const res = await executeTool('memory_restore', { id: ID, rev: 1, section: 'CREDENTIAL', reason: 'test' });
+    assert.equal(res.ok, true);
+    assert.equal(res.action, 'restore_section');
+    assert.equal(res.version, 4);
+
+    const body = readRunbook(ID).content;
+    assert.equal(section(body, 'CREDENTIAL'), section(REV1_BODY, 'CREDENTIAL'));
+    assert.match(section(body, 'LIVE STATUS'), /DEAD — box dimatikan/);
+});
+
+test('restore penuh = revisi baru, history lama tetap ada', async () => {
+    const res = await executeTool('memory_restore', { id: ID, rev: 1, reason: 'test' });
+    assert.equal(res.ok, true);
+    assert.equal(res.action, 'restore');
+    assert.equal(readRunbook(ID).content.trim(), REV1_BODY.trim());
+
+    const history = await executeTool('memory_history', { id: ID });
+    assert.equal(history.total, 5);
+    assert.match(history.revisions[0].note, /^restore rev 1/);
+    assert.match(readRevision(ID, 3), /DEAD — box dimatikan/);
+
+    // Revisi terbaru sebelum restore bisa dikembalikan lagi
+    assert.equal((await executeTool('memory_restore', { id: ID, rev: 3, reason: 'undo restore' })).ok, true);
+    assert.match(section(readRunbook(ID).content, 'LIVE STATUS'), /DEAD/);
+});
+
+test('restore ditolak tanpa memory_get dulu / revisi tidak ada', async () => {
+    const other = (await executeTool('memory_upsert', { items: [{ title: '[RUNBOOK] unread.example', content: '## LIVE STATUS\nALIVE', tags: ['test'] }] })).upserted[0].id;
+    const blocked = await executeTool('memory_restore', { id: other, rev: 1, reason: 'test' });
+    assert.equal(blocked.ok, false);
+    assert.match(blocked.error, /^BLOCKED/);
+
+    const missing = await executeTool('memory_restore', { id: ID, rev: 42, reason: 'test' });
+    assert.equal(missing.ok, false);
+    assert.ok(missing.available_revisions.includes(1));
+});
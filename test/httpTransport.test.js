@@ -0,0 +1,66 @@
+/**
+ * HTTP transport — validasi payload JSON-RPC di POST /mcp dan POST /messages
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+
+const { startHttpTransport } = await import('../src/mcp/httpTransport.js');
+
+// Server minimal: handleMessage/buildError sama bentuknya dengan McpServer
+const server = {
+    async handleMessage(message) {
+        if (message.id === undefined) return null;
+        if (message.method === 'initialize') return { jsonrpc: '2.0', id: message.id, result: {} };
+        return { jsonrpc: '2.0', id: message.id, result: { echo: message.method } };
+    },
+    buildError(id, code, message) {
+        return { jsonrpc: '2.0', id, error: { code, message } };
+    },
+    closeSession() {}
+};
+
+let httpServer;
+let baseUrl;
+
+before(async () => {
+    httpServer = await startHttpTransport(server, { port: 0, host: '127.0.0.1' });
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+});
+
+after(() => httpServer.close());
+
+const post = (body, headers = {}) => fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+});
+
+test('batch kosong → 1 error -32600 Invalid Request', async () => {
+    const res = await post([]);
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.ok(!Array.isArray(body));
+    assert.equal(body.id, null);
+    assert.equal(body.error.code, -32600);
+    assert.match(body.error.message, /^Invalid Request/);
+});
+
+test('batch kosong di session yang valid tetap error, bukan 202', async () => {
+    const init = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    const sessionId = init.headers.get('mcp-session-id');
+    assert.ok(sessionId);
+
+    const res = await post([], { 'Mcp-Session-Id': sessionId });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error.code, -32600);
+});
+
+test('batch berisi request tetap dijawab dengan array', async () => {
+    const init = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    const sessionId = init.headers.get('mcp-session-id');
+
+    const res = await post([{ jsonrpc: '2.0', id: 2, method: 'ping' }, { jsonrpc: '2.0', method: 'notifications/initialized' }], { 'Mcp-Session-Id': sessionId });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), [{ jsonrpc: '2.0', id: 2, result: { echo: 'ping' } }]);
+});
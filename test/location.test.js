@@ -0,0 +1,74 @@
+/**
+ * memory_search location — filter section, match hanya di title, offset dari body redacted, jump = baris memory_get
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { FILLER } from './helpers.js';
+
+process.env.MCP_MEMORI_PASSPHRASE = 'test-passphrase';
+process.env.ENCRYPT_SECTIONS = 'CREDENTIAL';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { parseFrontmatter, getRunbooksDir } = await import('../src/storage/files.js');
+
+const ID = 'RUNBOOK_locate.example.md';
+await executeTool('memory_upsert', {
+    items: [...FILLER, {
+        title: '[RUNBOOK] locate.example',
+        content: [
+            '## RECON',
+            'nginx 1.18 di port 80',
+            '',
+            '## CREDENTIAL',
+            'nginx panel admin:Sup3rSecret on 10.0.0.5',
+            'baris 2',
+            'baris 3',
+            'baris 4',
+            '',
+            '## EXPLOIT',
+            'nginx alias traversal → baca /etc/passwd'
+        ].join('\n'),
+        tags: ['web']
+    }]
+});
+
+const redactedBody = () => parseFrontmatter(readFileSync(join(getRunbooksDir(), ID), 'utf8'), { redact: true }).body;
+const hitOf = async (params) => (await executeTool('memory_search', params)).results.find(r => r.id === ID);
+const readLine = async (line) => (await executeTool('memory_get', { id: ID, line, line_count: 1 })).text.split('\n').pop();
+
+test('filter section (param) → hit di section itu, bukan match pertama di RECON', async () => {
+    const hit = await hitOf({ query: 'nginx', section: 'EXPLOIT' });
+    assert.equal(hit.location.section, 'EXPLOIT');
+    assert.match(await readLine(hit.location.line), /nginx alias traversal/);
+    assert.equal(hit.location.match_count, 1);
+});
+
+test('section: di query → hit di section itu; jump memory_get melewati section terenkripsi dengan benar', async () => {
+    const hit = await hitOf({ query: 'section:EXPLOIT nginx' });
+    assert.equal(hit.location.section, 'EXPLOIT');
+    assert.match(await readLine(hit.location.line), /nginx alias traversal/);
+
+    const jump = await executeTool('memory_get', { ...hit.location.jump });
+    assert.match(jump.text, /nginx alias traversal/);
+});
+
+test('offset dihitung di body redacted — match di section terenkripsi tidak dilaporkan', async () => {
+    const hit = await hitOf({ query: 'nginx' });
+    const body = redactedBody();
+    assert.equal(hit.location.match_count, 2);
+    for (const offset of hit.location.offsets) assert.equal(body.substr(offset, 5).toLowerCase(), 'nginx');
+    assert.equal((await hitOf({ query: 'Sup3rSecret' })), undefined);
+});
+
+test('query terstruktur yang cocok hanya di title tetap dapat location', async () => {
+    const hit = await hitOf({ query: 'title:locate.example' });
+    assert.equal(hit.location.match_count, 0);
+    assert.equal(hit.location.line, 1);
+    assert.equal(hit.location.offset, 0);
+
+    const scoped = await hitOf({ query: 'title:locate.example section:EXPLOIT' });
+    assert.equal(scoped.location.section, 'EXPLOIT');
+    assert.match(await readLine(scoped.location.line), /│ ## EXPLOIT$/);
+});
@@ -0,0 +1,208 @@
+/**
+ * memory_feedback (confidence/verified), memory_maintain (dedup, orphan_cleanup, autolog_compact, index_repair)
+ * dan memory_reflect (statistik teknik dari ## EXPLOIT / ## GAGAL)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { copyFileSync, existsSync, mkdirSync, readFileSync, readdirSync, unlinkSync, utimesSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { gunzipSync } from 'zlib';
+import { FILLER } from './helpers.js';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { getRunbooksDir, parseFrontmatter, buildFrontmatter } = await import('../src/storage/files.js');
+const { getArchiveDir } = await import('../src/storage/paths.js');
+const { initSearchIndex } = await import('../src/storage/searchIndex.js');
+const { listTrash } = await import('../src/storage/trash.js');
+const { listRevisions } = await import('../src/storage/history.js');
+
+const dir = getRunbooksDir();
+const metaOf = (id) => parseFrontmatter(readFileSync(join(dir, id), 'utf8'), { decrypt: false }).meta;
+const maintain = (params) => executeTool('memory_maintain', params);
+
+await executeTool('memory_upsert', {
+    items: [...FILLER, {
+        title: '[RUNBOOK] reflect-a.example',
+        content: [
+            '## EXPLOIT',
+            '- sqlmap --os-shell di /search.php?q= → shell www-data',
+            '- SSRF ke 169.254.169.254 → IAM key',
+            '',
+            '## GAGAL',
+            '- sqli di /login diblok WAF cloudflare',
+            '- hydra ssh timeout setelah 50 percobaan',
+            '- catatan tanpa teknik yang dikenali'
+        ].join('\n'),
+        tags: ['web']
+    }, {
+        title: '[RUNBOOK] kiosk.internal',
+        content: '## EXPLOIT\n- union based sqli di /api/items?id=\n\n## GAGAL\n- brute login panel admin → lockout',
+        tags: ['web']
+    }]
+});
+
+test('memory_feedback: useful → verified + confidence naik, wrong → confidence turun, 1 revisi per feedback', async () => {
+    const id = 'RUNBOOK_kiosk.internal.md';
+    const before = Number(metaOf(id).confidence) || 0.5;
+
+    const useful = await executeTool('memory_feedback', { id, label: 'useful', notes: 'payload jalan' });
+    assert.equal(useful.ok, true);
+    assert.equal(useful.updated.verified, true);
+    assert.ok(Math.abs(useful.updated.confidence - Math.min(1, before + 0.1)) < 1e-9);
+    assert.match(metaOf(id).last_feedback, /^useful: payload jalan/);
+
+    const wrong = await executeTool('memory_feedback', { id, label: 'wrong' });
+    assert.equal(wrong.updated.verified, false);
+    assert.ok(Math.abs(wrong.updated.confidence - (useful.updated.confidence - 0.2)) < 1e-9);
+    assert.equal(metaOf(id).verified, false);
+
+    assert.deepEqual(listRevisions(id).map(r => r.note), ['create', 'feedback: useful', 'feedback: wrong']);
+    assert.equal((await executeTool('memory_feedback', { id: 'RUNBOOK_nope.example.md', label: 'useful' })).ok, false);
+});
+
+test('memory_reflect: success/failure per teknik, entry tanpa teknik = unclassified, filter technique', async () => {
+    const { reflection } = await executeTool('memory_reflect', {});
+    assert.equal(reflection.runbooks_with_outcomes, 2);
+    assert.deepEqual(reflection.totals, { success_entries: 3, failure_entries: 4, unclassified_success: 0, unclassified_failure: 1 });
+
+    const sqli = reflection.techniques.find(t => t.technique === 'sqli');
+    assert.deepEqual([sqli.success, sqli.failure, sqli.total, sqli.runbooks], [2, 1, 3, 2]);
+    assert.equal(sqli.success_rate, 0.67);
+    assert.match(sqli.recent_failures[0].entry, /diblok WAF/);
+
+    const brute = reflection.techniques.find(t => t.technique === 'brute');
+    assert.deepEqual([brute.success, brute.failure], [0, 2]);
+    assert.equal(reflection.most_failed[0].technique, 'brute');
+    assert.ok(reflection.most_reliable.some(t => t.technique === 'sqli'));
+
+    const only = (await executeTool('memory_reflect', { technique: 'SSRF' })).reflection;
+    assert.deepEqual(only.techniques.map(t => [t.technique, t.success, t.failure]), [['ssrf', 1, 0]]);
+});
+
+test('memory_maintain: action tidak dikenal → error, dry_run default tanpa perubahan', async () => {
+    const unknown = await maintain({ actions: ['defrag'] });
+    assert.equal(unknown.ok, false);
+    assert.match(unknown.meta.error, /Unknown action\(s\): defrag/);
+
+    const dry = await maintain({ actions: ['dedup'] });
+    assert.equal(dry.mode, 'dry_run');
+    assert.deepEqual(Object.keys(dry.actions), ['dedup']);
+    assert.ok(dry.hint);
+});
+
+test('dedup: body identik → duplikat lama ke .deleted/ saat apply, judul sama isi beda hanya dilaporkan', async () => {
+    const created = await executeTool('memory_upsert', {
+        items: [{ title: '[RUNBOOK] dedup-orig.example', content: `## RECON\n${'nmap -sV -p- 10.0.0.9 → 22/ssh 80/http 3306/mysql\n'.repeat(6)}`, tags: ['test'] }]
+    });
+    const keep = created.upserted[0].id;
+    const dup = 'RUNBOOK_dedup-copy.example.md';
+    copyFileSync(join(dir, keep), join(dir, dup));
+    // Salinan lebih tua → versi terbaru (original) yang dipertahankan
+    const past = new Date(Date.now() - 60_000);
+    utimesSync(join(dir, dup), past, past);
+
+    const conflict = 'RUNBOOK_dedup-conflict.example.md';
+    const { meta } = parseFrontmatter(readFileSync(join(dir, keep), 'utf8'), { decrypt: false });
+    writeFileSync(join(dir, conflict), buildFrontmatter(meta) + '## RECON\nisi lain sama sekali\n');
+
+    const dry = (await maintain({ actions: ['dedup'] })).actions.dedup;
+    assert.deepEqual(dry.duplicates, [{ id: dup, duplicate_of: keep, title: '[RUNBOOK] dedup-orig.example' }]);
+    assert.equal(dry.removed, 0);
+    assert.ok(existsSync(join(dir, dup)));
+    assert.deepEqual(dry.title_conflicts[0].ids.sort(), [conflict, dup, keep].sort());
+
+    const applied = (await maintain({ mode: 'apply', actions: ['dedup'] })).actions.dedup;
+    assert.equal(applied.removed, 1);
+    assert.ok(!existsSync(join(dir, dup)));
+    assert.ok(existsSync(join(dir, keep)));
+    assert.ok(existsSync(join(dir, conflict)));
+    assert.ok(listTrash().some(e => e.original_id === dup));
+    unlinkSync(join(dir, conflict));
+});
+
+test('orphan_cleanup: .tmp / .lock basi / .bak tanpa runbook dihapus, sidecar tanpa runbook hanya dilaporkan', async () => {
+    const live = 'RUNBOOK_reflect-a.example.md';
+    writeFileSync(join(dir, `${live}.tmp`), 'partial');
+    writeFileSync(join(dir, 'RUNBOOK_gone.example.md.bak'), 'old');
+    writeFileSync(join(dir, `${live}.bak`), 'backup runbook yang masih ada');
+    writeFileSync(join(dir, 'RUNBOOK_gone.example.md.lock'), '');
+    const old = new Date(Date.now() - 10 * 60_000);
+    utimesSync(join(dir, 'RUNBOOK_gone.example.md.lock'), old, old);
+    writeFileSync(join(dir, `${live}.lock`), '');
+    mkdirSync(join(dir, '.history', 'RUNBOOK_gone.example.md'), { recursive: true });
+    writeFileSync(join(dir, '.history', 'RUNBOOK_gone.example.md', '1.md'), 'rev lama');
+
+    const expected = [
+        [`${live}.tmp`, 'tmp'],
+        ['RUNBOOK_gone.example.md.bak', 'orphan_bak'],
+        ['RUNBOOK_gone.example.md.lock', 'stale_lock']
+    ].sort();
+    const dry = (await maintain({ actions: ['orphan_cleanup'] })).actions.orphan_cleanup;
+    assert.deepEqual(dry.removed.map(r => [r.path, r.kind]).sort(), expected);
+    assert.deepEqual(dry.retained_sidecars, [{ path: join('.history', 'RUNBOOK_gone.example.md'), kind: 'orphan_history' }]);
+    assert.ok(dry.hint);
+    assert.ok(existsSync(join(dir, `${live}.tmp`)));
+
+    await maintain({ mode: 'apply', actions: ['orphan_cleanup'] });
+    for (const [path] of expected) assert.ok(!existsSync(join(dir, path)), path);
+    assert.ok(existsSync(join(dir, `${live}.bak`)));
+    assert.ok(existsSync(join(dir, `${live}.lock`)));
+    assert.ok(existsSync(join(dir, '.history', 'RUNBOOK_gone.example.md')));
+
+    const purged = (await maintain({ mode: 'apply', actions: ['orphan_cleanup'], policy: { purge_orphan_sidecars: true } })).actions.orphan_cleanup;
+    assert.deepEqual(purged.removed.map(r => r.kind), ['orphan_history']);
+    assert.ok(!existsSync(join(dir, '.history', 'RUNBOOK_gone.example.md')));
+    unlinkSync(join(dir, `${live}.lock`));
+});
+
+test('autolog_compact: archive harian lebih tua dari archive_after_days → 1 .log.gz per bulan', async () => {
+    const archiveDir = getArchiveDir();
+    mkdirSync(archiveDir, { recursive: true });
+    const daily = ['2026-01-03', '2026-01-17', '2026-02-02'].map(day => `RUNBOOK_reflect-a.example_autolog_${day}.log`);
+    daily.forEach((file, i) => writeFileSync(join(archiveDir, file), `entry ${i}\n`));
+    const recent = `RUNBOOK_reflect-a.example_autolog_${new Date().toISOString().slice(0, 10)}.log`;
+    writeFileSync(join(archiveDir, recent), 'hari ini\n');
+
+    const dry = (await maintain({ actions: ['autolog_compact'] })).actions.autolog_compact;
+    assert.equal(dry.files_merged, 3);
+    assert.ok(daily.every(file => existsSync(join(archiveDir, file))));
+
+    const applied = (await maintain({ mode: 'apply', actions: ['autolog_compact'] })).actions.autolog_compact;
+    assert.deepEqual(applied.compacted.map(c => [c.archive, c.daily_files]), [
+        ['RUNBOOK_reflect-a.example_autolog_2026-01.log.gz', 2],
+        ['RUNBOOK_reflect-a.example_autolog_2026-02.log.gz', 1]
+    ]);
+    assert.deepEqual(readdirSync(archiveDir).sort(), [
+        recent,
+        'RUNBOOK_reflect-a.example_autolog_2026-01.log.gz',
+        'RUNBOOK_reflect-a.example_autolog_2026-02.log.gz'
+    ].sort());
+    assert.equal(gunzipSync(readFileSync(join(archiveDir, 'RUNBOOK_reflect-a.example_autolog_2026-01.log.gz'))).toString('utf8'), 'entry 0\nentry 1\n');
+
+    // Bulan yang sudah punya .gz → di-append
+    writeFileSync(join(archiveDir, 'RUNBOOK_reflect-a.example_autolog_2026-01-29.log'), 'entry 3\n');
+    await maintain({ mode: 'apply', actions: ['autolog_compact'] });
+    assert.equal(gunzipSync(readFileSync(join(archiveDir, 'RUNBOOK_reflect-a.example_autolog_2026-01.log.gz'))).toString('utf8'), 'entry 0\nentry 1\nentry 3\n');
+});
+
+test('index_repair: file ditulis/dihapus langsung di disk → drift terdeteksi, apply resync', async () => {
+    assert.ok(initSearchIndex());
+    assert.equal((await maintain({ actions: ['index_repair'] })).actions.index_repair.needs_repair, false);
+
+    const added = 'RUNBOOK_manual.example.md';
+    const { meta } = parseFrontmatter(readFileSync(join(dir, 'RUNBOOK_reflect-a.example.md'), 'utf8'), { decrypt: false });
+    writeFileSync(join(dir, added), buildFrontmatter({ ...meta, title: '[RUNBOOK] manual.example' }) + '## RECON\nditulis manual\n');
+    unlinkSync(join(dir, 'RUNBOOK_kiosk.internal.md'));
+
+    const dry = (await maintain({ actions: ['index_repair'] })).actions.index_repair;
+    assert.deepEqual(dry.missing_from_index, [added]);
+    assert.deepEqual(dry.orphan_index_rows, ['RUNBOOK_kiosk.internal.md']);
+    assert.equal(dry.needs_repair, true);
+    assert.equal(dry.repaired, false);
+
+    const applied = (await maintain({ mode: 'apply', actions: ['index_repair'] })).actions.index_repair;
+    assert.equal(applied.repaired, true);
+    const after = (await maintain({ actions: ['index_repair'] })).actions.index_repair;
+    assert.equal(after.needs_repair, false);
+    assert.ok((await executeTool('memory_search', { query: '"ditulis manual"' })).results.some(r => r.id === added));
+});
@@ -0,0 +1,76 @@
+/**
+ * Outcome entries (## EXPLOIT / ## GAGAL) → mistake signature loop breaker
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+
+const { appendToSection } = await import('../src/storage/files.js');
+const { splitEntries } = await import('../src/storage/outcomes.js');
+const { detectTechniques } = await import('../src/storage/graphIndex.js');
+const { extractMistakes } = await import('../src/governance/loopbreaker.js');
+const { createGuardrail } = await import('../src/governance/guardrails.js');
+const { getForensicMeta, getFullForensicMeta } = await import('../src/utils/forensic.js');
+
+test('stamp [YYYY-MM-DD] dari appendToSection memulai entry baru', () => {
+    const content = [
+        '<!-- entry:0a1b2c3d -->',
+        '[2026-10-01] sqlmap di /search.php diblok cloudflare',
+        '<!-- entry:4e5f6a7b -->',
+        '[2026-10-02] sqlmap --tamper=space2comment tetap diblok cloudflare',
+        '  payload: 1 AND SLEEP(5)',
+        '[2026-10-03 14:00] - hydra ssh timeout'
+    ].join('\n');
+    assert.deepEqual(splitEntries(content), [
+        '[2026-10-01] sqlmap di /search.php diblok cloudflare',
+        '[2026-10-02] sqlmap --tamper=space2comment tetap diblok cloudflare\npayload: 1 AND SLEEP(5)',
+        '[2026-10-03 14:00] - hydra ssh timeout'
+    ]);
+});
+
+test('nama tool dipetakan ke technique canonical', () => {
+    assert.deepEqual(detectTechniques('sqlmap -u https://x/?id=1 --batch'), ['sqli']);
+    assert.deepEqual(detectTechniques('hydra -l admin -P rockyou.txt ssh://10.0.0.5'), ['brute']);
+    assert.deepEqual(detectTechniques('chisel server --reverse'), ['tunnel']);
+    assert.deepEqual(detectTechniques('linpeas.sh tidak menemukan apa-apa'), ['privesc']);
+    assert.deepEqual(detectTechniques('nmap -sV 10.0.0.5'), []);
+});
+
+test('GAGAL berulang lewat appendToSection = mistake terpisah per entry', () => {
+    let body = '## LIVE STATUS\nALIVE\n\n## GAGAL\n';
+    for (const entry of [
+        'sqlmap di /search.php diblok cloudflare (403)',
+        'sqlmap --tamper=between,randomcase lewat parameter cat= juga kena cloudflare challenge',
+        'hydra ssh root — connection timeout setelah 50 percobaan'
+    ]) {
+        ({ body } = appendToSection(body, 'GAGAL', entry));
+    }
+
+    const mistakes = extractMistakes('[RUNBOOK] shop.example', body);
+    const sqli = mistakes.filter(m => m.technique === 'sqli');
+    assert.equal(sqli.length, 2);
+    assert.notEqual(sqli[0].entry_hash, sqli[1].entry_hash);
+    assert.ok(sqli.every(m => m.signature === 'sqli:waf' && m.target === 'shop.example'));
+
+    const brute = mistakes.filter(m => m.technique === 'brute');
+    assert.equal(brute.length, 1);
+    assert.equal(brute[0].reason, 'timeout');
+});
+
+test('forensic governance membaca guardrail file vault (tanpa DB legacy)', async () => {
+    const { guardrail } = createGuardrail({
+        key: 'target:shop.example:sqli', scope: 'target', target: 'shop.example', technique: 'sqli',
+        count: 3, description: 'sqli di shop.example gagal 3x (waf)', runbook_ids: ['RUNBOOK_shop.example.md']
+    });
+
+    const compact = await getForensicMeta('default', 'default');
+    assert.equal(compact.governance.guardrails_active, 1);
+
+    const full = await getFullForensicMeta('default', 'default');
+    assert.deepEqual(full.governance_state.guardrails_active.map(g => g.id), [guardrail.id]);
+    assert.deepEqual(full.governance_state.guardrails_active[0].runbook_ids, ['RUNBOOK_shop.example.md']);
+    assert.deepEqual(full.governance_state.suppressed_memory_ids, []);
+
+    // Vault lain tidak ikut
+    assert.equal((await getForensicMeta('default', 'other-vault')).governance.guardrails_active, 0);
+});
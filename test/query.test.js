@@ -0,0 +1,59 @@
+/**
+ * Query language memory_search — query terstruktur tanpa threshold skor, section: saja = filter,
+ * query kosong / hanya negasi ditolak
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FILLER } from './helpers.js';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { searchRunbooks } = await import('../src/storage/files.js');
+const { initSearchIndex } = await import('../src/storage/searchIndex.js');
+
+// Term yang muncul di sebagian besar runbook → IDF BM25 ~0 (skor < 0.5) walau runbook-nya cocok
+await executeTool('memory_upsert', {
+    items: [...FILLER, ...['a', 'b', 'c', 'd'].map(host => ({
+        title: `[RUNBOOK] ${host}.example`,
+        content: `## EXPLOIT\nsqlmap di ${host}.example ${host === 'a' ? 'diblok cloudflare' : 'berhasil dump users'}\nCVE-2021-44228 dicoba di header User-Agent`,
+        tags: ['php']
+    })), {
+        title: '[RUNBOOK] vault.example',
+        content: '## CREDENTIAL\nadmin:admin on vault.example ALIVE\n\n## GAGAL\nbrute force login diblok rate limit',
+        tags: ['vault']
+    }]
+});
+const ALL = ['RUNBOOK_a.example.md', 'RUNBOOK_b.example.md', 'RUNBOOK_c.example.md', 'RUNBOOK_d.example.md'];
+
+const ids = (res) => res.results.map(r => r.id).sort();
+
+for (const engine of ['file_scan', 'fts5']) {
+    test(`${engine}: cve:2021-44228 menemukan runbook-nya`, async () => {
+        if (engine === 'fts5') assert.ok(initSearchIndex());
+        assert.deepEqual(ids(await executeTool('memory_search', { query: 'cve:2021-44228' })), ALL);
+    });
+
+    test(`${engine}: sqlmap -cloudflare mengecualikan runbook yang menyebut cloudflare`, async () => {
+        assert.deepEqual(ids(await executeTool('memory_search', { query: 'sqlmap -cloudflare' })), ALL.slice(1));
+    });
+
+    test(`${engine}: section: saja = filter runbook yang punya section itu`, async () => {
+        assert.deepEqual(ids(await executeTool('memory_search', { query: 'section:CREDENTIAL' })), ['RUNBOOK_vault.example.md']);
+        assert.deepEqual(ids(await executeTool('memory_search', { query: 'section:EXPLOIT' })), ALL);
+        assert.deepEqual(ids(await executeTool('memory_search', { query: 'section:EXPLOIT -cloudflare' })), ALL.slice(1));
+        assert.deepEqual(ids(searchRunbooks('section:GAGAL')), ['RUNBOOK_vault.example.md']);
+    });
+
+    test(`${engine}: query kosong / hanya negasi → error, bukan semua runbook`, async () => {
+        for (const query of ['-', 'AND', '-cloudflare', 'NOT sqlmap', '-section:GAGAL', '']) {
+            const res = await executeTool('memory_search', { query });
+            assert.deepEqual(res.results, [], query);
+            assert.match(res.error, /^Invalid query/, query);
+        }
+    });
+
+    test(`${engine}: searchRunbooks tanpa term positif → kosong`, () => {
+        for (const query of ['-', 'AND', '-cloudflare', '-section:EXPLOIT']) {
+            assert.deepEqual(searchRunbooks(query).results, [], query);
+        }
+    });
+}
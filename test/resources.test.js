@@ -0,0 +1,44 @@
+/**
+ * MCP resources — runbook:// URI tidak boleh keluar dari runbooks dir vault
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { root, FILLER } from './helpers.js';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { parseRunbookUri, readResource } = await import('../src/mcp/resources.js');
+
+await executeTool('memory_upsert', {
+    items: [...FILLER, { title: '[RUNBOOK] res.example', content: '## RECON\nport 80 nginx\n\n## CREDENTIAL\nadmin:admin', tags: ['nginx'] }]
+});
+writeFileSync(join(root, 'secret.md'), 'TOP SECRET\n');
+
+test('parseRunbookUri menolak id dengan separator atau ..', () => {
+    for (const uri of [
+        'runbook://..%2F..%2Fsecret.md',
+        'runbook://..%2Fsecret',
+        'runbook://%2Fetc%2Fpasswd',
+        'runbook://..%5Csecret.md',
+        'runbook://runbooks/..%2Fsecret.md',
+        'runbook://..',
+        'runbook://%E0%A4%A'
+    ]) {
+        assert.equal(parseRunbookUri(uri), null, uri);
+    }
+});
+
+test('readResource tidak membaca file di luar runbooks dir', () => {
+    assert.equal(readResource('runbook://..%2Fsecret.md'), null);
+    assert.equal(readResource('runbook://..%2F..%2Fsecret.md'), null);
+});
+
+test('runbook:// biasa dan #section tetap terbaca', () => {
+    const full = readResource('runbook://RUNBOOK_res.example.md');
+    assert.match(full.contents[0].text, /port 80 nginx/);
+
+    const section = readResource('runbook://RUNBOOK_res.example#CREDENTIAL');
+    assert.match(section.contents[0].text, /admin:admin/);
+    assert.doesNotMatch(section.contents[0].text, /nginx/);
+});
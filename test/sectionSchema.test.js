@@ -0,0 +1,128 @@
+/**
+ * Section schema — nama canonical, alias, allowlist operasi, validateSections dan memory_validate
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import './helpers.js';
+
+const {
+    SECTION_SCHEMAS, sectionKey, getSectionSchema, matchSchemaSection, resolveSectionName,
+    canonicalizeHeadings, isSectionOpAllowed, validateSections
+} = await import('../src/storage/sectionSchema.js');
+const { isMajorSection, readRunbook, getRunbooksDir } = await import('../src/storage/files.js');
+const { executeTool } = await import('../src/mcp/index.js');
+const { confirmRead } = await import('../src/mcp/tools/memory.forget.js');
+
+const RUNBOOK = SECTION_SCHEMAS.runbook;
+const FULL = ['LIVE STATUS', 'RECON', 'EXPLOIT', 'CREDENTIAL', 'RE-ENTRY CHECKLIST', 'GAGAL']
+    .map(name => `## ${name}\nisi ${name.toLowerCase()}\n`).join('\n');
+const rules = (violations) => violations.map(v => `${v.severity} ${v.rule} ${v.section}`);
+
+test('sectionKey menormalisasi varian nama section', () => {
+    assert.equal(sectionKey('## Credentials'), 'CREDENTIAL');
+    assert.equal(sectionKey('CREDENTIAL (APPEND-ONLY)'), 'CREDENTIAL');
+    assert.equal(sectionKey('re-entry checklist'), 'REENTRYCHECKLIST');
+});
+
+test('schema dipilih dari prefix title', () => {
+    assert.equal(getSectionSchema('[RUNBOOK] target.com').type, 'runbook');
+    assert.equal(getSectionSchema('[teknik] SQLi').type, 'teknik');
+    assert.equal(getSectionSchema('Catatan bebas'), null);
+});
+
+test('matchSchemaSection: canonical, alias, section sistem', () => {
+    assert.deepEqual(
+        { name: matchSchemaSection(RUNBOOK, 'CREDENTIAL (APPEND-ONLY)').section.name, canonical: matchSchemaSection(RUNBOOK, 'CREDENTIAL (APPEND-ONLY)').canonical },
+        { name: 'CREDENTIAL', canonical: true }
+    );
+    const alias = matchSchemaSection(RUNBOOK, 'Creds');
+    assert.equal(alias.section.name, 'CREDENTIAL');
+    assert.equal(alias.canonical, false);
+    assert.equal(matchSchemaSection(RUNBOOK, '_AUTO_LOG').system, true);
+    assert.equal(matchSchemaSection(RUNBOOK, 'Catatan Lain'), null);
+});
+
+test('resolveSectionName: canonical jika ada, varian lama dipakai jika hanya itu yang ada', () => {
+    assert.deepEqual(resolveSectionName(RUNBOOK, 'creds', '## CREDENTIAL\nx'), { name: 'CREDENTIAL', renamed: true, legacy: false });
+    assert.deepEqual(resolveSectionName(RUNBOOK, 'creds', '## Credentials\nx'), { name: 'Credentials', renamed: true, legacy: true });
+    assert.deepEqual(resolveSectionName(RUNBOOK, 'creds', ''), { name: 'CREDENTIAL', renamed: true, legacy: false });
+    assert.deepEqual(resolveSectionName(RUNBOOK, 'GAGAL', ''), { name: 'GAGAL', renamed: false, legacy: false });
+});
+
+test('canonicalizeHeadings me-rename heading varian di content', () => {
+    const { text, renamed } = canonicalizeHeadings('## Credentials\nadmin:admin\n## Failed\nhydra timeout', RUNBOOK, isMajorSection);
+    assert.equal(text, '## CREDENTIAL\nadmin:admin\n## GAGAL\nhydra timeout');
+    assert.deepEqual(renamed, [{ from: 'Credentials', to: 'CREDENTIAL' }, { from: 'Failed', to: 'GAGAL' }]);
+});
+
+test('isSectionOpAllowed: replace hanya untuk section snapshot', () => {
+    assert.equal(isSectionOpAllowed(RUNBOOK, 'LIVE STATUS', 'replace'), true);
+    assert.equal(isSectionOpAllowed(RUNBOOK, 'CREDENTIAL', 'replace'), false);
+    assert.equal(isSectionOpAllowed(RUNBOOK, 'CREDENTIAL', 'append'), true);
+    assert.equal(isSectionOpAllowed(RUNBOOK, 'Catatan Lain', 'replace'), false);
+    assert.equal(isSectionOpAllowed(null, 'LIVE STATUS', 'replace'), true);
+});
+
+test('validateSections: runbook lengkap dan berurutan = valid', () => {
+    assert.deepEqual(validateSections(RUNBOOK, FULL, { isMajor: isMajorSection }), []);
+    assert.deepEqual(validateSections(null, '## apa saja'), []);
+});
+
+test('validateSections: nama non-canonical = error, section belum ada / kembar / urutan = warning', () => {
+    const body = '## LIVE STATUS\nALIVE\n\n## Credentials\nadmin:admin\n\n## RECON\nnmap\n\n## GAGAL\nsqlmap diblok\n\n## GAGAL\nhydra timeout\n';
+    assert.deepEqual(rules(validateSections(RUNBOOK, body, { isMajor: isMajorSection })), [
+        'error non_canonical_name Credentials',
+        'warning duplicate_section GAGAL',
+        'warning missing_required EXPLOIT',
+        'warning missing_required RE-ENTRY CHECKLIST',
+        'warning out_of_order RECON'
+    ]);
+});
+
+test('memory_upsert biasa (create sebagian section, append heading yang sudah ada) tidak menghasilkan error', async () => {
+    const created = await executeTool('memory_upsert', {
+        items: [{ title: '[RUNBOOK] schema.example', content: '## LIVE STATUS\nALIVE\n\n## GAGAL\nsqlmap diblok cloudflare', tags: ['test'] }]
+    });
+    const id = created.upserted[0].id;
+    assert.ok(created.upserted[0].schema_violations.every(v => v.startsWith('[warning]')));
+
+    confirmRead(id, 'full', readRunbook(id).content.length);
+    const appended = await executeTool('memory_upsert', {
+        items: [{ title: '[RUNBOOK] schema.example', content: '## GAGAL\nhydra ssh timeout setelah 50 percobaan', tags: ['test'] }]
+    });
+    assert.equal(appended.upserted[0].action, 'appended');
+    const violations = appended.upserted[0].schema_violations;
+    assert.ok(violations.some(v => v.startsWith('[warning] duplicate_section')));
+    assert.ok(violations.every(v => v.startsWith('[warning]')));
+});
+
+test('memory_validate: 1 runbook, scan vault dan filter severity', async () => {
+    await executeTool('memory_upsert', {
+        items: [
+            { title: '[RUNBOOK] valid.example', content: FULL, tags: ['test'] },
+            { title: '[TEKNIK] Legacy Heading', content: '## Commands\nsqlmap -u URL', tags: ['test'] }
+        ]
+    });
+    // memory_upsert me-rename heading varian → tulis varian lama langsung ke file
+    const file = join(getRunbooksDir(), 'TEKNIK_Legacy_Heading.md');
+    writeFileSync(file, readFileSync(file, 'utf8').replace('## COMMAND', '## Commands'));
+
+    const single = await executeTool('memory_validate', { id: 'RUNBOOK_valid.example' });
+    assert.equal(single.valid, true);
+    assert.equal(single.type, 'runbook');
+
+    const legacy = await executeTool('memory_validate', { id: 'TEKNIK_Legacy_Heading.md' });
+    assert.deepEqual(rules(legacy.violations), ['error non_canonical_name Commands']);
+
+    const errors = await executeTool('memory_validate', { severity: 'error' });
+    assert.deepEqual(errors.runbooks.map(r => r.id), ['TEKNIK_Legacy_Heading.md']);
+    assert.deepEqual(errors.by_rule, { non_canonical_name: 1 });
+
+    const teknik = await executeTool('memory_validate', { type: 'teknik' });
+    assert.equal(teknik.checked, 1);
+
+    const missing = await executeTool('memory_validate', { id: 'RUNBOOK_nope.example' });
+    assert.equal(missing.ok, false);
+});
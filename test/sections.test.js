@@ -0,0 +1,113 @@
+/**
+ * Batas section vs marker entry — marker <!-- entry:ID --> di atas heading milik section berikutnya
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+
+process.env.MCP_MEMORI_PASSPHRASE = 'test-passphrase';
+process.env.ENCRYPT_SECTIONS = 'CREDENTIAL';
+
+const { appendToSection, findSectionRange, isMajorSection } = await import('../src/storage/files.js');
+const { parseEntries } = await import('../src/storage/entries.js');
+const { sealBody, decryptText } = await import('../src/storage/encryption.js');
+const { applyUndo } = await import('../src/storage/tombstones.js');
+
+const BODY = [
+    '<!-- entry:11111111 -->',
+    '## CREDENTIAL',
+    'admin:admin on 10.0.0.5 ALIVE',
+    '',
+    '<!-- entry:22222222 -->',
+    '## EXPLOIT',
+    'CVE-2021-41773 path traversal → RCE',
+    ''
+].join('\n');
+
+test('findSectionRange berhenti sebelum marker section berikutnya', () => {
+    const range = findSectionRange(BODY, 'CREDENTIAL');
+    const text = BODY.substring(range.start, range.end);
+    assert.ok(!text.includes('entry:22222222'));
+    assert.ok(BODY.substring(range.end).startsWith('<!-- entry:22222222 -->\n## EXPLOIT'));
+});
+
+test('append ke section yang bukan terakhir: entry baru di section itu, marker section berikutnya tetap di atas heading-nya', () => {
+    const { body } = appendToSection(BODY, 'CREDENTIAL', 'root:toor on 10.0.0.6 DEAD — password diganti');
+    const entries = parseEntries(body);
+    const appended = entries.find(e => !['11111111', '22222222'].includes(e.id));
+
+    assert.ok(appended, 'entry baru punya marker');
+    assert.equal(appended.section, 'CREDENTIAL');
+    assert.match(body.substring(appended.start, appended.end), /root:toor/);
+
+    const exploit = entries.find(e => e.id === '22222222');
+    assert.equal(exploit.heading, '## EXPLOIT');
+    assert.equal(exploit.section, 'EXPLOIT');
+    assert.equal(entries.find(e => e.id === '11111111').section, 'CREDENTIAL');
+    assert.ok(body.indexOf('root:toor') < body.indexOf('<!-- entry:22222222 -->'));
+});
+
+test('seal CREDENTIAL tidak membungkus marker section berikutnya', () => {
+    const { body } = appendToSection(BODY, 'CREDENTIAL', 'root:toor on 10.0.0.6 DEAD — password diganti');
+    const sealed = sealBody(body, { isMajor: isMajorSection }).body;
+
+    assert.ok(!sealed.includes('admin:admin'));
+    assert.ok(sealed.includes('<!-- entry:22222222 -->\n## EXPLOIT'));
+    assert.equal(decryptText(sealed), body);
+});
+
+test('undo section: blok disisipkan sebelum marker section berikutnya', () => {
+    const removed = BODY.substring(0, BODY.indexOf('<!-- entry:22222222 -->'));
+    const remaining = BODY.substring(removed.length);
+    const result = applyUndo(remaining, { kind: 'section', fragment: removed, section: 'CREDENTIAL', next_section: 'EXPLOIT' });
+
+    assert.equal(result.strategy, 'before_next_section');
+    const entries = parseEntries(result.body);
+    assert.equal(entries.find(e => e.id === '11111111').heading, '## CREDENTIAL');
+    assert.equal(entries.find(e => e.id === '22222222').heading, '## EXPLOIT');
+});
+
+test('memory_forget remove_section + undo: marker ikut section, tidak ada marker orphan', async () => {
+    const { executeTool } = await import('../src/mcp/index.js');
+    const { confirmRead } = await import('../src/mcp/tools/memory.forget.js');
+    const { readRunbook } = await import('../src/storage/files.js');
+
+    await executeTool('memory_upsert', {
+        items: [{ title: '[TEKNIK] Section Boundary', content: '## RECON\nnmap -sV\n\n## NOTES\ncatatan sementara\n\n## EXPLOIT\nCVE-2021-41773', tags: ['test'] }]
+    });
+    const id = 'TEKNIK_Section_Boundary.md';
+    const before = readRunbook(id).content;
+    const notesMarker = parseEntries(before).find(e => e.heading === '## NOTES').id;
+
+    confirmRead(id, 'full', 1000);
+    const removed = await executeTool('memory_forget', { id, reason: 'test', remove_section: 'NOTES' });
+    assert.equal(removed.ok, true);
+    const afterRemove = readRunbook(id).content;
+    assert.ok(!afterRemove.includes(notesMarker));
+    // Tiap marker tersisa tepat di atas heading-nya sendiri
+    assert.deepEqual(parseEntries(afterRemove).map(e => e.heading), ['## RECON', '## EXPLOIT']);
+
+    const undone = await executeTool('memory_forget', { id, reason: 'test', undo: 'latest' });
+    assert.equal(undone.ok, true);
+    const restored = parseEntries(readRunbook(id).content);
+    assert.deepEqual(restored.map(e => e.heading), ['## RECON', '## NOTES', '## EXPLOIT']);
+    assert.equal(restored[1].id, notesMarker);
+});
+
+test('upsert ulang konten multi-section yang sama → skipped_duplicate (marker di antara section diabaikan)', async () => {
+    const { executeTool } = await import('../src/mcp/index.js');
+    const { confirmRead } = await import('../src/mcp/tools/memory.forget.js');
+    const { readRunbook } = await import('../src/storage/files.js');
+
+    const item = { title: '[TEKNIK] Duplicate Multi Section', content: '## COMMAND\nnmap -sV -p- 10.0.0.5\n\n## GAGAL\nhydra ssh timeout setelah 50 percobaan', tags: ['test'] };
+    const created = await executeTool('memory_upsert', { items: [item] });
+    assert.equal(created.upserted[0].action, 'created');
+    const id = created.upserted[0].id;
+    const before = readRunbook(id).content;
+    assert.ok(parseEntries(before).length >= 2);
+
+    confirmRead(id, 'full', before.length);
+    const again = await executeTool('memory_upsert', { items: [item] });
+    assert.equal(again.upserted[0].action, 'skipped_duplicate');
+    assert.equal(readRunbook(id).content, before);
+});
@@ -0,0 +1,59 @@
+/**
+ * Snippet search/list dan chunk vector — tanpa marker <!-- entry:ID -->
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FILLER } from './helpers.js';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { readRunbook } = await import('../src/storage/files.js');
+const { chunkRunbook } = await import('../src/storage/vectorIndex.js');
+const { initSearchIndex } = await import('../src/storage/searchIndex.js');
+
+const MARKER = /<!-- (?:entry:|prov)/;
+
+await executeTool('memory_upsert', {
+    items: [...FILLER, {
+        title: '[RUNBOOK] snip.example',
+        content: '## RECON\nport 8080 tomcat manager deployment\n\n## EXPLOIT\ntomcat manager war upload → shell sebagai tomcat',
+        tags: ['tomcat']
+    }]
+});
+const ID = 'RUNBOOK_snip.example.md';
+
+test('runbook yang di-upsert memang punya marker entry', () => {
+    assert.match(readRunbook(ID).content, MARKER);
+});
+
+test('memory_search (file scan) snippet tanpa marker', async () => {
+    const res = await executeTool('memory_search', { query: 'tomcat deployment' });
+    const hit = res.results.find(r => r.id === ID);
+    assert.ok(hit);
+    assert.match(hit.snippet, /## EXPLOIT|war upload/);
+    assert.doesNotMatch(hit.snippet, MARKER);
+});
+
+test('memory_search (FTS) snippet tanpa marker', async () => {
+    assert.ok(initSearchIndex());
+    const res = await executeTool('memory_search', { query: 'tomcat deployment' });
+    const hit = res.results.find(r => r.id === ID);
+    assert.ok(hit);
+    assert.doesNotMatch(hit.snippet, MARKER);
+});
+
+test('memory_list snippet tanpa marker', async () => {
+    const res = await executeTool('memory_list', { project_id: 'default', title_contains: 'snip.example' });
+    assert.equal(res.items.length, 1);
+    assert.match(res.items[0].snippet, /## RECON/);
+    assert.doesNotMatch(res.items[0].snippet, MARKER);
+});
+
+test('chunk vector tanpa marker, offset tetap offset body', () => {
+    const body = readRunbook(ID).content;
+    const chunks = chunkRunbook(body);
+    assert.ok(chunks.length > 0);
+    for (const chunk of chunks) {
+        assert.doesNotMatch(chunk.text, MARKER);
+        assert.ok(body.substring(chunk.start, chunk.end).includes(chunk.text.split('\n')[0]));
+    }
+});
@@ -0,0 +1,82 @@
+/**
+ * Tombstone partial forget — undo setelah runbook di-append, list_tombstones, undo ganda / section dobel ditolak
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { confirmRead } = await import('../src/mcp/tools/memory.forget.js');
+const { readRunbook, findSectionRange } = await import('../src/storage/files.js');
+
+const TITLE = '[RUNBOOK] tomb.example';
+const upsert = (item) => executeTool('memory_upsert', { items: [{ title: TITLE, tags: ['test'], ...item }] });
+const forget = (params) => executeTool('memory_forget', { id: ID, reason: 'test', ...params });
+const section = (name) => {
+    const body = readRunbook(ID).content;
+    const range = findSectionRange(body, name);
+    return range ? body.substring(range.start, range.end) : null;
+};
+
+const created = await upsert({
+    content: [
+        '## RECON',
+        'nmap -sV 10.0.0.7',
+        '',
+        '## CREDENTIAL',
+        'admin:admin on 10.0.0.7 (ssh)',
+        'backup:Backup2023 on 10.0.0.7 (ftp)',
+        'svc:svc on 10.0.0.7 (smb)',
+        '',
+        '## NOTES',
+        'catatan sementara'
+    ].join('\n')
+});
+const ID = created.upserted[0].id;
+confirmRead(ID, 'full', readRunbook(ID).content.length);
+
+test('remove_text → append di section sama dan sebelumnya → undo latest kembali ke posisi asal', async () => {
+    const removed = await forget({ remove_text: 'backup:Backup2023 on 10.0.0.7 (ftp)\n' });
+    assert.equal(removed.ok, true);
+    assert.equal(removed.tombstones.length, 1);
+    assert.doesNotMatch(section('CREDENTIAL'), /backup:Backup2023/);
+
+    // Offset absolut bergeser: append di section sebelumnya + di section asal
+    await upsert({ append_to_section: 'RECON', content: 'gobuster: /admin /backup /uploads' });
+    await upsert({ append_to_section: 'CREDENTIAL', content: 'root:toor on 10.0.0.8 (ssh)' });
+
+    const undone = await forget({ undo: 'latest' });
+    assert.equal(undone.ok, true);
+    assert.equal(undone.tombstone, removed.tombstones[0]);
+
+    const lines = section('CREDENTIAL').split('\n').filter(l => /:.* on /.test(l));
+    assert.equal(lines[0], 'admin:admin on 10.0.0.7 (ssh)');
+    assert.equal(lines[1], 'backup:Backup2023 on 10.0.0.7 (ftp)');
+    assert.equal(lines[2], 'svc:svc on 10.0.0.7 (smb)');
+    assert.match(lines[3], /root:toor on 10\.0\.0\.8/);
+    assert.match(section('RECON'), /gobuster/);
+});
+
+test('list_tombstones mencatat undone_at, undo kedua ditolak', async () => {
+    const list = await forget({ list_tombstones: true });
+    assert.equal(list.total, 1);
+    assert.ok(list.tombstones[0].undone_at);
+    assert.equal(list.tombstones[0].section, 'CREDENTIAL');
+
+    assert.equal((await forget({ undo: 'latest' })).ok, false);
+    const again = await forget({ undo: list.tombstones[0].tombstone });
+    assert.equal(again.ok, false);
+    assert.match(again.error, /sudah di-undo/);
+});
+
+test('remove_section → section dibuat lagi oleh append → undo ditolak agar tidak dobel', async () => {
+    const removed = await forget({ remove_section: 'NOTES' });
+    assert.equal(removed.ok, true);
+    assert.equal(section('NOTES'), null);
+
+    await upsert({ content: '## NOTES\ncatatan baru setelah hapus' });
+    const undone = await forget({ undo: 'latest' });
+    assert.equal(undone.ok, false);
+    assert.match(undone.error, /sudah ada lagi/);
+    assert.doesNotMatch(readRunbook(ID).content, /catatan sementara/);
+});
@@ -0,0 +1,101 @@
+/**
+ * memory_trash — full delete masuk .deleted/, list/show, restore (+ collision rename), purge dry_run / older_than_days
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import './helpers.js';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { confirmRead } = await import('../src/mcp/tools/memory.forget.js');
+const { readRunbook, getRunbooksDir } = await import('../src/storage/files.js');
+
+const trashDir = () => join(getRunbooksDir(), '.deleted');
+const create = async (title, content) =>
+    (await executeTool('memory_upsert', { items: [{ title, content, tags: ['test'] }] })).upserted[0].id;
+const forget = async (id) => {
+    confirmRead(id, 'full', readRunbook(id).content.length);
+    return executeTool('memory_forget', { id, reason: 'box retired' });
+};
+
+test('full delete → entry di trash, list + show', async () => {
+    const id = await create('[RUNBOOK] retired.example', '## CREDENTIAL\nadmin:admin on 10.0.0.5');
+    assert.equal((await forget(id)).ok, true);
+    assert.equal(existsSync(join(getRunbooksDir(), id)), false);
+
+    const list = await executeTool('memory_trash', { query: 'retired' });
+    assert.equal(list.total, 1);
+    assert.equal(list.entries[0].original_id, id);
+    assert.equal(list.entries[0].reason, 'box retired');
+    assert.equal(list.entries[0].title, '[RUNBOOK] retired.example');
+
+    const shown = await executeTool('memory_trash', { action: 'show', entry: id });
+    assert.match(shown.content, /admin:admin on 10\.0\.0\.5/);
+    assert.doesNotMatch(shown.content, /<!-- DELETED/);
+});
+
+test('restore → runbook kembali, versi naik, tercatat di history', async () => {
+    const id = 'RUNBOOK_retired.example.md';
+    const res = await executeTool('memory_trash', { action: 'restore', entry: id });
+    assert.equal(res.ok, true);
+    assert.equal(res.id, id);
+    assert.equal(res.renamed, false);
+    assert.equal(res.version, 2);
+    assert.match(readRunbook(id).content, /admin:admin/);
+    assert.equal((await executeTool('memory_trash', { query: 'retired' })).total, 0);
+
+    const history = await executeTool('memory_history', { id });
+    assert.match(history.revisions[0].note, /^restore from trash/);
+});
+
+test('restore saat id sudah dipakai → _restored_N, restore_as bentrok ditolak', async () => {
+    const id = await create('[RUNBOOK] collide.lab', '## RECON\nversi lama');
+    await forget(id);
+    await create('[RUNBOOK] collide.lab', '## RECON\nversi baru');
+
+    const clash = await executeTool('memory_trash', { action: 'restore', entry: id, restore_as: id });
+    assert.equal(clash.ok, false);
+
+    const res = await executeTool('memory_trash', { action: 'restore', entry: id });
+    assert.equal(res.ok, true);
+    assert.equal(res.renamed, true);
+    assert.equal(res.id, 'RUNBOOK_collide.lab_restored_1.md');
+    assert.match(res.title, /\(restored \d{4}-\d{2}-\d{2}\)$/);
+    assert.match(readRunbook(res.id).content, /versi lama/);
+    assert.match(readRunbook(id).content, /versi baru/);
+});
+
+test('purge: dry_run default, older_than_days, hapus permanen', async () => {
+    const oldId = await create('[RUNBOOK] legacy-box.internal', '## RECON\nlama');
+    const newId = await create('[RUNBOOK] fresh.corp', '## RECON\nbaru');
+    await forget(oldId);
+    await forget(newId);
+
+    // Mundurkan tanggal hapus entry lama 60 hari
+    const oldEntry = readdirSync(trashDir()).find(e => e.endsWith(oldId));
+    const file = join(trashDir(), oldEntry);
+    const past = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString();
+    writeFileSync(file, readFileSync(file, 'utf8').replace(/ at \S+ -->/, ` at ${past} -->`));
+
+    const dry = await executeTool('memory_trash', { action: 'purge', older_than_days: 30 });
+    assert.equal(dry.dry_run, true);
+    assert.deepEqual(dry.purged.map(p => p.original_id), [oldId]);
+    assert.ok(existsSync(file));
+
+    const real = await executeTool('memory_trash', { action: 'purge', older_than_days: 30, dry_run: false });
+    assert.equal(real.purged_count, 1);
+    assert.ok(real.freed_bytes > 0);
+    assert.equal(existsSync(file), false);
+    assert.equal((await executeTool('memory_trash', { query: 'fresh.corp' })).total, 1);
+
+    const single = await executeTool('memory_trash', { action: 'purge', entry: newId, dry_run: false });
+    assert.deepEqual(single.purged.map(p => p.original_id), [newId]);
+    assert.equal((await executeTool('memory_trash', { query: 'fresh.corp' })).total, 0);
+});
+
+test('entry tidak ada / action tidak dikenal → error', async () => {
+    assert.equal((await executeTool('memory_trash', { action: 'restore', entry: 'RUNBOOK_nope.example.md' })).ok, false);
+    assert.equal((await executeTool('memory_trash', { action: 'purge', entry: 'RUNBOOK_nope.example.md' })).ok, false);
+    assert.equal((await executeTool('memory_trash', { action: 'shred' })).ok, false);
+});
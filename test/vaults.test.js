@@ -0,0 +1,40 @@
+/**
+ * Vault isolation — read path tidak boleh membuat vault baru (typo project_id / vaults[])
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { root, FILLER } from './helpers.js';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { initSearchIndex } = await import('../src/storage/searchIndex.js');
+const { listVaults } = await import('../src/storage/vault.js');
+
+initSearchIndex();
+
+test('search di vault yang belum ada tidak membuat directory', async () => {
+    const result = await executeTool('memory_search', { query: 'nginx', project_id: 'typo-vault' });
+    assert.equal(result.results.length, 0);
+    assert.equal(existsSync(join(root, 'vaults', 'typo-vault')), false);
+    assert.ok(!listVaults().includes('typo-vault'));
+});
+
+test('cross-vault search melewati vault yang belum ada', async () => {
+    await executeTool('memory_upsert', {
+        project_id: 'alpha',
+        items: [...FILLER, { title: '[RUNBOOK] alpha.example', content: '## Recon\nnginx 1.18 di port 443', tags: ['nginx'] }]
+    });
+    assert.ok(existsSync(join(root, 'vaults', 'alpha', 'runbooks')));
+
+    const result = await executeTool('memory_search', { query: 'nginx', vaults: ['alpha', 'alpah'] });
+    assert.deepEqual(result.meta.vault, ['alpha']);
+    assert.ok(result.results.length > 0);
+    assert.ok(result.results.every(r => r.vault === 'alpha'));
+    assert.equal(existsSync(join(root, 'vaults', 'alpah')), false);
+});
+
+test('list di vault yang belum ada tidak membuat directory', async () => {
+    await executeTool('memory_list', { project_id: 'ghost' });
+    assert.equal(existsSync(join(root, 'vaults', 'ghost')), false);
+});
@@ -0,0 +1,98 @@
+/**
+ * memory_vocabulary — add/remove synonym, noise_tag, technique_word langsung berlaku tanpa restart,
+ * edit manual .vocabulary.json ikut terbaca (cache divalidasi mtime)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, utimesSync } from 'fs';
+import { join } from 'path';
+import { FILLER } from './helpers.js';
+
+const { executeTool } = await import('../src/mcp/index.js');
+const { searchRunbooks, readRunbook, getRunbooksDir } = await import('../src/storage/files.js');
+const { getTechniqueWords } = await import('../src/storage/vocabulary.js');
+
+await executeTool('memory_upsert', {
+    items: [...FILLER, {
+        title: '[TEKNIK] Ligolo Tunnel',
+        content: '## COMMAND\nligolo agent -connect 10.0.0.1:11601 -ignore-cert',
+        tags: ['tunnel']
+    }]
+});
+
+const vocab = (params) => executeTool('memory_vocabulary', params);
+const found = (query) => searchRunbooks(query).results.some(r => r.id === 'TEKNIK_Ligolo_Tunnel.md');
+
+test('tanpa file → default bawaan', async () => {
+    const list = await vocab({});
+    assert.equal(list.source, 'default');
+    assert.ok(list.counts.synonyms > 0);
+    assert.equal(list.synonyms.burrowz, undefined);
+});
+
+test('synonym add → query expansion langsung dipakai search, remove → hilang lagi', async () => {
+    assert.equal(found('burrowz'), false);
+
+    const added = await vocab({ action: 'add', kind: 'synonym', key: 'Burrowz', terms: ['Ligolo', 'burrowz'] });
+    assert.equal(added.ok, true);
+    assert.deepEqual(added.added, ['ligolo']);
+    assert.equal(added.version, 1);
+    assert.equal(found('burrowz'), true);
+
+    const again = await vocab({ action: 'add', kind: 'synonym', key: 'burrowz', terms: ['ligolo'] });
+    assert.equal(again.unchanged, true);
+    assert.equal(again.version, 1);
+
+    const removed = await vocab({ action: 'remove', kind: 'synonym', key: 'burrowz' });
+    assert.deepEqual(removed.removed, ['ligolo']);
+    assert.equal(removed.version, 2);
+    assert.equal(found('burrowz'), false);
+    assert.equal((await vocab({ kind: 'synonym' })).synonyms.burrowz, undefined);
+});
+
+test('noise_tag add → tag dibuang saat save berikutnya, remove → disimpan lagi', async () => {
+    await vocab({ action: 'add', kind: 'noise_tag', terms: ['scratchpad'] });
+    const first = await executeTool('memory_upsert', { items: [{ title: '[TEKNIK] Noise Tag One', content: '## COMMAND\nwhoami /priv', tags: ['scratchpad', 'dc01'] }] });
+    assert.deepEqual(readRunbook(first.upserted[0].id).tags, ['dc01']);
+
+    await vocab({ action: 'remove', kind: 'noise_tag', terms: ['scratchpad'] });
+    const second = await executeTool('memory_upsert', { items: [{ title: '[TEKNIK] Kerberoast Roast', content: '## COMMAND\nGetUserSPNs.py -request', tags: ['scratchpad', 'kerberos'] }] });
+    assert.deepEqual(readRunbook(second.upserted[0].id).tags.sort(), ['kerberos', 'scratchpad']);
+});
+
+test('technique_word add/remove', async () => {
+    await vocab({ action: 'add', kind: 'technique_word', terms: ['ligolo'] });
+    assert.ok(getTechniqueWords().has('ligolo'));
+    assert.deepEqual((await vocab({ kind: 'technique_word' })).technique_words.slice(-1), ['ligolo']);
+    await vocab({ action: 'remove', kind: 'technique_word', terms: ['ligolo'] });
+    assert.ok(!getTechniqueWords().has('ligolo'));
+});
+
+test('edit manual .vocabulary.json terbaca tanpa restart', async () => {
+    const file = join(getRunbooksDir(), '.vocabulary.json');
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    data.synonyms.burrowz = ['ligolo'];
+    writeFileSync(file, JSON.stringify(data, null, 2));
+    // mtime eksplisit — tulis dua kali dalam 1 tick bisa dapat mtime yang sama
+    const future = new Date(Date.now() + 5000);
+    utimesSync(file, future, future);
+
+    const list = await vocab({ kind: 'synonym' });
+    assert.equal(list.source, 'file');
+    assert.deepEqual(list.synonyms.burrowz, ['ligolo']);
+    assert.equal(found('burrowz'), true);
+
+    // File rusak → kembali ke default, search tetap jalan
+    writeFileSync(file, '{ rusak');
+    utimesSync(file, new Date(Date.now() + 10000), new Date(Date.now() + 10000));
+    assert.equal((await vocab({})).source, 'default');
+    assert.equal(found('burrowz'), false);
+});
+
+test('parameter tidak valid → error', async () => {
+    assert.equal((await vocab({ action: 'add', kind: 'synonym', key: 'burrowz', terms: ['double pivot'] })).ok, false);
+    assert.equal((await vocab({ action: 'add', kind: 'synonym', terms: ['ligolo'] })).ok, false);
+    assert.equal((await vocab({ action: 'add', kind: 'stopword', terms: ['the'] })).ok, false);
+    assert.equal((await vocab({ action: 'add', kind: 'noise_tag', terms: [] })).ok, false);
+    assert.equal((await vocab({ action: 'rename' })).ok, false);
+});